@@ -0,0 +1,6 @@
+// __tests__/fixtures/uppercase-transform.js
+// Custom transform used by the transforms tests
+module.exports = (event, context, options) => ({
+  ...event,
+  body: { ...event.body, [options.field]: String(event.body[options.field]).toUpperCase() },
+});
@@ -270,7 +270,11 @@ describe('Integration Tests', () => {
         2000
       );
 
-      expect(claimed).toBe(2);
+      expect(claimed).toHaveLength(2);
+      expect(claimed.map(msg => msg.fields)).toEqual([
+        ['test', 'pending1'],
+        ['test', 'pending2'],
+      ]);
       await newRedisService.disconnect();
     });
   });
@@ -0,0 +1,160 @@
+// __tests__/unit/DeadLetterService.test.js
+const DeadLetterService = require('../../src/services/DeadLetterService');
+
+describe('DeadLetterService', () => {
+  let deadLetterService;
+  let mockRedisService;
+  let mockLogger;
+
+  const deadLetterEntry = (id, originalId, fields) => ({
+    id,
+    fields: [
+      'originalId', originalId,
+      'sourceStream', 'test-stream',
+      'consumerGroup', 'test-group',
+      'reason', 'Send failed',
+      'attempts', '5',
+      'deadLetteredAt', '2023-01-01T00:00:00.000Z',
+      'payload', JSON.stringify(fields),
+    ],
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockRedisService = {
+      addMessage: jest.fn().mockResolvedValue('9999-0'),
+      ackMessages: jest.fn().mockResolvedValue(1),
+      readRange: jest.fn().mockResolvedValue([]),
+      deleteMessages: jest.fn().mockResolvedValue(1),
+    };
+
+    mockLogger = {
+      child: jest.fn().mockReturnThis(),
+      info: jest.fn(),
+      warn: jest.fn(),
+      error: jest.fn(),
+      debug: jest.fn(),
+    };
+
+    deadLetterService = new DeadLetterService(
+      { streamKey: 'test-stream:dead-letter', maxDeliveryAttempts: 5 },
+      mockRedisService,
+      mockLogger
+    );
+  });
+
+  describe('isExhausted', () => {
+    it('should report messages at or above the max delivery count', () => {
+      expect(deadLetterService.isExhausted(4)).toBe(false);
+      expect(deadLetterService.isExhausted(5)).toBe(true);
+      expect(deadLetterService.isExhausted(6)).toBe(true);
+    });
+  });
+
+  describe('deadLetter', () => {
+    it('should copy the message to the dead-letter stream and ack it', async () => {
+      jest.spyOn(Date.prototype, 'toISOString').mockReturnValue('2023-01-01T00:00:00.000Z');
+
+      const result = await deadLetterService.deadLetter(
+        { id: '1234-0', fields: ['temp', '20'] },
+        { sourceStream: 'test-stream', groupName: 'test-group', reason: 'Send failed', attempts: 5 }
+      );
+
+      expect(mockRedisService.addMessage).toHaveBeenCalledWith('test-stream:dead-letter', [
+        'originalId', '1234-0',
+        'sourceStream', 'test-stream',
+        'consumerGroup', 'test-group',
+        'reason', 'Send failed',
+        'attempts', '5',
+        'deadLetteredAt', '2023-01-01T00:00:00.000Z',
+        'payload', '["temp","20"]',
+      ]);
+      expect(mockRedisService.ackMessages).toHaveBeenCalledWith('test-stream', 'test-group', ['1234-0']);
+      expect(result).toBe('9999-0');
+
+      jest.restoreAllMocks();
+    });
+
+    it('should not ack the message if writing the dead-letter entry fails', async () => {
+      mockRedisService.addMessage.mockRejectedValue(new Error('XADD failed'));
+
+      await expect(deadLetterService.deadLetter(
+        { id: '1234-0', fields: ['temp', '20'] },
+        { sourceStream: 'test-stream', groupName: 'test-group', reason: 'Send failed', attempts: 5 }
+      )).rejects.toThrow('XADD failed');
+      expect(mockRedisService.ackMessages).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('list', () => {
+    it('should parse dead-letter entries', async () => {
+      mockRedisService.readRange.mockResolvedValue([
+        deadLetterEntry('9999-0', '1234-0', ['temp', '20']),
+      ]);
+
+      const result = await deadLetterService.list({ count: 10 });
+
+      expect(mockRedisService.readRange).toHaveBeenCalledWith('test-stream:dead-letter', '-', '+', 10);
+      expect(result).toEqual([{
+        id: '9999-0',
+        originalId: '1234-0',
+        sourceStream: 'test-stream',
+        consumerGroup: 'test-group',
+        reason: 'Send failed',
+        attempts: 5,
+        deadLetteredAt: '2023-01-01T00:00:00.000Z',
+        fields: ['temp', '20'],
+      }]);
+    });
+  });
+
+  describe('replay', () => {
+    it('should replay all entries into their source stream', async () => {
+      mockRedisService.readRange.mockResolvedValue([
+        deadLetterEntry('9999-0', '1234-0', ['temp', '20']),
+        deadLetterEntry('9999-1', '1235-0', ['temp', '21']),
+      ]);
+      mockRedisService.addMessage
+        .mockResolvedValueOnce('2000-0')
+        .mockResolvedValueOnce('2000-1');
+
+      const result = await deadLetterService.replay();
+
+      expect(mockRedisService.addMessage).toHaveBeenCalledWith('test-stream', ['temp', '20']);
+      expect(mockRedisService.addMessage).toHaveBeenCalledWith('test-stream', ['temp', '21']);
+      expect(mockRedisService.deleteMessages).toHaveBeenCalledWith('test-stream:dead-letter', ['9999-0']);
+      expect(mockRedisService.deleteMessages).toHaveBeenCalledWith('test-stream:dead-letter', ['9999-1']);
+      expect(result).toEqual([
+        { deadLetterId: '9999-0', originalId: '1234-0', stream: 'test-stream', newId: '2000-0' },
+        { deadLetterId: '9999-1', originalId: '1235-0', stream: 'test-stream', newId: '2000-1' },
+      ]);
+    });
+
+    it('should replay only the requested entries', async () => {
+      mockRedisService.readRange
+        .mockResolvedValueOnce([deadLetterEntry('9999-1', '1235-0', ['temp', '21'])])
+        .mockResolvedValueOnce([]);
+
+      const result = await deadLetterService.replay(['9999-1', '9999-5']);
+
+      expect(mockRedisService.readRange).toHaveBeenCalledWith('test-stream:dead-letter', '9999-1', '9999-1', 1);
+      expect(mockRedisService.addMessage).toHaveBeenCalledTimes(1);
+      expect(result).toHaveLength(1);
+      expect(mockLogger.warn).toHaveBeenCalledWith(
+        { deadLetterId: '9999-5' },
+        'Dead-letter entry not found, skipping.'
+      );
+    });
+
+    it('should replay into an explicit target stream', async () => {
+      mockRedisService.readRange.mockResolvedValue([
+        deadLetterEntry('9999-0', '1234-0', ['temp', '20']),
+      ]);
+
+      await deadLetterService.replay([], { targetStream: 'other-stream' });
+
+      expect(mockRedisService.addMessage).toHaveBeenCalledWith('other-stream', ['temp', '20']);
+    });
+  });
+});
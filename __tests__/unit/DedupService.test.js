@@ -0,0 +1,45 @@
+// __tests__/unit/DedupService.test.js
+const DedupService = require('../../src/services/DedupService');
+
+describe('DedupService', () => {
+  let dedupService;
+  let mockRedisService;
+  let mockLogger;
+
+  beforeEach(() => {
+    mockRedisService = {
+      keysExist: jest.fn().mockResolvedValue([]),
+      setKeysWithTtl: jest.fn().mockResolvedValue(undefined),
+    };
+    mockLogger = {
+      child: jest.fn().mockReturnThis(),
+      info: jest.fn(),
+      warn: jest.fn(),
+    };
+    dedupService = new DedupService({ keyPrefix: 'connector:delivered', ttlSeconds: 3600 }, mockRedisService, mockLogger);
+  });
+
+  it('should key entries by consumer group, stream and entry ID', () => {
+    expect(dedupService.key('orders', 'billing', '1-0')).toBe('connector:delivered:billing:orders:1-0');
+    expect(dedupService.key('orders', 'audit', '1-0')).toBe('connector:delivered:audit:orders:1-0');
+  });
+
+  it('should find the delivered entries', async () => {
+    mockRedisService.keysExist.mockResolvedValue([false, true, true]);
+
+    const delivered = await dedupService.findDelivered('orders', 'billing', ['1-0', '2-0', '3-0']);
+
+    expect(delivered).toEqual(new Set(['2-0', '3-0']));
+    expect(mockRedisService.keysExist).toHaveBeenCalledWith([
+      'connector:delivered:billing:orders:1-0',
+      'connector:delivered:billing:orders:2-0',
+      'connector:delivered:billing:orders:3-0',
+    ]);
+  });
+
+  it('should record delivered entries with the TTL', async () => {
+    await dedupService.markDelivered('orders', 'billing', ['1-0']);
+
+    expect(mockRedisService.setKeysWithTtl).toHaveBeenCalledWith(['connector:delivered:billing:orders:1-0'], '1', 3600);
+  });
+});
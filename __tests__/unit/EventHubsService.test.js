@@ -1,6 +1,8 @@
 // __tests__/unit/EventHubsService.test.js
 const { EventHubProducerClient } = require('@azure/event-hubs');
 const EventHubsService = require('../../src/services/EventHubsService');
+const { succeeded, failed, skipped } = require('../../src/sendResults');
+const { EventHubsError } = require('../../src/errors');
 
 // Mock Azure Event Hubs
 jest.mock('@azure/event-hubs');
@@ -25,6 +27,7 @@ describe('EventHubsService', () => {
       createBatch: jest.fn().mockResolvedValue(mockBatch),
       sendBatch: jest.fn().mockResolvedValue(undefined),
       close: jest.fn().mockResolvedValue(undefined),
+      getEventHubProperties: jest.fn().mockResolvedValue({ name: 'test-hub', partitionIds: ['0', '1'] }),
     };
 
     EventHubProducerClient.mockImplementation(() => mockProducer);
@@ -55,6 +58,25 @@ describe('EventHubsService', () => {
     });
   });
 
+  describe('connect', () => {
+    it('should verify the hub and become ready', async () => {
+      expect(eventHubsService.isReady()).toBe(false);
+
+      await eventHubsService.connect();
+
+      expect(mockProducer.getEventHubProperties).toHaveBeenCalled();
+      expect(eventHubsService.isReady()).toBe(true);
+    });
+
+    it('should throw and stay not ready if the hub cannot be reached', async () => {
+      mockProducer.getEventHubProperties.mockRejectedValue(new Error('Unauthorized'));
+
+      await expect(eventHubsService.connect()).rejects.toThrow('Unauthorized');
+      expect(eventHubsService.isReady()).toBe(false);
+      expect(mockLogger.error).toHaveBeenCalled();
+    });
+  });
+
   describe('sendBatch', () => {
     it('should send single batch successfully', async () => {
       const events = [
@@ -70,14 +92,35 @@ describe('EventHubsService', () => {
       expect(mockProducer.createBatch).toHaveBeenCalledTimes(1);
       expect(mockBatch.tryAdd).toHaveBeenCalledTimes(2);
       expect(mockProducer.sendBatch).toHaveBeenCalledWith(mockBatch);
-      expect(result).toBe(2);
+      expect(result).toEqual([succeeded(), succeeded()]);
     });
 
-    it('should return 0 for empty events array', async () => {
+    it('should send events with mapped properties, message ID and content type', async () => {
+      eventHubsService = new EventHubsService({
+        connectionString: 'Endpoint=sb://test.servicebus.windows.net/;...',
+        hubName: 'test-hub',
+        eventMapping: { propertyFields: { deviceId: 'deviceId' }, includeMetadata: true },
+      }, mockLogger);
+      mockBatch.tryAdd.mockReturnValue(true);
+      mockBatch.count = 1;
+      const metadata = { sourceStream: 'test-stream', consumerGroup: 'test-group', redisEntryId: '1234-0', enqueuedAt: '1970-01-01T00:00:01.234Z' };
+
+      await eventHubsService.sendBatch([{ body: { deviceId: 'd1', temp: 20 }, correlationId: '1234-0', metadata }]);
+
+      expect(mockBatch.tryAdd).toHaveBeenCalledWith({
+        body: { deviceId: 'd1', temp: 20 },
+        correlationId: '1234-0',
+        messageId: '1234-0',
+        contentType: 'application/json',
+        properties: { deviceId: 'd1', ...metadata },
+      });
+    });
+
+    it('should return no results for empty events array', async () => {
       const result = await eventHubsService.sendBatch([]);
 
       expect(mockProducer.createBatch).not.toHaveBeenCalled();
-      expect(result).toBe(0);
+      expect(result).toEqual([]);
     });
 
     it('should create multiple batches when first batch is full', async () => {
@@ -113,7 +156,7 @@ describe('EventHubsService', () => {
       expect(mockProducer.sendBatch).toHaveBeenCalledTimes(2);
       expect(mockProducer.sendBatch).toHaveBeenCalledWith(mockBatch1);
       expect(mockProducer.sendBatch).toHaveBeenCalledWith(mockBatch2);
-      expect(result).toBe(3);
+      expect(result).toEqual([succeeded(), succeeded(), succeeded()]);
       expect(mockLogger.debug).toHaveBeenCalledTimes(2);
     });
 
@@ -151,7 +194,14 @@ describe('EventHubsService', () => {
 
       const result = await eventHubsService.sendBatch(events);
 
-      expect(result).toBe(2); // Only 2 out of 3 events sent
+      expect(result).toEqual([
+        succeeded(),
+        skipped('Event is too large to fit in an Event Hubs batch'),
+        succeeded(),
+      ]);
+      const output = await eventHubsService.metrics.render();
+      expect(output).toContain('connector_output_events_sent_total{adapter="EVENT_HUBS"} 2');
+      expect(output).toContain('connector_output_events_failed_total{adapter="EVENT_HUBS"} 1');
       expect(mockLogger.error).toHaveBeenCalledWith(
         expect.objectContaining({ eventId: '1235-0' }),
         'Event is too large to fit in any batch and will be skipped.'
@@ -174,6 +224,41 @@ describe('EventHubsService', () => {
       expect(mockLogger.error).toHaveBeenCalled();
     });
 
+    it('should wrap the SDK error in an EventHubsError', async () => {
+      const events = [{ body: { temp: 20 }, correlationId: '1234-0' }];
+      mockBatch.tryAdd.mockReturnValue(true);
+      mockBatch.count = 1;
+      const error = Object.assign(new Error('The request was terminated because the entity is being throttled.'), { code: 'ServerBusyError' });
+      mockProducer.sendBatch.mockRejectedValue(error);
+
+      const thrown = await eventHubsService.sendBatch(events).catch(err => err);
+
+      expect(thrown).toBeInstanceOf(EventHubsError);
+      expect(thrown.originalError).toBe(error);
+    });
+
+    it('should fail only the events of a batch that could not be sent', async () => {
+      const events = [
+        { body: { temp: 20 }, correlationId: '1234-0' },
+        { body: { temp: 21 }, correlationId: '1235-0' },
+      ];
+      const mockBatch1 = { tryAdd: jest.fn().mockReturnValueOnce(true).mockReturnValueOnce(false), count: 1 };
+      const mockBatch2 = { tryAdd: jest.fn().mockReturnValue(true), count: 1 };
+      mockProducer.createBatch
+        .mockResolvedValueOnce(mockBatch1)
+        .mockResolvedValueOnce(mockBatch2);
+      mockProducer.sendBatch
+        .mockResolvedValueOnce(undefined)
+        .mockRejectedValueOnce(new Error('Server busy'));
+
+      const result = await eventHubsService.sendBatch(events);
+
+      expect(result).toEqual([succeeded(), failed('Server busy')]);
+      const output = await eventHubsService.metrics.render();
+      expect(output).toContain('connector_output_events_sent_total{adapter="EVENT_HUBS"} 1');
+      expect(output).toContain('connector_output_events_failed_total{adapter="EVENT_HUBS"} 1');
+    });
+
     it('should log debug info for each batch sent', async () => {
       const events = [
         { body: { temp: 20 }, correlationId: '1234-0' },
@@ -196,10 +281,161 @@ describe('EventHubsService', () => {
     });
   });
 
+  describe('partitioning', () => {
+    const createService = partitioning => new EventHubsService({
+      connectionString: 'Endpoint=sb://test.servicebus.windows.net/;...',
+      hubName: 'test-hub',
+      ...partitioning,
+    }, mockLogger);
+
+    const createdBatches = [];
+
+    beforeEach(() => {
+      createdBatches.length = 0;
+      mockProducer.createBatch.mockImplementation(async (options) => {
+        const batch = { options, events: [] };
+        batch.tryAdd = jest.fn((event) => {
+          batch.events.push(event.correlationId);
+          return true;
+        });
+        Object.defineProperty(batch, 'count', { get: () => batch.events.length });
+        createdBatches.push(batch);
+        return batch;
+      });
+    });
+
+    it('should create one batch per partition key from a body field, keeping event order', async () => {
+      const service = createService({ partitionKeyField: 'deviceId' });
+
+      const result = await service.sendBatch([
+        { body: { deviceId: 'a', temp: 1 }, correlationId: '1-0' },
+        { body: { deviceId: 'b', temp: 2 }, correlationId: '2-0' },
+        { body: { deviceId: 'a', temp: 3 }, correlationId: '3-0' },
+        { body: { temp: 4 }, correlationId: '4-0' },
+      ]);
+
+      expect(createdBatches.map(batch => [batch.options, batch.events])).toEqual([
+        [{ partitionKey: 'a' }, ['1-0', '3-0']],
+        [{ partitionKey: 'b' }, ['2-0']],
+        [{}, ['4-0']],
+      ]);
+      expect(mockProducer.sendBatch).toHaveBeenCalledTimes(3);
+      expect(result).toEqual([succeeded(), succeeded(), succeeded(), succeeded()]);
+    });
+
+    it('should render the partition key from a template', async () => {
+      const service = createService({ partitionKeyTemplate: '{{site}}/{{deviceId}}' });
+
+      await service.sendBatch([{ body: { site: 'north', deviceId: 'a' }, correlationId: '1-0' }]);
+
+      expect(mockProducer.createBatch).toHaveBeenCalledWith({ partitionKey: 'north/a' });
+    });
+
+    it('should pin every event to the configured partition ID', async () => {
+      const service = createService({ partitionId: '2' });
+
+      await service.sendBatch([
+        { body: { deviceId: 'a' }, correlationId: '1-0' },
+        { body: { deviceId: 'b' }, correlationId: '2-0' },
+      ]);
+
+      expect(createdBatches).toHaveLength(1);
+      expect(createdBatches[0].options).toEqual({ partitionId: '2' });
+    });
+
+    it('should report results in input order when an event in another partition is skipped', async () => {
+      const service = createService({ partitionKeyField: 'deviceId' });
+      mockProducer.createBatch.mockImplementation(async (options) => {
+        const batch = { options, events: [] };
+        // Events of device 'b' are too large
+        batch.tryAdd = jest.fn((event) => {
+          if (event.body.deviceId === 'b') return false;
+          batch.events.push(event.correlationId);
+          return true;
+        });
+        Object.defineProperty(batch, 'count', { get: () => batch.events.length });
+        return batch;
+      });
+
+      const result = await service.sendBatch([
+        { body: { deviceId: 'a' }, correlationId: '1-0' },
+        { body: { deviceId: 'b' }, correlationId: '2-0' },
+        { body: { deviceId: 'a' }, correlationId: '3-0' },
+      ]);
+
+      expect(result).toEqual([
+        succeeded(),
+        skipped('Event is too large to fit in an Event Hubs batch'),
+        succeeded(),
+      ]);
+      expect(mockProducer.sendBatch).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('serialization', () => {
+    const metadata = { sourceStream: 'test-stream', consumerGroup: 'test-group', redisEntryId: '1234-0', enqueuedAt: '1970-01-01T00:00:01.234Z' };
+
+    it('should send the body in the configured format', async () => {
+      eventHubsService = new EventHubsService({
+        connectionString: 'Endpoint=sb://test.servicebus.windows.net/;...',
+        hubName: 'test-hub',
+        serialization: { format: 'cloudevents', cloudEvents: { type: 'com.example.reading' } },
+      }, mockLogger);
+      mockBatch.tryAdd.mockReturnValue(true);
+      mockBatch.count = 1;
+
+      await eventHubsService.sendBatch([{ body: { temp: 20 }, correlationId: '1234-0', metadata }]);
+
+      expect(mockBatch.tryAdd).toHaveBeenCalledWith({
+        body: {
+          specversion: '1.0',
+          id: '1234-0',
+          source: '/streams/test-stream',
+          type: 'com.example.reading',
+          time: '1970-01-01T00:00:01.234Z',
+          datacontenttype: 'application/json',
+          data: { temp: 20 },
+        },
+        correlationId: '1234-0',
+        messageId: '1234-0',
+        contentType: 'application/cloudevents+json; charset=utf-8',
+        properties: metadata,
+      });
+    });
+
+    it('should skip events that cannot be serialized and send the others', async () => {
+      eventHubsService.serializer = {
+        serialize: jest.fn((event, message) => {
+          if (event.body.bad) throw new Error('Body does not match the Avro schema at: temp');
+          return message;
+        }),
+      };
+      mockBatch.tryAdd.mockReturnValue(true);
+      mockBatch.count = 1;
+
+      const results = await eventHubsService.sendBatch([
+        { body: { bad: true }, correlationId: '1-0' },
+        { body: { temp: 20 }, correlationId: '2-0' },
+      ]);
+
+      expect(results).toEqual([
+        skipped('Serialization failed: Body does not match the Avro schema at: temp'),
+        succeeded(),
+      ]);
+      expect(mockBatch.tryAdd).toHaveBeenCalledTimes(1);
+      expect(mockLogger.error).toHaveBeenCalledWith(
+        expect.objectContaining({ eventId: '1-0' }),
+        'Failed to serialize event. It will be skipped.',
+      );
+    });
+  });
+
   describe('disconnect', () => {
     it('should close producer client', async () => {
+      await eventHubsService.connect();
       await eventHubsService.disconnect();
 
+      expect(eventHubsService.isReady()).toBe(false);
       expect(mockProducer.close).toHaveBeenCalled();
       expect(mockLogger.info).toHaveBeenCalledWith('Closing Event Hubs producer...');
       expect(mockLogger.info).toHaveBeenCalledWith('Event Hubs producer closed.');
@@ -0,0 +1,127 @@
+// __tests__/unit/HealthServer.test.js
+const http = require('http');
+const HealthServer = require('../../src/services/HealthServer');
+const Metrics = require('../../src/metrics');
+
+/**
+ * Performs a request against the test server and collects the response
+ */
+const request = (port, path, method = 'GET') => new Promise((resolve, reject) => {
+  const req = http.request({ host: '127.0.0.1', port, path, method }, (res) => {
+    let body = '';
+    res.on('data', chunk => { body += chunk; });
+    res.on('end', () => resolve({ statusCode: res.statusCode, headers: res.headers, body }));
+  });
+  req.on('error', reject);
+  req.end();
+});
+
+describe('HealthServer', () => {
+  let healthServer;
+  let mockConnector;
+  let mockLogger;
+  let metrics;
+  let port;
+
+  beforeEach(async () => {
+    mockConnector = {
+      checkReadiness: jest.fn().mockResolvedValue({
+        ready: true,
+        checks: { redis: true, output: true, circuit: true, loop: true },
+        circuits: { 'test-stream': 'closed' },
+      }),
+      collectMetrics: jest.fn().mockResolvedValue(undefined),
+    };
+
+    mockLogger = {
+      child: jest.fn().mockReturnThis(),
+      info: jest.fn(),
+      warn: jest.fn(),
+      error: jest.fn(),
+      debug: jest.fn(),
+    };
+
+    metrics = new Metrics();
+    healthServer = new HealthServer(
+      { port: 0, stallThresholdMs: 30000 },
+      { connector: mockConnector, metrics },
+      mockLogger
+    );
+    await healthServer.start();
+    port = healthServer.server.address().port;
+  });
+
+  afterEach(async () => {
+    await healthServer.stop();
+  });
+
+  describe('/healthz', () => {
+    it('should report the process as alive', async () => {
+      const res = await request(port, '/healthz');
+
+      expect(res.statusCode).toBe(200);
+      expect(JSON.parse(res.body)).toEqual({ status: 'ok' });
+    });
+  });
+
+  describe('/readyz', () => {
+    it('should return 200 when all checks pass', async () => {
+      const res = await request(port, '/readyz');
+
+      expect(res.statusCode).toBe(200);
+      expect(JSON.parse(res.body)).toEqual({
+        status: 'ready',
+        checks: { redis: true, output: true, circuit: true, loop: true },
+        circuits: { 'test-stream': 'closed' },
+      });
+      expect(mockConnector.checkReadiness).toHaveBeenCalledWith({ stallThresholdMs: 30000 });
+    });
+
+    it('should return 503 when a check fails', async () => {
+      mockConnector.checkReadiness.mockResolvedValue({
+        ready: false,
+        checks: { redis: false, output: true, circuit: true, loop: true },
+        circuits: {},
+      });
+
+      const res = await request(port, '/readyz');
+
+      expect(res.statusCode).toBe(503);
+      expect(JSON.parse(res.body).status).toBe('not ready');
+    });
+
+    it('should return 500 when the readiness check throws', async () => {
+      mockConnector.checkReadiness.mockRejectedValue(new Error('boom'));
+
+      const res = await request(port, '/readyz');
+
+      expect(res.statusCode).toBe(500);
+      expect(mockLogger.error).toHaveBeenCalled();
+    });
+  });
+
+  describe('/metrics', () => {
+    it('should refresh sampled metrics and render the registry', async () => {
+      metrics.messagesAcked.inc({ stream: 'test-stream' }, 4);
+
+      const res = await request(port, '/metrics');
+
+      expect(res.statusCode).toBe(200);
+      expect(res.headers['content-type']).toContain('text/plain');
+      expect(res.body).toContain('connector_messages_acked_total{stream="test-stream"} 4');
+      expect(mockConnector.collectMetrics).toHaveBeenCalled();
+    });
+  });
+
+  it('should return 404 for unknown paths', async () => {
+    const res = await request(port, '/unknown');
+
+    expect(res.statusCode).toBe(404);
+  });
+
+  it('should reject non-GET requests', async () => {
+    const res = await request(port, '/healthz', 'POST');
+
+    expect(res.statusCode).toBe(405);
+  });
+});
@@ -0,0 +1,211 @@
+// __tests__/unit/HttpOutputService.test.js
+const HttpOutputService = require('../../src/services/HttpOutputService');
+const { succeeded, failed, skipped } = require('../../src/sendResults');
+
+describe('HttpOutputService', () => {
+  let httpService;
+  let mockLogger;
+  let config;
+
+  const response = (status, statusText = '') => ({
+    ok: status >= 200 && status < 300,
+    status,
+    statusText,
+    arrayBuffer: jest.fn().mockResolvedValue(new ArrayBuffer(0)),
+  });
+
+  const events = [
+    { body: { deviceId: 'a', level: 'info' }, correlationId: '1-0' },
+    { body: { deviceId: 'b', level: 'warn' }, correlationId: '2-0' },
+  ];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    global.fetch = jest.fn().mockResolvedValue(response(200, 'OK'));
+
+    mockLogger = {
+      child: jest.fn().mockReturnThis(),
+      info: jest.fn(),
+      warn: jest.fn(),
+      error: jest.fn(),
+      debug: jest.fn(),
+    };
+
+    config = {
+      url: 'https://example.com/events',
+      method: 'POST',
+      headers: { 'X-Source': 'connector' },
+      auth: null,
+      batchFormat: 'json',
+      timeoutMs: 1000,
+      maxRetries: 2,
+      retryDelayMs: 0,
+      eventMapping: { propertyFields: { level: 'level' }, includeMetadata: false },
+    };
+    httpService = new HttpOutputService(config, mockLogger);
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  describe('connect', () => {
+    it('should become ready without sending a request', async () => {
+      expect(httpService.isReady()).toBe(false);
+
+      await httpService.connect();
+
+      expect(httpService.isReady()).toBe(true);
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('buildHeaders', () => {
+    it('should add the content type to the configured headers', () => {
+      expect(httpService.buildHeaders()).toEqual({
+        'X-Source': 'connector',
+        'Content-Type': 'application/json',
+      });
+    });
+
+    it('should add a bearer token', () => {
+      httpService = new HttpOutputService({ ...config, auth: { type: 'bearer', token: 'abc' } }, mockLogger);
+
+      expect(httpService.buildHeaders().Authorization).toBe('Bearer abc');
+    });
+
+    it('should add basic credentials', () => {
+      httpService = new HttpOutputService({ ...config, auth: { type: 'basic', username: 'user', password: 'secret' } }, mockLogger);
+
+      expect(httpService.buildHeaders().Authorization).toBe(`Basic ${Buffer.from('user:secret').toString('base64')}`);
+    });
+
+    it('should use the NDJSON content type', () => {
+      httpService = new HttpOutputService({ ...config, batchFormat: 'ndjson' }, mockLogger);
+
+      expect(httpService.buildHeaders()['Content-Type']).toBe('application/x-ndjson');
+    });
+  });
+
+  describe('buildBody', () => {
+    it('should build a JSON array of bodies with their metadata', () => {
+      expect(JSON.parse(httpService.buildBody(events))).toEqual([
+        { deviceId: 'a', level: 'info', _metadata: { correlationId: '1-0', messageId: '1-0', properties: { level: 'info' } } },
+        { deviceId: 'b', level: 'warn', _metadata: { correlationId: '2-0', messageId: '2-0', properties: { level: 'warn' } } },
+      ]);
+    });
+
+    it('should build one JSON document per line for NDJSON', () => {
+      httpService = new HttpOutputService({ ...config, batchFormat: 'ndjson' }, mockLogger);
+
+      const lines = httpService.buildBody(events).split('\n');
+
+      expect(lines).toHaveLength(3);
+      expect(JSON.parse(lines[0])).toMatchObject({ deviceId: 'a' });
+      expect(JSON.parse(lines[1])).toMatchObject({ deviceId: 'b' });
+      expect(lines[2]).toBe('');
+    });
+  });
+
+  describe('sendBatch', () => {
+    it('should return an empty array for no events', async () => {
+      expect(await httpService.sendBatch([])).toEqual([]);
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    it('should send all events in one request', async () => {
+      const results = await httpService.sendBatch(events);
+
+      expect(results).toEqual([succeeded(), succeeded()]);
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      expect(global.fetch).toHaveBeenCalledWith('https://example.com/events', expect.objectContaining({
+        method: 'POST',
+        headers: expect.objectContaining({ 'Content-Type': 'application/json' }),
+        body: httpService.buildBody(events),
+        signal: expect.any(AbortSignal),
+      }));
+    });
+
+    it('should retry retryable statuses and succeed', async () => {
+      global.fetch
+        .mockResolvedValueOnce(response(503, 'Service Unavailable'))
+        .mockResolvedValueOnce(response(429, 'Too Many Requests'));
+
+      const results = await httpService.sendBatch(events);
+
+      expect(results).toEqual([succeeded(), succeeded()]);
+      expect(global.fetch).toHaveBeenCalledTimes(3);
+      expect(mockLogger.warn).toHaveBeenCalledWith({ attempt: 1, reason: 'HTTP 503 Service Unavailable' }, 'HTTP request failed.');
+    });
+
+    it('should retry network errors', async () => {
+      global.fetch.mockRejectedValueOnce(new Error('ECONNREFUSED'));
+
+      const results = await httpService.sendBatch(events);
+
+      expect(results).toEqual([succeeded(), succeeded()]);
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+    });
+
+    it('should fail all events once retries are exhausted', async () => {
+      global.fetch.mockResolvedValue(response(500, 'Internal Server Error'));
+
+      const results = await httpService.sendBatch(events);
+
+      expect(results).toEqual([failed('HTTP 500 Internal Server Error'), failed('HTTP 500 Internal Server Error')]);
+      expect(global.fetch).toHaveBeenCalledTimes(3);
+    });
+
+    it('should skip a single event the endpoint rejects without retrying', async () => {
+      global.fetch.mockResolvedValue(response(422, 'Unprocessable Entity'));
+
+      const results = await httpService.sendBatch([events[0]]);
+
+      expect(results).toEqual([skipped('HTTP 422 Unprocessable Entity')]);
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('should send events one by one when the batch is rejected', async () => {
+      global.fetch
+        .mockResolvedValueOnce(response(400, 'Bad Request'))
+        .mockResolvedValueOnce(response(200, 'OK'))
+        .mockResolvedValueOnce(response(400, 'Bad Request'));
+
+      const results = await httpService.sendBatch(events);
+
+      expect(results).toEqual([succeeded(), skipped('HTTP 400 Bad Request')]);
+      expect(global.fetch).toHaveBeenCalledTimes(3);
+      expect(global.fetch.mock.calls[1][1].body).toBe(httpService.buildBody([events[0]]));
+    });
+
+    it('should fail an event whose own request keeps failing during the one-by-one fallback', async () => {
+      httpService = new HttpOutputService({ ...config, maxRetries: 0 }, mockLogger);
+      global.fetch
+        .mockResolvedValueOnce(response(413, 'Payload Too Large'))
+        .mockResolvedValueOnce(response(502, 'Bad Gateway'))
+        .mockResolvedValueOnce(response(200, 'OK'));
+
+      const results = await httpService.sendBatch(events);
+
+      expect(results).toEqual([failed('HTTP 502 Bad Gateway'), succeeded()]);
+    });
+
+    it('should record sent and failed events in metrics', async () => {
+      global.fetch.mockResolvedValue(response(500, 'Internal Server Error'));
+      const inc = jest.spyOn(httpService.metrics.eventsFailed, 'inc');
+
+      await httpService.sendBatch(events);
+
+      expect(inc).toHaveBeenCalledWith({ adapter: 'HTTP' }, 2);
+    });
+  });
+
+  describe('disconnect', () => {
+    it('should mark the service as not ready', async () => {
+      await httpService.connect();
+      await httpService.disconnect();
+
+      expect(httpService.isReady()).toBe(false);
+    });
+  });
+});
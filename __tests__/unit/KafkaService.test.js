@@ -0,0 +1,171 @@
+// __tests__/unit/KafkaService.test.js
+const { Kafka } = require('kafkajs');
+const KafkaService = require('../../src/services/KafkaService');
+const { succeeded, failed, skipped } = require('../../src/sendResults');
+
+jest.mock('kafkajs', () => ({
+  Kafka: jest.fn(),
+  logLevel: { NOTHING: 0 },
+}));
+
+describe('KafkaService', () => {
+  let kafkaService;
+  let mockProducer;
+  let mockLogger;
+  let config;
+
+  const tooLargeError = () => Object.assign(new Error('The request included a message larger than the max message size'), {
+    name: 'KafkaJSNonRetriableError',
+    cause: { type: 'MESSAGE_TOO_LARGE' },
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockProducer = {
+      connect: jest.fn().mockResolvedValue(undefined),
+      send: jest.fn().mockResolvedValue([{ topicName: 'telemetry', partition: 0, errorCode: 0 }]),
+      disconnect: jest.fn().mockResolvedValue(undefined),
+    };
+    Kafka.mockImplementation(() => ({ producer: jest.fn(() => mockProducer) }));
+
+    mockLogger = {
+      child: jest.fn().mockReturnThis(),
+      info: jest.fn(),
+      warn: jest.fn(),
+      error: jest.fn(),
+      debug: jest.fn(),
+    };
+
+    config = {
+      brokers: ['localhost:9092'],
+      clientId: 'test-client',
+      topic: 'telemetry',
+      ssl: false,
+      sasl: null,
+      keyField: 'deviceId',
+      idempotent: true,
+      acks: -1,
+      eventMapping: { propertyFields: { level: 'level' }, includeMetadata: false },
+    };
+    kafkaService = new KafkaService(config, mockLogger);
+  });
+
+  describe('constructor', () => {
+    it('should create the client and an idempotent producer', () => {
+      expect(Kafka).toHaveBeenCalledWith(expect.objectContaining({
+        clientId: 'test-client',
+        brokers: ['localhost:9092'],
+        ssl: false,
+        sasl: undefined,
+      }));
+      const { producer } = Kafka.mock.results[0].value;
+      expect(producer).toHaveBeenCalledWith({ idempotent: true, allowAutoTopicCreation: false });
+    });
+
+    it('should pass TLS and SASL settings to the client', () => {
+      const sasl = { mechanism: 'scram-sha-512', username: 'user', password: 'secret' };
+      new KafkaService({ ...config, ssl: true, sasl }, mockLogger);
+
+      expect(Kafka).toHaveBeenLastCalledWith(expect.objectContaining({ ssl: true, sasl }));
+    });
+  });
+
+  describe('connect', () => {
+    it('should connect the producer and become ready', async () => {
+      expect(kafkaService.isReady()).toBe(false);
+
+      await kafkaService.connect();
+
+      expect(mockProducer.connect).toHaveBeenCalled();
+      expect(kafkaService.isReady()).toBe(true);
+    });
+
+    it('should throw and stay not ready if the brokers cannot be reached', async () => {
+      mockProducer.connect.mockRejectedValue(new Error('Connection timeout'));
+
+      await expect(kafkaService.connect()).rejects.toThrow('Connection timeout');
+      expect(kafkaService.isReady()).toBe(false);
+      expect(mockLogger.error).toHaveBeenCalled();
+    });
+  });
+
+  describe('sendBatch', () => {
+    const events = [
+      { body: { deviceId: 'd1', level: 'info', temp: 20 }, correlationId: '1-0' },
+      { body: { temp: 21 }, correlationId: '2-0' },
+    ];
+
+    it('should produce keyed JSON messages with headers in one request', async () => {
+      const result = await kafkaService.sendBatch(events);
+
+      expect(mockProducer.send).toHaveBeenCalledTimes(1);
+      expect(mockProducer.send).toHaveBeenCalledWith({
+        topic: 'telemetry',
+        acks: -1,
+        messages: [
+          {
+            key: 'd1',
+            value: '{"deviceId":"d1","level":"info","temp":20}',
+            headers: { 'content-type': 'application/json', correlationId: '1-0', messageId: '1-0', level: 'info' },
+          },
+          {
+            key: null,
+            value: '{"temp":21}',
+            headers: { 'content-type': 'application/json', correlationId: '2-0', messageId: '2-0' },
+          },
+        ],
+      });
+      expect(result).toEqual([succeeded(), succeeded()]);
+    });
+
+    it('should return no results for empty events array', async () => {
+      expect(await kafkaService.sendBatch([])).toEqual([]);
+      expect(mockProducer.send).not.toHaveBeenCalled();
+    });
+
+    it('should throw if the produce request fails', async () => {
+      mockProducer.send.mockRejectedValue(new Error('Broker not available'));
+
+      await expect(kafkaService.sendBatch(events)).rejects.toThrow('Broker not available');
+      const output = await kafkaService.metrics.render();
+      expect(output).toContain('connector_output_events_failed_total{adapter="KAFKA"} 2');
+    });
+
+    it('should send one by one and skip oversized events when the batch is too large', async () => {
+      mockProducer.send
+        .mockRejectedValueOnce(tooLargeError())
+        .mockResolvedValueOnce([])
+        .mockRejectedValueOnce(tooLargeError());
+
+      const result = await kafkaService.sendBatch(events);
+
+      expect(mockProducer.send).toHaveBeenCalledTimes(3);
+      expect(result).toEqual([succeeded(), skipped('Event is larger than the Kafka broker accepts')]);
+      const output = await kafkaService.metrics.render();
+      expect(output).toContain('connector_output_events_sent_total{adapter="KAFKA"} 1');
+      expect(output).toContain('connector_output_events_failed_total{adapter="KAFKA"} 1');
+    });
+
+    it('should fail events that hit other errors while sending one by one', async () => {
+      mockProducer.send
+        .mockRejectedValueOnce(tooLargeError())
+        .mockRejectedValueOnce(new Error('Leader not available'))
+        .mockResolvedValueOnce([]);
+
+      const result = await kafkaService.sendBatch(events);
+
+      expect(result).toEqual([failed('Leader not available'), succeeded()]);
+    });
+  });
+
+  describe('disconnect', () => {
+    it('should disconnect the producer', async () => {
+      await kafkaService.connect();
+      await kafkaService.disconnect();
+
+      expect(mockProducer.disconnect).toHaveBeenCalled();
+      expect(kafkaService.isReady()).toBe(false);
+    });
+  });
+});
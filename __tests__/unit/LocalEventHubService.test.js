@@ -2,6 +2,8 @@
 const fs = require('fs/promises');
 const path = require('path');
 const LocalEventHubService = require('../../src/services/LocalEventHubService');
+const msgpack = require('@msgpack/msgpack');
+const { succeeded, failed, skipped } = require('../../src/sendResults');
 
 // Mock fs/promises
 jest.mock('fs/promises');
@@ -40,6 +42,7 @@ describe('LocalEventHubService', () => {
       await localService.connect();
 
       expect(fs.mkdir).toHaveBeenCalledWith(testOutputDir, { recursive: true });
+      expect(localService.isReady()).toBe(true);
       expect(mockLogger.info).toHaveBeenCalledWith(
         { directory: testOutputDir },
         'Output directory is ready.'
@@ -51,6 +54,7 @@ describe('LocalEventHubService', () => {
       fs.mkdir.mockRejectedValue(error);
 
       await expect(localService.connect()).rejects.toThrow('Permission denied');
+      expect(localService.isReady()).toBe(false);
       expect(mockLogger.error).toHaveBeenCalledWith(
         { err: error },
         'Failed to create output directory.'
@@ -79,7 +83,7 @@ describe('LocalEventHubService', () => {
       const result = await localService.sendBatch(events);
 
       expect(fs.writeFile).toHaveBeenCalledTimes(2);
-      expect(result).toBe(2);
+      expect(result).toEqual([{ status: 'success' }, { status: 'success' }]);
 
       // Verify file content structure
       const firstCallArgs = fs.writeFile.mock.calls[0];
@@ -94,11 +98,11 @@ describe('LocalEventHubService', () => {
       });
     });
 
-    it('should return 0 for empty events array', async () => {
+    it('should return no results for empty events array', async () => {
       const result = await localService.sendBatch([]);
 
       expect(fs.writeFile).not.toHaveBeenCalled();
-      expect(result).toBe(0);
+      expect(result).toEqual([]);
     });
 
     it('should use timestamp and index in filename', async () => {
@@ -139,7 +143,15 @@ describe('LocalEventHubService', () => {
 
       const result = await localService.sendBatch(events);
 
-      expect(result).toBe(2); // 2 out of 3 succeeded
+      // The failure is reported at its own index, not at the end
+      expect(result).toEqual([
+        { status: 'success' },
+        { status: 'failed', reason: 'Disk full' },
+        { status: 'success' },
+      ]);
+      const output = await localService.metrics.render();
+      expect(output).toContain('connector_output_events_sent_total{adapter="LOCAL_FILE"} 2');
+      expect(output).toContain('connector_output_events_failed_total{adapter="LOCAL_FILE"} 1');
       expect(mockLogger.error).toHaveBeenCalledTimes(1);
       expect(mockLogger.warn).toHaveBeenCalledWith(
         expect.objectContaining({
@@ -164,11 +176,56 @@ describe('LocalEventHubService', () => {
         humidity: 50,
         _metadata: {
           correlationId: '1234-0',
+          messageId: '1234-0',
+          contentType: 'application/json',
+          properties: {},
           writtenAt: '2023-01-01T00:00:00.000Z',
         },
       });
     });
 
+    it('should mirror the mapped properties and connector metadata', async () => {
+      localService = new LocalEventHubService({
+        directory: testOutputDir,
+        eventMapping: { propertyFields: { device: 'deviceId' }, messageIdField: 'uuid' },
+      }, mockLogger);
+      const events = [{
+        body: { temp: 20, device: 'sensor1', uuid: 'abc' },
+        correlationId: '1234-0',
+        metadata: { sourceStream: 'test-stream', consumerGroup: 'test-group', redisEntryId: '1234-0', enqueuedAt: '1970-01-01T00:00:01.234Z' },
+      }];
+
+      await localService.sendBatch(events);
+
+      const fileContent = JSON.parse(fs.writeFile.mock.calls[0][1]);
+      expect(fileContent._metadata).toEqual({
+        correlationId: '1234-0',
+        messageId: 'abc',
+        contentType: 'application/json',
+        properties: {
+          deviceId: 'sensor1',
+          sourceStream: 'test-stream',
+          consumerGroup: 'test-group',
+          redisEntryId: '1234-0',
+          enqueuedAt: '1970-01-01T00:00:01.234Z',
+        },
+        writtenAt: '2023-01-01T00:00:00.000Z',
+      });
+    });
+
+    it('should write binary bodies base64-encoded', async () => {
+      localService = new LocalEventHubService({ directory: testOutputDir, serialization: { format: 'msgpack' } }, mockLogger);
+
+      await localService.sendBatch([{ body: { temp: 20 }, correlationId: '1234-0' }]);
+
+      const fileContent = JSON.parse(fs.writeFile.mock.calls[0][1]);
+      expect(msgpack.decode(Buffer.from(fileContent.body, 'base64'))).toEqual({ temp: 20 });
+      expect(fileContent._metadata).toEqual(expect.objectContaining({
+        contentType: 'application/x-msgpack',
+        bodyEncoding: 'base64',
+      }));
+    });
+
     it('should format JSON with proper indentation', async () => {
       const events = [{ body: { temp: 20 }, correlationId: '1234-0' }];
 
@@ -192,6 +249,74 @@ describe('LocalEventHubService', () => {
     });
   });
 
+  describe('rolling mode', () => {
+    const events = [
+      { body: { temp: 20 }, correlationId: '1234-0' },
+      { body: { temp: 21 }, correlationId: '1235-0' },
+    ];
+
+    beforeEach(() => {
+      localService = new LocalEventHubService({ directory: testOutputDir, mode: 'rolling', segment: { maxEvents: 100 } }, mockLogger);
+    });
+
+    it('should recover segments left open when connecting', async () => {
+      fs.mkdir.mockResolvedValue(undefined);
+      const recover = jest.spyOn(localService.segments, 'recover').mockResolvedValue(0);
+
+      await localService.connect();
+
+      expect(localService.segments.directory).toBe(testOutputDir);
+      expect(localService.segments.maxEvents).toBe(100);
+      expect(recover).toHaveBeenCalled();
+      expect(localService.isReady()).toBe(true);
+    });
+
+    it('should append all events to the segment and succeed once it is synced', async () => {
+      const append = jest.spyOn(localService.segments, 'append').mockResolvedValue(undefined);
+
+      const results = await localService.sendBatch(events);
+
+      expect(results).toEqual([succeeded(), succeeded()]);
+      expect(append).toHaveBeenCalledWith([
+        { id: '1234-0', record: expect.objectContaining({ temp: 20, _metadata: expect.objectContaining({ correlationId: '1234-0' }) }) },
+        { id: '1235-0', record: expect.objectContaining({ temp: 21 }) },
+      ]);
+      expect(fs.writeFile).not.toHaveBeenCalled();
+    });
+
+    it('should fail all events if the append fails', async () => {
+      jest.spyOn(localService.segments, 'append').mockRejectedValue(new Error('ENOSPC: no space left on device'));
+
+      const results = await localService.sendBatch(events);
+
+      expect(results).toEqual([failed('ENOSPC: no space left on device'), failed('ENOSPC: no space left on device')]);
+      expect(mockLogger.error).toHaveBeenCalledWith(expect.objectContaining({ eventCount: 2 }), 'Failed to append events to segment.');
+    });
+
+    it('should skip events that cannot be serialized and append the others', async () => {
+      const append = jest.spyOn(localService.segments, 'append').mockResolvedValue(undefined);
+      localService.serializer = {
+        serialize: jest.fn((event, message) => {
+          if (event.body.temp === 20) throw new Error('Body does not match the Avro schema at: temp');
+          return message;
+        }),
+      };
+
+      const results = await localService.sendBatch(events);
+
+      expect(results).toEqual([skipped('Serialization failed: Body does not match the Avro schema at: temp'), succeeded()]);
+      expect(append).toHaveBeenCalledWith([{ id: '1235-0', record: expect.objectContaining({ temp: 21 }) }]);
+    });
+
+    it('should close the current segment on disconnect', async () => {
+      const close = jest.spyOn(localService.segments, 'close').mockResolvedValue(undefined);
+
+      await localService.disconnect();
+
+      expect(close).toHaveBeenCalled();
+    });
+  });
+
   describe('disconnect', () => {
     it('should resolve immediately without action', async () => {
       await localService.disconnect();
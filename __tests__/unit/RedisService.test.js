@@ -1,4 +1,7 @@
 // __tests__/unit/RedisService.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const Redis = require('ioredis');
 const RedisService = require('../../src/services/RedisService');
 
@@ -18,12 +21,21 @@ describe('RedisService', () => {
     mockRedisClient = {
       connect: jest.fn().mockResolvedValue(undefined),
       ping: jest.fn().mockResolvedValue('PONG'),
+      client: jest.fn().mockResolvedValue(7),
+      // Reads go over a duplicate connection; the same mock stands in for both unless a test needs them apart
+      duplicate: jest.fn().mockReturnThis(),
       xgroup: jest.fn().mockResolvedValue('OK'),
       xreadgroup: jest.fn(),
       xpending: jest.fn(),
       xclaim: jest.fn(),
+      xautoclaim: jest.fn(),
       xack: jest.fn(),
+      xadd: jest.fn(),
+      xrange: jest.fn(),
+      xdel: jest.fn(),
+      xinfo: jest.fn(),
       quit: jest.fn().mockResolvedValue('OK'),
+      disconnect: jest.fn(),
       on: jest.fn(),
     };
 
@@ -69,6 +81,276 @@ describe('RedisService', () => {
     });
   });
 
+  describe('blocking connection', () => {
+    let mockBlockingClient;
+
+    beforeEach(() => {
+      mockBlockingClient = {
+        connect: jest.fn().mockResolvedValue(undefined),
+        client: jest.fn().mockResolvedValue(9),
+        xreadgroup: jest.fn().mockResolvedValue(null),
+        xread: jest.fn().mockResolvedValue(null),
+        disconnect: jest.fn(),
+        on: jest.fn(),
+      };
+      mockRedisClient.duplicate.mockReturnValue(mockBlockingClient);
+      redisService = new RedisService({ url: 'redis://localhost:6379' }, mockLogger);
+    });
+
+    it('should block on its own connection while other commands use the command connection', async () => {
+      await redisService.connect();
+      mockRedisClient.xack.mockResolvedValue(1);
+
+      await redisService.fetchMessages('test-stream', 'test-group', 'consumer1', 10, 5000);
+      await redisService.readStreams(['test-stream'], ['0-0'], 10, 5000);
+      await redisService.ackMessages('test-stream', 'test-group', ['1-0']);
+      await redisService.ping();
+
+      expect(mockBlockingClient.connect).toHaveBeenCalled();
+      expect(mockBlockingClient.xreadgroup).toHaveBeenCalled();
+      expect(mockBlockingClient.xread).toHaveBeenCalled();
+      expect(mockRedisClient.xreadgroup).not.toHaveBeenCalled();
+      expect(mockRedisClient.xack).toHaveBeenCalled();
+      expect(mockRedisClient.ping).toHaveBeenCalled();
+    });
+
+    it('should acknowledge, deduplicate and list pending entries while a read is blocked', async () => {
+      await redisService.connect();
+      mockBlockingClient.xreadgroup.mockReturnValue(new Promise(() => {}));
+      mockRedisClient.xack.mockResolvedValue(1);
+      mockRedisClient.xpending.mockResolvedValue([['1-0', 'consumer1', 100, 1]]);
+      mockRedisClient.pipeline = jest.fn(() => ({ exists: jest.fn(), exec: jest.fn().mockResolvedValue([[null, 0]]) }));
+
+      redisService.fetchMessages('test-stream', 'test-group', 'consumer1', 10, 5000);
+
+      await expect(redisService.ackMessages('test-stream', 'test-group', ['1-0'])).resolves.toBe(1);
+      await expect(redisService.keysExist(['dedup:1-0'])).resolves.toEqual([false]);
+      await expect(redisService.getPendingMessages('test-stream', 'test-group', 10)).resolves.toHaveLength(1);
+    });
+
+    it('should interrupt reads on the blocking connection from the command connection', async () => {
+      mockRedisClient.client.mockResolvedValue(1);
+      await redisService.connect();
+
+      expect(await redisService.unblockReads()).toBe(true);
+      expect(mockBlockingClient.client).toHaveBeenCalledWith('ID');
+      expect(mockRedisClient.client).toHaveBeenCalledWith('UNBLOCK', 9);
+    });
+
+    it('should refresh the client ID after the blocking connection reconnects', async () => {
+      await redisService.connect();
+      mockBlockingClient.client.mockResolvedValue(12);
+
+      await mockBlockingClient.on.mock.calls.find(([name]) => name === 'ready')[1]();
+
+      expect(redisService.clientId).toBe(12);
+    });
+
+    it('should close both connections', async () => {
+      await redisService.disconnect();
+
+      expect(mockBlockingClient.disconnect).toHaveBeenCalled();
+      expect(mockRedisClient.quit).toHaveBeenCalled();
+    });
+
+    it('should report a lost blocking connection once', () => {
+      const onConnectionLost = jest.fn();
+      redisService.onConnectionLost(onConnectionLost);
+      const endHandler = (client) => client.on.mock.calls.find(([name]) => name === 'end')[1];
+
+      endHandler(mockBlockingClient)();
+      endHandler(mockRedisClient)();
+
+      expect(onConnectionLost).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('reconnecting', () => {
+    const eventHandler = (event) => mockRedisClient.on.mock.calls.find(([name]) => name === event)[1];
+    const retryStrategy = () => Redis.mock.calls[Redis.mock.calls.length - 1][1].retryStrategy;
+
+    afterEach(() => {
+      jest.spyOn(Math, 'random').mockRestore();
+    });
+
+    it('should retry forever by default, backing off up to the maximum delay', () => {
+      jest.spyOn(Math, 'random').mockReturnValue(0.5);
+      redisService = new RedisService({ url: 'redis://localhost:6379' }, mockLogger);
+
+      expect(retryStrategy()(1)).toBe(50);
+      expect(retryStrategy()(4)).toBe(400);
+      expect(retryStrategy()(1000)).toBe(5000);
+    });
+
+    it('should give up after the configured attempts', () => {
+      jest.spyOn(Math, 'random').mockReturnValue(1);
+      redisService = new RedisService({
+        url: 'redis://localhost:6379',
+        reconnect: { maxAttempts: 2, initialDelayMs: 200, maxDelayMs: 300 },
+      }, mockLogger);
+
+      expect(retryStrategy()(1)).toBe(200);
+      expect(retryStrategy()(2)).toBe(300);
+      expect(retryStrategy()(3)).toBeNull();
+      expect(mockLogger.error).toHaveBeenCalledWith({ attempts: 2 }, 'Redis reconnect attempts exhausted. Giving up.');
+    });
+
+    it('should notify after a reconnect', async () => {
+      const onReconnect = jest.fn();
+      redisService.onReconnect(onReconnect);
+      await redisService.connect();
+
+      await eventHandler('ready')();
+
+      expect(onReconnect).toHaveBeenCalled();
+    });
+
+    it('should not notify on the first connection', async () => {
+      const onReconnect = jest.fn();
+      redisService.onReconnect(onReconnect);
+
+      await eventHandler('ready')();
+
+      expect(onReconnect).not.toHaveBeenCalled();
+    });
+
+    it('should report a connection lost for good', () => {
+      const onConnectionLost = jest.fn();
+      redisService.onConnectionLost(onConnectionLost);
+
+      eventHandler('end')();
+
+      expect(onConnectionLost).toHaveBeenCalled();
+      expect(mockLogger.fatal).toHaveBeenCalledWith('Redis connection lost and will not be retried.');
+    });
+
+    it('should not report the end of a connection it closed', async () => {
+      const onConnectionLost = jest.fn();
+      redisService.onConnectionLost(onConnectionLost);
+
+      await redisService.disconnect();
+      eventHandler('end')();
+
+      expect(onConnectionLost).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('connection modes', () => {
+    beforeEach(() => {
+      // The automock skips ioredis' getter exports
+      Redis.Cluster = jest.fn(() => mockRedisClient);
+    });
+
+    it('should find the master through Sentinel', () => {
+      new RedisService({
+        mode: 'sentinel',
+        password: 'secret',
+        sentinel: { masterName: 'mymaster', sentinels: ['10.0.0.1:26379', 'sentinel-2:26380'], password: 'sentinel-secret' },
+      }, mockLogger);
+
+      expect(Redis).toHaveBeenLastCalledWith(expect.objectContaining({
+        name: 'mymaster',
+        sentinels: [{ host: '10.0.0.1', port: 26379 }, { host: 'sentinel-2', port: 26380 }],
+        sentinelPassword: 'sentinel-secret',
+        password: 'secret',
+        retryStrategy: expect.any(Function),
+        lazyConnect: true,
+      }));
+    });
+
+    it('should connect to a cluster through its seed nodes', async () => {
+      redisService = new RedisService({ mode: 'cluster', username: 'app', cluster: { nodes: ['node-1:7000', 'node-2:7001'] } }, mockLogger);
+
+      expect(Redis.Cluster).toHaveBeenCalledWith(
+        [{ host: 'node-1', port: 7000 }, { host: 'node-2', port: 7001 }],
+        {
+          clusterRetryStrategy: expect.any(Function),
+          lazyConnect: true,
+          redisOptions: { maxRetriesPerRequest: 3, connectTimeout: 10000, username: 'app' },
+        }
+      );
+
+      await redisService.connect();
+      expect(mockRedisClient.client).not.toHaveBeenCalled();
+      expect(await redisService.unblockReads()).toBe(false);
+    });
+
+    it('should read the TLS files', () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'redis-tls-'));
+      fs.writeFileSync(path.join(dir, 'ca.pem'), 'CA');
+      try {
+        new RedisService({
+          url: 'redis://localhost:6380',
+          tls: { enabled: true, caFile: path.join(dir, 'ca.pem'), servername: 'redis.internal', rejectUnauthorized: true },
+        }, mockLogger);
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+
+      expect(Redis).toHaveBeenLastCalledWith('redis://localhost:6380', expect.objectContaining({
+        tls: { ca: Buffer.from('CA'), servername: 'redis.internal', rejectUnauthorized: true },
+      }));
+    });
+
+    it('should reject a TLS file it cannot read', () => {
+      expect(() => new RedisService({
+        url: 'redis://localhost:6380',
+        tls: { enabled: true, certFile: '/missing/client.pem', keyFile: '/missing/client.key' },
+      }, mockLogger)).toThrow("Cannot read TLS file '/missing/client.pem'");
+    });
+
+    describe('in a cluster', () => {
+      beforeEach(() => {
+        redisService = new RedisService({ mode: 'cluster', cluster: { nodes: ['node-1:7000'] } }, mockLogger);
+      });
+
+      it('should read streams in different slots separately, sharing the blocking timeout', async () => {
+        mockRedisClient.xread = jest.fn()
+          .mockResolvedValueOnce(null)
+          .mockResolvedValueOnce([['audit', [['7-2', ['b', '2']]]]]);
+
+        const messages = await redisService.readStreams(['orders', 'audit'], ['5-0', '7-1'], 10, 1000);
+
+        expect(mockRedisClient.xread).toHaveBeenNthCalledWith(1, 'COUNT', 10, 'BLOCK', 500, 'STREAMS', 'orders', '5-0');
+        expect(mockRedisClient.xread).toHaveBeenNthCalledWith(2, 'COUNT', 10, 'BLOCK', 500, 'STREAMS', 'audit', '7-1');
+        expect(messages).toEqual([{ stream: 'audit', id: '7-2', fields: ['b', '2'] }]);
+      });
+
+      it('should not block once a slot returned entries', async () => {
+        mockRedisClient.xreadgroup.mockResolvedValueOnce([['orders', [['5-1', ['a', '1']]]]]).mockResolvedValueOnce(null);
+
+        await redisService.fetchMessagesFromStreams(['orders', 'audit'], 'group', 'consumer', 10, 1000);
+
+        expect(mockRedisClient.xreadgroup).toHaveBeenNthCalledWith(
+          2, 'GROUP', 'group', 'consumer', 'COUNT', 10, 'STREAMS', 'audit', '>'
+        );
+      });
+
+      it('should read streams sharing a hash tag together', async () => {
+        mockRedisClient.xread = jest.fn().mockResolvedValue(null);
+
+        await redisService.readStreams(['{app}:orders', '{app}:audit'], ['0-0', '0-0'], 10, 1000);
+
+        expect(mockRedisClient.xread).toHaveBeenCalledTimes(1);
+        expect(mockRedisClient.xread).toHaveBeenCalledWith(
+          'COUNT', 10, 'BLOCK', 1000, 'STREAMS', '{app}:orders', '{app}:audit', '0-0', '0-0'
+        );
+      });
+
+      it('should pipeline keys per slot and keep their order', async () => {
+        const pipelines = [];
+        mockRedisClient.pipeline = jest.fn(() => {
+          const pipeline = { exists: jest.fn(), exec: jest.fn(async () => pipeline.exists.mock.calls.map(([key]) => [null, key === 'b' ? 1 : 0])) };
+          pipelines.push(pipeline);
+          return pipeline;
+        });
+
+        expect(await redisService.keysExist(['a', 'b', 'a:{x}'])).toEqual([false, true, false]);
+        expect(pipelines).toHaveLength(3);
+      });
+    });
+  });
+
   describe('connect', () => {
     it('should successfully connect to Redis', async () => {
       await redisService.connect();
@@ -108,11 +390,19 @@ describe('RedisService', () => {
         'MKSTREAM'
       );
       expect(mockLogger.info).toHaveBeenCalledWith(
-        { streamKey: 'test-stream', groupName: 'test-group' },
+        { streamKey: 'test-stream', groupName: 'test-group', startId: '$' },
         'Consumer group created.'
       );
     });
 
+    it('should create the group at the given start ID', async () => {
+      await redisService.initializeGroup('test-stream', 'test-group', '1700000000000-0');
+
+      expect(mockRedisClient.xgroup).toHaveBeenCalledWith(
+        'CREATE', 'test-stream', 'test-group', '1700000000000-0', 'MKSTREAM'
+      );
+    });
+
     it('should handle existing group gracefully', async () => {
       const error = new Error('BUSYGROUP Consumer Group name already exists');
       mockRedisClient.xgroup.mockRejectedValue(error);
@@ -174,6 +464,16 @@ describe('RedisService', () => {
       ]);
     });
 
+    it('should not block when no timeout is given', async () => {
+      mockRedisClient.xreadgroup.mockResolvedValue(null);
+
+      await redisService.fetchMessages('test-stream', 'test-group', 'consumer1', 10, null);
+
+      expect(mockRedisClient.xreadgroup).toHaveBeenCalledWith(
+        'GROUP', 'test-group', 'consumer1', 'COUNT', 10, 'STREAMS', 'test-stream', '>'
+      );
+    });
+
     it('should return empty array when no messages', async () => {
       mockRedisClient.xreadgroup.mockResolvedValue(null);
 
@@ -189,82 +489,439 @@ describe('RedisService', () => {
     });
   });
 
-  describe('claimPendingMessages', () => {
-    it('should claim pending messages successfully', async () => {
-      const pendingInfo = [
-        ['1234-0', 'old-consumer', 120000, 1],
-        ['1235-0', 'old-consumer', 150000, 2],
-      ];
-      mockRedisClient.xpending.mockResolvedValue(pendingInfo);
-      mockRedisClient.xclaim.mockResolvedValue([
-        ['1234-0', ['field1', 'value1']],
-        ['1235-0', ['field1', 'value2']],
+  describe('fetchPendingMessages', () => {
+    it('should read pending messages after a given ID without blocking', async () => {
+      mockRedisClient.xreadgroup.mockResolvedValue([
+        ['test-stream', [['1234-0', ['field1', 'value1']], ['1235-0', null]]],
       ]);
 
-      const result = await redisService.claimPendingMessages(
-        'test-stream',
-        'test-group',
-        'consumer1',
-        60000
+      const result = await redisService.fetchPendingMessages('test-stream', 'test-group', 'consumer1', 10, '0');
+
+      expect(mockRedisClient.xreadgroup).toHaveBeenCalledWith(
+        'GROUP', 'test-group', 'consumer1', 'COUNT', 10, 'STREAMS', 'test-stream', '0'
       );
+      // Deleted entries have no fields and are skipped, but still move the cursor
+      expect(result).toEqual({ messages: [{ id: '1234-0', fields: ['field1', 'value1'] }], lastId: '1235-0' });
+    });
 
-      expect(mockRedisClient.xclaim).toHaveBeenCalledWith(
-        'test-stream',
-        'test-group',
-        'consumer1',
-        60000,
-        '1234-0',
-        '1235-0'
+    it('should continue after a page of deleted entries', async () => {
+      mockRedisClient.xreadgroup.mockResolvedValue([['test-stream', [['1234-0', null], ['1235-0', null]]]]);
+
+      const result = await redisService.fetchPendingMessages('test-stream', 'test-group', 'consumer1', 10, '0');
+
+      expect(result).toEqual({ messages: [], lastId: '1235-0' });
+    });
+
+    it('should end once no pending entry is left', async () => {
+      mockRedisClient.xreadgroup.mockResolvedValue([['test-stream', []]]);
+
+      const result = await redisService.fetchPendingMessages('test-stream', 'test-group', 'consumer1', 10, '1235-0');
+
+      expect(result).toEqual({ messages: [], lastId: null });
+    });
+  });
+
+  describe('fetchMessagesFromStreams', () => {
+    it('should read several streams in one call and tag messages with their stream', async () => {
+      mockRedisClient.xreadgroup.mockResolvedValue([
+        ['audit', [['1234-0', ['field1', 'value1']]]],
+        ['orders', [['1234-0', ['field1', 'value2']], ['1235-0', ['field1', 'value3']]]],
+      ]);
+
+      const result = await redisService.fetchMessagesFromStreams(
+        ['audit', 'orders'], 'test-group', 'consumer1', 10, 5000
       );
-      expect(result).toBe(2);
-      expect(mockLogger.info).toHaveBeenCalledWith(
-        { streamKey: 'test-stream', groupName: 'test-group', claimedCount: 2 },
-        'Claimed pending messages.'
+
+      expect(mockRedisClient.xreadgroup).toHaveBeenCalledWith(
+        'GROUP', 'test-group', 'consumer1', 'COUNT', 10, 'BLOCK', 5000, 'STREAMS', 'audit', 'orders', '>', '>'
       );
+      expect(result).toEqual([
+        { stream: 'audit', id: '1234-0', fields: ['field1', 'value1'] },
+        { stream: 'orders', id: '1234-0', fields: ['field1', 'value2'] },
+        { stream: 'orders', id: '1235-0', fields: ['field1', 'value3'] },
+      ]);
+    });
+
+    it('should return empty array when no messages', async () => {
+      mockRedisClient.xreadgroup.mockResolvedValue(null);
+
+      const result = await redisService.fetchMessagesFromStreams(['audit', 'orders'], 'test-group', 'consumer1', 10, 5000);
+
+      expect(result).toEqual([]);
+    });
+  });
+
+  describe('claimPendingMessages', () => {
+    describe('with XAUTOCLAIM', () => {
+      it('should claim and return idle pending messages', async () => {
+        mockRedisClient.xautoclaim.mockResolvedValue([
+          '0-0',
+          [
+            ['1234-0', ['field1', 'value1']],
+            ['1235-0', ['field1', 'value2']],
+          ],
+          [],
+        ]);
+
+        const result = await redisService.claimPendingMessages(
+          'test-stream',
+          'test-group',
+          'consumer1',
+          60000
+        );
+
+        expect(mockRedisClient.xautoclaim).toHaveBeenCalledWith(
+          'test-stream', 'test-group', 'consumer1', 60000, '0-0', 'COUNT', 100
+        );
+        expect(mockRedisClient.xpending).not.toHaveBeenCalled();
+        expect(result).toEqual([
+          { id: '1234-0', fields: ['field1', 'value1'] },
+          { id: '1235-0', fields: ['field1', 'value2'] },
+        ]);
+        expect(redisService.supportsAutoClaim).toBe(true);
+        expect(await redisService.metrics.render()).toContain(
+          'connector_messages_claimed_total{stream="test-stream"} 2'
+        );
+      });
+
+      it('should follow the cursor across pages', async () => {
+        mockRedisClient.xautoclaim
+          .mockResolvedValueOnce(['1240-0', [['1234-0', ['field1', 'value1']]]])
+          .mockResolvedValueOnce(['0-0', [['1240-0', ['field1', 'value2']]]]);
+
+        const result = await redisService.claimPendingMessages(
+          'test-stream', 'test-group', 'consumer1', 60000, 10
+        );
+
+        expect(mockRedisClient.xautoclaim).toHaveBeenNthCalledWith(
+          2, 'test-stream', 'test-group', 'consumer1', 60000, '1240-0', 'COUNT', 9
+        );
+        expect(result.map(msg => msg.id)).toEqual(['1234-0', '1240-0']);
+      });
+
+      it('should stop paging once enough messages are claimed', async () => {
+        mockRedisClient.xautoclaim.mockResolvedValueOnce(['1240-0', [['1234-0', ['field1', 'value1']]]]);
+
+        const result = await redisService.claimPendingMessages(
+          'test-stream', 'test-group', 'consumer1', 60000, 1
+        );
+
+        expect(mockRedisClient.xautoclaim).toHaveBeenCalledTimes(1);
+        expect(result).toHaveLength(1);
+      });
+
+      it('should skip entries deleted from the stream', async () => {
+        mockRedisClient.xautoclaim.mockResolvedValue(['0-0', [['1234-0', null], ['1235-0', ['field1', 'value2']]]]);
+
+        const result = await redisService.claimPendingMessages('test-stream', 'test-group', 'consumer1', 60000);
+
+        expect(result).toEqual([{ id: '1235-0', fields: ['field1', 'value2'] }]);
+      });
     });
 
-    it('should return 0 when no pending messages', async () => {
+    describe('without XAUTOCLAIM', () => {
+      beforeEach(() => {
+        mockRedisClient.xautoclaim.mockRejectedValue(new Error("ERR unknown command 'xautoclaim'"));
+      });
+
+      it('should claim pending messages successfully', async () => {
+        const pendingInfo = [
+          ['1234-0', 'old-consumer', 120000, 1],
+          ['1235-0', 'old-consumer', 150000, 2],
+        ];
+        mockRedisClient.xpending.mockResolvedValue(pendingInfo);
+        mockRedisClient.xclaim.mockResolvedValue([
+          ['1234-0', ['field1', 'value1']],
+          ['1235-0', ['field1', 'value2']],
+        ]);
+
+        const result = await redisService.claimPendingMessages(
+          'test-stream',
+          'test-group',
+          'consumer1',
+          60000
+        );
+
+        expect(mockRedisClient.xclaim).toHaveBeenCalledWith(
+          'test-stream',
+          'test-group',
+          'consumer1',
+          60000,
+          '1234-0',
+          '1235-0'
+        );
+        expect(result).toEqual([
+          { id: '1234-0', fields: ['field1', 'value1'] },
+          { id: '1235-0', fields: ['field1', 'value2'] },
+        ]);
+        expect(mockLogger.info).toHaveBeenCalledWith(
+          { streamKey: 'test-stream', groupName: 'test-group', claimedCount: 2 },
+          'Claimed pending messages.'
+        );
+      });
+
+      it('should remember that XAUTOCLAIM is unsupported', async () => {
+        mockRedisClient.xpending.mockResolvedValue([]);
+
+        await redisService.claimPendingMessages('test-stream', 'test-group', 'consumer1', 60000);
+        await redisService.claimPendingMessages('test-stream', 'test-group', 'consumer1', 60000);
+
+        expect(redisService.supportsAutoClaim).toBe(false);
+        expect(mockRedisClient.xautoclaim).toHaveBeenCalledTimes(1);
+        expect(mockRedisClient.xpending).toHaveBeenCalledTimes(2);
+      });
+
+      it('should return empty array when no pending messages', async () => {
+        mockRedisClient.xpending.mockResolvedValue([]);
+
+        const result = await redisService.claimPendingMessages(
+          'test-stream',
+          'test-group',
+          'consumer1',
+          60000
+        );
+
+        expect(result).toEqual([]);
+        expect(mockRedisClient.xclaim).not.toHaveBeenCalled();
+      });
+
+      it('should not claim messages below idle threshold', async () => {
+        const pendingInfo = [['1234-0', 'old-consumer', 30000, 1]]; // Only 30s idle
+        mockRedisClient.xpending.mockResolvedValue(pendingInfo);
+
+        const result = await redisService.claimPendingMessages(
+          'test-stream',
+          'test-group',
+          'consumer1',
+          60000
+        );
+
+        expect(result).toEqual([]);
+        expect(mockRedisClient.xclaim).not.toHaveBeenCalled();
+      });
+
+      it('should handle errors gracefully', async () => {
+        const error = new Error('XPENDING failed');
+        mockRedisClient.xpending.mockRejectedValue(error);
+
+        const result = await redisService.claimPendingMessages(
+          'test-stream',
+          'test-group',
+          'consumer1',
+          60000
+        );
+
+        expect(result).toEqual([]);
+        expect(mockLogger.error).toHaveBeenCalled();
+      });
+    });
+  });
+
+  describe('getGroupStats', () => {
+    it('should report PEL size and lag for the group', async () => {
+      mockRedisClient.xinfo.mockResolvedValue([
+        ['name', 'other-group', 'consumers', 1, 'pending', 7, 'lag', 1],
+        ['name', 'test-group', 'consumers', 2, 'pending', 3, 'last-delivered-id', '1234-0', 'entries-read', 10, 'lag', 5],
+      ]);
+
+      const result = await redisService.getGroupStats('test-stream', 'test-group');
+
+      expect(mockRedisClient.xinfo).toHaveBeenCalledWith('GROUPS', 'test-stream');
+      expect(result).toEqual({ pending: 3, lag: 5 });
+      const output = await redisService.metrics.render();
+      expect(output).toContain('connector_pending_messages{stream="test-stream",group="test-group"} 3');
+      expect(output).toContain('connector_consumer_lag{stream="test-stream",group="test-group"} 5');
+    });
+
+    it('should report null lag on servers without lag tracking', async () => {
+      mockRedisClient.xinfo.mockResolvedValue([
+        ['name', 'test-group', 'consumers', 2, 'pending', 3, 'last-delivered-id', '1234-0'],
+      ]);
+
+      const result = await redisService.getGroupStats('test-stream', 'test-group');
+
+      expect(result).toEqual({ pending: 3, lag: null });
+    });
+
+    it('should return null when the group does not exist', async () => {
+      mockRedisClient.xinfo.mockResolvedValue([]);
+
+      expect(await redisService.getGroupStats('test-stream', 'test-group')).toBeNull();
+    });
+  });
+
+  describe('getConsumers', () => {
+    it('should list the consumers of a group', async () => {
+      mockRedisClient.xinfo.mockResolvedValue([
+        ['name', 'consumer-1', 'pending', 2, 'idle', 1500, 'inactive', 1500],
+        ['name', 'consumer-2', 'pending', 0, 'idle', 600000, 'inactive', 600000],
+      ]);
+
+      const result = await redisService.getConsumers('test-stream', 'test-group');
+
+      expect(mockRedisClient.xinfo).toHaveBeenCalledWith('CONSUMERS', 'test-stream', 'test-group');
+      expect(result).toEqual([
+        { name: 'consumer-1', pending: 2, idleMs: 1500 },
+        { name: 'consumer-2', pending: 0, idleMs: 600000 },
+      ]);
+    });
+  });
+
+  describe('resetGroup', () => {
+    beforeEach(() => {
+      mockRedisClient.xinfo.mockResolvedValue([
+        ['name', 'consumer-1', 'pending', 2, 'idle', 1500],
+        ['name', 'consumer-2', 'pending', 0, 'idle', 600000],
+      ]);
+    });
+
+    it('should move the group when no consumer is active', async () => {
+      const active = await redisService.resetGroup('test-stream', 'test-group', '0-0', { activeWithinMs: 1000 });
+
+      expect(active).toEqual([]);
+      expect(mockRedisClient.xgroup).toHaveBeenCalledWith('SETID', 'test-stream', 'test-group', '0-0');
+    });
+
+    it('should refuse while consumers are active', async () => {
+      await expect(
+        redisService.resetGroup('test-stream', 'test-group', '0-0', { activeWithinMs: 60000 })
+      ).rejects.toThrow("Consumer group 'test-group' has 1 active consumer(s): consumer-1.");
+
+      expect(mockRedisClient.xgroup).not.toHaveBeenCalled();
+    });
+
+    it('should move the group anyway when forced', async () => {
+      const active = await redisService.resetGroup('test-stream', 'test-group', '$', { activeWithinMs: 60000, force: true });
+
+      expect(active).toEqual([{ name: 'consumer-1', pending: 2, idleMs: 1500 }]);
+      expect(mockRedisClient.xgroup).toHaveBeenCalledWith('SETID', 'test-stream', 'test-group', '$');
+    });
+  });
+
+  describe('getPendingMessages', () => {
+    it('should map XPENDING entries to objects', async () => {
+      mockRedisClient.xpending.mockResolvedValue([
+        ['1234-0', 'old-consumer', 120000, 3],
+      ]);
+
+      const result = await redisService.getPendingMessages('test-stream', 'test-group', 50);
+
+      expect(mockRedisClient.xpending).toHaveBeenCalledWith('test-stream', 'test-group', '-', '+', 50);
+      expect(result).toEqual([
+        { id: '1234-0', consumer: 'old-consumer', idleMs: 120000, deliveryCount: 3 },
+      ]);
+    });
+
+    it('should limit XPENDING to an ID range', async () => {
       mockRedisClient.xpending.mockResolvedValue([]);
 
-      const result = await redisService.claimPendingMessages(
-        'test-stream',
-        'test-group',
-        'consumer1',
-        60000
-      );
+      await redisService.getPendingMessages('test-stream', 'test-group', 1, { start: '1234-0', end: '1234-0' });
 
-      expect(result).toBe(0);
-      expect(mockRedisClient.xclaim).not.toHaveBeenCalled();
+      expect(mockRedisClient.xpending).toHaveBeenCalledWith('test-stream', 'test-group', '1234-0', '1234-0', 1);
     });
+  });
 
-    it('should not claim messages below idle threshold', async () => {
-      const pendingInfo = [['1234-0', 'old-consumer', 30000, 1]]; // Only 30s idle
-      mockRedisClient.xpending.mockResolvedValue(pendingInfo);
+  describe('claimMessages', () => {
+    it('should return claimed messages and drop deleted entries', async () => {
+      mockRedisClient.xclaim.mockResolvedValue([
+        ['1234-0', ['field1', 'value1']],
+        ['1235-0', null],
+      ]);
 
-      const result = await redisService.claimPendingMessages(
-        'test-stream',
-        'test-group',
-        'consumer1',
-        60000
+      const result = await redisService.claimMessages(
+        'test-stream', 'test-group', 'consumer1', 60000, ['1234-0', '1235-0']
       );
 
-      expect(result).toBe(0);
+      expect(mockRedisClient.xclaim).toHaveBeenCalledWith(
+        'test-stream', 'test-group', 'consumer1', 60000, '1234-0', '1235-0'
+      );
+      expect(result).toEqual([{ id: '1234-0', fields: ['field1', 'value1'] }]);
+    });
+
+    it('should return empty array for empty ID list', async () => {
+      const result = await redisService.claimMessages('test-stream', 'test-group', 'consumer1', 60000, []);
+
       expect(mockRedisClient.xclaim).not.toHaveBeenCalled();
+      expect(result).toEqual([]);
     });
+  });
 
-    it('should handle errors gracefully', async () => {
-      const error = new Error('XPENDING failed');
-      mockRedisClient.xpending.mockRejectedValue(error);
+  describe('addMessage', () => {
+    it('should XADD fields with an auto-generated ID', async () => {
+      mockRedisClient.xadd.mockResolvedValue('1234-0');
 
-      const result = await redisService.claimPendingMessages(
-        'test-stream',
-        'test-group',
-        'consumer1',
-        60000
-      );
+      const result = await redisService.addMessage('test-stream', ['field1', 'value1']);
 
+      expect(mockRedisClient.xadd).toHaveBeenCalledWith('test-stream', '*', 'field1', 'value1');
+      expect(result).toBe('1234-0');
+    });
+  });
+
+  describe('readStreams', () => {
+    it('should read after the given IDs without a consumer group', async () => {
+      mockRedisClient.xread = jest.fn().mockResolvedValue([
+        ['orders', [['5-1', ['a', '1']]]],
+        ['audit', [['7-2', ['b', '2']]]],
+      ]);
+
+      const messages = await redisService.readStreams(['orders', 'audit'], ['5-0', '7-1'], 10, 1000);
+
+      expect(mockRedisClient.xread).toHaveBeenCalledWith('COUNT', 10, 'BLOCK', 1000, 'STREAMS', 'orders', 'audit', '5-0', '7-1');
+      expect(messages).toEqual([
+        { stream: 'orders', id: '5-1', fields: ['a', '1'] },
+        { stream: 'audit', id: '7-2', fields: ['b', '2'] },
+      ]);
+    });
+
+    it('should return an empty array when the read times out', async () => {
+      mockRedisClient.xread = jest.fn().mockResolvedValue(null);
+
+      expect(await redisService.readStreams(['orders'], ['5-0'], 10, null)).toEqual([]);
+      expect(mockRedisClient.xread).toHaveBeenCalledWith('COUNT', 10, 'STREAMS', 'orders', '5-0');
+    });
+  });
+
+  describe('getLastEntryId', () => {
+    it('should return the newest entry ID', async () => {
+      mockRedisClient.xrevrange = jest.fn().mockResolvedValue([['9-0', ['a', '1']]]);
+
+      expect(await redisService.getLastEntryId('orders')).toBe('9-0');
+      expect(mockRedisClient.xrevrange).toHaveBeenCalledWith('orders', '+', '-', 'COUNT', 1);
+    });
+
+    it('should return 0-0 for an empty stream', async () => {
+      mockRedisClient.xrevrange = jest.fn().mockResolvedValue([]);
+
+      expect(await redisService.getLastEntryId('orders')).toBe('0-0');
+    });
+  });
+
+  describe('readRange', () => {
+    it('should read entries with XRANGE', async () => {
+      mockRedisClient.xrange.mockResolvedValue([['1234-0', ['field1', 'value1']]]);
+
+      const result = await redisService.readRange('test-stream', '-', '+', 10);
+
+      expect(mockRedisClient.xrange).toHaveBeenCalledWith('test-stream', '-', '+', 'COUNT', 10);
+      expect(result).toEqual([{ id: '1234-0', fields: ['field1', 'value1'] }]);
+    });
+  });
+
+  describe('deleteMessages', () => {
+    it('should delete entries with XDEL', async () => {
+      mockRedisClient.xdel.mockResolvedValue(2);
+
+      const result = await redisService.deleteMessages('test-stream', ['1234-0', '1235-0']);
+
+      expect(mockRedisClient.xdel).toHaveBeenCalledWith('test-stream', '1234-0', '1235-0');
+      expect(result).toBe(2);
+    });
+
+    it('should return 0 for empty message list', async () => {
+      const result = await redisService.deleteMessages('test-stream', []);
+
+      expect(mockRedisClient.xdel).not.toHaveBeenCalled();
       expect(result).toBe(0);
-      expect(mockLogger.error).toHaveBeenCalled();
     });
   });
 
@@ -295,6 +952,83 @@ describe('RedisService', () => {
     });
   });
 
+  describe('keysExist', () => {
+    it('should check every key in one pipeline', async () => {
+      const pipeline = { exists: jest.fn(), exec: jest.fn().mockResolvedValue([[null, 1], [null, 0]]) };
+      mockRedisClient.pipeline = jest.fn(() => pipeline);
+
+      const result = await redisService.keysExist(['a', 'b']);
+
+      expect(result).toEqual([true, false]);
+      expect(pipeline.exists).toHaveBeenCalledWith('a');
+      expect(pipeline.exists).toHaveBeenCalledWith('b');
+    });
+
+    it('should throw if a check failed', async () => {
+      const pipeline = { exists: jest.fn(), exec: jest.fn().mockResolvedValue([[new Error('LOADING')]]) };
+      mockRedisClient.pipeline = jest.fn(() => pipeline);
+
+      await expect(redisService.keysExist(['a'])).rejects.toThrow('LOADING');
+    });
+
+    it('should not call Redis for no keys', async () => {
+      mockRedisClient.pipeline = jest.fn();
+
+      expect(await redisService.keysExist([])).toEqual([]);
+      expect(mockRedisClient.pipeline).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('setKeysWithTtl', () => {
+    it('should set every key with an expiry in one pipeline', async () => {
+      const pipeline = { set: jest.fn(), exec: jest.fn().mockResolvedValue([[null, 'OK'], [null, 'OK']]) };
+      mockRedisClient.pipeline = jest.fn(() => pipeline);
+
+      await redisService.setKeysWithTtl(['a', 'b'], '1', 60);
+
+      expect(pipeline.set).toHaveBeenCalledWith('a', '1', 'EX', 60);
+      expect(pipeline.set).toHaveBeenCalledWith('b', '1', 'EX', 60);
+    });
+
+    it('should throw if a write failed', async () => {
+      const pipeline = { set: jest.fn(), exec: jest.fn().mockResolvedValue([[null, 'OK'], [new Error('OOM')]]) };
+      mockRedisClient.pipeline = jest.fn(() => pipeline);
+
+      await expect(redisService.setKeysWithTtl(['a', 'b'], '1', 60)).rejects.toThrow('OOM');
+    });
+  });
+
+  describe('unblockReads', () => {
+    it('should unblock the blocking connection by its ID', async () => {
+      await redisService.connect();
+      mockRedisClient.client.mockResolvedValue(1);
+
+      expect(await redisService.unblockReads()).toBe(true);
+      expect(mockRedisClient.client).toHaveBeenCalledWith('ID');
+      expect(mockRedisClient.client).toHaveBeenCalledWith('UNBLOCK', 7);
+    });
+
+    it('should report when no read was blocked', async () => {
+      await redisService.connect();
+      mockRedisClient.client.mockResolvedValue(0);
+
+      expect(await redisService.unblockReads()).toBe(false);
+    });
+
+    it('should do nothing before connecting', async () => {
+      expect(await redisService.unblockReads()).toBe(false);
+      expect(mockRedisClient.client).not.toHaveBeenCalled();
+    });
+
+    it('should leave cluster reads to time out', async () => {
+      redisService = new RedisService({ mode: 'cluster', cluster: { nodes: ['node-1:7000'] } }, mockLogger);
+      redisService.clientId = 7;
+
+      expect(await redisService.unblockReads()).toBe(false);
+      expect(mockRedisClient.client).not.toHaveBeenCalled();
+    });
+  });
+
   describe('disconnect', () => {
     it('should disconnect from Redis', async () => {
       await redisService.disconnect();
@@ -303,5 +1037,14 @@ describe('RedisService', () => {
       expect(mockLogger.info).toHaveBeenCalledWith('Disconnecting from Redis...');
       expect(mockLogger.info).toHaveBeenCalledWith('Disconnected from Redis.');
     });
+
+    it('should not quit a connection that gave up reconnecting', async () => {
+      mockRedisClient.status = 'end';
+
+      await redisService.disconnect();
+
+      expect(mockRedisClient.quit).not.toHaveBeenCalled();
+      expect(mockLogger.info).toHaveBeenCalledWith('Disconnected from Redis.');
+    });
   });
 });
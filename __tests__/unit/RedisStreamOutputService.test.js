@@ -0,0 +1,157 @@
+// __tests__/unit/RedisStreamOutputService.test.js
+const Redis = require('ioredis');
+const RedisStreamOutputService = require('../../src/services/RedisStreamOutputService');
+const { succeeded, failed, skipped } = require('../../src/sendResults');
+
+jest.mock('ioredis');
+
+describe('RedisStreamOutputService', () => {
+  let outputService;
+  let mockRedisClient;
+  let mockTransaction;
+  let mockLogger;
+  let config;
+
+  const events = [
+    { body: { deviceId: 'a', reading: 21.5, tags: ['x'] }, correlationId: '1700000000000-0' },
+    { body: { deviceId: 'b', note: undefined }, correlationId: '1700000000000-1' },
+  ];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockTransaction = {
+      xadd: jest.fn().mockReturnThis(),
+      exec: jest.fn().mockResolvedValue([[null, '1-0'], [null, '1-1']]),
+    };
+    mockRedisClient = {
+      connect: jest.fn().mockResolvedValue(undefined),
+      ping: jest.fn().mockResolvedValue('PONG'),
+      client: jest.fn().mockResolvedValue(1),
+      multi: jest.fn(() => mockTransaction),
+      xrange: jest.fn().mockResolvedValue([]),
+      quit: jest.fn().mockResolvedValue('OK'),
+      on: jest.fn(),
+    };
+    Redis.mockImplementation(() => mockRedisClient);
+
+    mockLogger = {
+      child: jest.fn().mockReturnThis(),
+      info: jest.fn(),
+      warn: jest.fn(),
+      error: jest.fn(),
+      debug: jest.fn(),
+      fatal: jest.fn(),
+    };
+
+    config = {
+      url: 'redis://replica:6379',
+      stream: 'telemetry:mirror',
+      preserveIds: false,
+      maxLen: 0,
+      maxAgeMs: 0,
+      exactTrim: false,
+    };
+    outputService = new RedisStreamOutputService(config, mockLogger);
+  });
+
+  describe('connect', () => {
+    it('should connect to the target Redis server', async () => {
+      expect(outputService.isReady()).toBe(false);
+
+      await outputService.connect();
+
+      expect(Redis).toHaveBeenCalledWith('redis://replica:6379', expect.objectContaining({ lazyConnect: true }));
+      expect(mockRedisClient.connect).toHaveBeenCalled();
+      expect(outputService.isReady()).toBe(true);
+    });
+
+    it('should fail if the target Redis server is unreachable', async () => {
+      mockRedisClient.connect.mockRejectedValue(new Error('ECONNREFUSED'));
+
+      await expect(outputService.connect()).rejects.toThrow('ECONNREFUSED');
+      expect(outputService.isReady()).toBe(false);
+    });
+  });
+
+  describe('trimArgs', () => {
+    it('should not trim by default', () => {
+      expect(outputService.trimArgs()).toEqual([]);
+    });
+
+    it('should trim approximately by length', () => {
+      outputService = new RedisStreamOutputService({ ...config, maxLen: 1000 }, mockLogger);
+
+      expect(outputService.trimArgs()).toEqual(['MAXLEN', '~', 1000]);
+    });
+
+    it('should trim exactly by age', () => {
+      outputService = new RedisStreamOutputService({ ...config, maxAgeMs: 60000, exactTrim: true }, mockLogger);
+
+      expect(outputService.trimArgs(1700000060000)).toEqual(['MINID', '1700000000000-0']);
+    });
+  });
+
+  describe('sendBatch', () => {
+    it('should return an empty array for no events', async () => {
+      expect(await outputService.sendBatch([])).toEqual([]);
+      expect(mockRedisClient.multi).not.toHaveBeenCalled();
+    });
+
+    it('should add all events in one transaction with new IDs', async () => {
+      const results = await outputService.sendBatch(events);
+
+      expect(results).toEqual([succeeded(), succeeded()]);
+      expect(mockRedisClient.multi).toHaveBeenCalledTimes(1);
+      expect(mockTransaction.xadd).toHaveBeenCalledWith('telemetry:mirror', '*', 'deviceId', 'a', 'reading', '21.5', 'tags', '["x"]');
+      expect(mockTransaction.xadd).toHaveBeenCalledWith('telemetry:mirror', '*', 'deviceId', 'b');
+    });
+
+    it('should preserve source IDs and trim', async () => {
+      outputService = new RedisStreamOutputService({ ...config, preserveIds: true, maxLen: 500 }, mockLogger);
+
+      await outputService.sendBatch(events);
+
+      expect(mockTransaction.xadd).toHaveBeenCalledWith('telemetry:mirror', 'MAXLEN', '~', 500, '1700000000000-0', 'deviceId', 'a', 'reading', '21.5', 'tags', '["x"]');
+    });
+
+    it('should count an already written event as sent', async () => {
+      outputService = new RedisStreamOutputService({ ...config, preserveIds: true }, mockLogger);
+      const tooSmall = new Error('ERR The ID specified in XADD is equal or smaller than the target stream top item');
+      mockTransaction.exec.mockResolvedValue([[tooSmall], [tooSmall]]);
+      mockRedisClient.xrange
+        .mockResolvedValueOnce([['1700000000000-0', ['deviceId', 'a']]])
+        .mockResolvedValueOnce([]);
+
+      const results = await outputService.sendBatch(events);
+
+      expect(results).toEqual([succeeded(), skipped('Target stream already has a newer entry than the event ID')]);
+      expect(mockRedisClient.xrange).toHaveBeenCalledWith('telemetry:mirror', '1700000000000-0', '1700000000000-0', 'COUNT', 1);
+    });
+
+    it('should fail events whose command failed', async () => {
+      mockTransaction.exec.mockResolvedValue([[null, '1-0'], [new Error('OOM command not allowed')]]);
+
+      const results = await outputService.sendBatch(events);
+
+      expect(results).toEqual([succeeded(), failed('OOM command not allowed')]);
+    });
+
+    it('should throw if the transaction fails', async () => {
+      mockTransaction.exec.mockRejectedValue(new Error('Connection is closed.'));
+
+      await expect(outputService.sendBatch(events)).rejects.toThrow('Connection is closed.');
+      expect(mockLogger.error).toHaveBeenCalledWith(expect.objectContaining({ eventCount: 2 }), 'Failed to write batch to the target Redis stream.');
+    });
+  });
+
+  describe('disconnect', () => {
+    it('should close the target connection', async () => {
+      await outputService.connect();
+      await outputService.disconnect();
+
+      expect(mockRedisClient.quit).toHaveBeenCalled();
+      expect(outputService.isReady()).toBe(false);
+    });
+  });
+});
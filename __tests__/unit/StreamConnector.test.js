@@ -1,6 +1,22 @@
 // __tests__/unit/StreamConnector.test.js
 const StreamConnector = require('../../src/StreamConnector');
-const { MessageProcessingError } = require('../../src/errors');
+const { MessageProcessingError, EventHubsError } = require('../../src/errors');
+const { TransformPipeline } = require('../../src/transforms');
+const { MessageFilter } = require('../../src/filters');
+const { SchemaValidator } = require('../../src/schemas');
+const { succeeded, failed, skipped } = require('../../src/sendResults');
+
+// Event as handed to the output service, including the connector metadata
+const outputEvent = (body, id, stream = 'test-stream', consumerGroup = 'test-group') => ({
+  body,
+  correlationId: id,
+  metadata: {
+    sourceStream: stream,
+    consumerGroup,
+    redisEntryId: id,
+    enqueuedAt: new Date(parseInt(id, 10)).toISOString(),
+  },
+});
 
 describe('StreamConnector', () => {
   let connector;
@@ -43,14 +59,22 @@ describe('StreamConnector', () => {
       connect: jest.fn().mockResolvedValue(undefined),
       initializeGroup: jest.fn().mockResolvedValue(undefined),
       fetchMessages: jest.fn().mockResolvedValue([]),
-      claimPendingMessages: jest.fn().mockResolvedValue(0),
+      fetchPendingMessages: jest.fn().mockResolvedValue({ messages: [], lastId: null }),
+      claimPendingMessages: jest.fn().mockResolvedValue([]),
+      getPendingMessages: jest.fn().mockResolvedValue([]),
+      claimMessages: jest.fn().mockResolvedValue([]),
       ackMessages: jest.fn().mockResolvedValue(0),
+      ping: jest.fn().mockResolvedValue(undefined),
+      getGroupStats: jest.fn().mockResolvedValue({ pending: 0, lag: 0 }),
+      getConsumers: jest.fn().mockResolvedValue([]),
+      unblockReads: jest.fn().mockResolvedValue(false),
+      onReconnect: jest.fn(),
       disconnect: jest.fn().mockResolvedValue(undefined),
     };
 
     // Mock OutputService
     mockOutputService = {
-      sendBatch: jest.fn().mockResolvedValue(0),
+      sendBatch: jest.fn().mockResolvedValue([]),
       disconnect: jest.fn().mockResolvedValue(undefined),
     };
 
@@ -92,13 +116,24 @@ describe('StreamConnector', () => {
       expect(connector.isRunning).toBe(true);
       expect(mockRedisService.initializeGroup).toHaveBeenCalledWith(
         'test-stream',
-        'test-group'
+        'test-group',
+        '$'
       );
       expect(connector.pendingClaimInterval).not.toBeNull();
       
       connector.processingLoop = originalProcessingLoop;
     });
 
+    it('should recreate the consumer group after Redis reconnects', async () => {
+      connector.processingLoop = jest.fn().mockResolvedValue();
+      await connector.start();
+      mockRedisService.initializeGroup.mockClear();
+
+      const [onReconnect] = mockRedisService.onReconnect.mock.calls[0];
+      expect(await onReconnect()).toBe(true);
+      expect(mockRedisService.initializeGroup).toHaveBeenCalledWith('test-stream', 'test-group', '$');
+    });
+
     it('should start pending message recovery interval', async () => {
       jest.useFakeTimers();
       
@@ -117,6 +152,19 @@ describe('StreamConnector', () => {
       
       jest.useRealTimers();
     });
+
+    it('should queue claimed messages for reprocessing', async () => {
+      jest.useFakeTimers();
+      connector.processingLoop = jest.fn().mockResolvedValue();
+      mockRedisService.claimPendingMessages.mockResolvedValue([{ id: '1-0', fields: ['data', 'test1'] }]);
+
+      await connector.start();
+      await jest.advanceTimersByTimeAsync(1000);
+
+      expect(connector.recoveredMessages).toEqual([{ stream: 'test-stream', id: '1-0', fields: ['data', 'test1'] }]);
+
+      jest.useRealTimers();
+    });
   });
 
   describe('stop', () => {
@@ -147,6 +195,80 @@ describe('StreamConnector', () => {
       
       jest.useRealTimers();
     });
+
+    it('should wait for the batch in flight to be acknowledged', async () => {
+      let finishSend;
+      mockRedisService.fetchMessages.mockResolvedValueOnce([{ id: '1-0', fields: ['a', '1'] }]);
+      mockOutputService.sendBatch.mockReturnValue(new Promise(resolve => { finishSend = resolve; }));
+      connector.pendingClaimInterval = null;
+      connector.isRunning = true;
+      connector.loopPromise = connector.processingLoop();
+      await new Promise(resolve => setImmediate(resolve));
+
+      const stopPromise = connector.stop();
+      await new Promise(resolve => setImmediate(resolve));
+      expect(mockRedisService.disconnect).not.toHaveBeenCalled();
+
+      finishSend([succeeded()]);
+      const result = await stopPromise;
+
+      expect(result.drained).toBe(true);
+      expect(mockRedisService.ackMessages).toHaveBeenCalledWith('test-stream', 'test-group', ['1-0']);
+      expect(mockRedisService.unblockReads).toHaveBeenCalled();
+      expect(mockRedisService.disconnect).toHaveBeenCalled();
+    });
+
+    it('should give up on the batch in flight after the grace period', async () => {
+      connector.isRunning = true;
+      connector.loopPromise = new Promise(() => {});
+
+      const result = await connector.stop();
+
+      expect(result.drained).toBe(false);
+      expect(mockLogger.warn).toHaveBeenCalledWith(
+        { shutdownGracePeriodMs: 50 },
+        'Shutdown grace period ended before the batch in flight finished.'
+      );
+      expect(mockRedisService.disconnect).toHaveBeenCalled();
+    });
+
+    it('should end a retry delay right away', async () => {
+      mockRedisService.fetchMessages.mockRejectedValueOnce(new Error('Connection lost'));
+      mockConfig.processing.retryDelayMs = 60000;
+      connector.isRunning = true;
+      connector.loopPromise = connector.processingLoop();
+      await new Promise(resolve => setImmediate(resolve));
+
+      const result = await connector.stop();
+
+      expect(result.drained).toBe(true);
+    });
+
+    it('should report the messages left pending for this consumer', async () => {
+      connector.isRunning = true;
+      mockRedisService.getConsumers.mockResolvedValue([
+        { name: 'test-consumer', pending: 3, idleMs: 10 },
+        { name: 'other-consumer', pending: 5, idleMs: 10 },
+      ]);
+
+      const result = await connector.stop();
+
+      expect(result.pendingMessages).toBe(3);
+      expect(mockLogger.info).toHaveBeenCalledWith({ pendingMessages: 3 }, 'Messages left pending for this consumer.');
+    });
+
+    it('should still stop when the blocking read cannot be interrupted', async () => {
+      connector.isRunning = true;
+      mockRedisService.unblockReads.mockRejectedValue(new Error('Connection refused'));
+
+      await connector.stop();
+
+      expect(mockLogger.warn).toHaveBeenCalledWith(
+        { err: expect.any(Error) },
+        'Failed to interrupt the blocking read. Waiting for it to time out.'
+      );
+      expect(mockRedisService.disconnect).toHaveBeenCalled();
+    });
   });
 
   describe('processingLoop', () => {
@@ -171,14 +293,14 @@ describe('StreamConnector', () => {
         return [];
       });
       
-      mockOutputService.sendBatch.mockResolvedValue(2);
+      mockOutputService.sendBatch.mockResolvedValue([succeeded(), succeeded()]);
       mockRedisService.ackMessages.mockResolvedValue(2);
       
       await connector.processingLoop();
       
       expect(mockOutputService.sendBatch).toHaveBeenCalledWith([
-        { body: { key1: 'value1', data: 'test1' }, correlationId: '1-0' },
-        { body: { key2: 'value2', data: 'test2' }, correlationId: '2-0' },
+        outputEvent({ key1: 'value1', data: 'test1' }, '1-0'),
+        outputEvent({ key2: 'value2', data: 'test2' }, '2-0'),
       ]);
       expect(mockRedisService.ackMessages).toHaveBeenCalledWith(
         'test-stream',
@@ -186,11 +308,84 @@ describe('StreamConnector', () => {
         ['1-0', '2-0']
       );
       expect(mockLogger.info).toHaveBeenCalledWith(
-        { sentCount: 2, ackCount: 2 },
+        { stream: 'test-stream', sentCount: 2, ackCount: 2, skippedCount: 0, duplicateCount: 0, deadLetteredCount: 0 },
         expect.any(String)
       );
     });
 
+    it('should read its own pending messages before new ones', async () => {
+      mockRedisService.fetchPendingMessages
+        .mockResolvedValueOnce({ messages: [{ id: '1-0', fields: ['data', 'old'] }], lastId: '1-0' })
+        .mockResolvedValueOnce({ messages: [], lastId: null });
+      mockRedisService.fetchMessages.mockImplementationOnce(async () => {
+        connector.isRunning = false;
+        return [];
+      });
+      mockOutputService.sendBatch.mockResolvedValue([succeeded()]);
+
+      await connector.processingLoop();
+
+      expect(mockRedisService.fetchPendingMessages).toHaveBeenNthCalledWith(
+        1, 'test-stream', 'test-group', 'test-consumer', 10, '0'
+      );
+      expect(mockRedisService.fetchPendingMessages).toHaveBeenNthCalledWith(
+        2, 'test-stream', 'test-group', 'test-consumer', 10, '1-0'
+      );
+      expect(mockRedisService.fetchMessages).toHaveBeenCalledWith('test-stream', 'test-group', 'test-consumer', 10, 100);
+      expect(mockRedisService.ackMessages).toHaveBeenCalledWith('test-stream', 'test-group', ['1-0']);
+      expect(connector.routes.get('test-stream').pendingCursor).toBeNull();
+    });
+
+    it('should read past pending pages holding only deleted entries', async () => {
+      mockRedisService.fetchPendingMessages
+        .mockResolvedValueOnce({ messages: [], lastId: '10-0' })
+        .mockResolvedValueOnce({ messages: [{ id: '11-0', fields: ['data', 'old'] }], lastId: '11-0' });
+
+      const messages = await connector.nextMessages();
+
+      expect(mockRedisService.fetchPendingMessages).toHaveBeenLastCalledWith(
+        'test-stream', 'test-group', 'test-consumer', 10, '10-0'
+      );
+      expect(messages).toEqual([{ stream: 'test-stream', id: '11-0', fields: ['data', 'old'] }]);
+      expect(connector.routes.get('test-stream').pendingCursor).toBe('11-0');
+      expect(mockRedisService.fetchMessages).not.toHaveBeenCalled();
+    });
+
+    it('should process recovered messages before fetching', async () => {
+      connector.routes.get('test-stream').pendingCursor = null;
+      connector.queueRecoveredMessages([
+        { stream: 'test-stream', id: '1-0', fields: ['data', 'claimed1'] },
+        { stream: 'test-stream', id: '2-0', fields: ['data', 'claimed2'] },
+      ]);
+      mockRedisService.fetchMessages.mockImplementation(async () => {
+        connector.isRunning = false;
+        return [];
+      });
+      mockOutputService.sendBatch.mockResolvedValue([succeeded(), succeeded()]);
+
+      await connector.processingLoop();
+
+      expect(mockOutputService.sendBatch).toHaveBeenCalledWith([
+        outputEvent({ data: 'claimed1' }, '1-0'),
+        outputEvent({ data: 'claimed2' }, '2-0'),
+      ]);
+      expect(mockRedisService.ackMessages).toHaveBeenCalledWith('test-stream', 'test-group', ['1-0', '2-0']);
+      expect(connector.recoveredMessages).toEqual([]);
+    });
+
+    it('should not queue the same recovered message twice', () => {
+      connector.queueRecoveredMessages([{ stream: 'test-stream', id: '1-0', fields: [] }]);
+      connector.queueRecoveredMessages([
+        { stream: 'test-stream', id: '1-0', fields: [] },
+        { stream: 'test-stream', id: '2-0', fields: [] },
+        { stream: 'other-stream', id: '1-0', fields: [] },
+      ]);
+
+      expect(connector.recoveredMessages.map(msg => `${msg.stream}/${msg.id}`)).toEqual([
+        'test-stream/1-0', 'test-stream/2-0', 'other-stream/1-0',
+      ]);
+    });
+
     it('should handle empty message batches', async () => {
       mockRedisService.fetchMessages.mockResolvedValueOnce([]);
       connector.isRunning = false; // Exit immediately
@@ -226,6 +421,36 @@ describe('StreamConnector', () => {
       );
     });
 
+    it('should recreate a missing consumer group and read again right away', async () => {
+      mockRedisService.fetchMessages
+        .mockRejectedValueOnce(new Error("NOGROUP No such key 'test-stream' or consumer group 'test-group' in XREADGROUP with GROUP option"))
+        .mockImplementationOnce(async () => {
+          connector.isRunning = false;
+          return [];
+        });
+      const delay = jest.spyOn(connector, 'delay');
+
+      await connector.processingLoop();
+
+      expect(mockRedisService.initializeGroup).toHaveBeenCalledWith('test-stream', 'test-group', '$');
+      expect(mockLogger.warn).toHaveBeenCalledWith(expect.any(Object), 'Consumer group is missing. Recreating it...');
+      expect(mockRedisService.fetchMessages).toHaveBeenCalledTimes(2);
+      expect(delay).not.toHaveBeenCalled();
+    });
+
+    it('should retry after a delay when the group cannot be recreated', async () => {
+      mockRedisService.fetchMessages.mockImplementationOnce(async () => {
+        connector.isRunning = false;
+        throw new Error('NOGROUP No such key');
+      });
+      mockRedisService.initializeGroup.mockRejectedValueOnce(new Error('READONLY You can\'t write against a read only replica.'));
+
+      await connector.processingLoop();
+
+      expect(mockLogger.error).toHaveBeenCalledWith(expect.any(Object), 'Failed to recreate consumer groups.');
+      expect(mockLogger.error).toHaveBeenCalledWith(expect.any(Object), 'An error occurred in the processing loop. Retrying after delay...');
+    });
+
     it('should handle errors when claiming pending messages', async () => {
       jest.useFakeTimers();
       
@@ -247,4 +472,1292 @@ describe('StreamConnector', () => {
       jest.useRealTimers();
     });
   });
+
+  describe('in-flight batches', () => {
+    const flush = () => new Promise(resolve => setImmediate(resolve));
+    let sends;
+    let fetches;
+
+    beforeEach(() => {
+      mockConfig.processing.maxInFlightBatches = 2;
+      sends = [];
+      fetches = 0;
+      mockOutputService.sendBatch.mockImplementation(() => new Promise(resolve => sends.push(resolve)));
+      mockRedisService.fetchMessages.mockImplementation(async () => {
+        fetches++;
+        if (fetches <= 3) return [{ id: `${fetches}-0`, fields: ['n', String(fetches)] }];
+        connector.isRunning = false;
+        return [];
+      });
+    });
+
+    it('should read the next batch while earlier ones are sending, up to the limit', async () => {
+      connector.isRunning = true;
+      const loop = connector.processingLoop();
+      await flush();
+
+      expect(sends).toHaveLength(2);
+      expect(fetches).toBe(2);
+
+      sends[1]([succeeded()]);
+      await flush();
+
+      expect(mockRedisService.ackMessages).toHaveBeenCalledWith('test-stream', 'test-group', ['2-0']);
+      expect(mockRedisService.ackMessages).not.toHaveBeenCalledWith('test-stream', 'test-group', ['1-0']);
+      expect(fetches).toBe(3);
+
+      sends[0]([succeeded()]);
+      sends[2]([succeeded()]);
+      await loop;
+
+      expect(mockRedisService.ackMessages).toHaveBeenCalledWith('test-stream', 'test-group', ['1-0']);
+      expect(mockRedisService.ackMessages).toHaveBeenCalledWith('test-stream', 'test-group', ['3-0']);
+      expect(connector.inFlight.size).toBe(0);
+    });
+
+    it('should send the batches of an ordered route one after another', async () => {
+      connector = new StreamConnector({
+        config: mockConfig,
+        logger: mockLogger,
+        redisService: mockRedisService,
+        routes: [{ stream: 'test-stream', consumerGroup: 'test-group', outputService: mockOutputService, ordered: true }],
+      });
+      connector.isRunning = true;
+      const loop = connector.processingLoop();
+      await flush();
+
+      expect(fetches).toBe(2);
+      expect(sends).toHaveLength(1);
+
+      sends[0]([succeeded()]);
+      await flush();
+      expect(sends).toHaveLength(2);
+      expect(mockOutputService.sendBatch).toHaveBeenLastCalledWith([outputEvent({ n: '2' }, '2-0')]);
+
+      sends[1]([succeeded()]);
+      await flush();
+      sends[2]([succeeded()]);
+      await loop;
+
+      expect(mockRedisService.ackMessages).toHaveBeenCalledTimes(3);
+    });
+
+    it('should stop reading until a batch slot frees up', async () => {
+      mockConfig.processing.maxInFlightBatches = 1;
+      connector.isRunning = true;
+      const loop = connector.processingLoop();
+      await flush();
+
+      expect(fetches).toBe(1);
+
+      sends[0]([succeeded()]);
+      await flush();
+      expect(fetches).toBe(2);
+
+      sends[1]([succeeded()]);
+      await flush();
+      sends[2]([succeeded()]);
+      await loop;
+    });
+  });
+
+  describe('dead-lettering', () => {
+    let mockDeadLetterService;
+    let route;
+
+    beforeEach(() => {
+      mockDeadLetterService = {
+        isExhausted: jest.fn(count => count >= 3),
+        deadLetter: jest.fn().mockResolvedValue('9999-0'),
+      };
+      connector = new StreamConnector({
+        config: mockConfig,
+        logger: mockLogger,
+        redisService: mockRedisService,
+        outputService: mockOutputService,
+        deadLetterService: mockDeadLetterService,
+      });
+      route = connector.routes.get('test-stream');
+    });
+
+    it('should dead-letter idle messages that reached the max delivery count', async () => {
+      mockRedisService.getPendingMessages.mockResolvedValue([
+        { id: '1-0', consumer: 'other', idleMs: 1000, deliveryCount: 3 },
+        { id: '2-0', consumer: 'other', idleMs: 1000, deliveryCount: 1 },
+        { id: '3-0', consumer: 'other', idleMs: 100, deliveryCount: 5 },
+      ]);
+      mockRedisService.claimMessages.mockResolvedValue([{ id: '1-0', fields: ['data', 'test1'] }]);
+      connector.recordFailures(route, ['1-0'], 'Event too large');
+
+      const result = await connector.deadLetterExhaustedMessages(route);
+
+      expect(mockRedisService.claimMessages).toHaveBeenCalledWith(
+        'test-stream', 'test-group', 'test-consumer', 500, ['1-0']
+      );
+      expect(mockDeadLetterService.deadLetter).toHaveBeenCalledWith(
+        { id: '1-0', fields: ['data', 'test1'] },
+        { sourceStream: 'test-stream', groupName: 'test-group', reason: 'Event too large', attempts: 3 }
+      );
+      expect(connector.failureReasons.has('test-stream/1-0')).toBe(false);
+      expect(result).toBe(1);
+    });
+
+    it('should look for exhausted messages past the first page of pending entries', async () => {
+      const young = Array.from({ length: 100 }, (_, i) => ({ id: `1-${i}`, consumer: 'other', idleMs: 10, deliveryCount: 1 }));
+      mockRedisService.getPendingMessages
+        .mockResolvedValueOnce(young)
+        .mockResolvedValueOnce([{ id: '2-0', consumer: 'other', idleMs: 1000, deliveryCount: 3 }]);
+      mockRedisService.claimMessages.mockResolvedValue([{ id: '2-0', fields: ['data', 'test2'] }]);
+
+      expect(await connector.deadLetterExhaustedMessages(route)).toBe(1);
+
+      expect(mockRedisService.getPendingMessages).toHaveBeenNthCalledWith(1, 'test-stream', 'test-group', 100, { start: '-' });
+      expect(mockRedisService.getPendingMessages).toHaveBeenNthCalledWith(2, 'test-stream', 'test-group', 100, { start: '1-100' });
+      expect(mockRedisService.claimMessages).toHaveBeenCalledWith('test-stream', 'test-group', 'test-consumer', 500, ['2-0']);
+    });
+
+    it('should use a generic reason when the failure is unknown', async () => {
+      mockRedisService.getPendingMessages.mockResolvedValue([
+        { id: '1-0', consumer: 'other', idleMs: 1000, deliveryCount: 4 },
+      ]);
+      mockRedisService.claimMessages.mockResolvedValue([{ id: '1-0', fields: ['data', 'test1'] }]);
+
+      await connector.deadLetterExhaustedMessages(route);
+
+      expect(mockDeadLetterService.deadLetter).toHaveBeenCalledWith(
+        expect.anything(),
+        expect.objectContaining({ reason: 'Max delivery attempts exceeded', attempts: 4 })
+      );
+    });
+
+    it('should ack exhausted entries that no longer exist in the stream', async () => {
+      mockRedisService.getPendingMessages.mockResolvedValue([
+        { id: '1-0', consumer: 'other', idleMs: 1000, deliveryCount: 3 },
+      ]);
+      mockRedisService.claimMessages.mockResolvedValue([]);
+
+      await connector.deadLetterExhaustedMessages(route);
+
+      expect(mockDeadLetterService.deadLetter).not.toHaveBeenCalled();
+      expect(mockRedisService.ackMessages).toHaveBeenCalledWith('test-stream', 'test-group', ['1-0']);
+    });
+
+    it('should record failure reasons for failed sends', async () => {
+      connector.isRunning = true;
+      let callCount = 0;
+      mockRedisService.fetchMessages.mockImplementation(async () => {
+        if (callCount++ === 0) {
+          return [{ id: '1-0', fields: ['data', 'test1'] }];
+        }
+        connector.isRunning = false;
+        return [];
+      });
+      mockOutputService.sendBatch.mockRejectedValueOnce(new Error('Send failed'));
+
+      await connector.processingLoop();
+
+      expect(connector.failureReasons.get('test-stream/1-0')).toBe('Send failed');
+    });
+
+    it('should dead-letter messages the output service permanently rejected', async () => {
+      mockOutputService.sendBatch.mockResolvedValue([succeeded(), skipped('Event is too large')]);
+      mockRedisService.ackMessages.mockResolvedValue(1);
+      mockRedisService.getPendingMessages.mockResolvedValue([
+        { id: '2-0', consumer: 'test-consumer', idleMs: 10, deliveryCount: 2 },
+      ]);
+
+      await connector.processBatch(route, [
+        { id: '1-0', fields: ['data', 'ok'] },
+        { id: '2-0', fields: ['data', 'huge'] },
+      ]);
+
+      expect(mockRedisService.ackMessages).toHaveBeenCalledWith('test-stream', 'test-group', ['1-0']);
+      expect(mockRedisService.getPendingMessages).toHaveBeenCalledWith(
+        'test-stream', 'test-group', 1, { start: '2-0', end: '2-0' }
+      );
+      expect(mockDeadLetterService.deadLetter).toHaveBeenCalledWith(
+        { id: '2-0', fields: ['data', 'huge'] },
+        { sourceStream: 'test-stream', groupName: 'test-group', reason: 'Event is too large', attempts: 2 }
+      );
+      expect(mockLogger.info).toHaveBeenCalledWith(
+        { stream: 'test-stream', sentCount: 1, ackCount: 1, skippedCount: 0, duplicateCount: 0, deadLetteredCount: 1 },
+        'Successfully processed a batch of messages.'
+      );
+    });
+
+    it('should retry rejected messages that could not be dead-lettered', async () => {
+      mockOutputService.sendBatch.mockResolvedValue([skipped('Event is too large')]);
+      mockDeadLetterService.deadLetter.mockRejectedValue(new Error('XADD failed'));
+
+      await connector.processBatch(route, [{ id: '1-0', fields: ['data', 'huge'] }]);
+
+      expect(connector.failureReasons.get('test-stream/1-0')).toBe('Event is too large');
+      expect(mockLogger.error).toHaveBeenCalledWith(
+        expect.objectContaining({ messageId: '1-0' }),
+        'Failed to dead-letter rejected message.'
+      );
+    });
+
+    it('should run before claiming pending messages', async () => {
+      jest.useFakeTimers();
+      connector.processingLoop = jest.fn().mockResolvedValue();
+
+      await connector.start();
+      await jest.advanceTimersByTimeAsync(1000);
+
+      expect(mockRedisService.getPendingMessages).toHaveBeenCalledWith('test-stream', 'test-group', 100, { start: '-' });
+      expect(mockRedisService.claimPendingMessages).toHaveBeenCalled();
+
+      jest.useRealTimers();
+    });
+  });
+
+  describe('checkReadiness', () => {
+    it('should be ready when Redis, output service and loop are healthy', async () => {
+      connector.isRunning = true;
+      connector.lastLoopAt = Date.now();
+      mockOutputService.isReady = jest.fn().mockReturnValue(true);
+
+      const result = await connector.checkReadiness();
+
+      expect(result).toEqual({ ready: true, checks: { redis: true, output: true, circuit: true, loop: true }, circuits: {} });
+    });
+
+    it('should not be ready when Redis ping fails', async () => {
+      connector.isRunning = true;
+      connector.lastLoopAt = Date.now();
+      mockRedisService.ping.mockRejectedValue(new Error('Connection lost'));
+
+      const result = await connector.checkReadiness();
+
+      expect(result.ready).toBe(false);
+      expect(result.checks.redis).toBe(false);
+    });
+
+    it('should not be ready when the output service is not connected', async () => {
+      connector.isRunning = true;
+      connector.lastLoopAt = Date.now();
+      mockOutputService.isReady = jest.fn().mockReturnValue(false);
+
+      const result = await connector.checkReadiness();
+
+      expect(result.checks.output).toBe(false);
+    });
+
+    it('should not be ready when the loop has stalled', async () => {
+      connector.isRunning = true;
+      connector.lastLoopAt = Date.now() - 5000;
+
+      const result = await connector.checkReadiness({ stallThresholdMs: 1000 });
+
+      expect(result.ready).toBe(false);
+      expect(result.checks.loop).toBe(false);
+    });
+
+    it('should not be ready before the loop has started', async () => {
+      const result = await connector.checkReadiness();
+
+      expect(result.checks.loop).toBe(false);
+    });
+  });
+
+  describe('metrics', () => {
+    it('should count fetched, acked and failed messages', async () => {
+      connector.isRunning = true;
+      connector.routes.get('test-stream').pendingCursor = null;
+      let callCount = 0;
+      mockRedisService.fetchMessages.mockImplementation(async () => {
+        if (callCount++ === 0) {
+          return [{ id: '1-0', fields: ['a', '1'] }, { id: '2-0', fields: ['a', '2'] }];
+        }
+        connector.isRunning = false;
+        return [];
+      });
+      mockOutputService.sendBatch.mockResolvedValue([succeeded(), failed('Throttled')]);
+      mockRedisService.ackMessages.mockResolvedValue(1);
+
+      await connector.processingLoop();
+
+      const output = await connector.metrics.render();
+      expect(output).toContain('connector_messages_fetched_total{stream="test-stream"} 2');
+      expect(output).toContain('connector_messages_acked_total{stream="test-stream"} 1');
+      expect(output).toContain('connector_messages_failed_total{stream="test-stream"} 1');
+      expect(output).toContain('connector_batch_duration_seconds_count{stream="test-stream"} 1');
+    });
+
+    it('should refresh consumer group stats on collect', async () => {
+      await connector.collectMetrics();
+
+      expect(mockRedisService.getGroupStats).toHaveBeenCalledWith('test-stream', 'test-group');
+    });
+
+    it('should not throw when group stats cannot be read', async () => {
+      mockRedisService.getGroupStats.mockRejectedValue(new Error('NOGROUP'));
+
+      await expect(connector.collectMetrics()).resolves.toBeUndefined();
+      expect(mockLogger.warn).toHaveBeenCalled();
+    });
+  });
+
+  describe('send retries', () => {
+    const azureError = (code, retryable) => Object.assign(new Error(code), { code, retryable });
+    const batch = [{ id: '1-0', fields: ['a', '1'] }, { id: '2-0', fields: ['a', '2'] }];
+
+    beforeEach(() => {
+      mockConfig.sendRetry = { maxAttempts: 3, initialDelayMs: 1, maxDelayMs: 1, maxElapsedMs: 1000 };
+      connector = new StreamConnector({
+        config: mockConfig,
+        logger: mockLogger,
+        redisService: mockRedisService,
+        outputService: mockOutputService,
+      });
+      connector.isRunning = true;
+    });
+
+    it('should resend only the events that failed', async () => {
+      mockOutputService.sendBatch
+        .mockResolvedValueOnce([succeeded(), failed('Throttled')])
+        .mockResolvedValueOnce([succeeded()]);
+
+      await connector.processBatch(connector.routes.get('test-stream'), batch);
+
+      expect(mockOutputService.sendBatch).toHaveBeenCalledTimes(2);
+      expect(mockOutputService.sendBatch).toHaveBeenLastCalledWith([outputEvent({ a: '2' }, '2-0')]);
+      expect(mockRedisService.ackMessages).toHaveBeenCalledWith('test-stream', 'test-group', ['1-0', '2-0']);
+      expect(mockLogger.warn).toHaveBeenCalledWith(
+        expect.objectContaining({ stream: 'test-stream', attempt: 1, failedCount: 1 }),
+        'Send failed. Retrying after backoff...'
+      );
+    });
+
+    it('should retry transient send errors', async () => {
+      mockOutputService.sendBatch
+        .mockRejectedValueOnce(azureError('ServerBusyError', true))
+        .mockResolvedValueOnce([succeeded(), succeeded()]);
+
+      await connector.processBatch(connector.routes.get('test-stream'), batch);
+
+      expect(mockOutputService.sendBatch).toHaveBeenCalledTimes(2);
+      expect(mockRedisService.ackMessages).toHaveBeenCalledWith('test-stream', 'test-group', ['1-0', '2-0']);
+    });
+
+    it('should leave messages pending once the attempts are used up', async () => {
+      mockOutputService.sendBatch.mockRejectedValue(azureError('ServiceUnavailableError', true));
+
+      await connector.processBatch(connector.routes.get('test-stream'), batch);
+
+      expect(mockOutputService.sendBatch).toHaveBeenCalledTimes(3);
+      expect(mockRedisService.ackMessages).not.toHaveBeenCalled();
+      expect(mockLogger.error).toHaveBeenCalledWith(
+        expect.objectContaining({ messageCount: 2 }),
+        'Failed to send batch to output service. Messages will not be acknowledged and will be retried.'
+      );
+    });
+
+    it('should not retry fatal errors', async () => {
+      mockOutputService.sendBatch.mockRejectedValue(new EventHubsError('Unauthorized', azureError('UnauthorizedError', false)));
+
+      await connector.processBatch(connector.routes.get('test-stream'), batch);
+
+      expect(mockOutputService.sendBatch).toHaveBeenCalledTimes(1);
+    });
+
+    it('should keep events sent by an earlier attempt when a later one throws', async () => {
+      mockOutputService.sendBatch
+        .mockResolvedValueOnce([succeeded(), failed('Throttled')])
+        .mockRejectedValue(azureError('UnauthorizedError'));
+
+      await connector.processBatch(connector.routes.get('test-stream'), batch);
+
+      expect(mockRedisService.ackMessages).toHaveBeenCalledWith('test-stream', 'test-group', ['1-0']);
+      expect(mockLogger.warn).toHaveBeenCalledWith(
+        expect.objectContaining({ sent: 1, failed: 1, reasons: ['UnauthorizedError'] }),
+        'Some messages were not sent and will be retried.'
+      );
+    });
+
+    it('should not retry while stopping', async () => {
+      connector.isRunning = false;
+      mockOutputService.sendBatch.mockResolvedValue([succeeded(), failed('Throttled')]);
+
+      await connector.processBatch(connector.routes.get('test-stream'), batch);
+
+      expect(mockOutputService.sendBatch).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('circuit breaker', () => {
+    beforeEach(() => {
+      mockConfig.circuitBreaker = { enabled: true, failureThreshold: 2, resetTimeoutMs: 1000 };
+      connector = new StreamConnector({
+        config: mockConfig,
+        logger: mockLogger,
+        redisService: mockRedisService,
+        outputService: mockOutputService,
+      });
+      connector.isRunning = true;
+      connector.routes.get('test-stream').pendingCursor = null;
+    });
+
+    const sendFailingBatch = () => connector.processBatch(connector.routes.get('test-stream'), [{ id: '1-0', fields: ['a', '1'] }]);
+
+    it('should open after consecutive failed batches and stop reading', async () => {
+      mockOutputService.sendBatch.mockRejectedValue(new Error('Connection refused'));
+      await sendFailingBatch();
+      expect(connector.routes.get('test-stream').circuitBreaker.state).toBe('closed');
+
+      mockOutputService.sendBatch.mockResolvedValue([failed('Connection refused')]);
+      await sendFailingBatch();
+
+      expect(connector.routes.get('test-stream').circuitBreaker.state).toBe('open');
+      expect(mockLogger.warn).toHaveBeenCalledWith(
+        expect.objectContaining({ stream: 'test-stream', previous: 'closed', state: 'open' }),
+        'Circuit opened. Reading stops until the output recovers.'
+      );
+
+      jest.useFakeTimers();
+      const fetchPromise = connector.fetchNewMessages();
+      await jest.advanceTimersByTimeAsync(100);
+      expect(await fetchPromise).toEqual([]);
+      expect(mockRedisService.fetchMessages).not.toHaveBeenCalled();
+      jest.useRealTimers();
+    });
+
+    it('should not claim pending messages of a route whose circuit is open', async () => {
+      connector.routes.get('test-stream').circuitBreaker.resetTimeoutMs = 60000;
+      connector.routes.get('test-stream').circuitBreaker.recordFailure();
+      connector.routes.get('test-stream').circuitBreaker.recordFailure();
+      jest.useFakeTimers();
+
+      connector.startPendingMessageRecovery();
+      await jest.advanceTimersByTimeAsync(1000);
+
+      expect(mockRedisService.claimPendingMessages).not.toHaveBeenCalled();
+      clearInterval(connector.pendingClaimInterval);
+      jest.useRealTimers();
+    });
+
+    it('should probe after the reset timeout and close on success', async () => {
+      const breaker = connector.routes.get('test-stream').circuitBreaker;
+      breaker.recordFailure();
+      breaker.recordFailure();
+      breaker.openedAt -= 1000;
+      mockRedisService.fetchMessages.mockResolvedValue([{ id: '2-0', fields: ['a', '2'] }]);
+      mockOutputService.sendBatch.mockResolvedValue([succeeded()]);
+
+      const messages = await connector.fetchNewMessages();
+      expect(breaker.state).toBe('half-open');
+
+      await connector.processBatch(connector.routes.get('test-stream'), messages);
+      expect(breaker.state).toBe('closed');
+      expect(mockLogger.info).toHaveBeenCalledWith(
+        expect.objectContaining({ stream: 'test-stream', previous: 'half-open', state: 'closed' }),
+        'Circuit closed. Reading resumes.'
+      );
+    });
+
+    it('should hold other batches back while the probe is in flight', async () => {
+      const route = connector.routes.get('test-stream');
+      route.circuitBreaker.recordFailure();
+      route.circuitBreaker.recordFailure();
+      route.circuitBreaker.openedAt -= 1000;
+      let resolveProbe;
+      mockOutputService.sendBatch.mockReturnValueOnce(new Promise((resolve) => { resolveProbe = resolve; }));
+      mockRedisService.ackMessages.mockResolvedValue(1);
+
+      const probe = connector.processBatch(route, [{ id: '2-0', fields: ['a', '2'] }]);
+      await new Promise(setImmediate);
+      const retryIds = await connector.processBatch(route, [{ id: '3-0', fields: ['a', '3'] }]);
+
+      expect(retryIds).toEqual(['3-0']);
+      expect(mockOutputService.sendBatch).toHaveBeenCalledTimes(1);
+      expect(connector.isRouteAvailable(route)).toBe(false);
+
+      resolveProbe([succeeded()]);
+      expect(await probe).toEqual([]);
+      expect(route.circuitBreaker.state).toBe('closed');
+      expect(connector.isRouteAvailable(route)).toBe(true);
+    });
+
+    it('should count a batch with accepted events as a success', async () => {
+      mockOutputService.sendBatch.mockRejectedValueOnce(new Error('Connection refused'));
+      await sendFailingBatch();
+      mockOutputService.sendBatch.mockResolvedValue([skipped('Too large')]);
+      await sendFailingBatch();
+
+      expect(connector.routes.get('test-stream').circuitBreaker.failures).toBe(0);
+    });
+
+    it('should report open circuits in readiness', async () => {
+      connector.lastLoopAt = Date.now();
+      connector.routes.get('test-stream').circuitBreaker.recordFailure();
+      connector.routes.get('test-stream').circuitBreaker.recordFailure();
+
+      const result = await connector.checkReadiness();
+
+      expect(result.ready).toBe(false);
+      expect(result.checks.circuit).toBe(false);
+      expect(result.circuits).toEqual({ 'test-stream': 'open' });
+    });
+  });
+
+  describe('adaptive batch size', () => {
+    const messages = count => Array.from({ length: count }, (_, i) => ({ id: `${i + 1}-0`, fields: ['n', String(i)] }));
+
+    beforeEach(() => {
+      mockConfig.processing.batchSize = 4;
+      mockConfig.processing.adaptiveBatchSize = { enabled: true, min: 2, max: 8, targetLatencyMs: 1000 };
+      connector = new StreamConnector({
+        config: mockConfig,
+        logger: mockLogger,
+        redisService: mockRedisService,
+        outputService: mockOutputService,
+      });
+    });
+
+    it('should use BATCH_SIZE when disabled', () => {
+      mockConfig.processing.adaptiveBatchSize.enabled = false;
+      connector = new StreamConnector({ config: mockConfig, logger: mockLogger, redisService: mockRedisService, outputService: mockOutputService });
+
+      expect(connector.batchSizer).toBeNull();
+      expect(connector.currentBatchSize()).toBe(4);
+    });
+
+    it('should grow after full batches that are sent quickly', async () => {
+      const route = connector.routes.get('test-stream');
+      mockOutputService.sendBatch.mockResolvedValue(Array(4).fill(succeeded()));
+
+      for (let i = 0; i < 3; i++) await connector.processBatch(route, messages(4));
+
+      expect(connector.currentBatchSize()).toBe(6);
+      expect(mockLogger.info).toHaveBeenCalledWith(
+        { size: 6, previous: 4, reason: 'Full batches sent within the target latency' },
+        'Adjusted batch size.'
+      );
+      expect(await connector.metrics.render()).toContain('connector_batch_size 6');
+
+      connector.isRunning = true;
+      await connector.fetchNewMessages();
+      expect(mockRedisService.fetchMessages).toHaveBeenCalledWith('test-stream', 'test-group', 'test-consumer', 6, 100);
+    });
+
+    it('should shrink when the output throttles', async () => {
+      mockOutputService.sendBatch.mockResolvedValue([failed('ServerBusy: the request was throttled'), succeeded()]);
+
+      await connector.processBatch(connector.routes.get('test-stream'), messages(2));
+
+      expect(connector.currentBatchSize()).toBe(2);
+    });
+
+    it('should shrink when a send times out', async () => {
+      mockOutputService.sendBatch.mockRejectedValue(Object.assign(new Error('Send timed out'), { code: 'OperationTimeoutError' }));
+
+      await connector.processBatch(connector.routes.get('test-stream'), messages(4));
+
+      expect(connector.currentBatchSize()).toBe(2);
+    });
+
+    it('should keep the size on other failures', async () => {
+      mockOutputService.sendBatch.mockRejectedValue(new Error('Unauthorized'));
+
+      await connector.processBatch(connector.routes.get('test-stream'), messages(4));
+
+      expect(connector.currentBatchSize()).toBe(4);
+    });
+  });
+
+  describe('adaptive poll timeout', () => {
+    beforeEach(() => {
+      mockConfig.processing.pollTimeoutMs = 400;
+      mockConfig.processing.adaptivePollTimeout = { enabled: true, minMs: 100, maxMs: 1600 };
+      connector = new StreamConnector({
+        config: mockConfig,
+        logger: mockLogger,
+        redisService: mockRedisService,
+        outputService: mockOutputService,
+      });
+    });
+
+    it('should use POLL_TIMEOUT_MS when disabled', async () => {
+      mockConfig.processing.adaptivePollTimeout.enabled = false;
+      connector = new StreamConnector({ config: mockConfig, logger: mockLogger, redisService: mockRedisService, outputService: mockOutputService });
+
+      expect(connector.pollTuner).toBeNull();
+      expect(connector.currentPollTimeout()).toBe(400);
+      expect(await connector.metrics.render()).toContain('connector_poll_timeout_ms 400');
+    });
+
+    it('should shorten the timeout while reads come back full', async () => {
+      for (let i = 0; i < 3; i++) connector.adaptPollTimeout(10, 10);
+
+      expect(connector.currentPollTimeout()).toBe(200);
+      expect(mockLogger.info).toHaveBeenCalledWith(
+        { timeoutMs: 200, previous: 400, reason: 'Reads come back full' },
+        'Adjusted poll timeout.'
+      );
+      expect(await connector.metrics.render()).toContain('connector_poll_timeout_ms 200');
+
+      connector.isRunning = true;
+      await connector.fetchNewMessages();
+      expect(mockRedisService.fetchMessages).toHaveBeenCalledWith('test-stream', 'test-group', 'test-consumer', 10, 200);
+    });
+
+    it('should lengthen the timeout while reads come back empty', async () => {
+      for (let i = 0; i < 3; i++) connector.adaptPollTimeout(0, 10);
+
+      expect(connector.currentPollTimeout()).toBe(800);
+      expect(await connector.metrics.render()).toContain('connector_poll_timeout_ms 800');
+    });
+
+    it('should feed every read of the processing loop into the tuner', async () => {
+      jest.spyOn(connector, 'nextMessages').mockImplementation(async () => {
+        if (connector.pollTuner.emptyReads === 2) connector.isRunning = false;
+        return [];
+      });
+      connector.isRunning = true;
+
+      await connector.processingLoop();
+
+      expect(connector.currentPollTimeout()).toBe(800);
+    });
+
+    it('should allow for the longest timeout in the readiness check', async () => {
+      connector.isRunning = true;
+      connector.lastLoopAt = Date.now() - 1500;
+
+      const result = await connector.checkReadiness({ stallThresholdMs: 1000 });
+
+      expect(result.checks.loop).toBe(true);
+    });
+  });
+
+  describe('multiple routes', () => {
+    let auditOutput;
+    let ordersOutput;
+
+    beforeEach(() => {
+      auditOutput = { sendBatch: jest.fn().mockResolvedValue([succeeded()]), disconnect: jest.fn().mockResolvedValue(undefined), isReady: jest.fn().mockReturnValue(true) };
+      ordersOutput = { sendBatch: jest.fn().mockResolvedValue([succeeded()]), disconnect: jest.fn().mockResolvedValue(undefined), isReady: jest.fn().mockReturnValue(true) };
+      mockRedisService.fetchMessagesFromStreams = jest.fn().mockResolvedValue([]);
+
+      connector = new StreamConnector({
+        config: mockConfig,
+        logger: mockLogger,
+        redisService: mockRedisService,
+        routes: [
+          { stream: 'audit', consumerGroup: 'test-group', outputService: auditOutput },
+          { stream: 'orders', consumerGroup: 'test-group', outputService: ordersOutput },
+          { stream: 'billing', consumerGroup: 'billing-group', outputService: ordersOutput },
+        ],
+      });
+      for (const route of connector.routes.values()) route.pendingCursor = null;
+    });
+
+    it('should initialize a consumer group for every route', async () => {
+      connector.processingLoop = jest.fn().mockResolvedValue();
+
+      await connector.start();
+
+      expect(mockRedisService.initializeGroup).toHaveBeenCalledWith('audit', 'test-group', '$');
+      expect(mockRedisService.initializeGroup).toHaveBeenCalledWith('orders', 'test-group', '$');
+      expect(mockRedisService.initializeGroup).toHaveBeenCalledWith('billing', 'billing-group', '$');
+    });
+
+    it('should create groups at the start ID of their route', async () => {
+      connector = new StreamConnector({
+        config: mockConfig,
+        logger: mockLogger,
+        redisService: mockRedisService,
+        routes: [{ stream: 'audit', consumerGroup: 'test-group', groupStartId: '0-0', outputService: auditOutput }],
+      });
+      connector.processingLoop = jest.fn().mockResolvedValue();
+
+      await connector.start();
+
+      expect(mockRedisService.initializeGroup).toHaveBeenCalledWith('audit', 'test-group', '0-0');
+    });
+
+    it('should read streams sharing a group in one call and split the poll timeout between groups', async () => {
+      connector.isRunning = true;
+      await connector.fetchNewMessages();
+
+      expect(mockRedisService.fetchMessagesFromStreams).toHaveBeenCalledWith(
+        ['audit', 'orders'], 'test-group', 'test-consumer', 10, 50
+      );
+      expect(mockRedisService.fetchMessages).toHaveBeenCalledWith(
+        'billing', 'billing-group', 'test-consumer', 10, 50
+      );
+    });
+
+    it('should not block on later groups once messages were fetched', async () => {
+      connector.isRunning = true;
+      mockRedisService.fetchMessagesFromStreams.mockResolvedValue([
+        { stream: 'audit', id: '1-0', fields: ['a', '1'] },
+      ]);
+
+      const messages = await connector.fetchNewMessages();
+
+      expect(mockRedisService.fetchMessages).toHaveBeenCalledWith(
+        'billing', 'billing-group', 'test-consumer', 10, null
+      );
+      expect(messages).toEqual([{ stream: 'audit', id: '1-0', fields: ['a', '1'] }]);
+    });
+
+    it('should not start reading another group once stopping', async () => {
+      connector.isRunning = true;
+      mockRedisService.fetchMessagesFromStreams.mockImplementation(async () => {
+        connector.isRunning = false;
+        return [];
+      });
+
+      await connector.fetchNewMessages();
+
+      expect(mockRedisService.fetchMessages).not.toHaveBeenCalled();
+    });
+
+    it('should send each stream to its own output and ack per stream', async () => {
+      connector.isRunning = true;
+      let callCount = 0;
+      mockRedisService.fetchMessagesFromStreams.mockImplementation(async () => {
+        if (callCount++ === 0) {
+          return [
+            { stream: 'audit', id: '1-0', fields: ['a', '1'] },
+            { stream: 'orders', id: '1-0', fields: ['o', '1'] },
+          ];
+        }
+        connector.isRunning = false;
+        return [];
+      });
+      mockRedisService.ackMessages.mockResolvedValue(1);
+
+      await connector.processingLoop();
+
+      expect(auditOutput.sendBatch).toHaveBeenCalledWith([outputEvent({ a: '1' }, '1-0', 'audit')]);
+      expect(ordersOutput.sendBatch).toHaveBeenCalledWith([outputEvent({ o: '1' }, '1-0', 'orders')]);
+      expect(mockRedisService.ackMessages).toHaveBeenCalledWith('audit', 'test-group', ['1-0']);
+      expect(mockRedisService.ackMessages).toHaveBeenCalledWith('orders', 'test-group', ['1-0']);
+    });
+
+    it('should claim pending messages for every route', async () => {
+      jest.useFakeTimers();
+      connector.processingLoop = jest.fn().mockResolvedValue();
+      mockRedisService.claimPendingMessages.mockImplementation(async (stream) =>
+        stream === 'orders' ? [{ id: '5-0', fields: ['o', '5'] }] : []
+      );
+
+      await connector.start();
+      await jest.advanceTimersByTimeAsync(1000);
+
+      expect(mockRedisService.claimPendingMessages).toHaveBeenCalledWith('billing', 'billing-group', 'test-consumer', 500);
+      expect(connector.recoveredMessages).toEqual([{ stream: 'orders', id: '5-0', fields: ['o', '5'] }]);
+
+      jest.useRealTimers();
+    });
+
+    it('should disconnect each output service once', async () => {
+      connector.isRunning = true;
+
+      await connector.stop();
+
+      expect(auditOutput.disconnect).toHaveBeenCalledTimes(1);
+      expect(ordersOutput.disconnect).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not be ready when any output service is not ready', async () => {
+      connector.isRunning = true;
+      connector.lastLoopAt = Date.now();
+      ordersOutput.isReady.mockReturnValue(false);
+
+      const result = await connector.checkReadiness();
+
+      expect(result.checks.output).toBe(false);
+    });
+  });
+
+  describe('transforms', () => {
+    beforeEach(() => {
+      connector = new StreamConnector({
+        config: mockConfig,
+        logger: mockLogger,
+        redisService: mockRedisService,
+        outputService: mockOutputService,
+        transformPipeline: TransformPipeline.fromConfig([
+          { type: 'cast', schema: { temp: 'number' } },
+        ]),
+      });
+    });
+
+    it('should send transformed events', async () => {
+      mockOutputService.sendBatch.mockResolvedValue([succeeded()]);
+
+      await connector.processBatch(connector.routes.get('test-stream'), [{ id: '1-0', fields: ['temp', '20.5'] }]);
+
+      expect(mockOutputService.sendBatch).toHaveBeenCalledWith([outputEvent({ temp: 20.5 }, '1-0')]);
+    });
+
+    it('should fail only the message whose transform throws', async () => {
+      mockOutputService.sendBatch.mockResolvedValue([succeeded(), succeeded()]);
+      mockRedisService.ackMessages.mockResolvedValue(2);
+
+      await connector.processBatch(connector.routes.get('test-stream'), [
+        { id: '1-0', fields: ['temp', '20'] },
+        { id: '2-0', fields: ['temp', 'hot'] },
+        { id: '3-0', fields: ['temp', '22'] },
+      ]);
+
+      expect(mockOutputService.sendBatch).toHaveBeenCalledWith([
+        outputEvent({ temp: 20 }, '1-0'),
+        outputEvent({ temp: 22 }, '3-0'),
+      ]);
+      expect(mockRedisService.ackMessages).toHaveBeenCalledWith('test-stream', 'test-group', ['1-0', '3-0']);
+      expect(mockLogger.error).toHaveBeenCalledWith(
+        expect.objectContaining({ stream: 'test-stream', messageId: '2-0' }),
+        'Failed to transform message. It will not be acknowledged.'
+      );
+    });
+
+    it('should not call the output service when every transform fails', async () => {
+      await connector.processBatch(connector.routes.get('test-stream'), [{ id: '1-0', fields: ['temp', 'hot'] }]);
+
+      expect(mockOutputService.sendBatch).not.toHaveBeenCalled();
+      expect(mockRedisService.ackMessages).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('filters', () => {
+    beforeEach(() => {
+      connector = new StreamConnector({
+        config: mockConfig,
+        logger: mockLogger,
+        redisService: mockRedisService,
+        outputService: mockOutputService,
+        filter: MessageFilter.fromConfig({ not: { field: 'level', equals: 'debug' } }),
+      });
+    });
+
+    it('should ack and skip messages that do not match the filter', async () => {
+      mockOutputService.sendBatch.mockResolvedValue([succeeded()]);
+      mockRedisService.ackMessages.mockResolvedValueOnce(1).mockResolvedValueOnce(1);
+
+      await connector.processBatch(connector.routes.get('test-stream'), [
+        { id: '1-0', fields: ['level', 'debug'] },
+        { id: '2-0', fields: ['level', 'info'] },
+      ]);
+
+      expect(mockOutputService.sendBatch).toHaveBeenCalledWith([outputEvent({ level: 'info' }, '2-0')]);
+      expect(mockRedisService.ackMessages).toHaveBeenCalledWith('test-stream', 'test-group', ['1-0']);
+      expect(mockRedisService.ackMessages).toHaveBeenCalledWith('test-stream', 'test-group', ['2-0']);
+      expect(mockLogger.info).toHaveBeenCalledWith(
+        { stream: 'test-stream', sentCount: 1, ackCount: 1, skippedCount: 1, duplicateCount: 0, deadLetteredCount: 0 },
+        'Successfully processed a batch of messages.'
+      );
+    });
+
+    it('should log skipped messages when the whole batch is filtered out', async () => {
+      await connector.processBatch(connector.routes.get('test-stream'), [
+        { id: '1-0', fields: ['level', 'debug'] },
+        { id: '2-0', fields: ['level', 'debug'] },
+      ]);
+
+      expect(mockOutputService.sendBatch).not.toHaveBeenCalled();
+      expect(mockRedisService.ackMessages).toHaveBeenCalledWith('test-stream', 'test-group', ['1-0', '2-0']);
+      expect(mockLogger.info).toHaveBeenCalledWith(
+        { stream: 'test-stream', sentCount: 0, ackCount: 0, skippedCount: 2, duplicateCount: 0 },
+        'Successfully processed a batch of messages.'
+      );
+    });
+
+    it('should still ack skipped messages when sending the rest fails', async () => {
+      mockOutputService.sendBatch.mockRejectedValue(new Error('Send failed'));
+
+      await connector.processBatch(connector.routes.get('test-stream'), [
+        { id: '1-0', fields: ['level', 'debug'] },
+        { id: '2-0', fields: ['level', 'info'] },
+      ]);
+
+      expect(mockRedisService.ackMessages).toHaveBeenCalledTimes(1);
+      expect(mockRedisService.ackMessages).toHaveBeenCalledWith('test-stream', 'test-group', ['1-0']);
+    });
+  });
+
+  describe('schema validation', () => {
+    const schema = { type: 'object', required: ['deviceId'], properties: { temperature: { type: 'number' } } };
+    let mockDeadLetterService;
+
+    const createConnector = (mode, deadLetterService) => new StreamConnector({
+      config: mockConfig,
+      logger: mockLogger,
+      redisService: mockRedisService,
+      routes: [{
+        stream: 'test-stream',
+        consumerGroup: 'test-group',
+        outputService: mockOutputService,
+        deadLetterService,
+        schemaValidator: SchemaValidator.fromConfig(schema, { mode }),
+      }],
+    });
+
+    const batch = [
+      { id: '1-0', fields: ['deviceId', 'sensor-1', 'temperature', '21.5'] },
+      { id: '2-0', fields: ['temperature', 'hot'] },
+    ];
+
+    beforeEach(() => {
+      mockDeadLetterService = { deadLetter: jest.fn().mockResolvedValue('9999-0') };
+      mockRedisService.getPendingMessages.mockResolvedValue([{ id: '2-0', consumer: 'test-consumer', idleMs: 0, deliveryCount: 1 }]);
+      mockOutputService.sendBatch.mockResolvedValue([succeeded()]);
+      mockRedisService.ackMessages.mockResolvedValue(1);
+    });
+
+    it('should dead-letter invalid messages with their validation errors', async () => {
+      connector = createConnector('reject', mockDeadLetterService);
+
+      const retryIds = await connector.processBatch(connector.routes.get('test-stream'), batch);
+
+      expect(mockOutputService.sendBatch).toHaveBeenCalledWith([outputEvent({ deviceId: 'sensor-1', temperature: '21.5' }, '1-0')]);
+      expect(mockDeadLetterService.deadLetter).toHaveBeenCalledWith(batch[1], {
+        sourceStream: 'test-stream',
+        groupName: 'test-group',
+        reason: "Schema validation failed: / must have required property 'deviceId'; /temperature must be number",
+        attempts: 1,
+      });
+      expect(retryIds).toEqual([]);
+      expect(await connector.metrics.render()).toContain('connector_messages_invalid_total{stream="test-stream"} 1');
+    });
+
+    it('should dead-letter invalid messages while attempt-based dead-lettering is off', async () => {
+      connector = new StreamConnector({
+        config: mockConfig,
+        logger: mockLogger,
+        redisService: mockRedisService,
+        routes: [{
+          stream: 'test-stream',
+          consumerGroup: 'test-group',
+          outputService: mockOutputService,
+          schemaDeadLetterService: mockDeadLetterService,
+          schemaValidator: SchemaValidator.fromConfig(schema, { mode: 'reject' }),
+        }],
+      });
+      mockOutputService.sendBatch.mockResolvedValue([skipped('Event is too large')]);
+
+      const retryIds = await connector.processBatch(connector.routes.get('test-stream'), batch);
+
+      expect(mockDeadLetterService.deadLetter).toHaveBeenCalledTimes(1);
+      expect(mockDeadLetterService.deadLetter).toHaveBeenCalledWith(batch[1], expect.objectContaining({ attempts: 1 }));
+      // Only schema rejects are dead-lettered: the entry the output rejected stays pending
+      expect(retryIds).toEqual(['1-0']);
+    });
+
+    it('should keep invalid messages pending without a dead-letter stream', async () => {
+      connector = createConnector('reject', null);
+
+      const retryIds = await connector.processBatch(connector.routes.get('test-stream'), batch);
+
+      expect(retryIds).toEqual(['2-0']);
+      expect(mockLogger.warn).toHaveBeenCalledWith(
+        { stream: 'test-stream', invalidCount: 1 },
+        'Messages do not match the schema and could not be dead-lettered. They will be retried.'
+      );
+    });
+
+    it('should log invalid messages and send them in log mode', async () => {
+      connector = createConnector('log', mockDeadLetterService);
+      mockOutputService.sendBatch.mockResolvedValue([succeeded(), succeeded()]);
+
+      await connector.processBatch(connector.routes.get('test-stream'), batch);
+
+      expect(mockOutputService.sendBatch).toHaveBeenCalledWith([
+        outputEvent({ deviceId: 'sensor-1', temperature: '21.5' }, '1-0'),
+        outputEvent({ temperature: 'hot' }, '2-0'),
+      ]);
+      expect(mockDeadLetterService.deadLetter).not.toHaveBeenCalled();
+      expect(mockLogger.warn).toHaveBeenCalledWith({
+        stream: 'test-stream',
+        messageId: '2-0',
+        errors: ["/ must have required property 'deviceId'", '/temperature must be number'],
+      }, 'Message does not match the schema. Sending it anyway.');
+      expect(await connector.metrics.render()).toContain('connector_messages_invalid_total{stream="test-stream"} 1');
+    });
+  });
+
+  describe('send results', () => {
+    it('should ack exactly the messages that were sent', async () => {
+      mockOutputService.sendBatch.mockResolvedValue([succeeded(), failed('Throttled'), succeeded()]);
+      mockRedisService.ackMessages.mockResolvedValue(2);
+
+      await connector.processBatch(connector.routes.get('test-stream'), [
+        { id: '1-0', fields: ['a', '1'] },
+        { id: '2-0', fields: ['a', '2'] },
+        { id: '3-0', fields: ['a', '3'] },
+      ]);
+
+      expect(mockRedisService.ackMessages).toHaveBeenCalledWith('test-stream', 'test-group', ['1-0', '3-0']);
+      expect(mockLogger.warn).toHaveBeenCalledWith(
+        { stream: 'test-stream', total: 3, sent: 2, failed: 1, reasons: ['Throttled'] },
+        'Some messages were not sent and will be retried.'
+      );
+    });
+
+    it('should leave rejected messages pending when the route has no dead-letter stream', async () => {
+      mockOutputService.sendBatch.mockResolvedValue([skipped('Event is too large')]);
+
+      await connector.processBatch(connector.routes.get('test-stream'), [{ id: '1-0', fields: ['a', '1'] }]);
+
+      expect(mockRedisService.ackMessages).not.toHaveBeenCalled();
+      expect(mockLogger.warn).toHaveBeenCalledWith(
+        expect.objectContaining({ failed: 1, reasons: ['Event is too large'] }),
+        'Some messages were not sent and will be retried.'
+      );
+    });
+
+    it('should treat events without a result as not sent', async () => {
+      mockOutputService.sendBatch.mockResolvedValue([succeeded()]);
+      mockRedisService.ackMessages.mockResolvedValue(1);
+
+      await connector.processBatch(connector.routes.get('test-stream'), [
+        { id: '1-0', fields: ['a', '1'] },
+        { id: '2-0', fields: ['a', '2'] },
+      ]);
+
+      expect(mockRedisService.ackMessages).toHaveBeenCalledWith('test-stream', 'test-group', ['1-0']);
+      expect(mockLogger.warn).toHaveBeenCalledWith(
+        expect.objectContaining({ failed: 1, reasons: ['Not accepted by output service'] }),
+        'Some messages were not sent and will be retried.'
+      );
+    });
+  });
+
+  describe('deduplication', () => {
+    let mockDedupService;
+
+    beforeEach(() => {
+      mockDedupService = {
+        findDelivered: jest.fn().mockResolvedValue(new Set()),
+        markDelivered: jest.fn().mockResolvedValue(undefined),
+      };
+      connector = new StreamConnector({
+        config: mockConfig,
+        logger: mockLogger,
+        redisService: mockRedisService,
+        outputService: mockOutputService,
+        dedupService: mockDedupService,
+      });
+    });
+
+    it('should ack already delivered messages without sending them', async () => {
+      mockDedupService.findDelivered.mockResolvedValue(new Set(['1-0']));
+      mockOutputService.sendBatch.mockResolvedValue([succeeded()]);
+      mockRedisService.ackMessages.mockResolvedValue(1);
+      const deduplicated = jest.spyOn(connector.metrics.messagesDeduplicated, 'inc');
+
+      await connector.processBatch(connector.routes.get('test-stream'), [
+        { id: '1-0', fields: ['a', '1'] },
+        { id: '2-0', fields: ['a', '2'] },
+      ]);
+
+      expect(mockDedupService.findDelivered).toHaveBeenCalledWith('test-stream', 'test-group', ['1-0', '2-0']);
+      expect(mockRedisService.ackMessages).toHaveBeenNthCalledWith(1, 'test-stream', 'test-group', ['1-0']);
+      expect(mockOutputService.sendBatch).toHaveBeenCalledWith([outputEvent({ a: '2' }, '2-0')]);
+      expect(deduplicated).toHaveBeenCalledWith({ stream: 'test-stream' }, 1);
+      expect(mockLogger.info).toHaveBeenCalledWith(
+        { stream: 'test-stream', sentCount: 1, ackCount: 1, skippedCount: 0, duplicateCount: 1, deadLetteredCount: 0 },
+        'Successfully processed a batch of messages.'
+      );
+    });
+
+    it('should record sent messages before acking them', async () => {
+      mockOutputService.sendBatch.mockResolvedValue([succeeded(), failed('Throttled')]);
+      mockRedisService.ackMessages.mockResolvedValue(1);
+
+      await connector.processBatch(connector.routes.get('test-stream'), [
+        { id: '1-0', fields: ['a', '1'] },
+        { id: '2-0', fields: ['a', '2'] },
+      ]);
+
+      expect(mockDedupService.markDelivered).toHaveBeenCalledWith('test-stream', 'test-group', ['1-0']);
+      expect(mockDedupService.markDelivered.mock.invocationCallOrder[0])
+        .toBeLessThan(mockRedisService.ackMessages.mock.invocationCallOrder[0]);
+    });
+
+    it('should not send anything when the whole batch was delivered', async () => {
+      mockDedupService.findDelivered.mockResolvedValue(new Set(['1-0']));
+
+      await connector.processBatch(connector.routes.get('test-stream'), [{ id: '1-0', fields: ['a', '1'] }]);
+
+      expect(mockOutputService.sendBatch).not.toHaveBeenCalled();
+      expect(mockLogger.info).toHaveBeenCalledWith(
+        { stream: 'test-stream', sentCount: 0, ackCount: 0, skippedCount: 0, duplicateCount: 1 },
+        'Successfully processed a batch of messages.'
+      );
+    });
+
+    it('should send every message when the dedup store is unavailable', async () => {
+      mockDedupService.findDelivered.mockRejectedValue(new Error('Connection is closed.'));
+      mockDedupService.markDelivered.mockRejectedValue(new Error('Connection is closed.'));
+      mockOutputService.sendBatch.mockResolvedValue([succeeded()]);
+      mockRedisService.ackMessages.mockResolvedValue(1);
+
+      await connector.processBatch(connector.routes.get('test-stream'), [{ id: '1-0', fields: ['a', '1'] }]);
+
+      expect(mockOutputService.sendBatch).toHaveBeenCalled();
+      expect(mockRedisService.ackMessages).toHaveBeenCalledWith('test-stream', 'test-group', ['1-0']);
+      expect(mockLogger.warn).toHaveBeenCalledWith(expect.objectContaining({ stream: 'test-stream' }), 'Failed to check the dedup store. Messages will be sent without deduplication.');
+      expect(mockLogger.warn).toHaveBeenCalledWith(expect.objectContaining({ stream: 'test-stream' }), 'Failed to record delivered messages in the dedup store.');
+    });
+  });
+
+  describe('checkpoint mode', () => {
+    let mockCheckpointStore;
+
+    beforeEach(() => {
+      mockConfig.stream.readMode = 'checkpoint';
+      mockConfig.checkpoint = { startPosition: '$' };
+      mockCheckpointStore = {
+        load: jest.fn().mockResolvedValue(null),
+        save: jest.fn().mockResolvedValue(undefined),
+        close: jest.fn().mockResolvedValue(undefined),
+      };
+      mockRedisService.readStreams = jest.fn().mockResolvedValue([]);
+      mockRedisService.getLastEntryId = jest.fn().mockResolvedValue('9-0');
+      connector = new StreamConnector({
+        config: mockConfig,
+        logger: mockLogger,
+        redisService: mockRedisService,
+        outputService: mockOutputService,
+        checkpointStore: mockCheckpointStore,
+      });
+    });
+
+    afterEach(async () => {
+      await connector.stop();
+    });
+
+    it('should resume from the saved checkpoint without creating consumer groups', async () => {
+      mockCheckpointStore.load.mockResolvedValue('5-0');
+      jest.spyOn(connector, 'processingLoop').mockResolvedValue(undefined);
+
+      await connector.start();
+
+      expect(connector.routes.get('test-stream').checkpoint).toBe('5-0');
+      expect(mockRedisService.initializeGroup).not.toHaveBeenCalled();
+      expect(connector.pendingClaimInterval).toBeNull();
+    });
+
+    it('should start from the configured position without a checkpoint', async () => {
+      jest.spyOn(connector, 'processingLoop').mockResolvedValue(undefined);
+
+      await connector.start();
+      expect(connector.routes.get('test-stream').checkpoint).toBe('9-0');
+
+      mockConfig.checkpoint.startPosition = '0';
+      expect(await connector.loadCheckpoint(connector.routes.get('test-stream'))).toBe('0-0');
+    });
+
+    it('should read after the checkpoint with XREAD', async () => {
+      connector.routes.get('test-stream').checkpoint = '5-0';
+
+      await connector.nextMessages();
+
+      expect(mockRedisService.readStreams).toHaveBeenCalledWith(['test-stream'], ['5-0'], 10, 100);
+      expect(mockRedisService.fetchMessages).not.toHaveBeenCalled();
+    });
+
+    it('should save the checkpoint instead of acking', async () => {
+      mockOutputService.sendBatch.mockResolvedValue([succeeded(), succeeded()]);
+      const route = connector.routes.get('test-stream');
+      const messages = [{ id: '6-0', fields: ['a', '1'] }, { id: '7-0', fields: ['a', '2'] }];
+
+      const retryIds = await connector.processBatch(route, messages);
+      const delivered = await connector.advanceCheckpoint(route, messages, retryIds);
+
+      expect(delivered).toBe(true);
+      expect(mockRedisService.ackMessages).not.toHaveBeenCalled();
+      expect(mockCheckpointStore.save).toHaveBeenCalledWith('test-stream', '7-0');
+      expect(route.checkpoint).toBe('7-0');
+    });
+
+    it('should stop the checkpoint before the first message that was not sent', async () => {
+      mockOutputService.sendBatch.mockResolvedValue([succeeded(), failed('Throttled'), succeeded()]);
+      const route = connector.routes.get('test-stream');
+      const messages = [
+        { id: '6-0', fields: ['a', '1'] },
+        { id: '7-0', fields: ['a', '2'] },
+        { id: '8-0', fields: ['a', '3'] },
+      ];
+
+      const retryIds = await connector.processBatch(route, messages);
+      const delivered = await connector.advanceCheckpoint(route, messages, retryIds);
+
+      expect(retryIds).toEqual(['7-0']);
+      expect(delivered).toBe(false);
+      expect(mockCheckpointStore.save).toHaveBeenCalledWith('test-stream', '6-0');
+    });
+
+    it('should move past messages the output service rejected', async () => {
+      mockOutputService.sendBatch.mockResolvedValue([skipped('Too large')]);
+      const route = connector.routes.get('test-stream');
+
+      const retryIds = await connector.processBatch(route, [{ id: '6-0', fields: ['a', '1'] }]);
+
+      expect(retryIds).toEqual([]);
+      expect(mockLogger.error).toHaveBeenCalledWith(
+        { stream: 'test-stream', messageId: '6-0', reason: 'Too large' },
+        'Output service rejected the message. It is dropped in checkpoint mode.'
+      );
+    });
+
+    it('should move past messages whose transform throws', async () => {
+      connector = new StreamConnector({
+        config: mockConfig,
+        logger: mockLogger,
+        redisService: mockRedisService,
+        outputService: mockOutputService,
+        checkpointStore: mockCheckpointStore,
+        transformPipeline: TransformPipeline.fromConfig([{ type: 'json', field: 'payload' }]),
+      });
+      mockOutputService.sendBatch.mockResolvedValue([succeeded(), succeeded()]);
+      const route = connector.routes.get('test-stream');
+      const messages = [
+        { id: '1-0', fields: ['payload', '{"a":1}'] },
+        { id: '2-0', fields: ['payload', '{"a":'] },
+        { id: '3-0', fields: ['payload', '{"a":3}'] },
+      ];
+
+      const retryIds = await connector.processBatch(route, messages);
+      const delivered = await connector.advanceCheckpoint(route, messages, retryIds);
+
+      expect(retryIds).toEqual([]);
+      expect(delivered).toBe(true);
+      expect(mockOutputService.sendBatch).toHaveBeenCalledTimes(1);
+      expect(mockOutputService.sendBatch.mock.calls[0][0].map(event => event.correlationId)).toEqual(['1-0', '3-0']);
+      expect(mockCheckpointStore.save).toHaveBeenCalledWith('test-stream', '3-0');
+      expect(mockLogger.error).toHaveBeenCalledWith(
+        expect.objectContaining({ stream: 'test-stream', messageId: '2-0' }),
+        'Failed to transform message. It is dropped in checkpoint mode.'
+      );
+    });
+
+    it('should retry the whole batch when sending fails', async () => {
+      mockOutputService.sendBatch.mockRejectedValue(new Error('Send failed'));
+      const route = connector.routes.get('test-stream');
+      route.checkpoint = '5-0';
+      const messages = [{ id: '6-0', fields: ['a', '1'] }];
+
+      const retryIds = await connector.processBatch(route, messages);
+      await connector.advanceCheckpoint(route, messages, retryIds);
+
+      expect(retryIds).toEqual(['6-0']);
+      expect(mockCheckpointStore.save).not.toHaveBeenCalled();
+      expect(route.checkpoint).toBe('5-0');
+    });
+
+    it('should close the checkpoint store on stop', async () => {
+      jest.spyOn(connector, 'processingLoop').mockResolvedValue(undefined);
+      await connector.start();
+
+      await connector.stop();
+
+      expect(mockCheckpointStore.close).toHaveBeenCalled();
+    });
+  });
 });
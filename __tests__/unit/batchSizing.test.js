@@ -0,0 +1,125 @@
+// __tests__/unit/batchSizing.test.js
+const { AdaptiveBatchSize, AdaptivePollTimeout, isOverloaded } = require('../../src/batchSizing');
+
+describe('batchSizing', () => {
+  describe('isOverloaded', () => {
+    it('should recognize throttling and timeouts', () => {
+      expect(isOverloaded('The request was terminated because the entity is being throttled.')).toBe(true);
+      expect(isOverloaded('HTTP 429 Too Many Requests')).toBe(true);
+      expect(isOverloaded('The operation timed out')).toBe(true);
+      expect(isOverloaded(Object.assign(new Error('Server busy'), { code: 'ServerBusyError' }))).toBe(true);
+      expect(isOverloaded(Object.assign(new Error('Send failed'), { code: 'OperationTimeoutError' }))).toBe(true);
+    });
+
+    it('should not treat other failures as overload', () => {
+      expect(isOverloaded('Unauthorized')).toBe(false);
+      expect(isOverloaded(new Error('Connection refused'))).toBe(false);
+      expect(isOverloaded(undefined)).toBe(false);
+    });
+  });
+
+  describe('AdaptiveBatchSize', () => {
+    let sizer;
+
+    beforeEach(() => {
+      sizer = new AdaptiveBatchSize({ initial: 100, min: 10, max: 400, targetLatencyMs: 500 });
+    });
+
+    it('should start within its bounds', () => {
+      expect(sizer.size).toBe(100);
+      expect(new AdaptiveBatchSize({ initial: 1000, min: 10, max: 400, targetLatencyMs: 500 }).size).toBe(400);
+      expect(new AdaptiveBatchSize({ initial: 1, min: 10, max: 400, targetLatencyMs: 500 }).size).toBe(10);
+    });
+
+    it('should grow after full batches sent within the target latency', () => {
+      expect(sizer.record({ full: true, latencyMs: 100, overloaded: false })).toBeNull();
+      expect(sizer.record({ full: true, latencyMs: 100, overloaded: false })).toBeNull();
+
+      expect(sizer.record({ full: true, latencyMs: 100, overloaded: false })).toEqual({
+        size: 150, previous: 100, reason: 'Full batches sent within the target latency',
+      });
+    });
+
+    it('should not grow on partial or slow batches', () => {
+      sizer.record({ full: true, latencyMs: 100, overloaded: false });
+      sizer.record({ full: true, latencyMs: 100, overloaded: false });
+      sizer.record({ full: false, latencyMs: 100, overloaded: false });
+      sizer.record({ full: true, latencyMs: 100, overloaded: false });
+      sizer.record({ full: true, latencyMs: 900, overloaded: false });
+      sizer.record({ full: true, latencyMs: 100, overloaded: false });
+
+      expect(sizer.size).toBe(100);
+    });
+
+    it('should stop growing at the maximum', () => {
+      for (let i = 0; i < 30; i++) sizer.record({ full: true, latencyMs: 100, overloaded: false });
+
+      expect(sizer.size).toBe(400);
+      expect(sizer.record({ full: true, latencyMs: 100, overloaded: false })).toBeNull();
+    });
+
+    it('should halve when the output is overloaded, down to the minimum', () => {
+      expect(sizer.record({ full: true, latencyMs: 100, overloaded: true })).toEqual({
+        size: 50, previous: 100, reason: 'Output throttled or timed out',
+      });
+      sizer.record({ full: true, latencyMs: 100, overloaded: true });
+      sizer.record({ full: true, latencyMs: 100, overloaded: true });
+
+      expect(sizer.size).toBe(12);
+      sizer.record({ full: true, latencyMs: 100, overloaded: true });
+      expect(sizer.size).toBe(10);
+      expect(sizer.record({ full: true, latencyMs: 100, overloaded: true })).toBeNull();
+    });
+  });
+
+  describe('AdaptivePollTimeout', () => {
+    let tuner;
+
+    beforeEach(() => {
+      tuner = new AdaptivePollTimeout({ initial: 1000, minMs: 100, maxMs: 5000 });
+    });
+
+    it('should start within the bounds', () => {
+      expect(new AdaptivePollTimeout({ initial: 50, minMs: 100, maxMs: 5000 }).timeoutMs).toBe(100);
+      expect(new AdaptivePollTimeout({ initial: 9000, minMs: 100, maxMs: 5000 }).timeoutMs).toBe(5000);
+    });
+
+    it('should halve after three full reads in a row', () => {
+      expect(tuner.record({ messageCount: 10, batchSize: 10 })).toBeNull();
+      expect(tuner.record({ messageCount: 10, batchSize: 10 })).toBeNull();
+      expect(tuner.record({ messageCount: 10, batchSize: 10 })).toEqual({
+        timeoutMs: 500, previous: 1000, reason: 'Reads come back full',
+      });
+    });
+
+    it('should double after three empty reads in a row', () => {
+      tuner.record({ messageCount: 0, batchSize: 10 });
+      tuner.record({ messageCount: 0, batchSize: 10 });
+
+      expect(tuner.record({ messageCount: 0, batchSize: 10 })).toEqual({
+        timeoutMs: 2000, previous: 1000, reason: 'Reads come back empty',
+      });
+    });
+
+    it('should start counting again after a partial read', () => {
+      tuner.record({ messageCount: 10, batchSize: 10 });
+      tuner.record({ messageCount: 10, batchSize: 10 });
+      tuner.record({ messageCount: 3, batchSize: 10 });
+      tuner.record({ messageCount: 0, batchSize: 10 });
+      tuner.record({ messageCount: 0, batchSize: 10 });
+      tuner.record({ messageCount: 10, batchSize: 10 });
+
+      expect(tuner.timeoutMs).toBe(1000);
+    });
+
+    it('should stay within the bounds', () => {
+      for (let i = 0; i < 30; i++) tuner.record({ messageCount: 0, batchSize: 10 });
+      expect(tuner.timeoutMs).toBe(5000);
+      for (let i = 0; i < 2; i++) tuner.record({ messageCount: 0, batchSize: 10 });
+      expect(tuner.record({ messageCount: 0, batchSize: 10 })).toBeNull();
+
+      for (let i = 0; i < 30; i++) tuner.record({ messageCount: 10, batchSize: 10 });
+      expect(tuner.timeoutMs).toBe(100);
+    });
+  });
+});
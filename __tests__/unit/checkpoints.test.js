@@ -0,0 +1,139 @@
+// __tests__/unit/checkpoints.test.js
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const Redis = require('ioredis');
+const { parseStartPosition, FileCheckpointStore, RedisCheckpointStore } = require('../../src/checkpoints');
+const { ConfigurationError } = require('../../src/errors');
+
+jest.mock('ioredis');
+
+describe('checkpoints', () => {
+  let mockLogger;
+
+  beforeEach(() => {
+    mockLogger = {
+      child: jest.fn().mockReturnThis(),
+      info: jest.fn(),
+      warn: jest.fn(),
+      error: jest.fn(),
+      fatal: jest.fn(),
+    };
+  });
+
+  describe('parseStartPosition', () => {
+    it('should keep $ to be resolved against the stream', () => {
+      expect(parseStartPosition('$')).toBe('$');
+    });
+
+    it('should read the whole stream from 0', () => {
+      expect(parseStartPosition('0')).toBe('0-0');
+    });
+
+    it('should start after an explicit entry ID', () => {
+      expect(parseStartPosition('1700000000000-5')).toBe('1700000000000-5');
+    });
+
+    it('should start at the first entry of a timestamp', () => {
+      expect(parseStartPosition('1700000000000')).toBe('1699999999999-18446744073709551615');
+      expect(parseStartPosition('2023-11-14T22:13:20.000Z')).toBe('1699999999999-18446744073709551615');
+      expect(parseStartPosition('2023-11-14T23:13:20+01:00')).toBe('1699999999999-18446744073709551615');
+      expect(parseStartPosition('2023-11-14')).toBe('1699919999999-18446744073709551615');
+    });
+
+    it('should reject anything else', () => {
+      expect(() => parseStartPosition('yesterday')).toThrow(ConfigurationError);
+      expect(() => parseStartPosition('yesterday')).toThrow("Invalid checkpoint start position 'yesterday'");
+    });
+
+    it.each(['1.5', '2023-02-30', '2023-11-14T22:13:20', '14 Nov 2023', '-5'])('should reject the lenient timestamp %s', (position) => {
+      expect(() => parseStartPosition(position)).toThrow(ConfigurationError);
+    });
+  });
+
+  describe('FileCheckpointStore', () => {
+    let directory;
+    let file;
+
+    beforeEach(async () => {
+      directory = await fs.mkdtemp(path.join(os.tmpdir(), 'checkpoints-'));
+      file = path.join(directory, 'state', 'checkpoints.json');
+    });
+
+    afterEach(async () => {
+      await fs.rm(directory, { recursive: true, force: true });
+    });
+
+    it('should start without checkpoints when the file does not exist', async () => {
+      const store = new FileCheckpointStore({ file }, mockLogger);
+
+      await store.connect();
+
+      expect(await store.load('orders')).toBeNull();
+    });
+
+    it('should save checkpoints and load them after a restart', async () => {
+      const store = new FileCheckpointStore({ file }, mockLogger);
+      await store.connect();
+      await store.save('orders', '5-0');
+      await store.save('audit', '7-1');
+
+      const restarted = new FileCheckpointStore({ file }, mockLogger);
+      await restarted.connect();
+
+      expect(await restarted.load('orders')).toBe('5-0');
+      expect(await restarted.load('audit')).toBe('7-1');
+      expect(await fs.readdir(path.dirname(file))).toEqual(['checkpoints.json']);
+    });
+
+    it('should fail on a corrupt file', async () => {
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, '{');
+      const store = new FileCheckpointStore({ file }, mockLogger);
+
+      await expect(store.connect()).rejects.toThrow(SyntaxError);
+    });
+  });
+
+  describe('RedisCheckpointStore', () => {
+    let mockRedisClient;
+    let store;
+
+    beforeEach(() => {
+      mockRedisClient = {
+        connect: jest.fn().mockResolvedValue(undefined),
+        ping: jest.fn().mockResolvedValue('PONG'),
+        client: jest.fn().mockResolvedValue(1),
+        get: jest.fn().mockResolvedValue(null),
+        set: jest.fn().mockResolvedValue('OK'),
+        quit: jest.fn().mockResolvedValue('OK'),
+        on: jest.fn(),
+      };
+      Redis.mockImplementation(() => mockRedisClient);
+      store = new RedisCheckpointStore({ redisUrl: 'redis://primary:6379', keyPrefix: 'connector:checkpoint' }, mockLogger);
+    });
+
+    it('should connect to the configured server', async () => {
+      await store.connect();
+
+      expect(Redis).toHaveBeenCalledWith('redis://primary:6379', expect.any(Object));
+      expect(mockRedisClient.connect).toHaveBeenCalled();
+    });
+
+    it('should load and save checkpoints per stream', async () => {
+      mockRedisClient.get.mockResolvedValue('5-0');
+
+      expect(await store.load('orders')).toBe('5-0');
+      await store.save('orders', '6-0');
+
+      expect(mockRedisClient.get).toHaveBeenCalledWith('connector:checkpoint:orders');
+      expect(mockRedisClient.set).toHaveBeenCalledWith('connector:checkpoint:orders', '6-0');
+    });
+
+    it('should disconnect on close', async () => {
+      await store.close();
+
+      expect(mockRedisClient.quit).toHaveBeenCalled();
+    });
+  });
+});
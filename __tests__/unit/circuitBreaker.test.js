@@ -0,0 +1,117 @@
+// __tests__/unit/circuitBreaker.test.js
+const { CircuitBreaker, CircuitState } = require('../../src/circuitBreaker');
+
+describe('CircuitBreaker', () => {
+  let breaker;
+  let mockLogger;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    mockLogger = { info: jest.fn(), warn: jest.fn() };
+    breaker = new CircuitBreaker({ failureThreshold: 3, resetTimeoutMs: 5000 }, mockLogger, { stream: 'test-stream' });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  const openCircuit = () => {
+    for (let i = 0; i < 3; i++) breaker.recordFailure();
+  };
+
+  it('should start closed', () => {
+    expect(breaker.state).toBe(CircuitState.CLOSED);
+    expect(breaker.allowsRequest()).toBe(true);
+  });
+
+  it('should open after the failure threshold', () => {
+    breaker.recordFailure();
+    breaker.recordFailure();
+    expect(breaker.allowsRequest()).toBe(true);
+
+    breaker.recordFailure();
+
+    expect(breaker.state).toBe(CircuitState.OPEN);
+    expect(breaker.allowsRequest()).toBe(false);
+    expect(mockLogger.warn).toHaveBeenCalledWith(
+      { stream: 'test-stream', previous: 'closed', state: 'open', failures: 3, resetTimeoutMs: 5000 },
+      'Circuit opened. Reading stops until the output recovers.'
+    );
+  });
+
+  it('should reset the failure count on success', () => {
+    breaker.recordFailure();
+    breaker.recordFailure();
+    breaker.recordSuccess();
+    breaker.recordFailure();
+
+    expect(breaker.state).toBe(CircuitState.CLOSED);
+    expect(mockLogger.info).not.toHaveBeenCalled();
+  });
+
+  it('should turn half-open after the reset timeout', () => {
+    openCircuit();
+    jest.advanceTimersByTime(4000);
+    expect(breaker.msUntilProbe()).toBe(1000);
+    expect(breaker.allowsRequest()).toBe(false);
+
+    jest.advanceTimersByTime(1000);
+
+    expect(breaker.allowsRequest()).toBe(true);
+    expect(breaker.state).toBe(CircuitState.HALF_OPEN);
+    expect(breaker.msUntilProbe()).toBe(0);
+  });
+
+  it('should let a single probe through while half-open', () => {
+    openCircuit();
+    jest.advanceTimersByTime(5000);
+
+    expect(breaker.tryAcquire()).toBe(true);
+    expect(breaker.allowsRequest()).toBe(false);
+    expect(breaker.tryAcquire()).toBe(false);
+    expect(breaker.msUntilProbe()).toBe(Infinity);
+
+    breaker.recordSuccess();
+
+    expect(breaker.tryAcquire()).toBe(true);
+    expect(breaker.tryAcquire()).toBe(true);
+  });
+
+  it('should not start the probe when only checking', () => {
+    openCircuit();
+    jest.advanceTimersByTime(5000);
+
+    expect(breaker.allowsRequest()).toBe(true);
+    expect(breaker.allowsRequest()).toBe(true);
+    expect(breaker.tryAcquire()).toBe(true);
+  });
+
+  it('should close when the probe succeeds', () => {
+    openCircuit();
+    jest.advanceTimersByTime(5000);
+    breaker.allowsRequest();
+
+    breaker.recordSuccess();
+
+    expect(breaker.state).toBe(CircuitState.CLOSED);
+    expect(mockLogger.info).toHaveBeenLastCalledWith(
+      { stream: 'test-stream', previous: 'half-open', state: 'closed', failures: 0 },
+      'Circuit closed. Reading resumes.'
+    );
+  });
+
+  it('should open again when the probe fails', () => {
+    openCircuit();
+    jest.advanceTimersByTime(5000);
+    breaker.tryAcquire();
+
+    breaker.recordFailure();
+
+    expect(breaker.state).toBe(CircuitState.OPEN);
+    expect(breaker.msUntilProbe()).toBe(5000);
+    expect(breaker.tryAcquire()).toBe(false);
+
+    jest.advanceTimersByTime(5000);
+    expect(breaker.tryAcquire()).toBe(true);
+  });
+});
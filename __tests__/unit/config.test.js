@@ -1,4 +1,8 @@
 // __tests__/unit/config.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
 /**
  * Tests for configuration module
  * Note: Since config.js loads .env and validates on import,
@@ -108,6 +112,423 @@ describe('Configuration', () => {
         require('../../src/config');
       }).toThrow('EVENT_HUB_CONNECTION_STRING and EVENT_HUB_NAME are required');
     });
+
+    it('should load partitioning settings', () => {
+      process.env.REDIS_URL = 'redis://localhost:6379';
+      process.env.EVENT_HUB_PARTITION_KEY_FIELD = 'deviceId';
+
+      const config = require('../../src/config');
+
+      expect(config.outputAdapter.eventHubs.partitionKeyField).toBe('deviceId');
+      expect(config.outputAdapter.eventHubs.partitionKeyTemplate).toBeUndefined();
+      expect(config.outputAdapter.eventHubs.partitionId).toBeUndefined();
+    });
+
+    it('should throw error if more than one partitioning setting is used', () => {
+      process.env.REDIS_URL = 'redis://localhost:6379';
+      process.env.EVENT_HUB_PARTITION_KEY_FIELD = 'deviceId';
+      process.env.EVENT_HUB_PARTITION_ID = '0';
+
+      expect(() => {
+        require('../../src/config');
+      }).toThrow('Only one of EVENT_HUB_PARTITION_KEY_FIELD, EVENT_HUB_PARTITION_KEY_TEMPLATE and EVENT_HUB_PARTITION_ID can be set.');
+    });
+  });
+
+  describe('Kafka Configuration', () => {
+    it('should load Kafka configuration', () => {
+      process.env.REDIS_URL = 'redis://localhost:6379';
+      process.env.OUTPUT_ADAPTER_TYPE = 'KAFKA';
+      process.env.KAFKA_BROKERS = 'kafka-1:9092, kafka-2:9092';
+      process.env.KAFKA_TOPIC = 'telemetry';
+      process.env.KAFKA_SSL = 'true';
+      process.env.KAFKA_SASL_MECHANISM = 'scram-sha-256';
+      process.env.KAFKA_SASL_USERNAME = 'user';
+      process.env.KAFKA_SASL_PASSWORD = 'secret';
+      process.env.KAFKA_KEY_FIELD = 'deviceId';
+      process.env.KAFKA_IDEMPOTENT = 'true';
+
+      const config = require('../../src/config');
+
+      expect(config.outputAdapter.kafka).toEqual({
+        brokers: ['kafka-1:9092', 'kafka-2:9092'],
+        clientId: 'redis-stream-connector',
+        topic: 'telemetry',
+        ssl: true,
+        sasl: { mechanism: 'scram-sha-256', username: 'user', password: 'secret' },
+        keyField: 'deviceId',
+        idempotent: true,
+        acks: -1,
+      });
+    });
+
+    it('should throw error if Kafka config is incomplete', () => {
+      process.env.REDIS_URL = 'redis://localhost:6379';
+      process.env.OUTPUT_ADAPTER_TYPE = 'KAFKA';
+      process.env.KAFKA_BROKERS = 'kafka-1:9092';
+
+      expect(() => require('../../src/config')).toThrow('When using KAFKA adapter, KAFKA_BROKERS and KAFKA_TOPIC are required.');
+    });
+
+    it('should throw error for an unknown SASL mechanism', () => {
+      process.env.REDIS_URL = 'redis://localhost:6379';
+      process.env.KAFKA_SASL_MECHANISM = 'kerberos';
+
+      expect(() => require('../../src/config')).toThrow("Invalid KAFKA_SASL_MECHANISM: 'kerberos'");
+    });
+
+    it('should throw error for an idempotent producer without acks from all replicas', () => {
+      process.env.REDIS_URL = 'redis://localhost:6379';
+      process.env.KAFKA_IDEMPOTENT = 'true';
+      process.env.KAFKA_ACKS = '1';
+
+      expect(() => require('../../src/config')).toThrow('KAFKA_IDEMPOTENT requires KAFKA_ACKS=-1.');
+    });
+
+    it('should let a route produce to its own topic', () => {
+      process.env.REDIS_URL = 'redis://localhost:6379';
+      process.env.KAFKA_BROKERS = 'kafka-1:9092';
+      process.env.STREAM_ROUTES = JSON.stringify([
+        { stream: 'a', output: { type: 'KAFKA', topic: 'audit', keyField: 'userId' } },
+      ]);
+
+      const config = require('../../src/config');
+
+      expect(config.routes[0].output.kafka).toMatchObject({ brokers: ['kafka-1:9092'], topic: 'audit', keyField: 'userId' });
+    });
+
+    it('should throw error for a Kafka route without a topic', () => {
+      process.env.REDIS_URL = 'redis://localhost:6379';
+      process.env.KAFKA_BROKERS = 'kafka-1:9092';
+      process.env.STREAM_ROUTES = JSON.stringify([{ stream: 'a', output: { type: 'KAFKA' } }]);
+
+      expect(() => require('../../src/config')).toThrow("Route for stream 'a' uses KAFKA but has no brokers or topic.");
+    });
+  });
+
+  describe('HTTP Configuration', () => {
+    it('should load HTTP configuration with defaults', () => {
+      process.env.REDIS_URL = 'redis://localhost:6379';
+      process.env.OUTPUT_ADAPTER_TYPE = 'HTTP';
+      process.env.HTTP_URL = 'https://example.com/events';
+
+      const config = require('../../src/config');
+
+      expect(config.outputAdapter.http).toEqual({
+        url: 'https://example.com/events',
+        method: 'POST',
+        headers: {},
+        auth: null,
+        batchFormat: 'json',
+        timeoutMs: 10000,
+        maxRetries: 2,
+        retryDelayMs: 500,
+      });
+    });
+
+    it('should load headers, method, format and bearer auth', () => {
+      process.env.REDIS_URL = 'redis://localhost:6379';
+      process.env.HTTP_URL = 'https://example.com/events';
+      process.env.HTTP_METHOD = 'put';
+      process.env.HTTP_HEADERS = '{"X-Source":"connector"}';
+      process.env.HTTP_BATCH_FORMAT = 'ndjson';
+      process.env.HTTP_BEARER_TOKEN = 'token';
+      process.env.HTTP_BASIC_USERNAME = 'ignored';
+
+      const config = require('../../src/config');
+
+      expect(config.outputAdapter.http).toMatchObject({
+        method: 'PUT',
+        headers: { 'X-Source': 'connector' },
+        batchFormat: 'ndjson',
+        auth: { type: 'bearer', token: 'token' },
+      });
+    });
+
+    it('should load basic auth credentials', () => {
+      process.env.REDIS_URL = 'redis://localhost:6379';
+      process.env.HTTP_BASIC_USERNAME = 'user';
+      process.env.HTTP_BASIC_PASSWORD = 'secret';
+
+      const config = require('../../src/config');
+
+      expect(config.outputAdapter.http.auth).toEqual({ type: 'basic', username: 'user', password: 'secret' });
+    });
+
+    it('should throw error if the HTTP URL is missing', () => {
+      process.env.REDIS_URL = 'redis://localhost:6379';
+      process.env.OUTPUT_ADAPTER_TYPE = 'HTTP';
+
+      expect(() => require('../../src/config')).toThrow('When using HTTP adapter, HTTP_URL is required and must start with http:// or https://');
+    });
+
+    it('should throw error for an unsupported batch format', () => {
+      process.env.REDIS_URL = 'redis://localhost:6379';
+      process.env.HTTP_BATCH_FORMAT = 'xml';
+
+      expect(() => require('../../src/config')).toThrow("Invalid HTTP batch format 'xml'");
+    });
+
+    it('should let a route post to its own URL', () => {
+      process.env.REDIS_URL = 'redis://localhost:6379';
+      process.env.HTTP_BEARER_TOKEN = 'token';
+      process.env.STREAM_ROUTES = JSON.stringify([
+        { stream: 'a', output: { type: 'HTTP', url: 'https://example.com/a', method: 'patch', batchFormat: 'ndjson' } },
+      ]);
+
+      const config = require('../../src/config');
+
+      expect(config.routes[0].output.http).toMatchObject({
+        url: 'https://example.com/a',
+        method: 'PATCH',
+        batchFormat: 'ndjson',
+        auth: { type: 'bearer', token: 'token' },
+      });
+    });
+
+    it('should throw error for an HTTP route without a URL', () => {
+      process.env.REDIS_URL = 'redis://localhost:6379';
+      process.env.STREAM_ROUTES = JSON.stringify([{ stream: 'a', output: { type: 'HTTP' } }]);
+
+      expect(() => require('../../src/config')).toThrow("Route for stream 'a' uses HTTP but has no http:// or https:// URL.");
+    });
+
+    it('should throw error for an unsupported route method', () => {
+      process.env.REDIS_URL = 'redis://localhost:6379';
+      process.env.STREAM_ROUTES = JSON.stringify([{ stream: 'a', output: { type: 'HTTP', url: 'http://localhost/a', method: 'GET' } }]);
+
+      expect(() => require('../../src/config')).toThrow("Invalid HTTP method 'GET' for stream 'a'");
+    });
+  });
+
+  describe('Redis Output Configuration', () => {
+    it('should mirror the source stream by default', () => {
+      process.env.REDIS_URL = 'redis://localhost:6379';
+      process.env.OUTPUT_ADAPTER_TYPE = 'REDIS';
+      process.env.REDIS_OUTPUT_URL = 'redis://replica:6379';
+      process.env.STREAM_KEY = 'telemetry:events';
+
+      const config = require('../../src/config');
+
+      expect(config.routes[0].output.redis).toEqual({
+        url: 'redis://replica:6379',
+        stream: 'telemetry:events',
+        preserveIds: false,
+        maxLen: 0,
+        maxAgeMs: 0,
+        exactTrim: false,
+      });
+    });
+
+    it('should load target stream, ID preservation and trimming', () => {
+      process.env.REDIS_URL = 'redis://localhost:6379';
+      process.env.REDIS_OUTPUT_URL = 'rediss://replica:6380';
+      process.env.REDIS_OUTPUT_STREAM = 'telemetry:mirror';
+      process.env.REDIS_OUTPUT_PRESERVE_IDS = 'true';
+      process.env.REDIS_OUTPUT_MAX_AGE_MS = '86400000';
+      process.env.REDIS_OUTPUT_EXACT_TRIM = 'true';
+
+      const config = require('../../src/config');
+
+      expect(config.outputAdapter.redis).toEqual({
+        url: 'rediss://replica:6380',
+        stream: 'telemetry:mirror',
+        preserveIds: true,
+        maxLen: 0,
+        maxAgeMs: 86400000,
+        exactTrim: true,
+      });
+    });
+
+    it('should let a route mirror to its own stream with its own trimming', () => {
+      process.env.REDIS_URL = 'redis://localhost:6379';
+      process.env.REDIS_OUTPUT_URL = 'redis://replica:6379';
+      process.env.REDIS_OUTPUT_MAXLEN = '1000';
+      process.env.STREAM_ROUTES = JSON.stringify([
+        { stream: 'a', output: { type: 'REDIS' } },
+        { stream: 'b', output: { type: 'REDIS', targetStream: 'b:copy', preserveIds: true, maxAgeMs: 60000 } },
+      ]);
+
+      const config = require('../../src/config');
+
+      expect(config.routes[0].output.redis).toMatchObject({ stream: 'a', maxLen: 1000, maxAgeMs: 0, preserveIds: false });
+      expect(config.routes[1].output.redis).toMatchObject({ stream: 'b:copy', maxLen: 0, maxAgeMs: 60000, preserveIds: true });
+    });
+
+    it('should throw error if the output URL is missing', () => {
+      process.env.REDIS_URL = 'redis://localhost:6379';
+      process.env.OUTPUT_ADAPTER_TYPE = 'REDIS';
+
+      expect(() => require('../../src/config')).toThrow("REDIS output for stream 'telemetry:events' requires a redis:// or rediss:// output URL.");
+    });
+
+    it('should throw error when trimming by both length and age', () => {
+      process.env.REDIS_URL = 'redis://localhost:6379';
+      process.env.OUTPUT_ADAPTER_TYPE = 'REDIS';
+      process.env.REDIS_OUTPUT_URL = 'redis://replica:6379';
+      process.env.REDIS_OUTPUT_MAXLEN = '1000';
+      process.env.REDIS_OUTPUT_MAX_AGE_MS = '60000';
+
+      expect(() => require('../../src/config')).toThrow('can only trim by one of maximum length and maximum age.');
+    });
+
+    it('should throw error when writing back into the source stream', () => {
+      process.env.REDIS_URL = 'redis://localhost:6379';
+      process.env.OUTPUT_ADAPTER_TYPE = 'REDIS';
+      process.env.REDIS_OUTPUT_URL = 'redis://localhost:6379';
+
+      expect(() => require('../../src/config')).toThrow("writes back into its source stream 'telemetry:events'.");
+    });
+  });
+
+  describe('Dedup Configuration', () => {
+    it('should be disabled by default', () => {
+      process.env.REDIS_URL = 'redis://localhost:6379';
+
+      const config = require('../../src/config');
+
+      expect(config.dedup).toEqual({ enabled: false, keyPrefix: 'connector:delivered', ttlSeconds: 86400 });
+    });
+
+    it('should load dedup settings', () => {
+      process.env.REDIS_URL = 'redis://localhost:6379';
+      process.env.DEDUP_ENABLED = 'true';
+      process.env.DEDUP_KEY_PREFIX = 'orders:delivered';
+      process.env.DEDUP_TTL_SECONDS = '3600';
+
+      const config = require('../../src/config');
+
+      expect(config.dedup).toEqual({ enabled: true, keyPrefix: 'orders:delivered', ttlSeconds: 3600 });
+    });
+  });
+
+  describe('Checkpoint Mode Configuration', () => {
+    it('should use consumer groups by default', () => {
+      process.env.REDIS_URL = 'redis://localhost:6379';
+
+      const config = require('../../src/config');
+
+      expect(config.stream.readMode).toBe('group');
+      expect(config.checkpoint).toMatchObject({ store: 'file', keyPrefix: 'connector:checkpoint', startPosition: '$' });
+      expect(config.checkpoint.file).toContain('checkpoints.json');
+    });
+
+    it('should load checkpoint settings', () => {
+      process.env.REDIS_URL = 'redis://replica:6379';
+      process.env.READ_MODE = 'checkpoint';
+      process.env.CHECKPOINT_STORE = 'redis';
+      process.env.CHECKPOINT_REDIS_URL = 'redis://primary:6379';
+      process.env.CHECKPOINT_START_POSITION = '2024-01-01T00:00:00Z';
+
+      const config = require('../../src/config');
+
+      expect(config.stream.readMode).toBe('checkpoint');
+      expect(config.checkpoint).toMatchObject({ store: 'redis', redisUrl: 'redis://primary:6379', startPosition: '2024-01-01T00:00:00Z' });
+    });
+
+    it('should throw error for an unknown read mode', () => {
+      process.env.REDIS_URL = 'redis://localhost:6379';
+      process.env.READ_MODE = 'tail';
+
+      expect(() => require('../../src/config')).toThrow("Invalid READ_MODE: 'tail'. Must be one of: group, checkpoint.");
+    });
+
+    it('should throw error for a redis checkpoint store without a URL', () => {
+      process.env.REDIS_URL = 'redis://localhost:6379';
+      process.env.READ_MODE = 'checkpoint';
+      process.env.CHECKPOINT_STORE = 'redis';
+
+      expect(() => require('../../src/config')).toThrow('When using the redis checkpoint store, CHECKPOINT_REDIS_URL must start with redis:// or rediss://');
+    });
+
+    it('should throw error for an invalid start position', () => {
+      process.env.REDIS_URL = 'redis://localhost:6379';
+      process.env.READ_MODE = 'checkpoint';
+      process.env.CHECKPOINT_START_POSITION = 'beginning';
+
+      expect(() => require('../../src/config')).toThrow("Invalid checkpoint start position 'beginning'");
+    });
+  });
+
+  describe('Group Start Position Configuration', () => {
+    it('should start new groups at $ by default', () => {
+      process.env.REDIS_URL = 'redis://localhost:6379';
+
+      const config = require('../../src/config');
+
+      expect(config.stream.groupStartPosition).toBe('$');
+      expect(config.routes[0].startPosition).toBe('$');
+    });
+
+    it('should let routes override GROUP_START_POSITION', () => {
+      process.env.REDIS_URL = 'redis://localhost:6379';
+      process.env.GROUP_START_POSITION = '0';
+      process.env.STREAM_ROUTES = JSON.stringify([
+        { stream: 'a' },
+        { stream: 'b', startPosition: '2024-01-01T00:00:00Z' },
+      ]);
+
+      const config = require('../../src/config');
+
+      expect(config.routes[0].startPosition).toBe('0');
+      expect(config.routes[1].startPosition).toBe('2024-01-01T00:00:00Z');
+    });
+
+    it('should throw error for an invalid group start position', () => {
+      process.env.REDIS_URL = 'redis://localhost:6379';
+      process.env.STREAM_ROUTES = JSON.stringify([{ stream: 'a', startPosition: 'yesterday' }]);
+
+      expect(() => require('../../src/config')).toThrow("Invalid group start position for stream 'a' 'yesterday'");
+    });
+  });
+
+  describe('Event Mapping Configuration', () => {
+    it('should default to connector metadata and a JSON content type', () => {
+      process.env.REDIS_URL = 'redis://localhost:6379';
+
+      const config = require('../../src/config');
+
+      expect(config.outputAdapter.eventMapping).toEqual({
+        propertyFields: {},
+        messageIdField: undefined,
+        contentType: 'application/json',
+        includeMetadata: true,
+      });
+    });
+
+    it('should load custom event mapping settings', () => {
+      process.env.REDIS_URL = 'redis://localhost:6379';
+      process.env.EVENT_PROPERTY_FIELDS = 'deviceId,level:severity';
+      process.env.EVENT_MESSAGE_ID_FIELD = 'uuid';
+      process.env.EVENT_CONTENT_TYPE = 'application/vnd.telemetry+json';
+      process.env.EVENT_INCLUDE_METADATA = 'false';
+
+      const config = require('../../src/config');
+
+      expect(config.outputAdapter.eventMapping).toEqual({
+        propertyFields: { deviceId: 'deviceId', level: 'severity' },
+        messageIdField: 'uuid',
+        contentType: 'application/vnd.telemetry+json',
+        includeMetadata: false,
+      });
+    });
+
+    it('should merge a route event mapping over the global one', () => {
+      process.env.REDIS_URL = 'redis://localhost:6379';
+      process.env.EVENT_PROPERTY_FIELDS = 'deviceId';
+      process.env.STREAM_ROUTES = JSON.stringify([
+        { stream: 'a', output: { eventMapping: { messageIdField: 'uuid' } } },
+      ]);
+
+      const config = require('../../src/config');
+
+      expect(config.routes[0].output.eventMapping).toEqual({
+        propertyFields: { deviceId: 'deviceId' },
+        messageIdField: 'uuid',
+        contentType: 'application/json',
+        includeMetadata: true,
+      });
+    });
   });
 
   describe('Local File Configuration', () => {
@@ -129,6 +550,52 @@ describe('Configuration', () => {
 
       expect(config.outputAdapter.localFile.directory).toBe('/custom/path');
     });
+
+    it('should default to one file per event', () => {
+      process.env.REDIS_URL = 'redis://localhost:6379';
+
+      const config = require('../../src/config');
+
+      expect(config.outputAdapter.localFile.mode).toBe('per-event');
+      expect(config.outputAdapter.localFile.segment).toEqual({
+        maxBytes: 64 * 1024 * 1024,
+        maxAgeMs: 300000,
+        maxEvents: 0,
+        compress: false,
+      });
+    });
+
+    it('should load rolling segment settings', () => {
+      process.env.REDIS_URL = 'redis://localhost:6379';
+      process.env.OUTPUT_FILE_MODE = 'rolling';
+      process.env.OUTPUT_SEGMENT_MAX_BYTES = '1048576';
+      process.env.OUTPUT_SEGMENT_MAX_AGE_MS = '60000';
+      process.env.OUTPUT_SEGMENT_MAX_EVENTS = '10000';
+      process.env.OUTPUT_SEGMENT_COMPRESS = 'true';
+
+      const config = require('../../src/config');
+
+      expect(config.outputAdapter.localFile).toMatchObject({
+        mode: 'rolling',
+        segment: { maxBytes: 1048576, maxAgeMs: 60000, maxEvents: 10000, compress: true },
+      });
+    });
+
+    it('should let a route choose its own file mode', () => {
+      process.env.REDIS_URL = 'redis://localhost:6379';
+      process.env.STREAM_ROUTES = JSON.stringify([{ stream: 'a', output: { directory: '/data/a', fileMode: 'rolling' } }]);
+
+      const config = require('../../src/config');
+
+      expect(config.routes[0].output.localFile).toMatchObject({ directory: '/data/a', mode: 'rolling' });
+    });
+
+    it('should throw error for an unknown file mode', () => {
+      process.env.REDIS_URL = 'redis://localhost:6379';
+      process.env.OUTPUT_FILE_MODE = 'parquet';
+
+      expect(() => require('../../src/config')).toThrow("Invalid OUTPUT_FILE_MODE: 'parquet'. Must be one of: per-event, rolling.");
+    });
   });
 
   describe('Validation', () => {
@@ -146,6 +613,64 @@ describe('Configuration', () => {
       }).toThrow('REDIS_URL must start with redis:// or rediss://');
     });
 
+    it('should configure Sentinel without REDIS_URL', () => {
+      delete process.env.REDIS_URL;
+      process.env.REDIS_MODE = 'sentinel';
+      process.env.REDIS_SENTINEL_MASTER_NAME = 'mymaster';
+      process.env.REDIS_SENTINELS = 'sentinel-1:26379, sentinel-2:26379';
+
+      const { redis } = require('../../src/config');
+
+      expect(redis.mode).toBe('sentinel');
+      expect(redis.sentinel).toEqual({ masterName: 'mymaster', sentinels: ['sentinel-1:26379', 'sentinel-2:26379'], password: undefined });
+    });
+
+    it('should require the Sentinel master name and addresses', () => {
+      delete process.env.REDIS_URL;
+      process.env.REDIS_MODE = 'sentinel';
+
+      expect(() => require('../../src/config')).toThrow('REDIS_MODE=sentinel requires REDIS_SENTINEL_MASTER_NAME.');
+
+      jest.resetModules();
+      process.env.REDIS_SENTINEL_MASTER_NAME = 'mymaster';
+      expect(() => require('../../src/config')).toThrow('REDIS_MODE=sentinel requires REDIS_SENTINELS.');
+    });
+
+    it('should reject invalid cluster node addresses', () => {
+      delete process.env.REDIS_URL;
+      process.env.REDIS_MODE = 'cluster';
+      process.env.REDIS_CLUSTER_NODES = 'node-1:7000,node-2';
+
+      expect(() => require('../../src/config')).toThrow("Invalid address 'node-2' in REDIS_CLUSTER_NODES. Use host:port.");
+    });
+
+    it('should reject an unknown Redis mode', () => {
+      process.env.REDIS_URL = 'redis://localhost:6379';
+      process.env.REDIS_MODE = 'replicated';
+
+      expect(() => require('../../src/config')).toThrow("Invalid REDIS_MODE: 'replicated'. Must be one of: standalone, sentinel, cluster.");
+    });
+
+    it('should configure TLS and require the client certificate with its key', () => {
+      process.env.REDIS_URL = 'redis://localhost:6379';
+      process.env.REDIS_TLS_ENABLED = 'true';
+      process.env.REDIS_TLS_CA_FILE = '/certs/ca.pem';
+      process.env.REDIS_TLS_SERVERNAME = 'redis.internal';
+
+      expect(require('../../src/config').redis.tls).toEqual({
+        enabled: true,
+        caFile: '/certs/ca.pem',
+        certFile: undefined,
+        keyFile: undefined,
+        servername: 'redis.internal',
+        rejectUnauthorized: true,
+      });
+
+      jest.resetModules();
+      process.env.REDIS_TLS_CERT_FILE = '/certs/client.pem';
+      expect(() => require('../../src/config')).toThrow('REDIS_TLS_CERT_FILE and REDIS_TLS_KEY_FILE must be set together.');
+    });
+
     it('should throw error for invalid adapter type', () => {
       process.env.REDIS_URL = 'redis://localhost:6379';
       process.env.OUTPUT_ADAPTER_TYPE = 'INVALID_TYPE';
@@ -171,6 +696,252 @@ describe('Configuration', () => {
     });
   });
 
+  describe('Stream Routes', () => {
+    it('should route the single STREAM_KEY to the global adapter by default', () => {
+      process.env.REDIS_URL = 'redis://localhost:6379';
+      process.env.STREAM_KEY = 'orders';
+
+      const config = require('../../src/config');
+
+      expect(config.routes).toEqual([{
+        stream: 'orders',
+        consumerGroup: 'eventhub-connector-group',
+        startPosition: '$',
+        deadLetterStreamKey: 'orders:dead-letter',
+        transforms: [],
+        filter: null,
+        schema: null,
+        schemaMode: 'reject',
+        output: config.outputAdapter,
+      }]);
+    });
+
+    it('should give routes an inline, file or global schema', () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'schemas-'));
+      const schemaFile = path.join(dir, 'audit.json');
+      fs.writeFileSync(schemaFile, JSON.stringify({ type: 'object', required: ['user'] }));
+      process.env.REDIS_URL = 'redis://localhost:6379';
+      process.env.MESSAGE_SCHEMA = JSON.stringify({ type: 'object', required: ['deviceId'] });
+      process.env.SCHEMA_VALIDATION_MODE = 'log';
+      process.env.STREAM_ROUTES = JSON.stringify([
+        { stream: 'telemetry' },
+        { stream: 'audit', schemaFile, schemaMode: 'reject' },
+        { stream: 'debug', schema: null },
+      ]);
+
+      let routes;
+      try {
+        ({ routes } = require('../../src/config'));
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+
+      expect(routes.map(({ schema, schemaMode }) => ({ schema, schemaMode }))).toEqual([
+        { schema: { type: 'object', required: ['deviceId'] }, schemaMode: 'log' },
+        { schema: { type: 'object', required: ['user'] }, schemaMode: 'reject' },
+        { schema: null, schemaMode: 'log' },
+      ]);
+    });
+
+    it('should reject unknown schema modes and unreadable schema files', () => {
+      process.env.REDIS_URL = 'redis://localhost:6379';
+      process.env.SCHEMA_VALIDATION_MODE = 'drop';
+
+      expect(() => require('../../src/config')).toThrow("Invalid SCHEMA_VALIDATION_MODE: 'drop'. Must be one of: reject, log.");
+
+      jest.resetModules();
+      delete process.env.SCHEMA_VALIDATION_MODE;
+      process.env.STREAM_ROUTES = JSON.stringify([{ stream: 'audit', schemaFile: '/missing/schema.json' }]);
+      expect(() => require('../../src/config')).toThrow("STREAM_ROUTES[0].schemaFile '/missing/schema.json' is not a readable JSON file");
+    });
+
+    it('should send JSON by default and let routes choose another serialization format', () => {
+      process.env.REDIS_URL = 'redis://localhost:6379';
+      process.env.SERIALIZATION_FORMAT = 'cloudevents';
+      process.env.CLOUDEVENTS_SOURCE = 'urn:plant-7';
+      process.env.STREAM_ROUTES = JSON.stringify([
+        { stream: 'telemetry' },
+        { stream: 'audit', output: { serialization: { cloudEvents: { mode: 'binary' } } } },
+        { stream: 'metrics', output: { serialization: { format: 'avro', avro: { schemaFile: 'metrics.avsc', schemaId: '42' } } } },
+      ]);
+
+      const config = require('../../src/config');
+
+      expect(config.routes[0].output.serialization).toEqual({
+        format: 'cloudevents',
+        cloudEvents: { mode: 'structured', source: 'urn:plant-7', type: 'redis.stream.entry', typeField: undefined },
+        avro: { schemaFile: undefined, schemaId: undefined },
+      });
+      expect(config.routes[1].output.serialization.cloudEvents).toMatchObject({ mode: 'binary', source: 'urn:plant-7' });
+      expect(config.routes[2].output.serialization).toMatchObject({
+        format: 'avro',
+        avro: { schemaFile: 'metrics.avsc', schemaId: '42' },
+      });
+    });
+
+    it('should reject unknown serialization formats and Avro without a schema file', () => {
+      process.env.REDIS_URL = 'redis://localhost:6379';
+      process.env.STREAM_KEY = 'events';
+      process.env.SERIALIZATION_FORMAT = 'protobuf';
+
+      expect(() => require('../../src/config'))
+        .toThrow("Invalid serialization format 'protobuf' for stream 'events'. Must be one of: json, cloudevents, avro, msgpack.");
+
+      jest.resetModules();
+      process.env.SERIALIZATION_FORMAT = 'cloudevents';
+      process.env.CLOUDEVENTS_MODE = 'batched';
+      expect(() => require('../../src/config')).toThrow("Invalid CloudEvents mode 'batched' for stream 'events'");
+
+      jest.resetModules();
+      delete process.env.CLOUDEVENTS_MODE;
+      process.env.STREAM_ROUTES = JSON.stringify([{ stream: 'a', output: { serialization: { format: 'avro' } } }]);
+      expect(() => require('../../src/config')).toThrow("Avro serialization for stream 'a' requires a schema file (AVRO_SCHEMA_FILE).");
+    });
+
+    it('should build routes from STREAM_ROUTES with global defaults', () => {
+      process.env.REDIS_URL = 'redis://localhost:6379';
+      process.env.EVENT_HUB_CONNECTION_STRING = 'Endpoint=sb://test.servicebus.windows.net/;...';
+      process.env.STREAM_ROUTES = JSON.stringify([
+        { stream: 'telemetry:events' },
+        { stream: 'audit:events', consumerGroup: 'audit-group', output: { type: 'EVENT_HUBS', hubName: 'audit' } },
+        { stream: 'orders:events', output: { directory: '/data/orders' }, deadLetterStreamKey: 'orders:poison' },
+      ]);
+
+      const config = require('../../src/config');
+
+      expect(config.routes).toHaveLength(3);
+      expect(config.routes[0]).toMatchObject({
+        stream: 'telemetry:events',
+        consumerGroup: 'eventhub-connector-group',
+        deadLetterStreamKey: 'telemetry:events:dead-letter',
+        output: { type: 'LOCAL_FILE' },
+      });
+      expect(config.routes[1]).toMatchObject({
+        stream: 'audit:events',
+        consumerGroup: 'audit-group',
+        output: {
+          type: 'EVENT_HUBS',
+          eventHubs: { connectionString: 'Endpoint=sb://test.servicebus.windows.net/;...', hubName: 'audit' },
+        },
+      });
+      expect(config.routes[2]).toMatchObject({
+        deadLetterStreamKey: 'orders:poison',
+        output: { type: 'LOCAL_FILE', localFile: { directory: '/data/orders' } },
+      });
+    });
+
+    it('should let a route replace the global partitioning settings', () => {
+      process.env.REDIS_URL = 'redis://localhost:6379';
+      process.env.EVENT_HUB_PARTITION_KEY_FIELD = 'deviceId';
+      process.env.STREAM_ROUTES = JSON.stringify([
+        { stream: 'a' },
+        { stream: 'b', output: { partitionId: '3' } },
+      ]);
+
+      const config = require('../../src/config');
+
+      expect(config.routes[0].output.eventHubs).toMatchObject({ partitionKeyField: 'deviceId', partitionId: undefined });
+      expect(config.routes[1].output.eventHubs).toMatchObject({ partitionKeyField: undefined, partitionId: '3' });
+    });
+
+    it('should throw error for a route with conflicting partitioning settings', () => {
+      process.env.REDIS_URL = 'redis://localhost:6379';
+      process.env.STREAM_ROUTES = JSON.stringify([
+        { stream: 'a', output: { partitionKeyField: 'deviceId', partitionKeyTemplate: '{{site}}' } },
+      ]);
+
+      expect(() => require('../../src/config')).toThrow("Route for stream 'a' can only set one of partitionKeyField, partitionKeyTemplate and partitionId.");
+    });
+
+    it('should apply global TRANSFORMS unless a route defines its own', () => {
+      process.env.REDIS_URL = 'redis://localhost:6379';
+      process.env.TRANSFORMS = JSON.stringify([{ type: 'json', field: 'payload' }]);
+      process.env.STREAM_ROUTES = JSON.stringify([
+        { stream: 'a' },
+        { stream: 'b', transforms: [{ type: 'drop', fields: ['debug'] }] },
+      ]);
+
+      const config = require('../../src/config');
+
+      expect(config.transforms).toEqual([{ type: 'json', field: 'payload' }]);
+      expect(config.routes[0].transforms).toEqual([{ type: 'json', field: 'payload' }]);
+      expect(config.routes[1].transforms).toEqual([{ type: 'drop', fields: ['debug'] }]);
+    });
+
+    it('should apply the global FILTER unless a route defines its own', () => {
+      process.env.REDIS_URL = 'redis://localhost:6379';
+      process.env.FILTER = JSON.stringify({ field: 'level', equals: 'info' });
+      process.env.STREAM_ROUTES = JSON.stringify([
+        { stream: 'a' },
+        { stream: 'b', filter: null },
+      ]);
+
+      const config = require('../../src/config');
+
+      expect(config.routes[0].filter).toEqual({ field: 'level', equals: 'info' });
+      expect(config.routes[1].filter).toBeNull();
+    });
+
+    it('should read STREAM_ROUTES from a file', () => {
+      const fs = require('fs');
+      const os = require('os');
+      const path = require('path');
+      const routesFile = path.join(os.tmpdir(), `routes-${process.pid}.json`);
+      fs.writeFileSync(routesFile, JSON.stringify([{ stream: 'from-file' }]));
+      process.env.REDIS_URL = 'redis://localhost:6379';
+      process.env.STREAM_ROUTES_FILE = routesFile;
+
+      try {
+        const config = require('../../src/config');
+        expect(config.routes.map(route => route.stream)).toEqual(['from-file']);
+      } finally {
+        fs.unlinkSync(routesFile);
+      }
+    });
+
+    it('should throw error for invalid JSON', () => {
+      process.env.REDIS_URL = 'redis://localhost:6379';
+      process.env.STREAM_ROUTES = '[{ stream: ';
+
+      expect(() => require('../../src/config')).toThrow('STREAM_ROUTES is not valid JSON');
+    });
+
+    it('should throw error for an empty route list', () => {
+      process.env.REDIS_URL = 'redis://localhost:6379';
+      process.env.STREAM_ROUTES = '[]';
+
+      expect(() => require('../../src/config')).toThrow('STREAM_ROUTES must be a non-empty JSON array');
+    });
+
+    it('should throw error for a route without a stream', () => {
+      process.env.REDIS_URL = 'redis://localhost:6379';
+      process.env.STREAM_ROUTES = JSON.stringify([{ stream: 'a' }, { consumerGroup: 'g' }]);
+
+      expect(() => require('../../src/config')).toThrow("STREAM_ROUTES[1] must have a 'stream' key.");
+    });
+
+    it('should throw error for a stream routed twice', () => {
+      process.env.REDIS_URL = 'redis://localhost:6379';
+      process.env.STREAM_ROUTES = JSON.stringify([{ stream: 'a' }, { stream: 'a' }]);
+
+      expect(() => require('../../src/config')).toThrow("Stream 'a' is routed more than once");
+    });
+
+    it('should throw error for a route with an invalid output type', () => {
+      process.env.REDIS_URL = 'redis://localhost:6379';
+      process.env.STREAM_ROUTES = JSON.stringify([{ stream: 'a', output: { type: 'FTP' } }]);
+
+      expect(() => require('../../src/config')).toThrow("Invalid output type 'FTP' for stream 'a'");
+    });
+
+    it('should throw error for an Event Hubs route without a hub name', () => {
+      process.env.REDIS_URL = 'redis://localhost:6379';
+      process.env.STREAM_ROUTES = JSON.stringify([{ stream: 'a', output: { type: 'EVENT_HUBS' } }]);
+
+      expect(() => require('../../src/config')).toThrow("Route for stream 'a' uses EVENT_HUBS");
+    });
+  });
+
   describe('Processing Configuration', () => {
     it('should configure pending message recovery settings', () => {
       process.env.REDIS_URL = 'redis://localhost:6379';
@@ -183,6 +954,136 @@ describe('Configuration', () => {
       expect(config.processing.pendingMessageMinIdleMs).toBe(45000);
     });
 
+    it('should leave dead-lettering off by default, with a stream key derived from the stream key', () => {
+      process.env.REDIS_URL = 'redis://localhost:6379';
+      process.env.STREAM_KEY = 'orders';
+
+      const config = require('../../src/config');
+
+      expect(config.deadLetter.maxDeliveryAttempts).toBe(0);
+      expect(config.deadLetter.streamKey).toBe('orders:dead-letter');
+    });
+
+    it('should allow custom dead-letter settings', () => {
+      process.env.REDIS_URL = 'redis://localhost:6379';
+      process.env.MAX_DELIVERY_ATTEMPTS = '5';
+      process.env.DEAD_LETTER_STREAM_KEY = 'poison';
+
+      const config = require('../../src/config');
+
+      expect(config.deadLetter.maxDeliveryAttempts).toBe(5);
+      expect(config.deadLetter.streamKey).toBe('poison');
+    });
+
+    it('should disable the health server by default', () => {
+      process.env.REDIS_URL = 'redis://localhost:6379';
+
+      const config = require('../../src/config');
+
+      expect(config.health.port).toBe(0);
+      expect(config.health.stallThresholdMs).toBe(60000);
+    });
+
+    it('should configure the health server', () => {
+      process.env.REDIS_URL = 'redis://localhost:6379';
+      process.env.HEALTH_PORT = '9464';
+      process.env.HEALTH_STALL_THRESHOLD_MS = '30000';
+
+      const config = require('../../src/config');
+
+      expect(config.health.port).toBe(9464);
+      expect(config.health.stallThresholdMs).toBe(30000);
+    });
+
+    it('should reconnect to Redis forever by default', () => {
+      process.env.REDIS_URL = 'redis://localhost:6379';
+
+      expect(require('../../src/config').redis.reconnect).toEqual({ maxAttempts: 0, initialDelayMs: 100, maxDelayMs: 10000 });
+
+      jest.resetModules();
+      process.env.REDIS_RECONNECT_MAX_ATTEMPTS = '20';
+      process.env.REDIS_RECONNECT_MAX_DELAY_MS = '30000';
+
+      expect(require('../../src/config').redis.reconnect).toEqual({ maxAttempts: 20, initialDelayMs: 100, maxDelayMs: 30000 });
+    });
+
+    it('should configure send retries', () => {
+      process.env.REDIS_URL = 'redis://localhost:6379';
+      process.env.SEND_RETRY_MAX_ATTEMPTS = '5';
+
+      expect(require('../../src/config').sendRetry).toEqual({
+        maxAttempts: 5, initialDelayMs: 200, maxDelayMs: 5000, maxElapsedMs: 15000,
+      });
+    });
+
+    it('should enable the circuit breaker by default', () => {
+      process.env.REDIS_URL = 'redis://localhost:6379';
+
+      expect(require('../../src/config').circuitBreaker).toEqual({ enabled: true, failureThreshold: 5, resetTimeoutMs: 30000 });
+
+      jest.resetModules();
+      process.env.CIRCUIT_BREAKER_ENABLED = 'false';
+      process.env.CIRCUIT_BREAKER_FAILURE_THRESHOLD = '3';
+
+      expect(require('../../src/config').circuitBreaker).toMatchObject({ enabled: false, failureThreshold: 3 });
+    });
+
+    it('should configure adaptive batch sizing', () => {
+      process.env.REDIS_URL = 'redis://localhost:6379';
+      process.env.ADAPTIVE_BATCH_SIZE = 'true';
+      process.env.ADAPTIVE_BATCH_MIN_SIZE = '20';
+      process.env.ADAPTIVE_BATCH_MAX_SIZE = '800';
+
+      const config = require('../../src/config');
+
+      expect(config.processing.adaptiveBatchSize).toEqual({ enabled: true, min: 20, max: 800, targetLatencyMs: 1000 });
+    });
+
+    it('should throw error for an adaptive minimum above the maximum', () => {
+      process.env.REDIS_URL = 'redis://localhost:6379';
+      process.env.ADAPTIVE_BATCH_SIZE = 'true';
+      process.env.ADAPTIVE_BATCH_MIN_SIZE = '600';
+
+      expect(() => require('../../src/config')).toThrow('ADAPTIVE_BATCH_MIN_SIZE must not be greater than ADAPTIVE_BATCH_MAX_SIZE.');
+    });
+
+    it('should configure adaptive poll tuning', () => {
+      process.env.REDIS_URL = 'redis://localhost:6379';
+      process.env.ADAPTIVE_POLL_TIMEOUT = 'true';
+      process.env.ADAPTIVE_POLL_MIN_TIMEOUT_MS = '200';
+      process.env.ADAPTIVE_POLL_MAX_TIMEOUT_MS = '8000';
+
+      const config = require('../../src/config');
+
+      expect(config.processing.adaptivePollTimeout).toEqual({ enabled: true, minMs: 200, maxMs: 8000 });
+    });
+
+    it('should throw error for an adaptive poll minimum above the maximum', () => {
+      process.env.REDIS_URL = 'redis://localhost:6379';
+      process.env.ADAPTIVE_POLL_TIMEOUT = 'true';
+      process.env.ADAPTIVE_POLL_MIN_TIMEOUT_MS = '20000';
+
+      expect(() => require('../../src/config')).toThrow('ADAPTIVE_POLL_MIN_TIMEOUT_MS must not be greater than ADAPTIVE_POLL_MAX_TIMEOUT_MS.');
+    });
+
+    it('should configure the number of in-flight batches', () => {
+      process.env.REDIS_URL = 'redis://localhost:6379';
+
+      expect(require('../../src/config').processing.maxInFlightBatches).toBe(1);
+
+      jest.resetModules();
+      process.env.MAX_IN_FLIGHT_BATCHES = '4';
+
+      expect(require('../../src/config').processing.maxInFlightBatches).toBe(4);
+    });
+
+    it('should default the shutdown grace period below the Kubernetes termination grace period', () => {
+      process.env.REDIS_URL = 'redis://localhost:6379';
+      delete process.env.SHUTDOWN_GRACE_PERIOD_MS;
+
+      expect(require('../../src/config').processing.shutdownGracePeriodMs).toBe(20000);
+    });
+
     it('should configure shutdown grace period', () => {
       process.env.REDIS_URL = 'redis://localhost:6379';
       process.env.SHUTDOWN_GRACE_PERIOD_MS = '2000';
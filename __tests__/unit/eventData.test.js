@@ -0,0 +1,62 @@
+// __tests__/unit/eventData.test.js
+const { buildMetadata, parsePropertyFields, toEventData } = require('../../src/eventData');
+
+describe('eventData', () => {
+  describe('buildMetadata', () => {
+    it('should describe the source entry and derive the enqueue time from its ID', () => {
+      expect(buildMetadata('telemetry:events', 'group', '1700000000000-3')).toEqual({
+        sourceStream: 'telemetry:events',
+        consumerGroup: 'group',
+        redisEntryId: '1700000000000-3',
+        enqueuedAt: '2023-11-14T22:13:20.000Z',
+      });
+    });
+  });
+
+  describe('parsePropertyFields', () => {
+    it('should parse fields with optional property names', () => {
+      expect(parsePropertyFields('deviceId, level:severity,,')).toEqual({ deviceId: 'deviceId', level: 'severity' });
+    });
+
+    it('should return an empty map when unset', () => {
+      expect(parsePropertyFields(undefined)).toEqual({});
+    });
+  });
+
+  describe('toEventData', () => {
+    const event = {
+      body: { deviceId: 'd1', level: 'warn', uuid: 'abc' },
+      correlationId: '1-0',
+      metadata: { sourceStream: 's', consumerGroup: 'g', redisEntryId: '1-0', enqueuedAt: '1970-01-01T00:00:00.001Z' },
+    };
+
+    it('should default the message ID to the correlation ID and add the metadata as properties', () => {
+      expect(toEventData(event)).toEqual({
+        body: event.body,
+        correlationId: '1-0',
+        messageId: '1-0',
+        contentType: 'application/json',
+        properties: event.metadata,
+      });
+    });
+
+    it('should map fields to properties and use a field as message ID', () => {
+      const eventData = toEventData(event, {
+        propertyFields: { deviceId: 'deviceId', level: 'severity', missing: 'missing' },
+        messageIdField: 'uuid',
+        contentType: 'application/vnd.telemetry+json',
+        includeMetadata: false,
+      });
+
+      expect(eventData).toMatchObject({
+        messageId: 'abc',
+        contentType: 'application/vnd.telemetry+json',
+        properties: { deviceId: 'd1', severity: 'warn' },
+      });
+    });
+
+    it('should fall back to the correlation ID when the message ID field is missing', () => {
+      expect(toEventData({ body: {}, correlationId: '2-0' }, { messageIdField: 'uuid' }).messageId).toBe('2-0');
+    });
+  });
+});
@@ -0,0 +1,104 @@
+// __tests__/unit/filters.test.js
+const { MessageFilter } = require('../../src/filters');
+const { ConfigurationError } = require('../../src/errors');
+
+describe('MessageFilter', () => {
+  it('should match everything without a rule', () => {
+    const filter = MessageFilter.fromConfig();
+
+    expect(filter.matches({})).toBe(true);
+    expect(filter.matches({ level: 'debug' })).toBe(true);
+  });
+
+  describe('conditions', () => {
+    it('should match equal values', () => {
+      const filter = MessageFilter.fromConfig({ field: 'level', equals: 'info' });
+
+      expect(filter.matches({ level: 'info' })).toBe(true);
+      expect(filter.matches({ level: 'debug' })).toBe(false);
+      expect(filter.matches({})).toBe(false);
+    });
+
+    it('should compare non-string values as strings', () => {
+      const filter = MessageFilter.fromConfig({ field: 'priority', equals: 1 });
+
+      expect(filter.matches({ priority: '1' })).toBe(true);
+    });
+
+    it('should match regular expressions with flags', () => {
+      const filter = MessageFilter.fromConfig({ field: 'type', regex: '^heart', flags: 'i' });
+
+      expect(filter.matches({ type: 'Heartbeat' })).toBe(true);
+      expect(filter.matches({ type: 'reading' })).toBe(false);
+      expect(filter.matches({})).toBe(false);
+    });
+
+    it('should check whether a field exists', () => {
+      const present = MessageFilter.fromConfig({ field: 'traceId', exists: true });
+      const absent = MessageFilter.fromConfig({ field: 'traceId', exists: false });
+
+      expect(present.matches({ traceId: 'abc' })).toBe(true);
+      expect(present.matches({})).toBe(false);
+      expect(absent.matches({})).toBe(true);
+    });
+
+    it('should match inclusive numeric ranges', () => {
+      const filter = MessageFilter.fromConfig({ field: 'temperature', min: 0, max: 100 });
+
+      expect(filter.matches({ temperature: '0' })).toBe(true);
+      expect(filter.matches({ temperature: '100' })).toBe(true);
+      expect(filter.matches({ temperature: '-0.5' })).toBe(false);
+      expect(filter.matches({ temperature: '100.1' })).toBe(false);
+      expect(filter.matches({ temperature: 'hot' })).toBe(false);
+      expect(filter.matches({ temperature: '' })).toBe(false);
+      expect(filter.matches({})).toBe(false);
+    });
+
+    it('should support open-ended ranges', () => {
+      const filter = MessageFilter.fromConfig({ field: 'temperature', min: 50 });
+
+      expect(filter.matches({ temperature: '1e6' })).toBe(true);
+      expect(filter.matches({ temperature: '49' })).toBe(false);
+    });
+
+    it('should require every condition in the same rule', () => {
+      const filter = MessageFilter.fromConfig({ field: 'code', regex: '^E', min: 0 });
+
+      expect(filter.matches({ code: 'E1' })).toBe(false);
+    });
+  });
+
+  describe('combinations', () => {
+    const filter = MessageFilter.fromConfig({
+      and: [
+        { not: { field: 'level', equals: 'debug' } },
+        { or: [{ field: 'deviceId', regex: '^sensor-' }, { field: 'critical', exists: true }] },
+      ],
+    });
+
+    it.each([
+      [{ level: 'info', deviceId: 'sensor-1' }, true],
+      [{ level: 'info', deviceId: 'gateway-1', critical: '1' }, true],
+      [{ level: 'debug', deviceId: 'sensor-1' }, false],
+      [{ level: 'info', deviceId: 'gateway-1' }, false],
+    ])('should evaluate %j as %s', (body, expected) => {
+      expect(filter.matches(body)).toBe(expected);
+    });
+  });
+
+  describe('fromConfig validation', () => {
+    it.each([
+      ['a non-object rule', 'debug', 'Filter rule at filter must be an object.'],
+      ['a rule without a field', { equals: 'x' }, "Filter rule at filter requires a 'field'."],
+      ['a rule without a condition', { field: 'level' }, 'Filter rule at filter must use one of'],
+      ['an invalid regex', { field: 'level', regex: '(' }, 'Filter rule at filter has an invalid regex'],
+      ['a non-numeric range', { field: 'temp', min: 'low' }, "has a non-numeric 'min' or 'max'"],
+      ['an empty combination', { or: [] }, "Filter rule 'or' at filter requires a non-empty array of rules."],
+      ['several combinators', { and: [], or: [] }, 'must use only one of: and, or, not'],
+      ['an invalid nested rule', { and: [{ field: 'a', equals: 1 }, { field: 'b' }] }, 'Filter rule at filter.and[1] must use one of'],
+    ])('should reject %s', (description, rule, message) => {
+      expect(() => MessageFilter.fromConfig(rule)).toThrow(ConfigurationError);
+      expect(() => MessageFilter.fromConfig(rule)).toThrow(message);
+    });
+  });
+});
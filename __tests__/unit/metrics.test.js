@@ -0,0 +1,48 @@
+// __tests__/unit/metrics.test.js
+const Metrics = require('../../src/metrics');
+
+describe('Metrics', () => {
+  let metrics;
+
+  beforeEach(() => {
+    metrics = new Metrics();
+  });
+
+  it('should render counters in Prometheus text format', async () => {
+    metrics.messagesFetched.inc({ stream: 'test-stream' }, 3);
+    metrics.eventsSent.inc({ adapter: 'LOCAL_FILE' }, 2);
+
+    const output = await metrics.render();
+
+    expect(output).toContain('# TYPE connector_messages_fetched_total counter');
+    expect(output).toContain('connector_messages_fetched_total{stream="test-stream"} 3');
+    expect(output).toContain('connector_output_events_sent_total{adapter="LOCAL_FILE"} 2');
+  });
+
+  it('should render histograms with buckets', async () => {
+    metrics.batchDuration.observe({ stream: 'test-stream' }, 0.2);
+
+    const output = await metrics.render();
+
+    expect(output).toContain('connector_batch_duration_seconds_bucket{le="0.25",stream="test-stream"} 1');
+    expect(output).toContain('connector_batch_duration_seconds_count{stream="test-stream"} 1');
+  });
+
+  it('should keep registries of separate instances apart', async () => {
+    const other = new Metrics();
+    other.messagesAcked.inc({ stream: 'other-stream' });
+
+    expect(await metrics.render()).not.toContain('other-stream');
+  });
+
+  it('should optionally include default process metrics', async () => {
+    const withDefaults = new Metrics({ collectDefaults: true });
+
+    expect(await withDefaults.render()).toContain('process_cpu_user_seconds_total');
+    expect(await metrics.render()).not.toContain('process_cpu_user_seconds_total');
+  });
+
+  it('should expose the Prometheus content type', () => {
+    expect(metrics.contentType).toContain('text/plain');
+  });
+});
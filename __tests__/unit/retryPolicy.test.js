@@ -0,0 +1,69 @@
+// __tests__/unit/retryPolicy.test.js
+const { RetryPolicy, isRetryable } = require('../../src/retryPolicy');
+const { EventHubsError } = require('../../src/errors');
+
+const azureError = (code, retryable) => Object.assign(new Error(code), { code, retryable });
+
+describe('retryPolicy', () => {
+  describe('isRetryable', () => {
+    it('should retry throttling, timeouts and connection errors', () => {
+      expect(isRetryable(azureError('ServerBusyError'))).toBe(true);
+      expect(isRetryable(azureError('OperationTimeoutError'))).toBe(true);
+      expect(isRetryable(azureError('ECONNRESET'))).toBe(true);
+    });
+
+    it('should not retry errors that fail the same way every time', () => {
+      expect(isRetryable(azureError('UnauthorizedError'))).toBe(false);
+      expect(isRetryable(azureError('MessagingEntityNotFoundError'))).toBe(false);
+      expect(isRetryable(azureError('MessageTooLargeError', false))).toBe(false);
+    });
+
+    it('should judge Event Hubs errors by the SDK error they wrap', () => {
+      expect(isRetryable(new EventHubsError('Send failed', azureError('UnauthorizedError')))).toBe(false);
+      expect(isRetryable(new EventHubsError('Send failed', azureError('ServiceUnavailableError')))).toBe(true);
+    });
+
+    it('should fall back to the SDK retryable flag for other codes', () => {
+      expect(isRetryable(azureError('SomeNewError', false))).toBe(false);
+      expect(isRetryable(azureError('SomeOtherError', true))).toBe(true);
+    });
+
+    it('should treat unknown errors as transient', () => {
+      expect(isRetryable(new Error('Something went wrong'))).toBe(true);
+    });
+  });
+
+  describe('RetryPolicy', () => {
+    const options = { maxAttempts: 4, initialDelayMs: 100, maxDelayMs: 300, maxElapsedMs: 10000 };
+
+    it('should double the delay bound on every attempt, up to the maximum', () => {
+      const policy = new RetryPolicy(options, () => 0.999);
+
+      expect(policy.delayFor(1)).toBe(99);
+      expect(policy.delayFor(2)).toBe(199);
+      expect(policy.delayFor(3)).toBe(299);
+      expect(policy.delayFor(6)).toBe(299);
+    });
+
+    it('should pick a random delay below the bound', () => {
+      const policy = new RetryPolicy(options, () => 0.5);
+
+      expect(policy.delayFor(2)).toBe(100);
+    });
+
+    it('should stop after the maximum number of attempts', () => {
+      const policy = new RetryPolicy(options, () => 0.5);
+      const startedAt = Date.now();
+
+      expect(policy.nextDelay(3, startedAt)).toBe(150);
+      expect(policy.nextDelay(4, startedAt)).toBeNull();
+    });
+
+    it('should stop once the next retry would exceed the total time', () => {
+      const policy = new RetryPolicy({ ...options, maxElapsedMs: 1000 }, () => 0.5);
+
+      expect(policy.nextDelay(1, Date.now() - 900)).toBe(50);
+      expect(policy.nextDelay(1, Date.now() - 990)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,62 @@
+// __tests__/unit/schemas.test.js
+const { SchemaValidator } = require('../../src/schemas');
+const { ConfigurationError } = require('../../src/errors');
+
+describe('SchemaValidator', () => {
+  const schema = {
+    type: 'object',
+    required: ['deviceId', 'temperature'],
+    properties: {
+      deviceId: { type: 'string', minLength: 1 },
+      temperature: { type: 'number', minimum: -50, maximum: 150 },
+      recordedAt: { type: 'string', format: 'date-time' },
+    },
+  };
+
+  it('should accept everything without a schema', () => {
+    const validator = SchemaValidator.fromConfig();
+
+    expect(validator.enabled).toBe(false);
+    expect(validator.errorsFor({})).toEqual([]);
+  });
+
+  it('should accept entries matching the schema, coercing string values', () => {
+    const validator = SchemaValidator.fromConfig(schema);
+
+    expect(validator.enabled).toBe(true);
+    expect(validator.errorsFor({ deviceId: 'sensor-1', temperature: '21.5', recordedAt: '2024-05-01T10:00:00Z' })).toEqual([]);
+  });
+
+  it('should not change the checked entry', () => {
+    const body = { deviceId: 'sensor-1', temperature: '21.5' };
+
+    SchemaValidator.fromConfig(schema).errorsFor(body);
+
+    expect(body.temperature).toBe('21.5');
+  });
+
+  it('should report every validation error with its location', () => {
+    const validator = SchemaValidator.fromConfig(schema);
+
+    expect(validator.errorsFor({ temperature: 'hot', recordedAt: 'yesterday' })).toEqual([
+      "/ must have required property 'deviceId'",
+      '/temperature must be number',
+      '/recordedAt must match format "date-time"',
+    ]);
+  });
+
+  it('should default to the reject mode', () => {
+    expect(SchemaValidator.fromConfig(schema).mode).toBe('reject');
+    expect(SchemaValidator.fromConfig(schema, { mode: 'log' }).mode).toBe('log');
+  });
+
+  it('should reject unknown modes', () => {
+    expect(() => SchemaValidator.fromConfig(schema, { mode: 'drop' }))
+      .toThrow("Invalid schema validation mode 'drop'. Must be one of: reject, log.");
+  });
+
+  it('should reject schemas that do not compile', () => {
+    expect(() => SchemaValidator.fromConfig({ type: 'reading' })).toThrow(ConfigurationError);
+    expect(() => SchemaValidator.fromConfig({ type: 'reading' })).toThrow(/^Invalid JSON Schema: /);
+  });
+});
@@ -0,0 +1,153 @@
+// __tests__/unit/segments.test.js
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { SegmentWriter, OPEN_SUFFIX } = require('../../src/segments');
+
+describe('SegmentWriter', () => {
+  let directory;
+  let mockLogger;
+
+  const entry = (id, extra = {}) => ({ id, record: { value: id, ...extra, _metadata: { correlationId: id } } });
+
+  const listFiles = async () => (await fs.readdir(directory)).sort();
+
+  const readManifest = async (file) => JSON.parse(await fs.readFile(path.join(directory, file), 'utf8'));
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'segments-'));
+    mockLogger = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
+  });
+
+  afterEach(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  it('should append NDJSON to an open segment', async () => {
+    const writer = new SegmentWriter({ directory, maxAgeMs: 0 }, mockLogger);
+
+    await writer.append([entry('1-0'), entry('1-1')]);
+    await writer.append([entry('1-2')]);
+
+    const files = await listFiles();
+    expect(files).toHaveLength(1);
+    expect(files[0].endsWith(OPEN_SUFFIX)).toBe(true);
+    const lines = (await fs.readFile(path.join(directory, files[0]), 'utf8')).trim().split('\n');
+    expect(lines.map(line => JSON.parse(line).value)).toEqual(['1-0', '1-1', '1-2']);
+
+    await writer.close();
+  });
+
+  it('should roll by event count and write a manifest', async () => {
+    const writer = new SegmentWriter({ directory, maxAgeMs: 0, maxEvents: 2 }, mockLogger);
+
+    await writer.append([entry('1-0'), entry('1-1')]);
+    await writer.append([entry('1-2')]);
+
+    const files = await listFiles();
+    const manifests = files.filter(file => file.endsWith('.manifest.json'));
+    expect(manifests).toHaveLength(1);
+    expect(await readManifest(manifests[0])).toMatchObject({
+      events: 2,
+      compressed: false,
+      firstId: '1-0',
+      lastId: '1-1',
+    });
+    expect(files.filter(file => file.endsWith('.ndjson'))).toHaveLength(1);
+    expect(files.filter(file => file.endsWith(OPEN_SUFFIX))).toHaveLength(1);
+
+    await writer.close();
+  });
+
+  it('should roll by size', async () => {
+    const writer = new SegmentWriter({ directory, maxAgeMs: 0, maxBytes: 1024 }, mockLogger);
+
+    await writer.append([entry('1-0', { padding: 'x'.repeat(1100) })]);
+
+    const files = await listFiles();
+    expect(files.filter(file => file.endsWith(OPEN_SUFFIX))).toHaveLength(0);
+    expect(files.filter(file => file.endsWith('.manifest.json'))).toHaveLength(1);
+  });
+
+  it('should roll by age', async () => {
+    jest.useFakeTimers();
+    try {
+      const writer = new SegmentWriter({ directory, maxAgeMs: 1000 }, mockLogger);
+      await writer.append([entry('1-0')]);
+
+      jest.advanceTimersByTime(1000);
+      jest.useRealTimers();
+      await writer.close();
+
+      const files = await listFiles();
+      expect(files.filter(file => file.endsWith('.manifest.json'))).toHaveLength(1);
+      expect(mockLogger.info).toHaveBeenCalledWith(expect.objectContaining({ events: 1 }), 'Segment closed.');
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  it('should gzip closed segments', async () => {
+    const writer = new SegmentWriter({ directory, maxAgeMs: 0, compress: true }, mockLogger);
+
+    await writer.append([entry('1-0')]);
+    await writer.close();
+
+    const files = await listFiles();
+    const segment = files.find(file => file.endsWith('.ndjson.gz'));
+    expect(segment).toBeDefined();
+    expect(files.some(file => file.endsWith('.ndjson'))).toBe(false);
+    const content = zlib.gunzipSync(await fs.readFile(path.join(directory, segment))).toString();
+    expect(JSON.parse(content.trim()).value).toBe('1-0');
+    const manifest = files.find(file => file.endsWith('.manifest.json'));
+    expect(await readManifest(manifest)).toMatchObject({ segment, compressed: true });
+  });
+
+  it('should not create a segment when closing without appends', async () => {
+    const writer = new SegmentWriter({ directory, maxAgeMs: 0 }, mockLogger);
+
+    await writer.close();
+
+    expect(await listFiles()).toEqual([]);
+  });
+
+  it('should close segments left open by a previous run', async () => {
+    const lines = `${JSON.stringify({ _metadata: { correlationId: '5-0' } })}\n${JSON.stringify({ _metadata: { correlationId: '5-1' } })}\n{"_meta`;
+    await fs.writeFile(path.join(directory, `segment-default.1-abc${OPEN_SUFFIX}`), lines);
+    await fs.writeFile(path.join(directory, `segment-default.2-def${OPEN_SUFFIX}`), '');
+    const writer = new SegmentWriter({ directory, maxAgeMs: 0 }, mockLogger);
+
+    expect(await writer.recover()).toBe(2);
+
+    expect(await listFiles()).toEqual(['segment-default.1-abc.manifest.json', 'segment-default.1-abc.ndjson']);
+    expect(await readManifest('segment-default.1-abc.manifest.json')).toMatchObject({ events: 2, firstId: '5-0', lastId: '5-1' });
+  });
+
+  it('should leave segments of other writers in the directory alone', async () => {
+    const writer = new SegmentWriter({ directory, writerId: 'instance-1/events', maxAgeMs: 0 }, mockLogger);
+    const other = new SegmentWriter({ directory, writerId: 'instance-10/events', maxAgeMs: 0 }, mockLogger);
+    await other.append([entry('1-0')]);
+    await fs.writeFile(path.join(directory, `segment-instance-1_events.1-abc${OPEN_SUFFIX}`), '');
+
+    expect(await writer.recover()).toBe(1);
+
+    const files = await listFiles();
+    expect(files).toHaveLength(1);
+    expect(files[0]).toMatch(/^segment-instance-10_events\.\d+-[0-9a-f]{8}\.ndjson\.open$/);
+    await other.close();
+  });
+
+  it('should close segments other writers abandoned, e.g. after restarting with a new consumer name', async () => {
+    const writer = new SegmentWriter({ directory, writerId: 'connector-instance-200', maxAgeMs: 60000 }, mockLogger);
+    const stale = `segment-connector-instance-100.${Date.now() - 121000}-0a1b2c3d`;
+    const live = `segment-connector-instance-300.${Date.now() - 60000}-0a1b2c3d`;
+    await fs.writeFile(path.join(directory, `${stale}${OPEN_SUFFIX}`), `${JSON.stringify({ _metadata: { correlationId: '7-0' } })}\n`);
+    await fs.writeFile(path.join(directory, `${live}${OPEN_SUFFIX}`), '');
+
+    expect(await writer.recover()).toBe(1);
+
+    expect(await listFiles()).toEqual([`${stale}.manifest.json`, `${stale}.ndjson`, `${live}${OPEN_SUFFIX}`]);
+    expect(await readManifest(`${stale}.manifest.json`)).toMatchObject({ events: 1, firstId: '7-0' });
+  });
+});
@@ -0,0 +1,20 @@
+// __tests__/unit/sendResults.test.js
+const {
+  SendStatus, succeeded, failed, skipped, countByStatus,
+} = require('../../src/sendResults');
+
+describe('sendResults', () => {
+  it('should build results for each status', () => {
+    expect(succeeded()).toEqual({ status: SendStatus.SUCCESS });
+    expect(failed('Throttled')).toEqual({ status: SendStatus.FAILED, reason: 'Throttled' });
+    expect(skipped('Too large')).toEqual({ status: SendStatus.SKIPPED, reason: 'Too large' });
+  });
+
+  it('should count results by status', () => {
+    const results = [succeeded(), failed('Throttled'), succeeded(), skipped('Too large')];
+
+    expect(countByStatus(results, SendStatus.SUCCESS)).toBe(2);
+    expect(countByStatus(results, SendStatus.FAILED)).toBe(1);
+    expect(countByStatus(results, SendStatus.SKIPPED)).toBe(1);
+  });
+});
@@ -0,0 +1,124 @@
+// __tests__/unit/serializers.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const avro = require('avsc');
+const msgpack = require('@msgpack/msgpack');
+const { createSerializer, JsonSerializer } = require('../../src/serializers');
+const { ConfigurationError } = require('../../src/errors');
+
+describe('serializers', () => {
+  const metadata = { sourceStream: 'telemetry', consumerGroup: 'g', redisEntryId: '1000-0', enqueuedAt: '1970-01-01T00:00:01.000Z' };
+  const event = { body: { deviceId: 'd1', temperature: 21.5, kind: 'reading' }, correlationId: '1000-0', metadata };
+  const message = {
+    body: event.body, correlationId: '1000-0', messageId: '1000-0', contentType: 'application/json', properties: { deviceId: 'd1' },
+  };
+
+  it('should send JSON bodies unchanged by default', () => {
+    const serializer = createSerializer();
+
+    expect(serializer).toBeInstanceOf(JsonSerializer);
+    expect(serializer.serialize(event, message)).toBe(message);
+  });
+
+  describe('cloudevents', () => {
+    it('should wrap the body in a structured envelope', () => {
+      const serializer = createSerializer({ format: 'cloudevents', cloudEvents: { type: 'com.example.reading' } });
+
+      expect(serializer.serialize(event, message)).toEqual({
+        ...message,
+        body: {
+          specversion: '1.0',
+          id: '1000-0',
+          source: '/streams/telemetry',
+          type: 'com.example.reading',
+          time: '1970-01-01T00:00:01.000Z',
+          datacontenttype: 'application/json',
+          data: event.body,
+        },
+        contentType: 'application/cloudevents+json; charset=utf-8',
+      });
+    });
+
+    it('should send the attributes as ce- properties in binary mode', () => {
+      const serializer = createSerializer({
+        format: 'cloudevents', cloudEvents: { mode: 'binary', source: 'urn:plant-7', typeField: 'kind' },
+      });
+
+      expect(serializer.serialize(event, message)).toEqual({
+        ...message,
+        properties: {
+          deviceId: 'd1',
+          'ce-specversion': '1.0',
+          'ce-id': '1000-0',
+          'ce-source': 'urn:plant-7',
+          'ce-type': 'reading',
+          'ce-time': '1970-01-01T00:00:01.000Z',
+        },
+      });
+    });
+
+    it('should reject unknown modes', () => {
+      expect(() => createSerializer({ format: 'cloudevents', cloudEvents: { mode: 'batched' } }))
+        .toThrow("Invalid CloudEvents mode 'batched'. Must be one of: structured, binary.");
+    });
+  });
+
+  describe('avro', () => {
+    const schema = {
+      type: 'record',
+      name: 'Reading',
+      fields: [{ name: 'deviceId', type: 'string' }, { name: 'temperature', type: 'double' }],
+    };
+    let dir;
+    let schemaFile;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'avro-'));
+      schemaFile = path.join(dir, 'reading.avsc');
+      fs.writeFileSync(schemaFile, JSON.stringify(schema));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should encode the body with the schema and add the schema ID', () => {
+      const serializer = createSerializer({ format: 'avro', avro: { schemaFile, schemaId: 'reading-v1' } });
+
+      const serialized = serializer.serialize(event, message);
+
+      expect(serialized.contentType).toBe('avro/binary');
+      expect(serialized.properties).toEqual({ deviceId: 'd1', 'schema-id': 'reading-v1' });
+      expect(avro.Type.forSchema(schema).fromBuffer(serialized.body)).toEqual({ deviceId: 'd1', temperature: 21.5 });
+    });
+
+    it('should name the fields that do not match the schema', () => {
+      const serializer = createSerializer({ format: 'avro', avro: { schemaFile } });
+
+      expect(() => serializer.serialize(event, { ...message, body: { deviceId: 'd1', temperature: '21.5' } }))
+        .toThrow('Body does not match the Avro schema at: temperature');
+    });
+
+    it('should require a readable, valid schema file', () => {
+      expect(() => createSerializer({ format: 'avro' })).toThrow(ConfigurationError);
+      expect(() => createSerializer({ format: 'avro', avro: { schemaFile: path.join(dir, 'missing.avsc') } }))
+        .toThrow(/^Failed to read Avro schema/);
+
+      fs.writeFileSync(schemaFile, JSON.stringify({ type: 'record', name: 'Reading' }));
+      expect(() => createSerializer({ format: 'avro', avro: { schemaFile } })).toThrow(/^Invalid Avro schema/);
+    });
+  });
+
+  it('should encode the body with MessagePack', () => {
+    const serialized = createSerializer({ format: 'msgpack' }).serialize(event, message);
+
+    expect(serialized.contentType).toBe('application/x-msgpack');
+    expect(msgpack.decode(serialized.body)).toEqual(event.body);
+  });
+
+  it('should reject unknown formats', () => {
+    expect(() => createSerializer({ format: 'protobuf' }))
+      .toThrow("Unknown serialization format 'protobuf'. Must be one of: json, cloudevents, avro, msgpack.");
+  });
+});
@@ -0,0 +1,172 @@
+// __tests__/unit/transforms.test.js
+const path = require('path');
+const { TransformPipeline, entryTimestamp } = require('../../src/transforms');
+const { ConfigurationError, MessageProcessingError } = require('../../src/errors');
+
+describe('TransformPipeline', () => {
+  const context = { stream: 'telemetry:events', id: '1700000000000-0' };
+  const event = (body) => ({ body, correlationId: '1700000000000-0' });
+
+  describe('fromConfig', () => {
+    it('should build an empty pipeline by default', async () => {
+      const pipeline = TransformPipeline.fromConfig();
+
+      expect(pipeline.size).toBe(0);
+      expect(await pipeline.apply(event({ a: '1' }), context)).toEqual(event({ a: '1' }));
+    });
+
+    it('should throw for unknown transform types', () => {
+      expect(() => TransformPipeline.fromConfig([{ type: 'unknown' }])).toThrow(ConfigurationError);
+      expect(() => TransformPipeline.fromConfig([{ type: 'unknown' }])).toThrow("Unknown transform type 'unknown' at position 0");
+    });
+
+    it('should throw when definitions are not an array', () => {
+      expect(() => TransformPipeline.fromConfig({ type: 'json' })).toThrow('Transforms must be configured as a JSON array.');
+    });
+
+    it('should validate built-in options', () => {
+      expect(() => TransformPipeline.fromConfig([{ type: 'json' }])).toThrow("requires a 'field' option");
+      expect(() => TransformPipeline.fromConfig([{ type: 'cast', schema: { a: 'date' } }])).toThrow("Unknown cast type 'date'");
+      expect(() => TransformPipeline.fromConfig([{ type: 'rename' }])).toThrow("requires a 'fields' object");
+      expect(() => TransformPipeline.fromConfig([{ type: 'drop', fields: 'a' }])).toThrow("requires a 'fields' array");
+      expect(() => TransformPipeline.fromConfig([{ type: 'set', properties: { a: { compute: 'random' } } }])).toThrow("Unknown computed value 'random'");
+    });
+  });
+
+  describe('built-in transforms', () => {
+    it('should JSON-decode a field in place', async () => {
+      const pipeline = TransformPipeline.fromConfig([{ type: 'json', field: 'payload' }]);
+
+      const result = await pipeline.apply(event({ payload: '{"temp":20,"tags":["a"]}', deviceId: 'd1' }), context);
+
+      expect(result.body).toEqual({ payload: { temp: 20, tags: ['a'] }, deviceId: 'd1' });
+    });
+
+    it('should merge a JSON-decoded object into the body', async () => {
+      const pipeline = TransformPipeline.fromConfig([{ type: 'json', field: 'payload', merge: true }]);
+
+      const result = await pipeline.apply(event({ payload: '{"temp":20}', deviceId: 'd1' }), context);
+
+      expect(result.body).toEqual({ temp: 20, deviceId: 'd1' });
+    });
+
+    it('should cast fields according to the schema', async () => {
+      const pipeline = TransformPipeline.fromConfig([{
+        type: 'cast',
+        schema: { temperature: 'number', count: 'integer', active: 'boolean', missing: 'number' },
+      }]);
+
+      const result = await pipeline.apply(event({ temperature: '21.5', count: '3', active: 'true' }), context);
+
+      expect(result.body).toEqual({ temperature: 21.5, count: 3, active: true });
+    });
+
+    it('should fail when a value cannot be cast', async () => {
+      const pipeline = TransformPipeline.fromConfig([{ type: 'cast', schema: { temperature: 'number' } }]);
+
+      await expect(pipeline.apply(event({ temperature: 'hot' }), context))
+        .rejects.toThrow("Transform 'cast' failed: Field 'temperature': 'hot' is not a number");
+    });
+
+    it('should rename and drop fields', async () => {
+      const pipeline = TransformPipeline.fromConfig([
+        { type: 'rename', fields: { temp: 'temperature' } },
+        { type: 'drop', fields: ['debug'] },
+      ]);
+
+      const result = await pipeline.apply(event({ temp: '20', debug: 'x', deviceId: 'd1' }), context);
+
+      expect(result.body).toEqual({ temperature: '20', deviceId: 'd1' });
+    });
+
+    it('should set static, templated and computed properties', async () => {
+      const pipeline = TransformPipeline.fromConfig([{
+        type: 'set',
+        properties: {
+          source: 'redis',
+          key: { template: '{{deviceId}}-{{ site }}' },
+          stream: { compute: 'stream' },
+          entryId: { compute: 'entryId' },
+          enqueuedAt: { compute: 'entryTimestamp' },
+        },
+      }]);
+
+      const result = await pipeline.apply(event({ deviceId: 'd1', site: 'north' }), context);
+
+      expect(result.body).toEqual({
+        deviceId: 'd1',
+        site: 'north',
+        source: 'redis',
+        key: 'd1-north',
+        stream: 'telemetry:events',
+        entryId: '1700000000000-0',
+        enqueuedAt: '2023-11-14T22:13:20.000Z',
+      });
+    });
+
+    it('should keep the correlation ID', async () => {
+      const pipeline = TransformPipeline.fromConfig([{ type: 'drop', fields: ['a'] }]);
+
+      const result = await pipeline.apply(event({ a: '1' }), context);
+
+      expect(result.correlationId).toBe('1700000000000-0');
+    });
+  });
+
+  describe('custom modules', () => {
+    const baseDir = path.join(__dirname, '..', 'fixtures');
+
+    it('should load a custom transform module with options', async () => {
+      const pipeline = TransformPipeline.fromConfig(
+        [{ type: 'module', path: './uppercase-transform.js', options: { field: 'deviceId' } }],
+        { baseDir }
+      );
+
+      const result = await pipeline.apply(event({ deviceId: 'd1' }), context);
+
+      expect(result.body).toEqual({ deviceId: 'D1' });
+    });
+
+    it('should throw when the module cannot be loaded', () => {
+      expect(() => TransformPipeline.fromConfig([{ type: 'module', path: './missing.js' }], { baseDir }))
+        .toThrow("Failed to load transform module './missing.js'");
+    });
+
+    it('should throw when no path is given', () => {
+      expect(() => TransformPipeline.fromConfig([{ type: 'module' }])).toThrow("requires a 'path' option");
+    });
+  });
+
+  describe('apply', () => {
+    it('should wrap failures in a MessageProcessingError carrying the message ID', async () => {
+      const pipeline = new TransformPipeline([{ name: 'boom', transform: () => { throw new Error('bad'); } }]);
+
+      const error = await pipeline.apply(event({}), context).catch(err => err);
+
+      expect(error).toBeInstanceOf(MessageProcessingError);
+      expect(error.messageId).toBe('1700000000000-0');
+      expect(error.originalError.message).toBe('bad');
+    });
+
+    it('should reject transforms that return nothing', async () => {
+      const pipeline = new TransformPipeline([{ name: 'empty', transform: () => undefined }]);
+
+      await expect(pipeline.apply(event({}), context)).rejects.toThrow("Transform 'empty' did not return an event.");
+    });
+
+    it('should support async transforms', async () => {
+      const pipeline = new TransformPipeline([{
+        name: 'async',
+        transform: async evt => ({ ...evt, body: { ...evt.body, enriched: true } }),
+      }]);
+
+      expect((await pipeline.apply(event({}), context)).body).toEqual({ enriched: true });
+    });
+  });
+
+  describe('entryTimestamp', () => {
+    it('should extract the milliseconds part of an entry ID', () => {
+      expect(entryTimestamp('1700000000000-5')).toBe(1700000000000);
+    });
+  });
+});
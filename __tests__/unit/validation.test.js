@@ -54,6 +54,20 @@ describe('ConfigValidator', () => {
     });
   });
 
+  describe('isValidHostPort', () => {
+    it('should accept host:port addresses', () => {
+      expect(ConfigValidator.isValidHostPort('sentinel-1:26379')).toBe(true);
+      expect(ConfigValidator.isValidHostPort('10.0.0.5:7000')).toBe(true);
+    });
+
+    it('should reject addresses without a valid port', () => {
+      expect(ConfigValidator.isValidHostPort('sentinel-1')).toBe(false);
+      expect(ConfigValidator.isValidHostPort('sentinel-1:70000')).toBe(false);
+      expect(ConfigValidator.isValidHostPort('redis://node:7000')).toBe(false);
+      expect(ConfigValidator.isValidHostPort(undefined)).toBe(false);
+    });
+  });
+
   describe('isValidRedisUrl', () => {
     it('should return true for valid redis:// URL', () => {
       expect(ConfigValidator.isValidRedisUrl('redis://localhost:6379')).toBe(true);
@@ -78,6 +92,19 @@ describe('ConfigValidator', () => {
     });
   });
 
+  describe('isValidHttpUrl', () => {
+    it('should return true for http:// and https:// URLs', () => {
+      expect(ConfigValidator.isValidHttpUrl('http://localhost:8080/events')).toBe(true);
+      expect(ConfigValidator.isValidHttpUrl('https://example.com/hook')).toBe(true);
+    });
+
+    it('should return false for other schemes and empty values', () => {
+      expect(ConfigValidator.isValidHttpUrl('ftp://example.com')).toBe(false);
+      expect(ConfigValidator.isValidHttpUrl('')).toBe(false);
+      expect(ConfigValidator.isValidHttpUrl(undefined)).toBe(false);
+    });
+  });
+
   describe('isValidAdapterType', () => {
     it('should return true for LOCAL_FILE', () => {
       expect(ConfigValidator.isValidAdapterType('LOCAL_FILE')).toBe(true);
@@ -87,8 +114,20 @@ describe('ConfigValidator', () => {
       expect(ConfigValidator.isValidAdapterType('EVENT_HUBS')).toBe(true);
     });
 
+    it('should return true for KAFKA', () => {
+      expect(ConfigValidator.isValidAdapterType('KAFKA')).toBe(true);
+    });
+
+    it('should return true for HTTP', () => {
+      expect(ConfigValidator.isValidAdapterType('HTTP')).toBe(true);
+    });
+
+    it('should return true for REDIS', () => {
+      expect(ConfigValidator.isValidAdapterType('REDIS')).toBe(true);
+    });
+
     it('should return false for invalid adapter types', () => {
-      expect(ConfigValidator.isValidAdapterType('KAFKA')).toBe(false);
+      expect(ConfigValidator.isValidAdapterType('RABBITMQ')).toBe(false);
       expect(ConfigValidator.isValidAdapterType('local_file')).toBe(false);
       expect(ConfigValidator.isValidAdapterType('')).toBe(false);
       expect(ConfigValidator.isValidAdapterType(null)).toBe(false);
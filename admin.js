@@ -0,0 +1,149 @@
+// admin.js
+const config = require('./src/config');
+const logger = require('./src/logger');
+const RedisService = require('./src/services/RedisService');
+const DeadLetterService = require('./src/services/DeadLetterService');
+const { parseStartPosition } = require('./src/checkpoints');
+
+const USAGE = `Usage: npm run admin -- <command> [options]
+
+Commands:
+  dlq:list [count] [--stream <key>]
+                                 List dead-lettered messages (default count: 100)
+  dlq:replay [id...] [--stream <key>]
+                                 Replay dead-lettered messages back into their source stream
+                                 (all messages when no IDs are given)
+  group:reset <position> [--stream <key>] [--force]
+                                 Move the consumer group of a stream's route to $, 0, an entry ID or
+                                 a timestamp (milliseconds or ISO 8601, e.g. 2024-01-31T12:00:00Z);
+                                 refuses while consumers are active unless --force is given
+
+Options:
+  --stream <key>                 Pick a route of STREAM_ROUTES by its source stream. dlq:* use its
+                                 dead-letter stream (default: DEAD_LETTER_STREAM_KEY); group:reset
+                                 uses its consumer group (optional with a single route)`;
+
+/**
+ * Removes an option and its value from the arguments
+ * @param {string[]} args - Command arguments
+ * @param {string} name - Option name, e.g. '--stream'
+ * @returns {{value: string|undefined, rest: string[]}} The option's value, and the other arguments
+ */
+function takeOption(args, name) {
+  const index = args.indexOf(name);
+  if (index === -1) return { value: undefined, rest: args };
+  const value = args[index + 1];
+  if (!value || value.startsWith('--')) {
+    throw new Error(`${name} needs a value.`);
+  }
+  return { value, rest: [...args.slice(0, index), ...args.slice(index + 2)] };
+}
+
+/**
+ * Route of a stream, from STREAM_ROUTES or the single STREAM_KEY route
+ * @param {string} stream - Stream key
+ * @returns {Object}
+ */
+function findRoute(stream) {
+  const route = config.routes.find(candidate => candidate.stream === stream);
+  if (!route) {
+    throw new Error(`Stream '${stream}' has no route. Routed streams: ${config.routes.map(candidate => candidate.stream).join(', ')}.`);
+  }
+  return route;
+}
+
+/**
+ * Dead-letter service of a route's dead-letter stream, or of DEAD_LETTER_STREAM_KEY without a stream
+ * @param {RedisService} redisService - Connected Redis service
+ * @param {string} [stream] - Source stream of the route
+ * @returns {DeadLetterService}
+ */
+function createDeadLetterService(redisService, stream) {
+  const streamKey = stream ? findRoute(stream).deadLetterStreamKey : config.deadLetter.streamKey;
+  return new DeadLetterService({ ...config.deadLetter, streamKey }, redisService, logger);
+}
+
+async function listDeadLetters(redisService, args) {
+  const { value: stream, rest } = takeOption(args, '--stream');
+  const deadLetterService = createDeadLetterService(redisService, stream);
+  const { streamKey } = deadLetterService.config;
+  const count = rest[0] ? parseInt(rest[0], 10) : 100;
+  const entries = await deadLetterService.list({ count });
+
+  if (entries.length === 0) {
+    console.log(`Dead-letter stream '${streamKey}' is empty.`);
+    return;
+  }
+  for (const entry of entries) {
+    console.log(JSON.stringify(entry));
+  }
+  console.log(`${entries.length} dead-lettered message(s) in '${streamKey}'.`);
+}
+
+async function replayDeadLetters(redisService, args) {
+  const { value: stream, rest: ids } = takeOption(args, '--stream');
+  const deadLetterService = createDeadLetterService(redisService, stream);
+  const replayed = await deadLetterService.replay(ids);
+
+  for (const entry of replayed) {
+    console.log(`Replayed ${entry.deadLetterId} (originally ${entry.originalId}) to '${entry.stream}' as ${entry.newId}`);
+  }
+  console.log(`${replayed.length} message(s) replayed.`);
+}
+
+async function resetGroup(redisService, args) {
+  const { value: stream, rest } = takeOption(args, '--stream');
+  const force = rest.includes('--force');
+  const [position] = rest.filter(arg => arg !== '--force');
+  if (!position) {
+    throw new Error('group:reset needs a position: $, 0, an entry ID or a timestamp.');
+  }
+  if (!stream && config.routes.length > 1) {
+    throw new Error('group:reset needs --stream <key> to pick one of the routes in STREAM_ROUTES.');
+  }
+  const startId = parseStartPosition(position, 'position');
+  const { stream: key, consumerGroup } = stream ? findRoute(stream) : config.routes[0];
+
+  // Consumers that read within the pending idle threshold are considered running
+  const active = await redisService.resetGroup(key, consumerGroup, startId, {
+    activeWithinMs: config.processing.pendingMessageMinIdleMs,
+    force,
+  });
+
+  if (active.length > 0) {
+    console.log(`Warning: ${active.length} consumer(s) were active: ${active.map(consumer => consumer.name).join(', ')}.`);
+  }
+  console.log(`Consumer group '${consumerGroup}' on '${key}' now reads after ${startId}.`);
+  if (config.dedup.enabled) {
+    console.log(`Deduplication is enabled: entries delivered within ${config.dedup.ttlSeconds}s are skipped unless `
+      + `the keys '${config.dedup.keyPrefix}:${consumerGroup}:${key}:*' are deleted first.`);
+  }
+}
+
+const COMMANDS = {
+  'dlq:list': listDeadLetters,
+  'dlq:replay': replayDeadLetters,
+  'group:reset': resetGroup,
+};
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+  const handler = COMMANDS[command];
+  if (!handler) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  const redisService = new RedisService({ ...config.redis, blockingReads: false }, logger);
+  await redisService.connect();
+  try {
+    await handler(redisService, args);
+  } finally {
+    await redisService.disconnect();
+  }
+}
+
+main().catch(err => {
+  console.error('Admin command failed:', err.message);
+  process.exit(1);
+});
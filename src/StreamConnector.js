@@ -1,114 +1,1039 @@
 // src/StreamConnector.js
-const { MessageProcessingError } = require('./errors');
+const Metrics = require('./metrics');
+const { TransformPipeline } = require('./transforms');
+const { MessageFilter } = require('./filters');
+const { SchemaValidator } = require('./schemas');
+const { buildMetadata } = require('./eventData');
+const { SendStatus } = require('./sendResults');
+const { parseStartPosition } = require('./checkpoints');
+const { AdaptiveBatchSize, AdaptivePollTimeout, isOverloaded } = require('./batchSizing');
+const { CircuitBreaker, CircuitState } = require('./circuitBreaker');
+const { RetryPolicy, isRetryable } = require('./retryPolicy');
+
+// Upper bound on remembered failure reasons, so messages claimed by other consumers can't grow the map forever
+const MAX_TRACKED_FAILURES = 10000;
+
+// Entry IDs are only unique within a stream
+const messageKey = (stream, id) => `${stream}/${id}`;
+
+// Lowest entry ID after the given one, so XPENDING pages can be read without the exclusive ranges of Redis 6.2
+const nextEntryId = (id) => {
+  const [ms, seq] = id.split('-');
+  return `${ms}-${BigInt(seq) + 1n}`;
+};
+
+// Entries read per XPENDING call while looking for exhausted messages
+const PENDING_PAGE_SIZE = 100;
+
+// Reply to group commands once the stream or its group is gone, e.g. after Redis restarted without persistence
+const isMissingGroupError = (error) => /^NOGROUP\b/.test(error.message);
 
 /**
- * Main connector class that orchestrates message processing from Redis to output service
+ * Main connector class that orchestrates message processing from Redis to output services.
+ * Each route pairs a stream and its consumer group with the output service (and optional
+ * dead-letter service) its messages are forwarded to.
  */
 class StreamConnector {
-  constructor({ config, logger, redisService, outputService }) {
+  /**
+   * @param {Object} options
+   * @param {Object} options.config - Application configuration
+   * @param {Object} options.logger - Logger instance
+   * @param {RedisService} options.redisService - Redis service shared by all routes
+   * @param {Object} [options.outputService] - Output service for the single `config.stream` route
+   * @param {DeadLetterService} [options.deadLetterService] - Dead-letter service for the single `config.stream` route
+   * @param {TransformPipeline} [options.transformPipeline] - Transforms for the single `config.stream` route
+   * @param {MessageFilter} [options.filter] - Filter for the single `config.stream` route
+   * @param {DedupService} [options.dedupService] - Dedup store for the single `config.stream` route
+   * @param {Array<{stream: string, consumerGroup: string, outputService: Object, deadLetterService?: DeadLetterService, schemaDeadLetterService?: DeadLetterService, transformPipeline?: TransformPipeline, filter?: MessageFilter, schemaValidator?: SchemaValidator, dedupService?: DedupService}>} [options.routes] - Stream routes, replacing the single route
+   * @param {FileCheckpointStore|RedisCheckpointStore} [options.checkpointStore] - Where progress is stored in checkpoint mode
+   * @param {Metrics} [options.metrics] - Shared metrics registry
+   */
+  constructor({
+    config, logger, redisService, outputService, deadLetterService = null, transformPipeline = null, filter = null, dedupService = null, routes = null, checkpointStore = null, metrics = new Metrics(),
+  }) {
     this.config = config;
     this.logger = logger;
     this.redisService = redisService;
     this.outputService = outputService;
+    this.deadLetterService = deadLetterService;
+    this.metrics = metrics;
     this.isRunning = false;
+    this.loopPromise = null;
+    // Resolvers of the delays in progress, so stopping can end them early
+    this.sleepers = new Set();
+    // Batches being sent while the next ones are read, and the first error one of them threw
+    this.inFlight = new Set();
+    this.batchError = null;
+
+    const { batchSize, adaptiveBatchSize } = config.processing;
+    this.batchSizer = adaptiveBatchSize && adaptiveBatchSize.enabled
+      ? new AdaptiveBatchSize({ ...adaptiveBatchSize, initial: batchSize })
+      : null;
+    this.metrics.batchSize.set(this.currentBatchSize());
+    const { pollTimeoutMs, adaptivePollTimeout } = config.processing;
+    this.pollTuner = adaptivePollTimeout && adaptivePollTimeout.enabled
+      ? new AdaptivePollTimeout({ ...adaptivePollTimeout, initial: pollTimeoutMs })
+      : null;
+    this.metrics.pollTimeout.set(this.currentPollTimeout());
+    // Without a policy every batch is sent once and failures are left to the PEL
+    this.retryPolicy = config.sendRetry && config.sendRetry.maxAttempts > 1 ? new RetryPolicy(config.sendRetry) : null;
+    this.lastLoopAt = null;
     this.pendingClaimInterval = null;
+    this.failureReasons = new Map();
+    this.recoveredMessages = [];
+    // Without consumer groups, progress is the last delivered entry ID of each stream
+    this.checkpointStore = checkpointStore;
+    this.checkpointMode = config.stream.readMode === 'checkpoint';
+
+    const routeList = routes || [{
+      stream: config.stream.key,
+      consumerGroup: config.stream.consumerGroup,
+      groupStartId: parseStartPosition(config.stream.groupStartPosition || '$'),
+      outputService,
+      deadLetterService,
+      transformPipeline,
+      filter,
+      dedupService,
+    }];
+    const breakerConfig = config.circuitBreaker;
+    this.routes = new Map(routeList.map(route => [route.stream, {
+      groupStartId: '$',
+      // Whether batches must reach the output in read order, e.g. to keep per-partition-key order
+      ordered: false,
+      deadLetterService: null,
+      dedupService: null,
+      ...route,
+      transformPipeline: route.transformPipeline || new TransformPipeline(),
+      filter: route.filter || new MessageFilter(),
+      schemaValidator: route.schemaValidator || new SchemaValidator(),
+      // Receives entries that fail schema validation, which is wanted even without MAX_DELIVERY_ATTEMPTS
+      schemaDeadLetterService: route.schemaDeadLetterService || route.deadLetterService || null,
+      // Messages left in this consumer's PEL by a previous run are read (from ID 0) before new ones
+      pendingCursor: '0',
+      // Last delivered entry ID in checkpoint mode, loaded on start
+      checkpoint: null,
+      // Settles when the route's latest batch is done; ordered routes send their next batch after it
+      lastBatch: Promise.resolve(),
+      // Stops reading the route while its output keeps failing
+      circuitBreaker: breakerConfig && breakerConfig.enabled
+        ? new CircuitBreaker(breakerConfig, this.logger, { stream: route.stream })
+        : null,
+    }]));
+
+    // A single XREADGROUP call can only use one group, so streams are read together per group
+    this.streamsByGroup = new Map();
+    for (const route of this.routes.values()) {
+      const streams = this.streamsByGroup.get(route.consumerGroup) || [];
+      streams.push(route.stream);
+      this.streamsByGroup.set(route.consumerGroup, streams);
+    }
   }
   
   async start() {
     this.logger.info('Starting Stream Connector...');
     this.isRunning = true;
     
-    await this.redisService.initializeGroup(this.config.stream.key, this.config.stream.consumerGroup);
+    if (this.checkpointMode) {
+      // Consumer groups can't be created on read-only replicas, so there is no PEL to recover
+      for (const route of this.routes.values()) {
+        route.checkpoint = await this.loadCheckpoint(route);
+      }
+    } else {
+      await this.initializeGroups();
+      this.redisService.onReconnect(() => this.recreateGroups());
 
-    // Start periodic pending message recovery
-    this.startPendingMessageRecovery();
+      // Start periodic pending message recovery
+      this.startPendingMessageRecovery();
+    }
 
-    this.logger.info({ consumer: this.config.stream.consumerName }, 'Starting message processing loop.');
-    this.processingLoop().catch(err => {
+    this.logger.info({
+      consumer: this.config.stream.consumerName,
+      batchSize: this.currentBatchSize(),
+      pollTimeoutMs: this.currentPollTimeout(),
+      adaptiveBatchSize: this.batchSizer !== null,
+      adaptivePollTimeout: this.pollTuner !== null,
+    }, 'Starting message processing loop.');
+    this.loopPromise = this.processingLoop().catch(err => {
         this.logger.fatal({ err }, 'Processing loop crashed. The application will exit.');
         process.exit(1);
     });
   }
 
+  /**
+   * Creates the consumer group of every route unless it exists
+   * @returns {Promise<void>}
+   */
+  async initializeGroups() {
+    for (const route of this.routes.values()) {
+      await this.redisService.initializeGroup(route.stream, route.consumerGroup, route.groupStartId);
+    }
+  }
+
+  /**
+   * Recreates consumer groups the server lost. Runs after a reconnect and when a read fails with NOGROUP.
+   * A recreated group starts at its configured start position again.
+   * @returns {Promise<boolean>} Whether every group exists now
+   */
+  async recreateGroups() {
+    try {
+      await this.initializeGroups();
+      return true;
+    } catch (error) {
+      this.logger.error({ err: error }, 'Failed to recreate consumer groups.');
+      return false;
+    }
+  }
+
+  /**
+   * Waits between loop iterations. Stopping the connector ends the wait early.
+   * @param {number} ms - How long to wait
+   * @returns {Promise<void>}
+   */
+  delay(ms) {
+    return new Promise(resolve => {
+      const wake = () => {
+        clearTimeout(timer);
+        this.sleepers.delete(wake);
+        resolve();
+      };
+      const timer = setTimeout(wake, ms);
+      this.sleepers.add(wake);
+    });
+  }
+
+  /**
+   * Entry ID a route resumes reading after: its saved checkpoint, or the configured start position
+   * @param {Object} route - Route to load the checkpoint of
+   * @returns {Promise<string>}
+   */
+  async loadCheckpoint(route) {
+    const saved = await this.checkpointStore.load(route.stream);
+    if (saved) {
+      this.logger.info({ stream: route.stream, checkpoint: saved }, 'Resuming from checkpoint.');
+      return saved;
+    }
+    const start = parseStartPosition(this.config.checkpoint.startPosition);
+    const checkpoint = start === '$' ? await this.redisService.getLastEntryId(route.stream) : start;
+    this.logger.info({ stream: route.stream, checkpoint }, 'No checkpoint found. Starting from the configured position.');
+    return checkpoint;
+  }
+
+  /**
+   * Moves a route's checkpoint past the messages processed in order, up to the first one that
+   * must be retried. Messages after it are read and sent again.
+   * @param {Object} route - Route the messages belong to
+   * @param {Array<{id: string}>} messages - Processed messages, in stream order
+   * @param {string[]} retryIds - IDs of the messages that were not delivered
+   * @returns {Promise<boolean>} Whether every message was delivered
+   */
+  async advanceCheckpoint(route, messages, retryIds) {
+    const retry = new Set(retryIds);
+    let lastDelivered = null;
+    for (const msg of messages) {
+      if (retry.has(msg.id)) break;
+      lastDelivered = msg.id;
+    }
+    if (lastDelivered) {
+      route.checkpoint = lastDelivered;
+      await this.checkpointStore.save(route.stream, lastDelivered);
+    }
+    return retry.size === 0;
+  }
+
+  /**
+   * Acknowledges messages in the route's consumer group. In checkpoint mode there is nothing to
+   * acknowledge: the checkpoint is advanced once the batch is processed.
+   * @param {Object} route - Route the messages belong to
+   * @param {string[]} messageIds - IDs of the messages to acknowledge
+   * @returns {Promise<number>} Number of messages acknowledged
+   */
+  async ackMessages(route, messageIds) {
+    if (this.checkpointMode) return messageIds.length;
+    return this.redisService.ackMessages(route.stream, route.consumerGroup, messageIds);
+  }
+
   /**
    * Starts a periodic task to claim pending messages
    */
   startPendingMessageRecovery() {
     this.pendingClaimInterval = setInterval(async () => {
-      try {
-        await this.redisService.claimPendingMessages(
-          this.config.stream.key,
-          this.config.stream.consumerGroup,
-          this.config.stream.consumerName,
-          this.config.processing.pendingMessageMinIdleMs
-        );
-      } catch (error) {
-        this.logger.error({ err: error }, 'Error claiming pending messages.');
+      for (const route of this.routes.values()) {
+        // Claimed messages would only fail again while the output is down
+        if (!this.isRouteAvailable(route)) continue;
+        try {
+          if (route.deadLetterService) {
+            await this.deadLetterExhaustedMessages(route);
+          }
+          const claimed = await this.redisService.claimPendingMessages(
+            route.stream,
+            route.consumerGroup,
+            this.config.stream.consumerName,
+            this.config.processing.pendingMessageMinIdleMs
+          );
+          this.queueRecoveredMessages(claimed.map(msg => ({ ...msg, stream: route.stream })));
+        } catch (error) {
+          this.logger.error({ err: error, stream: route.stream }, 'Error claiming pending messages.');
+        }
       }
     }, this.config.processing.pendingMessageClaimIntervalMs);
   }
 
   /**
-   * Main processing loop that fetches and processes messages
+   * Queues claimed messages so the processing loop sends them before reading new ones
+   * @param {Array<{stream: string, id: string, fields: string[]}>} messages - Claimed messages
+   */
+  queueRecoveredMessages(messages) {
+    const queuedKeys = new Set(this.recoveredMessages.map(msg => messageKey(msg.stream, msg.id)));
+    for (const message of messages) {
+      if (!queuedKeys.has(messageKey(message.stream, message.id))) this.recoveredMessages.push(message);
+    }
+  }
+
+  /**
+   * Moves idle pending messages that reached the max delivery count to the route's dead-letter stream
+   * @param {Object} route - Route whose pending messages to check
+   * @returns {Promise<number>} Number of messages dead-lettered
+   */
+  async deadLetterExhaustedMessages(route) {
+    const { stream: key, consumerGroup, deadLetterService } = route;
+    const minIdleMs = this.config.processing.pendingMessageMinIdleMs;
+
+    // Exhausted entries can sit behind any number of younger ones, so the whole PEL is read page by page
+    let deadLettered = 0;
+    let start = '-';
+    for (;;) {
+      const pending = await this.redisService.getPendingMessages(key, consumerGroup, PENDING_PAGE_SIZE, { start });
+      const exhausted = pending.filter(entry =>
+        entry.idleMs >= minIdleMs && deadLetterService.isExhausted(entry.deliveryCount)
+      );
+      if (exhausted.length > 0) deadLettered += await this.deadLetterPendingEntries(route, exhausted);
+      if (pending.length < PENDING_PAGE_SIZE) return deadLettered;
+      start = nextEntryId(pending[pending.length - 1].id);
+    }
+  }
+
+  /**
+   * Claims exhausted pending entries and moves them to the route's dead-letter stream
+   * @param {Object} route - Route the entries belong to
+   * @param {Array<{id: string, deliveryCount: number}>} exhausted - Pending entries that reached the max delivery count
+   * @returns {Promise<number>} Number of messages dead-lettered
+   */
+  async deadLetterPendingEntries(route, exhausted) {
+    const { stream: key, consumerGroup, deadLetterService } = route;
+    const { consumerName } = this.config.stream;
+    const minIdleMs = this.config.processing.pendingMessageMinIdleMs;
+
+    const deliveryCounts = new Map(exhausted.map(entry => [entry.id, entry.deliveryCount]));
+    const exhaustedIds = exhausted.map(entry => entry.id);
+    // Claiming first makes sure no other consumer is still working on these messages
+    const claimed = await this.redisService.claimMessages(key, consumerGroup, consumerName, minIdleMs, exhaustedIds);
+
+    for (const message of claimed) {
+      const failureKey = messageKey(key, message.id);
+      await deadLetterService.deadLetter(message, {
+        sourceStream: key,
+        groupName: consumerGroup,
+        reason: this.failureReasons.get(failureKey) || 'Max delivery attempts exceeded',
+        attempts: deliveryCounts.get(message.id),
+      });
+      this.failureReasons.delete(failureKey);
+    }
+    if (claimed.length > 0) {
+      this.metrics.messagesDeadLettered.inc({ stream: key }, claimed.length);
+    }
+
+    // Entries trimmed or deleted from the stream can never be delivered, so just release them
+    const claimedIds = new Set(claimed.map(message => message.id));
+    const missingIds = exhaustedIds.filter(id => !claimedIds.has(id));
+    if (missingIds.length > 0) {
+      await this.redisService.ackMessages(key, consumerGroup, missingIds);
+    }
+
+    return claimed.length;
+  }
+
+  /**
+   * Remembers why a message failed so it can be attached to its dead-letter entry
+   * @param {Object} route - Route the messages belong to
+   * @param {string[]} messageIds - IDs of the failed messages
+   * @param {string} reason - Failure reason
+   */
+  recordFailures(route, messageIds, reason) {
+    if (!route.deadLetterService) return;
+    for (const id of messageIds) {
+      const failureKey = messageKey(route.stream, id);
+      this.failureReasons.delete(failureKey);
+      this.failureReasons.set(failureKey, reason);
+    }
+    while (this.failureReasons.size > MAX_TRACKED_FAILURES) {
+      this.failureReasons.delete(this.failureReasons.keys().next().value);
+    }
+  }
+
+  /**
+   * Main processing loop that fetches and processes messages. Up to MAX_IN_FLIGHT_BATCHES batches
+   * are sent at once: the next batch is read while earlier ones are still being sent.
    */
   async processingLoop() {
+    // Checkpoints advance in read order and the next read starts from them, so that mode stays serial
+    const maxInFlight = this.checkpointMode ? 1 : this.config.processing.maxInFlightBatches || 1;
+
     while (this.isRunning) {
+      this.lastLoopAt = Date.now();
       try {
-        const messages = await this.redisService.fetchMessages(
-          this.config.stream.key, this.config.stream.consumerGroup, this.config.stream.consumerName,
-          this.config.processing.batchSize, this.config.processing.pollTimeoutMs
+        const batchSize = this.currentBatchSize();
+        const messages = await this.nextMessages();
+        this.adaptPollTimeout(messages.length, batchSize);
+
+        if (messages.length > 0) {
+          this.logger.debug(`Fetched ${messages.length} messages from Redis stream.`);
+          this.dispatchBatch(messages);
+        }
+
+        // Backpressure: stop reading until a batch slot frees up
+        while (this.inFlight.size >= maxInFlight) {
+          await Promise.race(this.inFlight);
+        }
+        if (this.batchError) {
+          const error = this.batchError;
+          this.batchError = null;
+          throw error;
+        }
+      } catch (error) {
+        if (!this.checkpointMode && isMissingGroupError(error)) {
+          this.logger.warn({ err: error }, 'Consumer group is missing. Recreating it...');
+          if (await this.recreateGroups()) continue;
+        }
+        this.logger.error({ err: error }, 'An error occurred in the processing loop. Retrying after delay...');
+        await this.delay(this.config.processing.retryDelayMs);
+      }
+    }
+
+    // Let the batches still being sent finish and acknowledge their messages
+    await Promise.all(this.inFlight);
+    if (this.batchError) {
+      this.logger.error({ err: this.batchError }, 'A batch failed while stopping. Its messages stay pending.');
+      this.batchError = null;
+    }
+  }
+
+  /**
+   * Starts processing a batch without waiting for it. Its error, if any, is rethrown by the
+   * processing loop once the batch is done.
+   * @param {Array<{stream: string, id: string, fields: string[]}>} messages - Fetched messages
+   */
+  dispatchBatch(messages) {
+    const batch = this.processMessages(messages)
+      .catch((error) => {
+        this.batchError = this.batchError || error;
+      })
+      .finally(() => this.inFlight.delete(batch));
+    this.inFlight.add(batch);
+  }
+
+  /**
+   * Sends fetched messages, each stream to its own output and acknowledged in its own group
+   * @param {Array<{stream: string, id: string, fields: string[]}>} messages - Fetched messages
+   * @returns {Promise<void>}
+   */
+  async processMessages(messages) {
+    const messagesByStream = new Map();
+    for (const message of messages) {
+      const streamMessages = messagesByStream.get(message.stream) || [];
+      streamMessages.push(message);
+      messagesByStream.set(message.stream, streamMessages);
+    }
+
+    // Ordered routes queue up here, before anything is awaited, so their batches keep the read order
+    const sends = [...messagesByStream].map(([stream, streamMessages]) => {
+      this.metrics.messagesFetched.inc({ stream }, streamMessages.length);
+      const route = this.routes.get(stream);
+      if (!route.ordered) return this.processBatch(route, streamMessages);
+      const send = route.lastBatch.then(() => this.processBatch(route, streamMessages));
+      route.lastBatch = send.catch(() => {});
+      return send;
+    });
+    const results = await Promise.allSettled(sends);
+    const failed = results.find(result => result.status === 'rejected');
+    if (failed) throw failed.reason;
+
+    if (!this.checkpointMode) return;
+    let retryPending = false;
+    for (const [index, [stream, streamMessages]] of [...messagesByStream].entries()) {
+      if (!await this.advanceCheckpoint(this.routes.get(stream), streamMessages, results[index].value)) {
+        retryPending = true;
+      }
+    }
+    // Undelivered messages are read again right away, so back off first
+    if (retryPending) {
+      await this.delay(this.config.processing.retryDelayMs);
+    }
+  }
+
+  /**
+   * Messages requested per stream read: BATCH_SIZE, or the adaptive size when enabled
+   * @returns {number}
+   */
+  currentBatchSize() {
+    return this.batchSizer ? this.batchSizer.size : this.config.processing.batchSize;
+  }
+
+  /**
+   * Feeds a sent batch into adaptive batch sizing, if enabled
+   * @param {number} messageCount - Messages read for the batch
+   * @param {number} latencyMs - How long sending took
+   * @param {boolean} overloaded - Whether the output throttled or timed out
+   */
+  adaptBatchSize(messageCount, latencyMs, overloaded) {
+    if (!this.batchSizer) return;
+    const change = this.batchSizer.record({ full: messageCount >= this.batchSizer.size, latencyMs, overloaded });
+    if (!change) return;
+    this.metrics.batchSize.set(change.size);
+    this.logger.info(change, 'Adjusted batch size.');
+  }
+
+  /**
+   * How long a stream read blocks: POLL_TIMEOUT_MS, or the adaptive timeout when enabled
+   * @returns {number}
+   */
+  currentPollTimeout() {
+    return this.pollTuner ? this.pollTuner.timeoutMs : this.config.processing.pollTimeoutMs;
+  }
+
+  /**
+   * Feeds a read into adaptive poll tuning, if enabled
+   * @param {number} messageCount - Messages the read returned
+   * @param {number} batchSize - Messages the read asked for
+   */
+  adaptPollTimeout(messageCount, batchSize) {
+    if (!this.pollTuner) return;
+    const change = this.pollTuner.record({ messageCount, batchSize });
+    if (!change) return;
+    this.metrics.pollTimeout.set(change.timeoutMs);
+    this.logger.info(change, 'Adjusted poll timeout.');
+  }
+
+  /**
+   * Whether a route's circuit lets batches through
+   * @param {Object} route - Route to check
+   * @returns {boolean}
+   */
+  isRouteAvailable(route) {
+    return !route.circuitBreaker || route.circuitBreaker.allowsRequest();
+  }
+
+  /**
+   * Waits while every route's circuit is open, until the first one may probe or at most the poll timeout
+   * @returns {Promise<void>}
+   */
+  async waitForOpenCircuits() {
+    const probeDelays = [...this.routes.values()].map(route => route.circuitBreaker.msUntilProbe());
+    await this.delay(Math.min(this.currentPollTimeout(), ...probeDelays));
+  }
+
+  /**
+   * Picks the next batch: recovered messages first, then this consumer's own PELs, then new messages
+   * @returns {Promise<Array<{stream: string, id: string, fields: string[]}>>} Messages to process
+   */
+  async nextMessages() {
+    const { consumerName } = this.config.stream;
+    const pollTimeoutMs = this.currentPollTimeout();
+    const batchSize = this.currentBatchSize();
+
+    if (this.checkpointMode) {
+      const routes = [...this.routes.values()].filter(route => this.isRouteAvailable(route));
+      if (routes.length === 0) {
+        await this.waitForOpenCircuits();
+        return [];
+      }
+      return this.redisService.readStreams(
+        routes.map(route => route.stream), routes.map(route => route.checkpoint), batchSize, pollTimeoutMs
+      );
+    }
+
+    if (this.recoveredMessages.length > 0) {
+      return this.recoveredMessages.splice(0, batchSize);
+    }
+
+    for (const route of this.routes.values()) {
+      if (!this.isRouteAvailable(route)) continue;
+      // Pages holding only entries deleted from the stream are skipped; the backlog ends at an empty page
+      while (route.pendingCursor) {
+        const { messages: pending, lastId } = await this.redisService.fetchPendingMessages(
+          route.stream, route.consumerGroup, consumerName, batchSize, route.pendingCursor
         );
+        route.pendingCursor = lastId;
+        if (pending.length === 0) continue;
+        this.logger.info({ stream: route.stream, count: pending.length }, 'Reprocessing messages left pending by a previous run.');
+        return pending.map(msg => ({ ...msg, stream: route.stream }));
+      }
+    }
 
-        if (messages.length === 0) continue;
-        
-        this.logger.debug(`Fetched ${messages.length} messages from Redis stream.`);
-        
-        const events = messages.map(msg => {
-            const body = {};
-            for (let i = 0; i < msg.fields.length; i += 2) {
-                body[msg.fields[i]] = msg.fields[i + 1];
-            }
-            return { body, correlationId: msg.id };
-        });
+    return this.fetchNewMessages();
+  }
 
-        try {
-          const sentCount = await this.outputService.sendBatch(events);
-          
-          if (sentCount === 0) {
-            throw new MessageProcessingError('No events were successfully sent to output service.');
-          }
-          
-          const messageIdsToAck = messages.slice(0, sentCount).map(msg => msg.id);
-          const ackCount = await this.redisService.ackMessages(
-            this.config.stream.key, 
-            this.config.stream.consumerGroup, 
-            messageIdsToAck
-          );
+  /**
+   * Reads new messages from every route, with one XREADGROUP call per consumer group.
+   * With several groups the poll timeout is split between them, and once one group returns
+   * messages the remaining groups are read without blocking.
+   * @returns {Promise<Array<{stream: string, id: string, fields: string[]}>>} New messages
+   */
+  async fetchNewMessages() {
+    const { consumerName } = this.config.stream;
+    const pollTimeoutMs = this.currentPollTimeout();
+    const batchSize = this.currentBatchSize();
 
-          this.logger.info({ sentCount, ackCount }, 'Successfully processed a batch of messages.');
-          
-          // If not all messages were sent, log a warning (they will be retried via pending recovery)
-          if (sentCount < messages.length) {
-            this.logger.warn({ 
-              total: messages.length, 
-              sent: sentCount, 
-              failed: messages.length - sentCount 
-            }, 'Some messages were not sent and will be retried.');
-          }
-        } catch (sendError) {
-          // If sending fails, don't ACK messages - they'll be claimed and retried later
-          this.logger.error({ 
-            err: sendError, 
-            messageCount: messages.length 
-          }, 'Failed to send batch to output service. Messages will not be acknowledged and will be retried.');
+    // Streams whose circuit is open are left unread, so their messages stay out of the PEL
+    const readable = [];
+    for (const [groupName, streams] of this.streamsByGroup) {
+      const available = streams.filter(stream => this.isRouteAvailable(this.routes.get(stream)));
+      if (available.length > 0) readable.push([groupName, available]);
+    }
+    if (readable.length === 0) {
+      await this.waitForOpenCircuits();
+      return [];
+    }
+    const blockMs = Math.max(1, Math.floor(pollTimeoutMs / readable.length));
+
+    const messages = [];
+    for (const [groupName, streams] of readable) {
+      if (!this.isRunning) break;
+      const groupBlockMs = messages.length > 0 ? null : blockMs;
+      if (streams.length === 1) {
+        const fetched = await this.redisService.fetchMessages(streams[0], groupName, consumerName, batchSize, groupBlockMs);
+        messages.push(...fetched.map(msg => ({ ...msg, stream: streams[0] })));
+      } else {
+        messages.push(...await this.redisService.fetchMessagesFromStreams(streams, groupName, consumerName, batchSize, groupBlockMs));
+      }
+    }
+    return messages;
+  }
+
+  /**
+   * Acknowledges messages rejected by the route's filter, so they are never sent or retried
+   * @param {Object} route - Route the messages belong to
+   * @param {string[]} messageIds - IDs of the skipped messages
+   * @returns {Promise<number>} Number of messages skipped
+   */
+  async ackSkippedMessages(route, messageIds) {
+    if (messageIds.length === 0) return 0;
+    await this.ackMessages(route, messageIds);
+    messageIds.forEach(id => this.failureReasons.delete(messageKey(route.stream, id)));
+    this.metrics.messagesFiltered.inc({ stream: route.stream }, messageIds.length);
+    return messageIds.length;
+  }
+
+  /**
+   * Checks messages against the route's schema. In 'reject' mode invalid messages are moved to the
+   * dead-letter stream with the validation errors as reason; in 'log' mode they are logged and sent.
+   * @param {Object} route - Route the messages belong to
+   * @param {Array<{msg: Object, body: Object}>} entries - Messages with their fields as an object
+   * @returns {Promise<{valid: Array<{msg: Object, body: Object}>, retryIds: string[]}>} Messages to send,
+   *   and IDs of invalid messages that couldn't be dead-lettered and stay pending
+   */
+  async rejectInvalidMessages(route, entries) {
+    const { stream, schemaValidator } = route;
+    if (!schemaValidator.enabled) return { valid: entries, retryIds: [] };
+
+    const valid = [];
+    const invalid = [];
+    for (const entry of entries) {
+      const errors = schemaValidator.errorsFor(entry.body);
+      if (errors.length === 0) {
+        valid.push(entry);
+        continue;
+      }
+      this.metrics.messagesInvalid.inc({ stream });
+      if (schemaValidator.mode === 'log') {
+        this.logger.warn({ stream, messageId: entry.msg.id, errors }, 'Message does not match the schema. Sending it anyway.');
+        valid.push(entry);
+      } else {
+        invalid.push({ message: entry.msg, reason: `Schema validation failed: ${errors.join('; ')}` });
+      }
+    }
+
+    // Like messages the output rejects, invalid ones are retried when there is no dead-letter stream
+    const notDeadLettered = await this.deadLetterRejectedMessages(route, invalid, route.schemaDeadLetterService);
+    if (this.checkpointMode) {
+      notDeadLettered.forEach(({ message, reason }) => {
+        this.logger.error({ stream, messageId: message.id, reason }, 'Message does not match the schema. It is dropped in checkpoint mode.');
+      });
+      return { valid, retryIds: [] };
+    }
+    notDeadLettered.forEach(({ message, reason }) => this.recordFailures(route, [message.id], reason));
+    if (notDeadLettered.length > 0) {
+      this.metrics.messagesFailed.inc({ stream }, notDeadLettered.length);
+      this.logger.warn({ stream, invalidCount: notDeadLettered.length }, 'Messages do not match the schema and could not be dead-lettered. They will be retried.');
+    }
+    return { valid, retryIds: notDeadLettered.map(({ message }) => message.id) };
+  }
+
+  /**
+   * Acknowledges messages the route's dedup store knows were already delivered, e.g. resent
+   * after a crash between sending and acknowledging. If the store can't be reached, every
+   * message is sent again, as without deduplication.
+   * @param {Object} route - Route the messages belong to
+   * @param {Array<{id: string}>} messages - Messages about to be sent
+   * @returns {Promise<Array<{id: string}>>} Messages that still need to be sent
+   */
+  async ackDeliveredMessages(route, messages) {
+    if (!route.dedupService || messages.length === 0) return messages;
+    const { stream, consumerGroup } = route;
+
+    let delivered;
+    try {
+      delivered = await route.dedupService.findDelivered(stream, consumerGroup, messages.map(msg => msg.id));
+    } catch (error) {
+      this.logger.warn({ err: error, stream }, 'Failed to check the dedup store. Messages will be sent without deduplication.');
+      return messages;
+    }
+    if (delivered.size === 0) return messages;
+
+    const deliveredIds = [...delivered];
+    await this.ackMessages(route, deliveredIds);
+    deliveredIds.forEach(id => this.failureReasons.delete(messageKey(stream, id)));
+    this.metrics.messagesDeduplicated.inc({ stream }, deliveredIds.length);
+    this.logger.info({ stream, duplicateCount: deliveredIds.length }, 'Acknowledged messages that were already delivered.');
+    return messages.filter(msg => !delivered.has(msg.id));
+  }
+
+  /**
+   * Records sent messages in the route's dedup store. A failure only means a later
+   * redelivery of these messages is not recognized as a duplicate.
+   * @param {Object} route - Route the messages belong to
+   * @param {string[]} messageIds - IDs of the sent messages
+   * @returns {Promise<void>}
+   */
+  async markDelivered(route, messageIds) {
+    if (!route.dedupService || messageIds.length === 0) return;
+    try {
+      await route.dedupService.markDelivered(route.stream, route.consumerGroup, messageIds);
+    } catch (error) {
+      this.logger.warn({ err: error, stream: route.stream }, 'Failed to record delivered messages in the dedup store.');
+    }
+  }
+
+  /**
+   * Filters, deduplicates, transforms, sends and acknowledges a batch of messages from one route
+   * @param {Object} route - Route the messages were read from
+   * @param {Array<{id: string, fields: string[]}>} messages - Messages read from the route's stream
+   * @returns {Promise<string[]>} IDs of the messages that were not delivered and must be retried
+   */
+  async processBatch(route, messages) {
+    const { stream, consumerGroup } = route;
+    const retryIds = [];
+
+    const matched = [];
+    const skippedIds = [];
+    for (const msg of messages) {
+      const body = {};
+      for (let i = 0; i < msg.fields.length; i += 2) {
+          body[msg.fields[i]] = msg.fields[i + 1];
+      }
+      // Filters see the entry as stored in Redis, before any transform
+      if (route.filter.matches(body)) {
+        matched.push({ msg, body });
+      } else {
+        skippedIds.push(msg.id);
+      }
+    }
+    const skippedCount = await this.ackSkippedMessages(route, skippedIds);
+    const { valid, retryIds: invalidRetryIds } = await this.rejectInvalidMessages(route, matched);
+    retryIds.push(...invalidRetryIds);
+    const undelivered = await this.ackDeliveredMessages(route, valid.map(({ msg }) => msg));
+    const duplicateCount = valid.length - undelivered.length;
+
+    // A failing transform only fails its own message; the rest of the batch is still sent
+    const transformed = [];
+    const events = [];
+    const undeliveredIds = new Set(undelivered.map(msg => msg.id));
+    for (const { msg, body } of valid) {
+      if (!undeliveredIds.has(msg.id)) continue;
+      try {
+        const event = await route.transformPipeline.apply({ body, correlationId: msg.id }, { stream, id: msg.id });
+        // Metadata is attached after the transforms so they can't drop or alter it
+        events.push({ ...event, metadata: buildMetadata(stream, consumerGroup, msg.id) });
+        transformed.push(msg);
+      } catch (transformError) {
+        this.metrics.messagesFailed.inc({ stream });
+        if (this.checkpointMode) {
+          // Like rejected messages, retrying would stop the checkpoint at this message for good
+          this.logger.error({ err: transformError, stream, messageId: msg.id }, 'Failed to transform message. It is dropped in checkpoint mode.');
+          continue;
         }
+        this.recordFailures(route, [msg.id], transformError.message);
+        retryIds.push(msg.id);
+        this.logger.error({ err: transformError, stream, messageId: msg.id }, 'Failed to transform message. It will not be acknowledged.');
+      }
+    }
+    if (events.length === 0) {
+      if (skippedCount > 0 || duplicateCount > 0) {
+        this.logger.info({
+          stream, sentCount: 0, ackCount: 0, skippedCount, duplicateCount,
+        }, 'Successfully processed a batch of messages.');
+      }
+      return retryIds;
+    }
+    // While the circuit is half-open, only the batch probing the output is sent
+    if (route.circuitBreaker && !route.circuitBreaker.tryAcquire()) {
+      retryIds.push(...transformed.map(msg => msg.id));
+      this.logger.info({ stream, messageCount: transformed.length }, 'Circuit is open or probing the output. Messages will be retried.');
+      return retryIds;
+    }
+
+    const endTimer = this.metrics.batchDuration.startTimer({ stream });
+    const sendStartedAt = Date.now();
+    try {
+      const results = await this.sendWithRetries(route, events);
+      const sendLatencyMs = Date.now() - sendStartedAt;
+
+      const succeededIds = [];
+      const failed = [];
+      const rejected = [];
+      transformed.forEach((msg, index) => {
+        // An event without a result is treated as not sent, so it is retried rather than lost
+        const result = results[index] || { status: SendStatus.FAILED };
+        if (result.status === SendStatus.SUCCESS) {
+          succeededIds.push(msg.id);
+        } else if (result.status === SendStatus.SKIPPED) {
+          rejected.push({ message: msg, reason: result.reason || 'Rejected by output service' });
+        } else {
+          failed.push({ message: msg, reason: result.reason || 'Not accepted by output service' });
+        }
+      });
+
+      let ackCount = 0;
+      if (succeededIds.length > 0) {
+        await this.markDelivered(route, succeededIds);
+        ackCount = await this.ackMessages(route, succeededIds);
+        succeededIds.forEach(id => this.failureReasons.delete(messageKey(stream, id)));
+        this.metrics.messagesAcked.inc({ stream }, ackCount);
+      }
+      endTimer();
+      this.adaptBatchSize(messages.length, sendLatencyMs, failed.some(({ reason }) => isOverloaded(reason)));
+      // A batch counts as failed for the circuit only if the output accepted or rejected none of it
+      this.recordSendOutcome(route, failed.length < transformed.length);
+
+      // Rejected messages can't be retried successfully; without a dead-letter stream they are retried anyway
+      const notDeadLettered = await this.deadLetterRejectedMessages(route, rejected);
+      if (this.checkpointMode) {
+        // Retrying would stop the checkpoint at these messages for good
+        notDeadLettered.forEach(({ message, reason }) => {
+          this.logger.error({ stream, messageId: message.id, reason }, 'Output service rejected the message. It is dropped in checkpoint mode.');
+        });
+      } else {
+        failed.push(...notDeadLettered);
+      }
+      const deadLetteredCount = rejected.length - notDeadLettered.length;
+
+      if (succeededIds.length > 0 || deadLetteredCount > 0) {
+        this.logger.info({
+          stream, sentCount: succeededIds.length, ackCount, skippedCount, duplicateCount, deadLetteredCount,
+        }, 'Successfully processed a batch of messages.');
+      }
+      
+      // If not all messages were sent, log a warning (they will be retried via pending recovery)
+      if (failed.length > 0) {
+        failed.forEach(({ message, reason }) => this.recordFailures(route, [message.id], reason));
+        retryIds.push(...failed.map(({ message }) => message.id));
+        this.metrics.messagesFailed.inc({ stream }, failed.length);
+        this.logger.warn({ 
+          stream,
+          total: transformed.length, 
+          sent: succeededIds.length, 
+          failed: failed.length,
+          reasons: [...new Set(failed.map(({ reason }) => reason))],
+        }, 'Some messages were not sent and will be retried.');
+      }
+    } catch (sendError) {
+      this.adaptBatchSize(messages.length, Date.now() - sendStartedAt, isOverloaded(sendError));
+      this.recordSendOutcome(route, false);
+      // If sending fails, don't ACK messages - they'll be claimed and retried later
+      this.recordFailures(route, transformed.map(msg => msg.id), sendError.message);
+      retryIds.push(...transformed.map(msg => msg.id));
+      this.metrics.messagesFailed.inc({ stream }, transformed.length);
+      this.logger.error({ 
+        err: sendError, 
+        stream,
+        messageCount: transformed.length 
+      }, 'Failed to send batch to output service. Messages will not be acknowledged and will be retried.');
+    }
+    return retryIds;
+  }
+
+  /**
+   * Sends events to the route's output, resending the failed ones with backoff while the retry
+   * policy allows. An error that isn't transient ends the retries right away.
+   * @param {Object} route - Route the events belong to
+   * @param {Object[]} events - Events to send
+   * @returns {Promise<Array<{status: string, reason?: string}>>} One result per event, as of its last send
+   * @throws {Error} The send error, if every attempt threw
+   */
+  async sendWithRetries(route, events) {
+    const results = new Array(events.length).fill(null);
+    let remaining = events.map((event, index) => index);
+    const startedAt = Date.now();
+
+    for (let attempt = 1; ; attempt++) {
+      let sendError = null;
+      try {
+        const attemptResults = await route.outputService.sendBatch(remaining.map(index => events[index]));
+        remaining.forEach((index, i) => { results[index] = attemptResults[i]; });
+        remaining = remaining.filter(index => !results[index] || results[index].status === SendStatus.FAILED);
+        if (remaining.length === 0) return results;
       } catch (error) {
-        this.logger.error({ err: error }, 'An error occurred in the processing loop. Retrying after delay...');
-        await new Promise(resolve => setTimeout(resolve, this.config.processing.retryDelayMs));
+        sendError = error;
+      }
+
+      const delayMs = this.retryPolicy && this.isRunning && (!sendError || isRetryable(sendError))
+        ? this.retryPolicy.nextDelay(attempt, startedAt)
+        : null;
+      if (delayMs === null) {
+        if (!sendError) return results;
+        if (results.every(result => result === null)) throw sendError;
+        // Events sent by earlier attempts keep their results
+        remaining.forEach((index) => { results[index] = { status: SendStatus.FAILED, reason: sendError.message }; });
+        return results;
+      }
+
+      this.logger.warn({
+        err: sendError || undefined, stream: route.stream, attempt, delayMs, failedCount: remaining.length,
+      }, 'Send failed. Retrying after backoff...');
+      await this.delay(delayMs);
+    }
+  }
+
+  /**
+   * Feeds a sent batch into the route's circuit breaker, if enabled
+   * @param {Object} route - Route the batch was sent for
+   * @param {boolean} succeeded - Whether the output handled the batch
+   */
+  recordSendOutcome(route, succeeded) {
+    if (!route.circuitBreaker) return;
+    if (succeeded) {
+      route.circuitBreaker.recordSuccess();
+    } else {
+      route.circuitBreaker.recordFailure();
+    }
+  }
+
+  /**
+   * Moves messages the output service permanently rejected straight to the route's dead-letter stream
+   * @param {Object} route - Route the messages belong to
+   * @param {Array<{message: {id: string, fields: string[]}, reason: string}>} rejected - Rejected messages
+   * @param {DeadLetterService|null} [deadLetterService=route.deadLetterService] - Service writing the dead-letter entries
+   * @returns {Promise<Array<{message: Object, reason: string}>>} Rejected messages that were not dead-lettered
+   */
+  async deadLetterRejectedMessages(route, rejected, deadLetterService = route.deadLetterService) {
+    if (rejected.length === 0 || !deadLetterService) return rejected;
+    const { stream, consumerGroup } = route;
+
+    const remaining = [];
+    for (const entry of rejected) {
+      try {
+        const [pending] = await this.redisService.getPendingMessages(
+          stream, consumerGroup, 1, { start: entry.message.id, end: entry.message.id }
+        );
+        await deadLetterService.deadLetter(entry.message, {
+          sourceStream: stream,
+          groupName: consumerGroup,
+          reason: entry.reason,
+          attempts: pending ? pending.deliveryCount : 1,
+        });
+        this.failureReasons.delete(messageKey(stream, entry.message.id));
+        this.metrics.messagesDeadLettered.inc({ stream });
+      } catch (error) {
+        this.logger.error({ err: error, stream, messageId: entry.message.id }, 'Failed to dead-letter rejected message.');
+        remaining.push(entry);
+      }
+    }
+    return remaining;
+  }
+
+  /**
+   * Distinct output services across all routes
+   * @returns {Object[]}
+   */
+  getOutputServices() {
+    return [...new Set([...this.routes.values()].map(route => route.outputService))];
+  }
+
+  /**
+   * Checks whether the connector is able to process messages
+   * @param {Object} [options]
+   * @param {number} [options.stallThresholdMs=60000] - How long past the poll timeout a loop iteration may take
+   * @returns {Promise<{ready: boolean, checks: {redis: boolean, output: boolean, circuit: boolean, loop: boolean}, circuits: Object<string, string>}>}
+   *   Readiness, individual checks and the circuit state of each route with a circuit breaker
+   */
+  async checkReadiness({ stallThresholdMs = 60000 } = {}) {
+    const checks = { redis: false, output: false, circuit: false, loop: false };
+
+    try {
+      await this.redisService.ping();
+      checks.redis = true;
+    } catch (error) {
+      this.logger.warn({ err: error }, 'Readiness check: Redis ping failed.');
+    }
+
+    checks.output = this.getOutputServices().every(service =>
+      typeof service.isReady === 'function' ? service.isReady() : true
+    );
+
+    const circuits = {};
+    for (const route of this.routes.values()) {
+      if (route.circuitBreaker) circuits[route.stream] = route.circuitBreaker.state;
+    }
+    checks.circuit = !Object.values(circuits).includes(CircuitState.OPEN);
+
+    // The timeout may grow up to its upper bound while the stream is idle
+    const { pollTimeoutMs } = this.config.processing;
+    const maxPollMs = this.pollTuner ? Math.max(this.pollTuner.maxMs, pollTimeoutMs) : pollTimeoutMs;
+    const maxIterationMs = maxPollMs + stallThresholdMs;
+    checks.loop = this.isRunning && this.lastLoopAt !== null && Date.now() - this.lastLoopAt <= maxIterationMs;
+
+    return { ready: Object.values(checks).every(Boolean), checks, circuits };
+  }
+
+  /**
+   * Refreshes gauges that are sampled from Redis rather than counted as messages flow
+   * @returns {Promise<void>}
+   */
+  async collectMetrics() {
+    for (const route of this.routes.values()) {
+      try {
+        await this.redisService.getGroupStats(route.stream, route.consumerGroup);
+      } catch (error) {
+        this.logger.warn({ err: error, stream: route.stream }, 'Failed to collect consumer group stats.');
       }
     }
   }
 
+  /**
+   * Counts the messages left in this consumer's PELs, which the next run or another consumer recovers
+   * @returns {Promise<number|null>} Pending message count, or null if it couldn't be read
+   */
+  async countPendingMessages() {
+    const { consumerName } = this.config.stream;
+    let pending = 0;
+    try {
+      for (const route of this.routes.values()) {
+        const consumers = await this.redisService.getConsumers(route.stream, route.consumerGroup);
+        const consumer = consumers.find(({ name }) => name === consumerName);
+        if (consumer) pending += consumer.pending;
+      }
+      return pending;
+    } catch (error) {
+      this.logger.warn({ err: error }, 'Failed to count pending messages.');
+      return null;
+    }
+  }
+
+  /**
+   * Stops reading, waits for the batch in flight to be sent and acknowledged (up to
+   * SHUTDOWN_GRACE_PERIOD_MS), then disconnects
+   * @returns {Promise<{drained: boolean, pendingMessages: number|null}>} Whether the loop finished in
+   *   time, and how many messages were left pending for this consumer (null in checkpoint mode)
+   */
   async stop() {
     if (!this.isRunning) return;
     this.logger.info('Stopping Stream Connector...');
@@ -120,10 +1045,37 @@ class StreamConnector {
       this.pendingClaimInterval = null;
     }
 
-    await new Promise(resolve => setTimeout(resolve, this.config.processing.pollTimeoutMs + this.config.processing.shutdownGracePeriodMs));
+    // Interrupt a blocking read or retry delay, so an idle loop ends right away
+    for (const wake of this.sleepers) wake();
+    try {
+      await this.redisService.unblockReads();
+    } catch (error) {
+      this.logger.warn({ err: error }, 'Failed to interrupt the blocking read. Waiting for it to time out.');
+    }
+
+    const { shutdownGracePeriodMs } = this.config.processing;
+    let deadline;
+    const drained = await Promise.race([
+      Promise.resolve(this.loopPromise).then(() => true),
+      new Promise(resolve => { deadline = setTimeout(resolve, shutdownGracePeriodMs, false); }),
+    ]);
+    clearTimeout(deadline);
+    if (!drained) {
+      this.logger.warn({ shutdownGracePeriodMs }, 'Shutdown grace period ended before the batch in flight finished.');
+    }
+
+    const pendingMessages = this.checkpointMode ? null : await this.countPendingMessages();
+    if (pendingMessages !== null) {
+      this.logger.info({ pendingMessages }, 'Messages left pending for this consumer.');
+    }
+
     await this.redisService.disconnect();
-    await this.outputService.disconnect();
+    if (this.checkpointStore) await this.checkpointStore.close();
+    for (const outputService of this.getOutputServices()) {
+      await outputService.disconnect();
+    }
     this.logger.info('Stream Connector stopped successfully.');
+    return { drained, pendingMessages };
   }
 }
 
@@ -0,0 +1,121 @@
+// src/batchSizing.js
+
+// Send failures meaning the output is overloaded rather than broken: throttling (e.g. Event Hubs
+// ServerBusy, HTTP 429) and timeouts
+const OVERLOAD_PATTERN = /server ?busy|throttl|too many requests|\b429\b|timed? ?out|timeout/i;
+
+/**
+ * Whether a send error or failure reason means the output is overloaded
+ * @param {Error|string} errorOrReason - Error thrown by an output service, or a failed result's reason
+ * @returns {boolean}
+ */
+const isOverloaded = (errorOrReason) => {
+  if (!errorOrReason) return false;
+  if (typeof errorOrReason === 'string') return OVERLOAD_PATTERN.test(errorOrReason);
+  const { code = '', name = '', message = '' } = errorOrReason;
+  return OVERLOAD_PATTERN.test(`${code} ${name} ${message}`);
+};
+
+/**
+ * Batch size that grows while reads come back full and their sends finish within a target latency,
+ * and halves when the output throttles or times out. It always stays within its bounds.
+ */
+class AdaptiveBatchSize {
+  /**
+   * @param {Object} options
+   * @param {number} options.initial - Starting size, moved into the bounds if needed
+   * @param {number} options.min - Smallest size
+   * @param {number} options.max - Largest size
+   * @param {number} options.targetLatencyMs - Sends slower than this never grow the size
+   * @param {number} [options.growAfter=3] - Full, fast batches in a row before the size grows
+   */
+  constructor({ initial, min, max, targetLatencyMs, growAfter = 3 }) {
+    this.min = min;
+    this.max = max;
+    this.targetLatencyMs = targetLatencyMs;
+    this.growAfter = growAfter;
+    this.size = Math.min(max, Math.max(min, initial));
+    this.fastFullBatches = 0;
+  }
+
+  /**
+   * Records a sent batch and adjusts the size
+   * @param {Object} batch
+   * @param {boolean} batch.full - Whether the read returned as many messages as requested
+   * @param {number} batch.latencyMs - How long sending took
+   * @param {boolean} batch.overloaded - Whether the output throttled or timed out
+   * @returns {{size: number, previous: number, reason: string}|null} The change, or null if the size stayed
+   */
+  record({ full, latencyMs, overloaded }) {
+    const previous = this.size;
+    if (overloaded) {
+      this.fastFullBatches = 0;
+      this.size = Math.max(this.min, Math.floor(this.size / 2));
+      return this.size === previous ? null : { size: this.size, previous, reason: 'Output throttled or timed out' };
+    }
+
+    if (!full || latencyMs > this.targetLatencyMs) {
+      this.fastFullBatches = 0;
+      return null;
+    }
+    this.fastFullBatches++;
+    if (this.fastFullBatches < this.growAfter) return null;
+
+    this.fastFullBatches = 0;
+    this.size = Math.min(this.max, Math.ceil(this.size * 1.5));
+    return this.size === previous ? null : { size: this.size, previous, reason: 'Full batches sent within the target latency' };
+  }
+}
+
+/**
+ * Poll timeout (the BLOCK time of stream reads) that halves while reads come back full, so the loop
+ * stays responsive under load, and doubles while they come back empty, so an idle stream costs fewer
+ * round trips. It always stays within its bounds.
+ */
+class AdaptivePollTimeout {
+  /**
+   * @param {Object} options
+   * @param {number} options.initial - Starting timeout in milliseconds, moved into the bounds if needed
+   * @param {number} options.minMs - Shortest timeout
+   * @param {number} options.maxMs - Longest timeout
+   * @param {number} [options.adjustAfter=3] - Full or empty reads in a row before the timeout changes
+   */
+  constructor({ initial, minMs, maxMs, adjustAfter = 3 }) {
+    this.minMs = minMs;
+    this.maxMs = maxMs;
+    this.adjustAfter = adjustAfter;
+    this.timeoutMs = Math.min(maxMs, Math.max(minMs, initial));
+    this.fullReads = 0;
+    this.emptyReads = 0;
+  }
+
+  /**
+   * Records a read and adjusts the timeout
+   * @param {Object} read
+   * @param {number} read.messageCount - Messages the read returned
+   * @param {number} read.batchSize - Messages the read asked for
+   * @returns {{timeoutMs: number, previous: number, reason: string}|null} The change, or null if the timeout stayed
+   */
+  record({ messageCount, batchSize }) {
+    const previous = this.timeoutMs;
+    if (messageCount >= batchSize) {
+      this.emptyReads = 0;
+      if (++this.fullReads < this.adjustAfter) return null;
+      this.fullReads = 0;
+      this.timeoutMs = Math.max(this.minMs, Math.floor(this.timeoutMs / 2));
+      return this.timeoutMs === previous ? null : { timeoutMs: this.timeoutMs, previous, reason: 'Reads come back full' };
+    }
+
+    this.fullReads = 0;
+    if (messageCount > 0) {
+      this.emptyReads = 0;
+      return null;
+    }
+    if (++this.emptyReads < this.adjustAfter) return null;
+    this.emptyReads = 0;
+    this.timeoutMs = Math.min(this.maxMs, this.timeoutMs * 2);
+    return this.timeoutMs === previous ? null : { timeoutMs: this.timeoutMs, previous, reason: 'Reads come back empty' };
+  }
+}
+
+module.exports = { AdaptiveBatchSize, AdaptivePollTimeout, isOverloaded };
@@ -0,0 +1,146 @@
+// src/checkpoints.js
+const fs = require('fs/promises');
+const path = require('path');
+const RedisService = require('./services/RedisService');
+const { ConfigurationError } = require('./errors');
+
+// Highest sequence number of an entry ID, so `${ms}-${MAX_SEQUENCE}` sorts after every entry of that millisecond
+const MAX_SEQUENCE = '18446744073709551615';
+
+// ISO 8601 date, optionally with a time that then needs a UTC offset, so it doesn't depend on the local time zone
+const ISO_TIMESTAMP = /^(\d{4})-(\d{2})-(\d{2})(?:T\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:\d{2}))?$/;
+
+/**
+ * Parses a strict ISO 8601 timestamp. Date.parse alone also accepts strings like `1.5` and rolls
+ * days past the end of the month over into the next one.
+ * @param {string} value - Timestamp to parse
+ * @returns {number} Milliseconds since the epoch, or NaN if the value isn't a valid ISO 8601 timestamp
+ */
+const parseIsoTimestamp = (value) => {
+  const match = ISO_TIMESTAMP.exec(value);
+  if (!match) return NaN;
+  const [year, month, day] = match.slice(1, 4).map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return NaN;
+  return Date.parse(value);
+};
+
+/**
+ * Turns a configured start position into the ID to read after. XREAD and consumer groups only
+ * return entries with a greater ID, so every position is converted to the last ID before it.
+ * @param {string} position - `$` (only new entries), `0` (the whole stream), an entry ID to start after,
+ *   or a timestamp (milliseconds, or an ISO 8601 date or date-time with a UTC offset) of the first entry to read
+ * @param {string} [name='checkpoint start position'] - Name of the setting, used in error messages
+ * @returns {string} `$` or an entry ID
+ * @throws {ConfigurationError} If the position is none of these
+ */
+const parseStartPosition = (position, name = 'checkpoint start position') => {
+  if (position === '$') return '$';
+  if (position === '0') return '0-0';
+  if (/^\d+-\d+$/.test(position)) return position;
+
+  const timestamp = /^\d+$/.test(position) ? Number(position) : parseIsoTimestamp(position);
+  if (Number.isNaN(timestamp)) {
+    throw new ConfigurationError(
+      `Invalid ${name} '${position}'. Use $, 0, an entry ID, milliseconds since the epoch or an ISO 8601 timestamp such as 2024-01-31T12:00:00Z.`
+    );
+  }
+  return timestamp > 0 ? `${timestamp - 1}-${MAX_SEQUENCE}` : '0-0';
+};
+
+/**
+ * Stores the last delivered entry ID of each stream in a local JSON file
+ */
+class FileCheckpointStore {
+  /**
+   * @param {{file: string}} config - Checkpoint file configuration
+   * @param {Object} logger - Logger instance
+   */
+  constructor(config, logger) {
+    this.file = config.file;
+    this.logger = logger.child({ service: 'FileCheckpointStore' });
+    this.checkpoints = {};
+  }
+
+  /**
+   * Reads the checkpoint file, if it exists
+   * @returns {Promise<void>}
+   */
+  async connect() {
+    await fs.mkdir(path.dirname(this.file), { recursive: true });
+    try {
+      this.checkpoints = JSON.parse(await fs.readFile(this.file, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      this.checkpoints = {};
+    }
+    this.logger.info({ file: this.file }, 'Checkpoint file is ready.');
+  }
+
+  /**
+   * @param {string} stream - Stream key
+   * @returns {Promise<string|null>} Last delivered entry ID, or null if there is no checkpoint
+   */
+  async load(stream) {
+    return this.checkpoints[stream] || null;
+  }
+
+  /**
+   * Saves a checkpoint. The file is replaced atomically, so a crash never leaves it half written.
+   * @param {string} stream - Stream key
+   * @param {string} id - Last delivered entry ID
+   * @returns {Promise<void>}
+   */
+  async save(stream, id) {
+    this.checkpoints[stream] = id;
+    const tempFile = `${this.file}.tmp`;
+    await fs.writeFile(tempFile, JSON.stringify(this.checkpoints, null, 2));
+    await fs.rename(tempFile, this.file);
+  }
+
+  async close() {}
+}
+
+/**
+ * Stores the last delivered entry ID of each stream in a key on a writable Redis server,
+ * e.g. the primary of the replica being read
+ */
+class RedisCheckpointStore {
+  /**
+   * @param {{redisUrl: string, keyPrefix: string}} config - Checkpoint key configuration
+   * @param {Object} logger - Logger instance
+   * @param {Metrics} [metrics] - Shared metrics registry
+   */
+  constructor(config, logger, metrics) {
+    this.keyPrefix = config.keyPrefix;
+    this.logger = logger.child({ service: 'RedisCheckpointStore' });
+    this.redis = new RedisService({ url: config.redisUrl, blockingReads: false }, this.logger, metrics);
+  }
+
+  async connect() {
+    await this.redis.connect();
+  }
+
+  /**
+   * @param {string} stream - Stream key
+   * @returns {Promise<string|null>} Last delivered entry ID, or null if there is no checkpoint
+   */
+  async load(stream) {
+    return this.redis.client.get(`${this.keyPrefix}:${stream}`);
+  }
+
+  /**
+   * @param {string} stream - Stream key
+   * @param {string} id - Last delivered entry ID
+   * @returns {Promise<void>}
+   */
+  async save(stream, id) {
+    await this.redis.client.set(`${this.keyPrefix}:${stream}`, id);
+  }
+
+  async close() {
+    await this.redis.disconnect();
+  }
+}
+
+module.exports = { parseStartPosition, FileCheckpointStore, RedisCheckpointStore };
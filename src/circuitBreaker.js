@@ -0,0 +1,108 @@
+// src/circuitBreaker.js
+
+const CircuitState = Object.freeze({
+  // Batches are sent normally
+  CLOSED: 'closed',
+  // The output keeps failing: nothing is read or sent until the reset timeout has passed
+  OPEN: 'open',
+  // The reset timeout has passed: the next batch probes the output, and others wait for its outcome
+  HALF_OPEN: 'half-open',
+});
+
+/**
+ * Stops sending to an output after a number of failed batches in a row, so messages aren't read
+ * into the PEL only to fail again. After a reset timeout one probe batch is let through:
+ * if it succeeds the circuit closes, otherwise it opens again.
+ */
+class CircuitBreaker {
+  /**
+   * @param {Object} options
+   * @param {number} options.failureThreshold - Failed batches in a row that open the circuit
+   * @param {number} options.resetTimeoutMs - How long the circuit stays open before probing
+   * @param {Object} logger - Logger instance
+   * @param {Object} [context={}] - Fields added to state change logs, e.g. the stream
+   */
+  constructor({ failureThreshold, resetTimeoutMs }, logger, context = {}) {
+    this.failureThreshold = failureThreshold;
+    this.resetTimeoutMs = resetTimeoutMs;
+    this.logger = logger;
+    this.context = context;
+    this.state = CircuitState.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+    this.probeInFlight = false;
+  }
+
+  /**
+   * Whether a batch may be read and sent. An open circuit turns half-open once the reset timeout has
+   * passed, and a half-open one allows nothing while its probe is in flight. Doesn't start the probe.
+   * @returns {boolean}
+   */
+  allowsRequest() {
+    if (this.state === CircuitState.OPEN && this.msUntilProbe() === 0) {
+      this.transition(CircuitState.HALF_OPEN);
+    }
+    if (this.state === CircuitState.HALF_OPEN) return !this.probeInFlight;
+    return this.state === CircuitState.CLOSED;
+  }
+
+  /**
+   * Claims the right to send a batch. In the half-open state the claiming batch becomes the probe,
+   * and no other batch is allowed until its outcome is recorded.
+   * @returns {boolean} Whether the batch may be sent
+   */
+  tryAcquire() {
+    if (!this.allowsRequest()) return false;
+    if (this.state === CircuitState.HALF_OPEN) this.probeInFlight = true;
+    return true;
+  }
+
+  /**
+   * @returns {number} Milliseconds until an open circuit lets a probe through: 0 if it isn't open,
+   *   Infinity while a probe is in flight since that depends on the probe's outcome
+   */
+  msUntilProbe() {
+    if (this.probeInFlight) return Infinity;
+    if (this.state !== CircuitState.OPEN) return 0;
+    return Math.max(0, this.openedAt + this.resetTimeoutMs - Date.now());
+  }
+
+  /**
+   * Records a batch the output accepted, closing the circuit
+   */
+  recordSuccess() {
+    this.failures = 0;
+    this.probeInFlight = false;
+    if (this.state !== CircuitState.CLOSED) this.transition(CircuitState.CLOSED);
+  }
+
+  /**
+   * Records a failed batch. A failed probe, or reaching the threshold, opens the circuit.
+   */
+  recordFailure() {
+    this.failures++;
+    this.probeInFlight = false;
+    if (this.state === CircuitState.HALF_OPEN || this.failures >= this.failureThreshold) {
+      this.openedAt = Date.now();
+      if (this.state !== CircuitState.OPEN) this.transition(CircuitState.OPEN);
+    }
+  }
+
+  /**
+   * @param {string} state - New state
+   */
+  transition(state) {
+    const previous = this.state;
+    this.state = state;
+    const details = { ...this.context, previous, state, failures: this.failures };
+    if (state === CircuitState.OPEN) {
+      this.logger.warn({ ...details, resetTimeoutMs: this.resetTimeoutMs }, 'Circuit opened. Reading stops until the output recovers.');
+    } else if (state === CircuitState.HALF_OPEN) {
+      this.logger.info(details, 'Circuit half-open. Probing the output with the next batch.');
+    } else {
+      this.logger.info(details, 'Circuit closed. Reading resumes.');
+    }
+  }
+}
+
+module.exports = { CircuitBreaker, CircuitState };
@@ -1,8 +1,13 @@
 // src/config.js
 require('dotenv').config();
+const fs = require('fs');
 const path = require('path');
 const { ConfigurationError } = require('./errors');
 const ConfigValidator = require('./validation');
+const { parsePropertyFields } = require('./eventData');
+const { parseStartPosition } = require('./checkpoints');
+const { SCHEMA_MODES } = require('./schemas');
+const { SERIALIZATION_FORMATS, CLOUDEVENTS_MODES } = require('./serializers');
 
 // Helper function to get validated integer from env
 const getIntOrDefault = (envVar, defaultValue, min, max) => {
@@ -13,54 +18,585 @@ const getIntOrDefault = (envVar, defaultValue, min, max) => {
     : defaultValue;
 };
 
+// Helper function to read a JSON file; `name` is the setting naming it, used in error messages
+const readJsonFile = (filePath, name) => {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new ConfigurationError(`${name} '${filePath}' is not a readable JSON file: ${error.message}`, error);
+  }
+};
+
+// Helper function to read a JSON value from an env var, or from the file named by `${envVar}_FILE`
+const getJsonOrDefault = (envVar, defaultValue) => {
+  const filePath = process.env[`${envVar}_FILE`];
+  const raw = filePath ? fs.readFileSync(filePath, 'utf8') : process.env[envVar];
+  if (!raw) return defaultValue;
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    throw new ConfigurationError(`${filePath ? `${envVar}_FILE` : envVar} is not valid JSON: ${error.message}`, error);
+  }
+};
+
+// Helper function to split a comma-separated env var into trimmed, non-empty values
+const getListOrDefault = (envVar, defaultValue) => {
+  const value = process.env[envVar];
+  if (!value) return defaultValue;
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+};
+
+const streamKey = process.env.STREAM_KEY || 'telemetry:events';
+// Target stream of the REDIS adapter; each route defaults to its own source stream name
+const redisOutputStream = process.env.REDIS_OUTPUT_STREAM;
+
 const config = {
   redis: {
+    // 'standalone' connects to REDIS_URL, 'sentinel' asks the Sentinels for the master, 'cluster' discovers the nodes from seeds
+    mode: process.env.REDIS_MODE || 'standalone',
     url: process.env.REDIS_URL,
+    // Credentials of the data nodes in sentinel and cluster mode; a standalone URL carries its own
+    username: process.env.REDIS_USERNAME,
+    password: process.env.REDIS_PASSWORD,
+    sentinel: {
+      masterName: process.env.REDIS_SENTINEL_MASTER_NAME,
+      sentinels: getListOrDefault('REDIS_SENTINELS', []),
+      password: process.env.REDIS_SENTINEL_PASSWORD,
+    },
+    cluster: {
+      nodes: getListOrDefault('REDIS_CLUSTER_NODES', []),
+    },
+    tls: {
+      // A rediss:// URL turns TLS on by itself; these settings apply to every mode
+      enabled: process.env.REDIS_TLS_ENABLED === 'true',
+      caFile: process.env.REDIS_TLS_CA_FILE,
+      certFile: process.env.REDIS_TLS_CERT_FILE,
+      keyFile: process.env.REDIS_TLS_KEY_FILE,
+      servername: process.env.REDIS_TLS_SERVERNAME,
+      rejectUnauthorized: process.env.REDIS_TLS_REJECT_UNAUTHORIZED !== 'false',
+    },
+    // Reconnects back off exponentially with jitter; the connector exits once they are exhausted
+    reconnect: {
+      // 0 retries forever
+      maxAttempts: getIntOrDefault('REDIS_RECONNECT_MAX_ATTEMPTS', 0, 0, 10000),
+      initialDelayMs: getIntOrDefault('REDIS_RECONNECT_INITIAL_DELAY_MS', 100, 10, 60000),
+      maxDelayMs: getIntOrDefault('REDIS_RECONNECT_MAX_DELAY_MS', 10000, 10, 300000),
+    },
   },
   outputAdapter: {
     type: process.env.OUTPUT_ADAPTER_TYPE || 'LOCAL_FILE', 
     eventHubs: {
       connectionString: process.env.EVENT_HUB_CONNECTION_STRING,
       hubName: process.env.EVENT_HUB_NAME,
+      // Events are routed by partition key (from a body field or a {{field}} template) or pinned to one partition
+      partitionKeyField: process.env.EVENT_HUB_PARTITION_KEY_FIELD,
+      partitionKeyTemplate: process.env.EVENT_HUB_PARTITION_KEY_TEMPLATE,
+      partitionId: process.env.EVENT_HUB_PARTITION_ID,
     },
     localFile: {
       directory: process.env.OUTPUT_DIRECTORY || path.join(__dirname, '..', 'output'),
+      // 'per-event' writes one JSON file per event; 'rolling' appends NDJSON to segments (see src/segments.js)
+      mode: process.env.OUTPUT_FILE_MODE || 'per-event',
+      segment: {
+        maxBytes: getIntOrDefault('OUTPUT_SEGMENT_MAX_BYTES', 64 * 1024 * 1024, 1024, Number.MAX_SAFE_INTEGER),
+        maxAgeMs: getIntOrDefault('OUTPUT_SEGMENT_MAX_AGE_MS', 300000, 0, 86400000),
+        maxEvents: getIntOrDefault('OUTPUT_SEGMENT_MAX_EVENTS', 0, 0, Number.MAX_SAFE_INTEGER),
+        compress: process.env.OUTPUT_SEGMENT_COMPRESS === 'true',
+      },
+    },
+    kafka: {
+      brokers: getListOrDefault('KAFKA_BROKERS', []),
+      clientId: process.env.KAFKA_CLIENT_ID || 'redis-stream-connector',
+      topic: process.env.KAFKA_TOPIC,
+      ssl: process.env.KAFKA_SSL === 'true',
+      sasl: process.env.KAFKA_SASL_MECHANISM
+        ? {
+          mechanism: process.env.KAFKA_SASL_MECHANISM,
+          username: process.env.KAFKA_SASL_USERNAME,
+          password: process.env.KAFKA_SASL_PASSWORD,
+        }
+        : null,
+      keyField: process.env.KAFKA_KEY_FIELD,
+      idempotent: process.env.KAFKA_IDEMPOTENT === 'true',
+      // -1 waits for all in-sync replicas, 1 for the leader only, 0 for no acknowledgement
+      acks: getIntOrDefault('KAFKA_ACKS', -1, -1, 1),
+    },
+    http: {
+      url: process.env.HTTP_URL,
+      method: (process.env.HTTP_METHOD || 'POST').toUpperCase(),
+      headers: getJsonOrDefault('HTTP_HEADERS', {}),
+      // A bearer token takes precedence over basic credentials
+      auth: process.env.HTTP_BEARER_TOKEN
+        ? { type: 'bearer', token: process.env.HTTP_BEARER_TOKEN }
+        : process.env.HTTP_BASIC_USERNAME
+          ? { type: 'basic', username: process.env.HTTP_BASIC_USERNAME, password: process.env.HTTP_BASIC_PASSWORD || '' }
+          : null,
+      batchFormat: process.env.HTTP_BATCH_FORMAT || 'json',
+      timeoutMs: getIntOrDefault('HTTP_TIMEOUT_MS', 10000, 100, 120000),
+      maxRetries: getIntOrDefault('HTTP_MAX_RETRIES', 2, 0, 10),
+      retryDelayMs: getIntOrDefault('HTTP_RETRY_DELAY_MS', 500, 0, 60000),
+    },
+    redis: {
+      url: process.env.REDIS_OUTPUT_URL,
+      stream: redisOutputStream || streamKey,
+      preserveIds: process.env.REDIS_OUTPUT_PRESERVE_IDS === 'true',
+      // At most one of MAXLEN and MINID (derived from the maximum age) trims the target stream; 0 disables trimming
+      maxLen: getIntOrDefault('REDIS_OUTPUT_MAXLEN', 0, 0, Number.MAX_SAFE_INTEGER),
+      maxAgeMs: getIntOrDefault('REDIS_OUTPUT_MAX_AGE_MS', 0, 0, Number.MAX_SAFE_INTEGER),
+      exactTrim: process.env.REDIS_OUTPUT_EXACT_TRIM === 'true',
+    },
+    // How events are mapped to output messages: application properties, message ID and content type
+    eventMapping: {
+      propertyFields: parsePropertyFields(process.env.EVENT_PROPERTY_FIELDS),
+      messageIdField: process.env.EVENT_MESSAGE_ID_FIELD,
+      contentType: process.env.EVENT_CONTENT_TYPE || 'application/json',
+      includeMetadata: process.env.EVENT_INCLUDE_METADATA !== 'false',
+    },
+    // Body format of EVENT_HUBS and LOCAL_FILE outputs: json, cloudevents, avro or msgpack (see src/serializers.js)
+    serialization: {
+      format: process.env.SERIALIZATION_FORMAT || 'json',
+      cloudEvents: {
+        mode: process.env.CLOUDEVENTS_MODE || 'structured',
+        source: process.env.CLOUDEVENTS_SOURCE,
+        type: process.env.CLOUDEVENTS_TYPE || 'redis.stream.entry',
+        typeField: process.env.CLOUDEVENTS_TYPE_FIELD,
+      },
+      avro: {
+        schemaFile: process.env.AVRO_SCHEMA_FILE,
+        schemaId: process.env.AVRO_SCHEMA_ID,
+      },
     },
   },
   stream: {
-    key: process.env.STREAM_KEY || 'telemetry:events',
+    key: streamKey,
     consumerGroup: process.env.CONSUMER_GROUP || 'eventhub-connector-group',
     consumerName: process.env.CONSUMER_NAME || `connector-instance-${process.pid}`,
+    // 'group' reads with XREADGROUP; 'checkpoint' reads with plain XREAD, e.g. from read-only replicas
+    readMode: process.env.READ_MODE || 'group',
+    // Where new consumer groups start reading: $, 0, an entry ID or a timestamp (see src/checkpoints.js).
+    // Existing groups keep their position; move them with the group:reset admin command.
+    groupStartPosition: process.env.GROUP_START_POSITION || '$',
+  },
+  checkpoint: {
+    // Where the last delivered entry ID of each stream is kept in checkpoint mode: 'file' or 'redis'
+    store: process.env.CHECKPOINT_STORE || 'file',
+    file: process.env.CHECKPOINT_FILE || path.join(__dirname, '..', 'checkpoints.json'),
+    // A writable server, e.g. the primary of the replica being read
+    redisUrl: process.env.CHECKPOINT_REDIS_URL,
+    keyPrefix: process.env.CHECKPOINT_KEY_PREFIX || 'connector:checkpoint',
+    // Used for streams without a checkpoint: $, 0, an entry ID or a timestamp (see src/checkpoints.js)
+    startPosition: process.env.CHECKPOINT_START_POSITION || '$',
   },
   processing: {
     batchSize: getIntOrDefault('BATCH_SIZE', 50, 1, 1000),
     pollTimeoutMs: getIntOrDefault('POLL_TIMEOUT_MS', 5000, 100, 60000),
     retryDelayMs: getIntOrDefault('RETRY_DELAY_MS', 5000, 100, 60000),
-    shutdownGracePeriodMs: getIntOrDefault('SHUTDOWN_GRACE_PERIOD_MS', 1000, 0, 30000),
+    // Grows the batch size while reads come back full and sends are fast, and halves it when the output
+    // throttles or times out (see src/batchSizing.js). BATCH_SIZE is the starting size.
+    adaptiveBatchSize: {
+      enabled: process.env.ADAPTIVE_BATCH_SIZE === 'true',
+      min: getIntOrDefault('ADAPTIVE_BATCH_MIN_SIZE', 10, 1, 1000),
+      max: getIntOrDefault('ADAPTIVE_BATCH_MAX_SIZE', 500, 1, 1000),
+      targetLatencyMs: getIntOrDefault('ADAPTIVE_BATCH_TARGET_LATENCY_MS', 1000, 10, 60000),
+    },
+    // Halves the poll timeout while reads come back full and doubles it while they come back empty
+    // (see src/batchSizing.js). POLL_TIMEOUT_MS is the starting timeout.
+    adaptivePollTimeout: {
+      enabled: process.env.ADAPTIVE_POLL_TIMEOUT === 'true',
+      minMs: getIntOrDefault('ADAPTIVE_POLL_MIN_TIMEOUT_MS', 100, 100, 60000),
+      maxMs: getIntOrDefault('ADAPTIVE_POLL_MAX_TIMEOUT_MS', 10000, 100, 60000),
+    },
+    // Batches sent at once while the next one is read; 1 processes batches one after another
+    maxInFlightBatches: getIntOrDefault('MAX_IN_FLIGHT_BATCHES', 1, 1, 32),
+    // Longest time stop waits for the batch in flight to be sent and acknowledged. Kept well below
+    // the default Kubernetes terminationGracePeriodSeconds (30s), so the connections close before SIGKILL
+    shutdownGracePeriodMs: getIntOrDefault('SHUTDOWN_GRACE_PERIOD_MS', 20000, 0, 300000),
     pendingMessageClaimIntervalMs: getIntOrDefault('PENDING_CLAIM_INTERVAL_MS', 60000, 10000, 600000),
     pendingMessageMinIdleMs: getIntOrDefault('PENDING_MIN_IDLE_MS', 60000, 10000, 600000),
   },
+  // In-process resends of failed events before they are left pending (see src/retryPolicy.js)
+  sendRetry: {
+    // Sends per batch, including the first; 1 disables retries
+    maxAttempts: getIntOrDefault('SEND_RETRY_MAX_ATTEMPTS', 3, 1, 10),
+    initialDelayMs: getIntOrDefault('SEND_RETRY_INITIAL_DELAY_MS', 200, 10, 60000),
+    maxDelayMs: getIntOrDefault('SEND_RETRY_MAX_DELAY_MS', 5000, 10, 300000),
+    maxElapsedMs: getIntOrDefault('SEND_RETRY_MAX_ELAPSED_MS', 15000, 0, 600000),
+  },
+  circuitBreaker: {
+    // Stops reading a route after this many failed batches in a row, then probes its output periodically
+    enabled: process.env.CIRCUIT_BREAKER_ENABLED !== 'false',
+    failureThreshold: getIntOrDefault('CIRCUIT_BREAKER_FAILURE_THRESHOLD', 5, 1, 100),
+    resetTimeoutMs: getIntOrDefault('CIRCUIT_BREAKER_RESET_TIMEOUT_MS', 30000, 1000, 600000),
+  },
+  // Transforms applied to every route that does not define its own (see src/transforms.js)
+  transforms: getJsonOrDefault('TRANSFORMS', []),
+  // Filter rule applied to every route that does not define its own; null forwards everything (see src/filters.js)
+  filter: getJsonOrDefault('FILTER', null),
+  schemaValidation: {
+    // JSON Schema entries of every route that does not define its own are checked against; null disables checking
+    schema: getJsonOrDefault('MESSAGE_SCHEMA', null),
+    // 'reject' dead-letters entries that don't match, 'log' logs them and sends them anyway (see src/schemas.js)
+    mode: process.env.SCHEMA_VALIDATION_MODE || 'reject',
+  },
+  health: {
+    // 0 disables the HTTP health/metrics server
+    port: getIntOrDefault('HEALTH_PORT', 0, 0, 65535),
+    stallThresholdMs: getIntOrDefault('HEALTH_STALL_THRESHOLD_MS', 60000, 1000, 600000),
+  },
+  deadLetter: {
+    // 0 (default) disables dead-lettering: failed messages are retried forever. Opt-in, since during a
+    // long output outage every claim cycle counts as a delivery and healthy messages would run out of attempts.
+    maxDeliveryAttempts: getIntOrDefault('MAX_DELIVERY_ATTEMPTS', 0, 0, 1000),
+    streamKey: process.env.DEAD_LETTER_STREAM_KEY || `${streamKey}:dead-letter`,
+  },
+  dedup: {
+    // Acknowledges redelivered entries without resending them (see src/services/DedupService.js)
+    enabled: process.env.DEDUP_ENABLED === 'true',
+    keyPrefix: process.env.DEDUP_KEY_PREFIX || 'connector:delivered',
+    // Redeliveries after this are sent again
+    ttlSeconds: getIntOrDefault('DEDUP_TTL_SECONDS', 86400, 60, 2592000),
+  },
+};
+
+/**
+ * Partitioning options of a route. A route setting any of them replaces all of the global ones,
+ * so a route can switch from a global partition key to a partition ID.
+ * @param {Object} output - Route output definition
+ * @param {Object} defaults - Global Event Hubs settings
+ * @returns {{partitionKeyField: string, partitionKeyTemplate: string, partitionId: string}}
+ */
+const partitioning = (output, defaults) => {
+  const source = ['partitionKeyField', 'partitionKeyTemplate', 'partitionId'].some(key => output[key] !== undefined)
+    ? output
+    : defaults;
+  return {
+    partitionKeyField: source.partitionKeyField,
+    partitionKeyTemplate: source.partitionKeyTemplate,
+    partitionId: source.partitionId,
+  };
+};
+
+/**
+ * Trimming options of a route. Like partitioning, a route setting either of them replaces both global ones.
+ * @param {Object} output - Route output definition
+ * @param {Object} defaults - Global Redis output settings
+ * @returns {{maxLen: number, maxAgeMs: number}}
+ */
+const trimming = (output, defaults) => {
+  const source = output.maxLen !== undefined || output.maxAgeMs !== undefined ? output : defaults;
+  return { maxLen: source.maxLen || 0, maxAgeMs: source.maxAgeMs || 0 };
 };
 
+/**
+ * Serialization settings of a route, merged over the global ones
+ * @param {Object} [overrides] - Route `output.serialization`
+ * @param {Object} defaults - Global serialization settings
+ * @returns {{format: string, cloudEvents: Object, avro: Object}}
+ */
+const serialization = (overrides = {}, defaults) => ({
+  format: overrides.format || defaults.format,
+  cloudEvents: { ...defaults.cloudEvents, ...overrides.cloudEvents },
+  avro: { ...defaults.avro, ...overrides.avro },
+});
+
+/**
+ * JSON Schema of a route: inline (`schema`), read from `schemaFile`, or the global one. A route
+ * can set `schema: null` to turn validation off.
+ * @param {Object} route - Route definition
+ * @param {number} index - Position in STREAM_ROUTES, used in error messages
+ * @returns {Object|null}
+ */
+const routeSchema = (route, index) => {
+  if (route.schemaFile) return readJsonFile(route.schemaFile, `STREAM_ROUTES[${index}].schemaFile`);
+  return route.schema === undefined ? config.schemaValidation.schema : route.schema;
+};
+
+/**
+ * Builds a route from a STREAM_ROUTES entry, filling unset options from the global settings
+ * @param {Object} route - Route definition from STREAM_ROUTES
+ * @param {number} index - Position of the route, used in error messages
+ * @returns {{stream: string, consumerGroup: string, startPosition: string, deadLetterStreamKey: string, transforms: Object[], filter: Object|null, schema: Object|null, schemaMode: string, output: Object}}
+ */
+const buildRoute = (route, index) => {
+  if (!route || typeof route.stream !== 'string' || !route.stream) {
+    throw new ConfigurationError(`STREAM_ROUTES[${index}] must have a 'stream' key.`);
+  }
+  const output = route.output || {};
+  return {
+    stream: route.stream,
+    consumerGroup: route.consumerGroup || config.stream.consumerGroup,
+    startPosition: route.startPosition || config.stream.groupStartPosition,
+    deadLetterStreamKey: route.deadLetterStreamKey || `${route.stream}:dead-letter`,
+    transforms: route.transforms || config.transforms,
+    filter: route.filter === undefined ? config.filter : route.filter,
+    schema: routeSchema(route, index),
+    schemaMode: route.schemaMode || config.schemaValidation.mode,
+    output: {
+      type: output.type || config.outputAdapter.type,
+      eventHubs: {
+        connectionString: output.connectionString || config.outputAdapter.eventHubs.connectionString,
+        hubName: output.hubName || config.outputAdapter.eventHubs.hubName,
+        ...partitioning(output, config.outputAdapter.eventHubs),
+      },
+      localFile: {
+        ...config.outputAdapter.localFile,
+        directory: output.directory || config.outputAdapter.localFile.directory,
+        mode: output.fileMode || config.outputAdapter.localFile.mode,
+      },
+      kafka: {
+        ...config.outputAdapter.kafka,
+        brokers: output.brokers || config.outputAdapter.kafka.brokers,
+        topic: output.topic || config.outputAdapter.kafka.topic,
+        keyField: output.keyField || config.outputAdapter.kafka.keyField,
+      },
+      http: {
+        ...config.outputAdapter.http,
+        url: output.url || config.outputAdapter.http.url,
+        method: output.method ? output.method.toUpperCase() : config.outputAdapter.http.method,
+        headers: output.headers || config.outputAdapter.http.headers,
+        batchFormat: output.batchFormat || config.outputAdapter.http.batchFormat,
+      },
+      redis: {
+        ...config.outputAdapter.redis,
+        url: output.url || config.outputAdapter.redis.url,
+        stream: output.targetStream || redisOutputStream || route.stream,
+        preserveIds: output.preserveIds === undefined ? config.outputAdapter.redis.preserveIds : output.preserveIds,
+        ...trimming(output, config.outputAdapter.redis),
+      },
+      eventMapping: { ...config.outputAdapter.eventMapping, ...output.eventMapping },
+      serialization: serialization(output.serialization, config.outputAdapter.serialization),
+    },
+  };
+};
+
+const routeDefinitions = getJsonOrDefault('STREAM_ROUTES', null);
+if (routeDefinitions !== null && (!Array.isArray(routeDefinitions) || routeDefinitions.length === 0)) {
+  throw new ConfigurationError('STREAM_ROUTES must be a non-empty JSON array of routes.');
+}
+
+// Without STREAM_ROUTES, the single STREAM_KEY is routed to the global output adapter
+config.routes = routeDefinitions
+  ? routeDefinitions.map(buildRoute)
+  : [{
+    stream: config.stream.key,
+    consumerGroup: config.stream.consumerGroup,
+    startPosition: config.stream.groupStartPosition,
+    deadLetterStreamKey: config.deadLetter.streamKey,
+    transforms: config.transforms,
+    filter: config.filter,
+    schema: config.schemaValidation.schema,
+    schemaMode: config.schemaValidation.mode,
+    output: config.outputAdapter,
+  }];
+
 // Validation
-if (!config.redis.url) {
-  throw new ConfigurationError('Missing critical environment variable: REDIS_URL');
+if (!ConfigValidator.REDIS_MODES.includes(config.redis.mode)) {
+  throw new ConfigurationError(`Invalid REDIS_MODE: '${config.redis.mode}'. Must be one of: ${ConfigValidator.REDIS_MODES.join(', ')}.`);
 }
 
-if (!ConfigValidator.isValidRedisUrl(config.redis.url)) {
-  throw new ConfigurationError('REDIS_URL must start with redis:// or rediss://');
+/**
+ * Checks a list of `host:port` addresses from an env var
+ * @param {string[]} addresses - Configured addresses
+ * @param {string} envVar - Name of the env var, used in error messages
+ */
+const validateHostList = (addresses, envVar) => {
+  if (addresses.length === 0) {
+    throw new ConfigurationError(`REDIS_MODE=${config.redis.mode} requires ${envVar}.`);
+  }
+  const invalid = addresses.find(address => !ConfigValidator.isValidHostPort(address));
+  if (invalid) {
+    throw new ConfigurationError(`Invalid address '${invalid}' in ${envVar}. Use host:port.`);
+  }
+};
+
+if (config.redis.mode === 'standalone') {
+  if (!config.redis.url) {
+    throw new ConfigurationError('Missing critical environment variable: REDIS_URL');
+  }
+  if (!ConfigValidator.isValidRedisUrl(config.redis.url)) {
+    throw new ConfigurationError('REDIS_URL must start with redis:// or rediss://');
+  }
+} else if (config.redis.mode === 'sentinel') {
+  if (!config.redis.sentinel.masterName) {
+    throw new ConfigurationError('REDIS_MODE=sentinel requires REDIS_SENTINEL_MASTER_NAME.');
+  }
+  validateHostList(config.redis.sentinel.sentinels, 'REDIS_SENTINELS');
+} else {
+  validateHostList(config.redis.cluster.nodes, 'REDIS_CLUSTER_NODES');
+}
+
+const { tls } = config.redis;
+if (Boolean(tls.certFile) !== Boolean(tls.keyFile)) {
+  throw new ConfigurationError('REDIS_TLS_CERT_FILE and REDIS_TLS_KEY_FILE must be set together.');
 }
 
 if (!ConfigValidator.isValidAdapterType(config.outputAdapter.type)) {
-  throw new ConfigurationError(`Invalid OUTPUT_ADAPTER_TYPE: '${config.outputAdapter.type}'. Must be 'LOCAL_FILE' or 'EVENT_HUBS'.`);
+  throw new ConfigurationError(`Invalid OUTPUT_ADAPTER_TYPE: '${config.outputAdapter.type}'. Must be one of: ${ConfigValidator.ADAPTER_TYPES.join(', ')}.`);
 }
 
 if (config.outputAdapter.type === 'EVENT_HUBS' && (!config.outputAdapter.eventHubs.connectionString || !config.outputAdapter.eventHubs.hubName)) {
   throw new ConfigurationError('When using EVENT_HUBS adapter, EVENT_HUB_CONNECTION_STRING and EVENT_HUB_NAME are required.');
 }
 
+/**
+ * Checks that at most one way of choosing a partition is configured
+ * @param {Object} eventHubs - Event Hubs settings
+ * @returns {boolean}
+ */
+const hasSinglePartitioning = ({ partitionKeyField, partitionKeyTemplate, partitionId }) =>
+  [partitionKeyField, partitionKeyTemplate, partitionId].filter(Boolean).length <= 1;
+
+if (!hasSinglePartitioning(config.outputAdapter.eventHubs)) {
+  throw new ConfigurationError('Only one of EVENT_HUB_PARTITION_KEY_FIELD, EVENT_HUB_PARTITION_KEY_TEMPLATE and EVENT_HUB_PARTITION_ID can be set.');
+}
+
+const KAFKA_SASL_MECHANISMS = ['plain', 'scram-sha-256', 'scram-sha-512'];
+
+if (config.outputAdapter.kafka.sasl && !KAFKA_SASL_MECHANISMS.includes(config.outputAdapter.kafka.sasl.mechanism)) {
+  throw new ConfigurationError(`Invalid KAFKA_SASL_MECHANISM: '${config.outputAdapter.kafka.sasl.mechanism}'. Must be one of: ${KAFKA_SASL_MECHANISMS.join(', ')}.`);
+}
+
+if (config.outputAdapter.kafka.idempotent && config.outputAdapter.kafka.acks !== -1) {
+  throw new ConfigurationError('KAFKA_IDEMPOTENT requires KAFKA_ACKS=-1.');
+}
+
+if (config.outputAdapter.type === 'KAFKA' && (config.outputAdapter.kafka.brokers.length === 0 || !config.outputAdapter.kafka.topic)) {
+  throw new ConfigurationError('When using KAFKA adapter, KAFKA_BROKERS and KAFKA_TOPIC are required.');
+}
+
+const HTTP_METHODS = ['POST', 'PUT', 'PATCH'];
+const HTTP_BATCH_FORMATS = ['json', 'ndjson'];
+
+/**
+ * Checks the method and batch format of HTTP settings
+ * @param {Object} http - HTTP settings
+ * @param {string} context - Where the settings come from, used in error messages
+ */
+const validateHttp = (http, context) => {
+  if (!HTTP_METHODS.includes(http.method)) {
+    throw new ConfigurationError(`Invalid HTTP method '${http.method}' ${context}. Must be one of: ${HTTP_METHODS.join(', ')}.`);
+  }
+  if (!HTTP_BATCH_FORMATS.includes(http.batchFormat)) {
+    throw new ConfigurationError(`Invalid HTTP batch format '${http.batchFormat}' ${context}. Must be one of: ${HTTP_BATCH_FORMATS.join(', ')}.`);
+  }
+};
+
+validateHttp(config.outputAdapter.http, 'in HTTP_METHOD/HTTP_BATCH_FORMAT');
+
+if (config.outputAdapter.type === 'HTTP' && !ConfigValidator.isValidHttpUrl(config.outputAdapter.http.url)) {
+  throw new ConfigurationError('When using HTTP adapter, HTTP_URL is required and must start with http:// or https://');
+}
+
+/**
+ * Checks the target of Redis output settings
+ * @param {Object} redis - Redis output settings
+ * @param {string} sourceStream - Stream the settings are used for
+ * @param {string} context - Where the settings come from, used in error messages
+ */
+const validateRedisOutput = (redis, sourceStream, context) => {
+  if (!ConfigValidator.isValidRedisUrl(redis.url)) {
+    throw new ConfigurationError(`${context} requires a redis:// or rediss:// output URL.`);
+  }
+  if (redis.maxLen && redis.maxAgeMs) {
+    throw new ConfigurationError(`${context} can only trim by one of maximum length and maximum age.`);
+  }
+  // Writing back into the source stream would read every entry again, forever
+  if (redis.url === config.redis.url && redis.stream === sourceStream) {
+    throw new ConfigurationError(`${context} writes back into its source stream '${sourceStream}'.`);
+  }
+};
+
 if (config.outputAdapter.type === 'LOCAL_FILE' && !config.outputAdapter.localFile.directory) {
     throw new ConfigurationError('When using LOCAL_FILE adapter, an output directory path is required.');
 }
 
+const FILE_MODES = ['per-event', 'rolling'];
+
+if (!FILE_MODES.includes(config.outputAdapter.localFile.mode)) {
+  throw new ConfigurationError(`Invalid OUTPUT_FILE_MODE: '${config.outputAdapter.localFile.mode}'. Must be one of: ${FILE_MODES.join(', ')}.`);
+}
+
+const { adaptiveBatchSize } = config.processing;
+if (adaptiveBatchSize.enabled && adaptiveBatchSize.min > adaptiveBatchSize.max) {
+  throw new ConfigurationError('ADAPTIVE_BATCH_MIN_SIZE must not be greater than ADAPTIVE_BATCH_MAX_SIZE.');
+}
+
+const { adaptivePollTimeout } = config.processing;
+if (adaptivePollTimeout.enabled && adaptivePollTimeout.minMs > adaptivePollTimeout.maxMs) {
+  throw new ConfigurationError('ADAPTIVE_POLL_MIN_TIMEOUT_MS must not be greater than ADAPTIVE_POLL_MAX_TIMEOUT_MS.');
+}
+
+const READ_MODES = ['group', 'checkpoint'];
+const CHECKPOINT_STORES = ['file', 'redis'];
+
+if (!READ_MODES.includes(config.stream.readMode)) {
+  throw new ConfigurationError(`Invalid READ_MODE: '${config.stream.readMode}'. Must be one of: ${READ_MODES.join(', ')}.`);
+}
+
+if (config.stream.readMode === 'checkpoint') {
+  if (!CHECKPOINT_STORES.includes(config.checkpoint.store)) {
+    throw new ConfigurationError(`Invalid CHECKPOINT_STORE: '${config.checkpoint.store}'. Must be one of: ${CHECKPOINT_STORES.join(', ')}.`);
+  }
+  if (config.checkpoint.store === 'redis' && !ConfigValidator.isValidRedisUrl(config.checkpoint.redisUrl)) {
+    throw new ConfigurationError('When using the redis checkpoint store, CHECKPOINT_REDIS_URL must start with redis:// or rediss://');
+  }
+  parseStartPosition(config.checkpoint.startPosition);
+} else {
+  for (const route of config.routes) {
+    parseStartPosition(route.startPosition, `group start position for stream '${route.stream}'`);
+  }
+}
+
+if (!SCHEMA_MODES.includes(config.schemaValidation.mode)) {
+  throw new ConfigurationError(`Invalid SCHEMA_VALIDATION_MODE: '${config.schemaValidation.mode}'. Must be one of: ${SCHEMA_MODES.join(', ')}.`);
+}
+
+const routedStreams = new Set();
+for (const route of config.routes) {
+  if (routedStreams.has(route.stream)) {
+    throw new ConfigurationError(`Stream '${route.stream}' is routed more than once in STREAM_ROUTES.`);
+  }
+  routedStreams.add(route.stream);
+
+  const { format, cloudEvents, avro } = route.output.serialization;
+  if (!SERIALIZATION_FORMATS.includes(format)) {
+    throw new ConfigurationError(`Invalid serialization format '${format}' for stream '${route.stream}'. Must be one of: ${SERIALIZATION_FORMATS.join(', ')}.`);
+  }
+  if (format === 'cloudevents' && !CLOUDEVENTS_MODES.includes(cloudEvents.mode)) {
+    throw new ConfigurationError(`Invalid CloudEvents mode '${cloudEvents.mode}' for stream '${route.stream}'. Must be one of: ${CLOUDEVENTS_MODES.join(', ')}.`);
+  }
+  if (format === 'avro' && !avro.schemaFile) {
+    throw new ConfigurationError(`Avro serialization for stream '${route.stream}' requires a schema file (AVRO_SCHEMA_FILE).`);
+  }
+
+  if (!SCHEMA_MODES.includes(route.schemaMode)) {
+    throw new ConfigurationError(`Invalid schema mode '${route.schemaMode}' for stream '${route.stream}'. Must be one of: ${SCHEMA_MODES.join(', ')}.`);
+  }
+
+  if (!ConfigValidator.isValidAdapterType(route.output.type)) {
+    throw new ConfigurationError(`Invalid output type '${route.output.type}' for stream '${route.stream}'. Must be one of: ${ConfigValidator.ADAPTER_TYPES.join(', ')}.`);
+  }
+  if (route.output.type === 'EVENT_HUBS' && (!route.output.eventHubs.connectionString || !route.output.eventHubs.hubName)) {
+    throw new ConfigurationError(`Route for stream '${route.stream}' uses EVENT_HUBS but has no connection string or hub name.`);
+  }
+  if (route.output.type === 'KAFKA' && (route.output.kafka.brokers.length === 0 || !route.output.kafka.topic)) {
+    throw new ConfigurationError(`Route for stream '${route.stream}' uses KAFKA but has no brokers or topic.`);
+  }
+  if (route.output.type === 'HTTP') {
+    if (!ConfigValidator.isValidHttpUrl(route.output.http.url)) {
+      throw new ConfigurationError(`Route for stream '${route.stream}' uses HTTP but has no http:// or https:// URL.`);
+    }
+    validateHttp(route.output.http, `for stream '${route.stream}'`);
+  }
+  if (!FILE_MODES.includes(route.output.localFile.mode)) {
+    throw new ConfigurationError(`Invalid file mode '${route.output.localFile.mode}' for stream '${route.stream}'. Must be one of: ${FILE_MODES.join(', ')}.`);
+  }
+  if (route.output.type === 'REDIS') {
+    validateRedisOutput(route.output.redis, route.stream, `REDIS output for stream '${route.stream}'`);
+  }
+  if (!hasSinglePartitioning(route.output.eventHubs)) {
+    throw new ConfigurationError(`Route for stream '${route.stream}' can only set one of partitionKeyField, partitionKeyTemplate and partitionId.`);
+  }
+}
+
 module.exports = config;
\ No newline at end of file
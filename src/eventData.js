@@ -0,0 +1,71 @@
+// src/eventData.js
+const { entryTimestamp } = require('./transforms');
+
+/**
+ * Connector metadata for an event read from a stream entry
+ * @param {string} stream - Source stream
+ * @param {string} consumerGroup - Consumer group the entry was read with
+ * @param {string} id - Redis entry ID
+ * @returns {{sourceStream: string, consumerGroup: string, redisEntryId: string, enqueuedAt: string}}
+ */
+const buildMetadata = (stream, consumerGroup, id) => ({
+  sourceStream: stream,
+  consumerGroup,
+  redisEntryId: id,
+  enqueuedAt: new Date(entryTimestamp(id)).toISOString(),
+});
+
+/**
+ * Parses a `field[:property],...` list into a field to property name map
+ * @param {string} [value] - Comma-separated list, e.g. `deviceId,level:severity`
+ * @returns {Object<string, string>}
+ */
+const parsePropertyFields = (value) => {
+  const fields = {};
+  if (!value) return fields;
+  for (const entry of value.split(',')) {
+    const [field, property] = entry.split(':').map(part => part.trim());
+    if (field) fields[field] = property || field;
+  }
+  return fields;
+};
+
+/**
+ * Maps an event to the message sent to the output: body, IDs, content type and application properties
+ * @param {{body: Object, correlationId: string, metadata?: Object}} event - Event built by the connector
+ * @param {Object} [mapping]
+ * @param {Object<string, string>} [mapping.propertyFields={}] - Body fields copied to application properties, keyed by field
+ * @param {string} [mapping.messageIdField] - Body field used as message ID (defaults to the correlation ID)
+ * @param {string} [mapping.contentType='application/json'] - Content type of the body
+ * @param {boolean} [mapping.includeMetadata=true] - Add the connector metadata to the application properties
+ * @returns {{body: Object, correlationId: string, messageId: string, contentType: string, properties: Object}}
+ */
+const toEventData = (event, {
+  propertyFields = {}, messageIdField, contentType = 'application/json', includeMetadata = true,
+} = {}) => {
+  const properties = {};
+  for (const [field, property] of Object.entries(propertyFields)) {
+    if (event.body[field] !== undefined) properties[property] = event.body[field];
+  }
+  if (includeMetadata && event.metadata) {
+    Object.assign(properties, event.metadata);
+  }
+
+  const messageId = messageIdField && event.body[messageIdField] !== undefined
+    ? String(event.body[messageIdField])
+    : event.correlationId;
+
+  return {
+    body: event.body,
+    correlationId: event.correlationId,
+    messageId,
+    contentType,
+    properties,
+  };
+};
+
+module.exports = {
+  buildMetadata,
+  parsePropertyFields,
+  toEventData,
+};
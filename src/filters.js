@@ -0,0 +1,128 @@
+// src/filters.js
+const { ConfigurationError } = require('./errors');
+
+const COMBINATORS = ['and', 'or', 'not'];
+const CONDITIONS = ['equals', 'regex', 'exists', 'min', 'max'];
+
+/**
+ * Compiles a field condition into a predicate over the entry body
+ * @param {Object} rule - `{ field, equals | regex (+ flags) | exists | min and/or max }`
+ * @param {string} position - Location of the rule, used in error messages
+ * @returns {Function} `(body) => boolean`
+ */
+const compileCondition = (rule, position) => {
+  const { field } = rule;
+  if (typeof field !== 'string' || !field) {
+    throw new ConfigurationError(`Filter rule at ${position} requires a 'field'.`);
+  }
+  const conditions = CONDITIONS.filter(name => name in rule);
+  if (conditions.length === 0) {
+    throw new ConfigurationError(`Filter rule at ${position} must use one of: ${CONDITIONS.join(', ')}.`);
+  }
+
+  const checks = [];
+  if ('equals' in rule) {
+    const expected = String(rule.equals);
+    checks.push(value => value !== undefined && String(value) === expected);
+  }
+  if ('regex' in rule) {
+    let pattern;
+    try {
+      pattern = new RegExp(rule.regex, rule.flags);
+    } catch (error) {
+      throw new ConfigurationError(`Filter rule at ${position} has an invalid regex: ${error.message}`, error);
+    }
+    checks.push(value => value !== undefined && pattern.test(String(value)));
+  }
+  if ('exists' in rule) {
+    const shouldExist = Boolean(rule.exists);
+    checks.push(value => (value !== undefined) === shouldExist);
+  }
+  if ('min' in rule || 'max' in rule) {
+    const min = 'min' in rule ? Number(rule.min) : -Infinity;
+    const max = 'max' in rule ? Number(rule.max) : Infinity;
+    if (Number.isNaN(min) || Number.isNaN(max)) {
+      throw new ConfigurationError(`Filter rule at ${position} has a non-numeric 'min' or 'max'.`);
+    }
+    // Non-numeric and missing values are out of range
+    checks.push((value) => {
+      if (value === undefined || value === '') return false;
+      const num = Number(value);
+      return !Number.isNaN(num) && num >= min && num <= max;
+    });
+  }
+
+  return body => checks.every(check => check(body[field]));
+};
+
+/**
+ * Compiles a filter rule (a field condition or an and/or/not combination) into a predicate
+ * @param {Object} rule - Filter rule
+ * @param {string} [position='filter'] - Location of the rule, used in error messages
+ * @returns {Function} `(body) => boolean`
+ */
+const compileRule = (rule, position = 'filter') => {
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    throw new ConfigurationError(`Filter rule at ${position} must be an object.`);
+  }
+  const combinators = COMBINATORS.filter(name => name in rule);
+  if (combinators.length > 1) {
+    throw new ConfigurationError(`Filter rule at ${position} must use only one of: ${COMBINATORS.join(', ')}.`);
+  }
+
+  switch (combinators[0]) {
+    case 'and':
+    case 'or': {
+      const name = combinators[0];
+      if (!Array.isArray(rule[name]) || rule[name].length === 0) {
+        throw new ConfigurationError(`Filter rule '${name}' at ${position} requires a non-empty array of rules.`);
+      }
+      const predicates = rule[name].map((child, index) => compileRule(child, `${position}.${name}[${index}]`));
+      return name === 'and'
+        ? body => predicates.every(predicate => predicate(body))
+        : body => predicates.some(predicate => predicate(body));
+    }
+    case 'not': {
+      const predicate = compileRule(rule.not, `${position}.not`);
+      return body => !predicate(body);
+    }
+    default:
+      return compileCondition(rule, position);
+  }
+};
+
+/**
+ * Decides which stream entries are forwarded. Entries that don't match are acknowledged and skipped.
+ */
+class MessageFilter {
+  /**
+   * @param {Function} [predicate] - `(body) => boolean`; without one every entry matches
+   */
+  constructor(predicate = null) {
+    this.predicate = predicate;
+  }
+
+  /**
+   * Builds a filter from configuration
+   * @param {Object|null} rule - Filter rule, or null to forward everything
+   * @returns {MessageFilter}
+   * @throws {ConfigurationError} If the rule is invalid
+   */
+  static fromConfig(rule = null) {
+    return new MessageFilter(rule === null ? null : compileRule(rule));
+  }
+
+  /**
+   * Checks whether an entry should be forwarded
+   * @param {Object} body - Entry fields as an object
+   * @returns {boolean}
+   */
+  matches(body) {
+    return this.predicate === null || this.predicate(body);
+  }
+}
+
+module.exports = {
+  MessageFilter,
+  compileRule,
+};
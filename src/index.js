@@ -4,37 +4,123 @@ const logger = require('./logger');
 const RedisService = require('./services/RedisService');
 const EventHubsService = require('./services/EventHubsService');
 const LocalEventHubService = require('./services/LocalEventHubService');
+const KafkaService = require('./services/KafkaService');
+const HttpOutputService = require('./services/HttpOutputService');
+const RedisStreamOutputService = require('./services/RedisStreamOutputService');
+const DeadLetterService = require('./services/DeadLetterService');
+const DedupService = require('./services/DedupService');
+const HealthServer = require('./services/HealthServer');
+const Metrics = require('./metrics');
+const ConfigValidator = require('./validation');
 const StreamConnector = require('./StreamConnector');
+const { TransformPipeline } = require('./transforms');
+const { MessageFilter } = require('./filters');
+const { SchemaValidator } = require('./schemas');
+const { parseStartPosition, FileCheckpointStore, RedisCheckpointStore } = require('./checkpoints');
+
+const metrics = new Metrics({ collectDefaults: true });
 
 /**
  * Creates the appropriate output service based on configuration
- * @returns {EventHubsService|LocalEventHubService} The configured output service
+ * @param {Object} outputConfig - Output adapter configuration of a route
+ * @param {string} stream - Stream routed to the output service, used for logging
+ * @returns {EventHubsService|LocalEventHubService|KafkaService|HttpOutputService|RedisStreamOutputService} The configured output service
  * @throws {Error} If adapter type is invalid
  */
-function createOutputService() {
-  const adapterType = config.outputAdapter.type;
-  logger.info({ adapter: adapterType }, 'Initializing output service...');
+function createOutputService(outputConfig, stream) {
+  const adapterType = outputConfig.type;
+  logger.info({ adapter: adapterType, stream }, 'Initializing output service...');
   switch (adapterType) {
     case 'LOCAL_FILE':
-      return new LocalEventHubService(config.outputAdapter.localFile, logger);
+      return new LocalEventHubService({
+        ...outputConfig.localFile,
+        // Instances may share the output directory, so each only recovers the segments it wrote itself
+        segment: { ...outputConfig.localFile.segment, writerId: `${config.stream.consumerName}.${stream}` },
+        eventMapping: outputConfig.eventMapping,
+        serialization: outputConfig.serialization,
+      }, logger, metrics);
     case 'EVENT_HUBS':
-      return new EventHubsService(config.outputAdapter.eventHubs, logger);
+      return new EventHubsService({
+        ...outputConfig.eventHubs, eventMapping: outputConfig.eventMapping, serialization: outputConfig.serialization,
+      }, logger, metrics);
+    case 'KAFKA':
+      return new KafkaService({ ...outputConfig.kafka, eventMapping: outputConfig.eventMapping }, logger, metrics);
+    case 'HTTP':
+      return new HttpOutputService({
+        ...outputConfig.http,
+        // The send retry policy already resends failed events; retrying each request as well would multiply them
+        ...(config.sendRetry.maxAttempts > 1 && { maxRetries: 0 }),
+        eventMapping: outputConfig.eventMapping,
+      }, logger, metrics);
+    case 'REDIS':
+      return new RedisStreamOutputService(outputConfig.redis, logger, metrics);
+    default:
+      throw new Error(`Invalid OUTPUT_ADAPTER_TYPE: '${adapterType}'. Must be one of: ${ConfigValidator.ADAPTER_TYPES.join(', ')}.`);
+  }
+}
+
+/**
+ * Whether a route's batches must be sent in read order: outputs routing events by key (or to a fixed
+ * partition) keep per-key order only if batches don't overtake each other, and mirrored entry IDs must grow
+ * @param {Object} outputConfig - Output adapter configuration of a route
+ * @returns {boolean}
+ */
+function requiresOrdering(outputConfig) {
+  switch (outputConfig.type) {
+    case 'EVENT_HUBS': {
+      const { partitionKeyField, partitionKeyTemplate, partitionId } = outputConfig.eventHubs;
+      return Boolean(partitionKeyField || partitionKeyTemplate || partitionId);
+    }
+    case 'KAFKA':
+      return Boolean(outputConfig.kafka.keyField);
+    case 'REDIS':
+      return Boolean(outputConfig.redis.preserveIds);
     default:
-      throw new Error(`Invalid OUTPUT_ADAPTER_TYPE: '${adapterType}'. Must be 'LOCAL_FILE' or 'EVENT_HUBS'.`);
+      return false;
   }
 }
 
 async function main() {
   logger.info('Application starting up...');
-  const redisService = new RedisService(config.redis, logger);
-  const outputService = createOutputService();
+  const redisService = new RedisService(config.redis, logger, metrics);
+  const dedupService = config.dedup.enabled ? new DedupService(config.dedup, redisService, logger) : null;
+  const checkpointMode = config.stream.readMode === 'checkpoint';
+  let checkpointStore = null;
+  if (checkpointMode) {
+    checkpointStore = config.checkpoint.store === 'redis'
+      ? new RedisCheckpointStore(config.checkpoint, logger, metrics)
+      : new FileCheckpointStore(config.checkpoint, logger);
+  }
+  const routes = config.routes.map((route) => {
+    // Dead-lettering acknowledges in the consumer group, which checkpoint mode doesn't use
+    const deadLetterService = checkpointMode
+      ? null
+      : new DeadLetterService({ ...config.deadLetter, streamKey: route.deadLetterStreamKey }, redisService, logger);
+    return {
+      stream: route.stream,
+      consumerGroup: route.consumerGroup,
+      groupStartId: checkpointMode ? '$' : parseStartPosition(route.startPosition),
+      ordered: requiresOrdering(route.output),
+      outputService: createOutputService(route.output, route.stream),
+      deadLetterService: config.deadLetter.maxDeliveryAttempts > 0 ? deadLetterService : null,
+      // Invalid entries stay invalid however often they are retried, so they are always dead-lettered
+      schemaDeadLetterService: deadLetterService,
+      transformPipeline: TransformPipeline.fromConfig(route.transforms),
+      filter: MessageFilter.fromConfig(route.filter),
+      schemaValidator: SchemaValidator.fromConfig(route.schema, { mode: route.schemaMode }),
+      dedupService,
+    };
+  });
   
   try {
     // Connect to Redis first
     await redisService.connect();
+    if (checkpointStore) await checkpointStore.connect();
     
-    // Connect to output service if needed
-    if (outputService.connect) await outputService.connect();
+    // Connect to output services if needed
+    for (const { outputService } of routes) {
+      if (outputService.connect) await outputService.connect();
+    }
   } catch (error) {
     logger.fatal({ err: error }, 'Failed to initialize services. Application cannot start.');
     logger.error('Please check:');
@@ -45,19 +131,25 @@ async function main() {
   }
 
   const connector = new StreamConnector({
-    config, logger, redisService, outputService,
+    config, logger, redisService, routes, checkpointStore, metrics,
   });
 
+  const healthServer = config.health.port > 0
+    ? new HealthServer(config.health, { connector, metrics }, logger)
+    : null;
+
   /**
    * Handles graceful shutdown on signals
-   * @param {string} signal - The signal received (SIGINT or SIGTERM)
+   * @param {string} signal - The signal received (SIGINT or SIGTERM), or why the application stops
+   * @param {number} [exitCode=0] - Exit code after a successful shutdown
    */
-  const shutdown = async (signal) => {
+  const shutdown = async (signal, exitCode = 0) => {
     logger.warn(`Received ${signal}. Shutting down gracefully...`);
     try {
       await connector.stop();
+      if (healthServer) await healthServer.stop();
       logger.info('Application shutdown completed successfully.');
-      process.exit(0);
+      process.exit(exitCode);
     } catch (error) {
       logger.error({ err: error }, 'Error during shutdown.');
       process.exit(1);
@@ -65,13 +157,16 @@ async function main() {
   };
   process.on('SIGINT', () => shutdown('SIGINT'));
   process.on('SIGTERM', () => shutdown('SIGTERM'));
+  // Reconnect attempts are exhausted: exit non-zero so a supervisor restarts the connector
+  redisService.onConnectionLost(() => shutdown('REDIS_CONNECTION_LOST', 1));
 
   try {
     await connector.start();
+    if (healthServer) await healthServer.start();
     logger.info('Application is running. Press Ctrl+C to exit.');
   } catch (error) {
     logger.fatal({ err: error }, 'Failed to start connector.');
-    await shutdown('ERROR');
+    await shutdown('ERROR', 1);
   }
 }
 
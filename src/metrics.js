@@ -0,0 +1,139 @@
+// src/metrics.js
+const { Registry, Counter, Gauge, Histogram, collectDefaultMetrics } = require('prom-client');
+
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+/**
+ * Prometheus metrics shared by the connector and its services.
+ * Every instance owns a separate registry, so services created without one (e.g. in tests) don't collide.
+ */
+class Metrics {
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.collectDefaults=false] - Also export Node.js process metrics
+   */
+  constructor({ collectDefaults = false } = {}) {
+    this.registry = new Registry();
+    const registers = [this.registry];
+
+    if (collectDefaults) {
+      collectDefaultMetrics({ register: this.registry });
+    }
+
+    this.messagesFetched = new Counter({
+      name: 'connector_messages_fetched_total',
+      help: 'Messages read from Redis streams',
+      labelNames: ['stream'],
+      registers,
+    });
+    this.messagesAcked = new Counter({
+      name: 'connector_messages_acked_total',
+      help: 'Messages acknowledged in Redis after a successful send',
+      labelNames: ['stream'],
+      registers,
+    });
+    this.messagesFailed = new Counter({
+      name: 'connector_messages_failed_total',
+      help: 'Messages that could not be delivered and were left pending',
+      labelNames: ['stream'],
+      registers,
+    });
+    this.messagesClaimed = new Counter({
+      name: 'connector_messages_claimed_total',
+      help: 'Idle pending messages claimed for reprocessing',
+      labelNames: ['stream'],
+      registers,
+    });
+    this.messagesDeadLettered = new Counter({
+      name: 'connector_messages_dead_lettered_total',
+      help: 'Messages moved to the dead-letter stream',
+      labelNames: ['stream'],
+      registers,
+    });
+    this.messagesFiltered = new Counter({
+      name: 'connector_messages_filtered_total',
+      help: 'Messages acknowledged without sending because they did not match the route filter',
+      labelNames: ['stream'],
+      registers,
+    });
+    this.messagesInvalid = new Counter({
+      name: 'connector_messages_invalid_total',
+      help: 'Messages that did not match the route schema, whether they were rejected or sent anyway',
+      labelNames: ['stream'],
+      registers,
+    });
+    this.messagesDeduplicated = new Counter({
+      name: 'connector_messages_deduplicated_total',
+      help: 'Messages acknowledged without sending because the dedup store recorded them as delivered',
+      labelNames: ['stream'],
+      registers,
+    });
+    this.batchDuration = new Histogram({
+      name: 'connector_batch_duration_seconds',
+      help: 'Time to send and acknowledge a batch of messages',
+      labelNames: ['stream'],
+      buckets: LATENCY_BUCKETS,
+      registers,
+    });
+    this.batchSize = new Gauge({
+      name: 'connector_batch_size',
+      help: 'Messages requested per stream read (changes with adaptive batch sizing)',
+      registers,
+    });
+    this.pollTimeout = new Gauge({
+      name: 'connector_poll_timeout_ms',
+      help: 'Longest time a stream read blocks waiting for messages (changes with adaptive poll tuning)',
+      registers,
+    });
+    this.pendingMessages = new Gauge({
+      name: 'connector_pending_messages',
+      help: 'Entries in the consumer group Pending Entries List',
+      labelNames: ['stream', 'group'],
+      registers,
+    });
+    this.consumerLag = new Gauge({
+      name: 'connector_consumer_lag',
+      help: 'Entries not yet delivered to the consumer group (XINFO GROUPS lag)',
+      labelNames: ['stream', 'group'],
+      registers,
+    });
+
+    this.eventsSent = new Counter({
+      name: 'connector_output_events_sent_total',
+      help: 'Events accepted by the output service',
+      labelNames: ['adapter'],
+      registers,
+    });
+    this.eventsFailed = new Counter({
+      name: 'connector_output_events_failed_total',
+      help: 'Events rejected or skipped by the output service',
+      labelNames: ['adapter'],
+      registers,
+    });
+    this.sendDuration = new Histogram({
+      name: 'connector_output_send_duration_seconds',
+      help: 'Time spent sending a batch to the output service',
+      labelNames: ['adapter'],
+      buckets: LATENCY_BUCKETS,
+      registers,
+    });
+  }
+
+  /**
+   * Renders all metrics in the Prometheus text exposition format
+   * @returns {Promise<string>}
+   */
+  async render() {
+    return this.registry.metrics();
+  }
+
+  /**
+   * Content type of the rendered metrics
+   * @returns {string}
+   */
+  get contentType() {
+    return this.registry.contentType;
+  }
+}
+
+module.exports = Metrics;
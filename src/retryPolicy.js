@@ -0,0 +1,91 @@
+// src/retryPolicy.js
+const { EventHubsError } = require('./errors');
+
+// Azure SDK (MessagingError) and Node.js system error codes worth retrying right away
+const RETRYABLE_CODES = new Set([
+  'ServerBusyError',
+  'ServiceUnavailableError',
+  'OperationTimeoutError',
+  'ServiceCommunicationError',
+  'ConnectionForcedError',
+  'ConnectionLostError',
+  'InternalServerError',
+  'ETIMEDOUT',
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'EPIPE',
+  'EAI_AGAIN',
+]);
+
+// Azure SDK error codes that fail the same way on every attempt
+const FATAL_CODES = new Set([
+  'UnauthorizedError',
+  'MessagingEntityNotFoundError',
+  'MessagingEntityDisabledError',
+  'MessageTooLargeError',
+  'ArgumentError',
+  'ArgumentOutOfRangeError',
+  'InvalidOperationError',
+  'QuotaExceededError',
+]);
+
+/**
+ * Whether a send error is transient. Event Hubs errors are judged by the Azure SDK error they wrap:
+ * its `retryable` flag, else its code. Errors without either are assumed transient, since the
+ * messages stay pending and are retried later anyway.
+ * @param {Error} error - Error thrown by an output service
+ * @returns {boolean}
+ */
+const isRetryable = (error) => {
+  const cause = error instanceof EventHubsError && error.originalError ? error.originalError : error;
+  if (FATAL_CODES.has(cause.code)) return false;
+  if (RETRYABLE_CODES.has(cause.code)) return true;
+  if (typeof cause.retryable === 'boolean') return cause.retryable;
+  return true;
+};
+
+/**
+ * Exponential backoff with full jitter for resending a batch in-process, bounded by a number of
+ * attempts and a total time. Once it is exhausted, messages are left pending.
+ */
+class RetryPolicy {
+  /**
+   * @param {Object} options
+   * @param {number} options.maxAttempts - Sends per batch, including the first (1 disables retries)
+   * @param {number} options.initialDelayMs - Upper bound of the first delay, doubled on every retry
+   * @param {number} options.maxDelayMs - Largest upper bound of a delay
+   * @param {number} options.maxElapsedMs - No retry starts after this long since the first send
+   * @param {Function} [random=Math.random] - Source of jitter
+   */
+  constructor({ maxAttempts, initialDelayMs, maxDelayMs, maxElapsedMs }, random = Math.random) {
+    this.maxAttempts = maxAttempts;
+    this.initialDelayMs = initialDelayMs;
+    this.maxDelayMs = maxDelayMs;
+    this.maxElapsedMs = maxElapsedMs;
+    this.random = random;
+  }
+
+  /**
+   * Delay before a retry: a random time up to the exponential bound
+   * @param {number} attempt - Send that just failed, starting at 1
+   * @returns {number}
+   */
+  delayFor(attempt) {
+    const bound = Math.min(this.maxDelayMs, this.initialDelayMs * 2 ** (attempt - 1));
+    return Math.floor(this.random() * bound);
+  }
+
+  /**
+   * Delay before the next send, or null if the policy is exhausted
+   * @param {number} attempt - Send that just failed, starting at 1
+   * @param {number} startedAt - When the first send started (ms since epoch)
+   * @returns {number|null}
+   */
+  nextDelay(attempt, startedAt) {
+    if (attempt >= this.maxAttempts) return null;
+    const delayMs = this.delayFor(attempt);
+    return Date.now() + delayMs - startedAt > this.maxElapsedMs ? null : delayMs;
+  }
+}
+
+module.exports = { RetryPolicy, isRetryable };
@@ -0,0 +1,68 @@
+// src/schemas.js
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const { ConfigurationError } = require('./errors');
+
+// 'reject' dead-letters entries that don't match, 'log' logs them and sends them anyway
+const SCHEMA_MODES = ['reject', 'log'];
+
+/**
+ * Checks stream entries against a JSON Schema. Redis stores every field value as a string, so
+ * values are coerced to the schema's types while checking (`"21.5"` matches `type: number`);
+ * the entry itself is not changed.
+ */
+class SchemaValidator {
+  /**
+   * @param {Function} [validate] - Compiled Ajv validation function; without one every entry is valid
+   * @param {string} [mode='reject'] - What happens to invalid entries: 'reject' or 'log'
+   */
+  constructor(validate = null, mode = 'reject') {
+    this.validate = validate;
+    this.mode = mode;
+  }
+
+  /**
+   * Builds a validator from configuration
+   * @param {Object|null} schema - JSON Schema, or null to accept every entry
+   * @param {Object} [options]
+   * @param {string} [options.mode='reject'] - What happens to invalid entries: 'reject' or 'log'
+   * @returns {SchemaValidator}
+   * @throws {ConfigurationError} If the mode is unknown or the schema doesn't compile
+   */
+  static fromConfig(schema = null, { mode = 'reject' } = {}) {
+    if (!SCHEMA_MODES.includes(mode)) {
+      throw new ConfigurationError(`Invalid schema validation mode '${mode}'. Must be one of: ${SCHEMA_MODES.join(', ')}.`);
+    }
+    if (schema === null) return new SchemaValidator(null, mode);
+
+    const ajv = new Ajv({ allErrors: true, coerceTypes: true, strict: false });
+    addFormats(ajv);
+    try {
+      return new SchemaValidator(ajv.compile(schema), mode);
+    } catch (error) {
+      throw new ConfigurationError(`Invalid JSON Schema: ${error.message}`, error);
+    }
+  }
+
+  /**
+   * Whether entries are checked at all
+   * @returns {boolean}
+   */
+  get enabled() {
+    return this.validate !== null;
+  }
+
+  /**
+   * Checks an entry
+   * @param {Object} body - Entry fields as an object
+   * @returns {string[]} Validation errors, e.g. `/temperature must be number`; empty if the entry is valid
+   */
+  errorsFor(body) {
+    if (this.validate === null) return [];
+    // Coercion rewrites the checked object, so it works on a copy
+    if (this.validate({ ...body })) return [];
+    return this.validate.errors.map(error => `${error.instancePath || '/'} ${error.message}`);
+  }
+}
+
+module.exports = { SchemaValidator, SCHEMA_MODES };
@@ -0,0 +1,245 @@
+// src/segments.js
+const fs = require('fs/promises');
+const { createReadStream, createWriteStream } = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { pipeline } = require('stream/promises');
+
+// Suffix of the segment being written; it is renamed once the segment is closed
+const OPEN_SUFFIX = '.ndjson.open';
+
+// Writer IDs become part of file names, and '.' separates them from the rest of the name
+const toFileSafe = (value) => value.replace(/[^A-Za-z0-9_-]/g, '_');
+
+// Open segment of any writer, capturing the time it was opened
+const OPEN_SEGMENT = /^segment-[A-Za-z0-9_-]+\.(\d+)-[0-9a-f]+\.ndjson\.open$/;
+
+/**
+ * Appends records as NDJSON to a current segment file and rolls it by size, age or record count.
+ * Every append is fsynced before it resolves, so callers can acknowledge what was appended.
+ * Closed segments get a `.manifest.json` file with their first and last Redis entry IDs and
+ * are optionally gzip-compressed. Segment names start with the writer ID, so writers sharing a
+ * directory only recover their own segments, and those other writers abandoned long ago.
+ */
+class SegmentWriter {
+  /**
+   * @param {Object} options
+   * @param {string} options.directory - Directory segments are written to
+   * @param {string} [options.writerId='default'] - Identifies this writer across restarts, e.g. the consumer name
+   * @param {number} [options.maxBytes=67108864] - Roll once a segment reaches this size
+   * @param {number} [options.maxAgeMs=300000] - Roll once a segment has been open this long (0 disables)
+   * @param {number} [options.maxEvents=0] - Roll once a segment holds this many records (0 disables)
+   * @param {boolean} [options.compress=false] - Gzip closed segments
+   * @param {Object} logger - Logger instance
+   */
+  constructor({
+    directory, writerId = 'default', maxBytes = 64 * 1024 * 1024, maxAgeMs = 300000, maxEvents = 0, compress = false,
+  }, logger) {
+    this.directory = directory;
+    this.namePrefix = `segment-${toFileSafe(writerId)}.`;
+    this.maxBytes = maxBytes;
+    this.maxAgeMs = maxAgeMs;
+    this.maxEvents = maxEvents;
+    this.compress = compress;
+    this.logger = logger;
+    this.current = null;
+    this.ageTimer = null;
+    // Appends, rolls and closes run one at a time
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Runs an operation after the ones already queued
+   * @param {Function} operation - Async operation
+   * @returns {Promise<any>} Result of the operation
+   */
+  enqueue(operation) {
+    const result = this.queue.then(operation);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Whether an open segment was left behind and can be closed. Other writers' segments may still be
+   * in use, unless they are open for twice the age at which a running writer rolls them: then their
+   * writer is gone, e.g. a process that restarted with another consumer name.
+   * @param {string} file - Name of an open segment
+   * @param {number} now - Current time in milliseconds
+   * @returns {boolean}
+   */
+  isAbandoned(file, now) {
+    if (file.startsWith(this.namePrefix)) return true;
+    const match = OPEN_SEGMENT.exec(file);
+    return Boolean(match) && this.maxAgeMs > 0 && now - Number(match[1]) > 2 * this.maxAgeMs;
+  }
+
+  /**
+   * Closes segments left open by a previous run, e.g. after a crash: this writer's own, and
+   * those abandoned by other writers. Their contents were fsynced before being acknowledged,
+   * so they are kept.
+   * @returns {Promise<number>} Number of recovered segments
+   */
+  async recover() {
+    const files = await fs.readdir(this.directory);
+    const now = Date.now();
+    const openFiles = files.filter(file => file.endsWith(OPEN_SUFFIX) && this.isAbandoned(file, now));
+    let recovered = 0;
+    for (const file of openFiles) {
+      try {
+        await this.recoverSegment(file);
+        recovered++;
+      } catch (error) {
+        // Another writer starting at the same time recovered it first
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+    if (recovered > 0) {
+      this.logger.warn({ count: recovered }, 'Closed segments left open by a previous run.');
+    }
+    return recovered;
+  }
+
+  /**
+   * Closes a segment left open, or deletes it if it is empty
+   * @param {string} file - Name of the open segment
+   * @returns {Promise<void>}
+   */
+  async recoverSegment(file) {
+    const content = await fs.readFile(path.join(this.directory, file), 'utf8');
+    if (content.length === 0) {
+      await fs.unlink(path.join(this.directory, file));
+      return;
+    }
+    const ids = content.split('\n').filter(Boolean).map((line) => {
+      try {
+        return JSON.parse(line)._metadata.correlationId;
+      } catch (error) {
+        // A line cut short by the crash
+        return null;
+      }
+    }).filter(Boolean);
+    await this.finalize({
+      name: file.slice(0, -OPEN_SUFFIX.length),
+      path: path.join(this.directory, file),
+      bytes: Buffer.byteLength(content),
+      events: ids.length,
+      firstId: ids[0] || null,
+      lastId: ids[ids.length - 1] || null,
+      openedAt: null,
+    });
+  }
+
+  /**
+   * Appends records to the current segment and fsyncs it
+   * @param {Array<{id: string, record: Object}>} entries - Records with the Redis entry ID they came from
+   * @returns {Promise<void>}
+   */
+  async append(entries) {
+    if (entries.length === 0) return;
+    await this.enqueue(async () => {
+      if (!this.current) await this.open();
+      const data = entries.map(({ record }) => `${JSON.stringify(record)}\n`).join('');
+      try {
+        await this.current.handle.write(data);
+        await this.current.handle.sync();
+      } catch (error) {
+        // The segment may end with a partial write; close it so retries start a clean one
+        await this.roll().catch(() => {});
+        throw error;
+      }
+      this.current.bytes += Buffer.byteLength(data);
+      this.current.events += entries.length;
+      this.current.firstId = this.current.firstId || entries[0].id;
+      this.current.lastId = entries[entries.length - 1].id;
+
+      if (this.current.bytes >= this.maxBytes || (this.maxEvents && this.current.events >= this.maxEvents)) {
+        await this.roll();
+      }
+    });
+  }
+
+  /**
+   * Opens a new segment
+   * @returns {Promise<void>}
+   */
+  async open() {
+    const name = `${this.namePrefix}${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    const filePath = path.join(this.directory, `${name}${OPEN_SUFFIX}`);
+    this.current = {
+      name,
+      path: filePath,
+      handle: await fs.open(filePath, 'a'),
+      bytes: 0,
+      events: 0,
+      firstId: null,
+      lastId: null,
+      openedAt: new Date().toISOString(),
+    };
+    if (this.maxAgeMs) {
+      const segment = this.current;
+      this.ageTimer = setTimeout(() => {
+        this.enqueue(() => (this.current === segment ? this.roll() : undefined))
+          .catch(err => this.logger.error({ err, segment: segment.name }, 'Failed to roll segment.'));
+      }, this.maxAgeMs);
+      // An open segment must not keep the process alive
+      this.ageTimer.unref();
+    }
+  }
+
+  /**
+   * Closes the current segment, if any
+   * @returns {Promise<void>}
+   */
+  async roll() {
+    if (!this.current) return;
+    const segment = this.current;
+    this.current = null;
+    clearTimeout(this.ageTimer);
+    this.ageTimer = null;
+    await segment.handle.close();
+    await this.finalize(segment);
+  }
+
+  /**
+   * Renames a closed segment, compresses it if configured and writes its manifest
+   * @param {Object} segment - Closed segment
+   * @returns {Promise<void>}
+   */
+  async finalize(segment) {
+    let file = `${segment.name}.ndjson`;
+    await fs.rename(segment.path, path.join(this.directory, file));
+    if (this.compress) {
+      await pipeline(
+        createReadStream(path.join(this.directory, file)),
+        zlib.createGzip(),
+        createWriteStream(path.join(this.directory, `${file}.gz`))
+      );
+      await fs.unlink(path.join(this.directory, file));
+      file = `${file}.gz`;
+    }
+
+    const manifest = {
+      segment: file,
+      events: segment.events,
+      bytes: segment.bytes,
+      compressed: this.compress,
+      firstId: segment.firstId,
+      lastId: segment.lastId,
+      openedAt: segment.openedAt,
+      closedAt: new Date().toISOString(),
+    };
+    await fs.writeFile(path.join(this.directory, `${segment.name}.manifest.json`), JSON.stringify(manifest, null, 2));
+    this.logger.info({ segment: file, events: segment.events, bytes: segment.bytes }, 'Segment closed.');
+  }
+
+  /**
+   * Closes the current segment after pending appends
+   * @returns {Promise<void>}
+   */
+  async close() {
+    await this.enqueue(() => this.roll());
+  }
+}
+
+module.exports = { SegmentWriter, OPEN_SUFFIX };
@@ -0,0 +1,46 @@
+// src/sendResults.js
+
+/**
+ * Outcome of sending one event. Output services return one result per event, in input order.
+ */
+const SendStatus = Object.freeze({
+  // Delivered: the message is acknowledged
+  SUCCESS: 'success',
+  // Transient failure: the message stays pending and is retried
+  FAILED: 'failed',
+  // Permanently rejected (e.g. too large): the message is dead-lettered without further retries
+  SKIPPED: 'skipped',
+});
+
+/**
+ * @returns {{status: string}}
+ */
+const succeeded = () => ({ status: SendStatus.SUCCESS });
+
+/**
+ * @param {string} reason - Why the event could not be sent
+ * @returns {{status: string, reason: string}}
+ */
+const failed = reason => ({ status: SendStatus.FAILED, reason });
+
+/**
+ * @param {string} reason - Why the event will never be accepted
+ * @returns {{status: string, reason: string}}
+ */
+const skipped = reason => ({ status: SendStatus.SKIPPED, reason });
+
+/**
+ * Counts the results with a given status
+ * @param {Array<{status: string}>} results - Send results
+ * @param {string} status - Status to count
+ * @returns {number}
+ */
+const countByStatus = (results, status) => results.filter(result => result.status === status).length;
+
+module.exports = {
+  SendStatus,
+  succeeded,
+  failed,
+  skipped,
+  countByStatus,
+};
@@ -0,0 +1,200 @@
+// src/serializers.js
+const fs = require('fs');
+const path = require('path');
+const avro = require('avsc');
+const msgpack = require('@msgpack/msgpack');
+const { ConfigurationError } = require('./errors');
+
+const SERIALIZATION_FORMATS = ['json', 'cloudevents', 'avro', 'msgpack'];
+const CLOUDEVENTS_MODES = ['structured', 'binary'];
+
+/**
+ * Sends the body as a JSON object, as the output services always did. The content type is the
+ * one of the event mapping (EVENT_CONTENT_TYPE).
+ */
+class JsonSerializer {
+  /**
+   * @param {Object} event - Event built by the connector
+   * @param {{body: Object, contentType: string, properties: Object}} message - Message mapped by eventData.toEventData
+   * @returns {{body: Object, contentType: string, properties: Object}} The message to send
+   */
+  serialize(event, message) {
+    return message;
+  }
+}
+
+/**
+ * Wraps the body in a CloudEvents 1.0 envelope. In structured mode the whole event is the body
+ * (`application/cloudevents+json`); in binary mode the body stays the data and the attributes
+ * travel as `ce-*` properties.
+ */
+class CloudEventsSerializer {
+  /**
+   * @param {Object} options
+   * @param {'structured'|'binary'} [options.mode='structured'] - Content mode
+   * @param {string} [options.source] - `source` attribute; defaults to `/streams/{source stream}`
+   * @param {string} [options.type='redis.stream.entry'] - `type` attribute
+   * @param {string} [options.typeField] - Body field holding the `type`, falling back to `type`
+   */
+  constructor({ mode = 'structured', source, type = 'redis.stream.entry', typeField } = {}) {
+    this.mode = mode;
+    this.source = source;
+    this.type = type;
+    this.typeField = typeField;
+  }
+
+  /**
+   * Context attributes of an event
+   * @param {{body: Object, metadata?: Object}} event - Event built by the connector
+   * @param {{messageId: string}} message - Mapped message
+   * @returns {Object}
+   */
+  attributes(event, message) {
+    const { metadata = {} } = event;
+    const type = this.typeField && event.body[this.typeField] !== undefined ? String(event.body[this.typeField]) : this.type;
+    const attributes = {
+      specversion: '1.0',
+      id: message.messageId,
+      source: this.source || `/streams/${metadata.sourceStream || 'unknown'}`,
+      type,
+    };
+    // The entry's enqueue time is when the event happened as far as the connector knows
+    if (metadata.enqueuedAt) attributes.time = metadata.enqueuedAt;
+    return attributes;
+  }
+
+  /**
+   * @param {Object} event - Event built by the connector
+   * @param {{body: Object, messageId: string, properties: Object}} message - Mapped message
+   * @returns {{body: Object, contentType: string, properties: Object}} The message to send
+   */
+  serialize(event, message) {
+    const attributes = this.attributes(event, message);
+    if (this.mode === 'binary') {
+      const headers = {};
+      for (const [name, value] of Object.entries(attributes)) headers[`ce-${name}`] = value;
+      return { ...message, contentType: 'application/json', properties: { ...message.properties, ...headers } };
+    }
+    return {
+      ...message,
+      body: { ...attributes, datacontenttype: 'application/json', data: message.body },
+      contentType: 'application/cloudevents+json; charset=utf-8',
+    };
+  }
+}
+
+/**
+ * Encodes the body with an Avro schema read from a local file. The schema ID, when set, is sent
+ * as the `schema-id` property so consumers can look the schema up in their registry.
+ */
+class AvroSerializer {
+  /**
+   * @param {Object} options
+   * @param {Object} options.schema - Avro schema
+   * @param {string} [options.schemaId] - ID of the schema in a schema registry
+   */
+  constructor({ schema, schemaId }) {
+    this.type = avro.Type.forSchema(schema);
+    this.schemaId = schemaId;
+  }
+
+  /**
+   * @param {Object} event - Event built by the connector
+   * @param {{body: Object, properties: Object}} message - Mapped message
+   * @returns {{body: Buffer, contentType: string, properties: Object}} The message to send
+   * @throws {Error} If the body doesn't match the schema, e.g. a number field still holds a string
+   */
+  serialize(event, message) {
+    const errors = [];
+    const valid = this.type.isValid(message.body, {
+      errorHook: (fieldPath) => errors.push(fieldPath.join('.') || '(root)'),
+    });
+    if (!valid) {
+      throw new Error(`Body does not match the Avro schema at: ${errors.join(', ')}`);
+    }
+    const properties = this.schemaId ? { ...message.properties, 'schema-id': this.schemaId } : message.properties;
+    return { ...message, body: this.type.toBuffer(message.body), contentType: 'avro/binary', properties };
+  }
+}
+
+/**
+ * Encodes the body with MessagePack
+ */
+class MessagePackSerializer {
+  /**
+   * @param {Object} event - Event built by the connector
+   * @param {{body: Object}} message - Mapped message
+   * @returns {{body: Buffer, contentType: string, properties: Object}} The message to send
+   */
+  serialize(event, message) {
+    const encoded = msgpack.encode(message.body);
+    return {
+      ...message,
+      body: Buffer.from(encoded.buffer, encoded.byteOffset, encoded.byteLength),
+      contentType: 'application/x-msgpack',
+    };
+  }
+}
+
+/**
+ * Reads an Avro schema file
+ * @param {string} schemaFile - Path to the `.avsc` file
+ * @param {string} baseDir - Directory relative paths are resolved against
+ * @returns {Object}
+ */
+const readAvroSchema = (schemaFile, baseDir) => {
+  if (!schemaFile) {
+    throw new ConfigurationError('The avro serialization format requires a schema file (AVRO_SCHEMA_FILE).');
+  }
+  try {
+    return JSON.parse(fs.readFileSync(path.resolve(baseDir, schemaFile), 'utf8'));
+  } catch (error) {
+    throw new ConfigurationError(`Failed to read Avro schema '${schemaFile}': ${error.message}`, error);
+  }
+};
+
+/**
+ * Builds the serializer of an output from configuration
+ * @param {Object} [config] - Serialization settings; JSON without them
+ * @param {string} [config.format='json'] - One of SERIALIZATION_FORMATS
+ * @param {Object} [config.cloudEvents] - CloudEventsSerializer options
+ * @param {{schemaFile: string, schemaId?: string}} [config.avro] - Avro schema file and registry ID
+ * @param {Object} [options]
+ * @param {string} [options.baseDir=process.cwd()] - Directory the Avro schema path is resolved against
+ * @returns {JsonSerializer|CloudEventsSerializer|AvroSerializer|MessagePackSerializer}
+ * @throws {ConfigurationError} If the format is unknown or the Avro schema is unusable
+ */
+const createSerializer = (config = {}, { baseDir = process.cwd() } = {}) => {
+  const { format = 'json', cloudEvents = {}, avro: avroConfig = {} } = config;
+  switch (format) {
+    case 'json':
+      return new JsonSerializer();
+    case 'cloudevents':
+      if (cloudEvents.mode && !CLOUDEVENTS_MODES.includes(cloudEvents.mode)) {
+        throw new ConfigurationError(`Invalid CloudEvents mode '${cloudEvents.mode}'. Must be one of: ${CLOUDEVENTS_MODES.join(', ')}.`);
+      }
+      return new CloudEventsSerializer(cloudEvents);
+    case 'avro': {
+      const schema = readAvroSchema(avroConfig.schemaFile, baseDir);
+      try {
+        return new AvroSerializer({ schema, schemaId: avroConfig.schemaId });
+      } catch (error) {
+        throw new ConfigurationError(`Invalid Avro schema '${avroConfig.schemaFile}': ${error.message}`, error);
+      }
+    }
+    case 'msgpack':
+      return new MessagePackSerializer();
+    default:
+      throw new ConfigurationError(`Unknown serialization format '${format}'. Must be one of: ${SERIALIZATION_FORMATS.join(', ')}.`);
+  }
+};
+
+module.exports = {
+  JsonSerializer,
+  CloudEventsSerializer,
+  AvroSerializer,
+  MessagePackSerializer,
+  createSerializer,
+  SERIALIZATION_FORMATS,
+  CLOUDEVENTS_MODES,
+};
@@ -0,0 +1,136 @@
+// src/services/DeadLetterService.js
+
+/**
+ * Service for moving poison messages to a dead-letter stream and replaying them
+ */
+class DeadLetterService {
+  /**
+   * @param {{streamKey: string, maxDeliveryAttempts: number}} config - Dead-letter configuration
+   * @param {RedisService} redisService - Connected Redis service
+   * @param {Object} logger - Logger instance
+   */
+  constructor(config, redisService, logger) {
+    this.config = config;
+    this.redisService = redisService;
+    this.logger = logger.child({ service: 'DeadLetterService' });
+  }
+
+  /**
+   * Whether a message has used up its delivery attempts
+   * @param {number} deliveryCount - Delivery counter reported by XPENDING
+   * @returns {boolean}
+   */
+  isExhausted(deliveryCount) {
+    return deliveryCount >= this.config.maxDeliveryAttempts;
+  }
+
+  /**
+   * Copies a message to the dead-letter stream and acknowledges it in the source stream.
+   * The copy is written before the ack, so a crash in between can only produce a duplicate
+   * dead-letter entry, never a lost message.
+   * @param {{id: string, fields: string[]}} message - Message taken from the source stream
+   * @param {Object} details - Failure details
+   * @param {string} details.sourceStream - Stream the message was read from
+   * @param {string} details.groupName - Consumer group the message is pending in
+   * @param {string} details.reason - Why the message is being dead-lettered
+   * @param {number} details.attempts - Number of delivery attempts made
+   * @returns {Promise<string>} ID of the dead-letter entry
+   */
+  async deadLetter(message, { sourceStream, groupName, reason, attempts }) {
+    const deadLetterId = await this.redisService.addMessage(this.config.streamKey, [
+      'originalId', message.id,
+      'sourceStream', sourceStream,
+      'consumerGroup', groupName,
+      'reason', reason,
+      'attempts', String(attempts),
+      'deadLetteredAt', new Date().toISOString(),
+      'payload', JSON.stringify(message.fields),
+    ]);
+    await this.redisService.ackMessages(sourceStream, groupName, [message.id]);
+
+    this.logger.warn({
+      messageId: message.id,
+      deadLetterId,
+      deadLetterStream: this.config.streamKey,
+      reason,
+      attempts,
+    }, 'Message moved to dead-letter stream.');
+
+    return deadLetterId;
+  }
+
+  /**
+   * Lists dead-lettered entries
+   * @param {Object} [options]
+   * @param {number} [options.count=100] - Maximum number of entries to return
+   * @param {string} [options.start='-'] - Start ID within the dead-letter stream
+   * @param {string} [options.end='+'] - End ID within the dead-letter stream
+   * @returns {Promise<Array<Object>>} Parsed dead-letter entries
+   */
+  async list({ count = 100, start = '-', end = '+' } = {}) {
+    const entries = await this.redisService.readRange(this.config.streamKey, start, end, count);
+    return entries.map(entry => DeadLetterService.parseEntry(entry));
+  }
+
+  /**
+   * Re-publishes dead-lettered entries to their source stream and removes them from the dead-letter stream
+   * @param {string[]} [ids] - Dead-letter entry IDs to replay; all entries (up to `count`) when omitted
+   * @param {Object} [options]
+   * @param {number} [options.count=100] - Maximum number of entries to replay when no IDs are given
+   * @param {string} [options.targetStream] - Replay into this stream instead of each entry's source stream
+   * @returns {Promise<Array<{deadLetterId: string, originalId: string, stream: string, newId: string}>>} Replayed entries
+   */
+  async replay(ids = [], { count = 100, targetStream } = {}) {
+    let entries;
+    if (ids.length === 0) {
+      entries = await this.list({ count });
+    } else {
+      entries = [];
+      for (const id of ids) {
+        const [entry] = await this.list({ start: id, end: id, count: 1 });
+        if (entry) {
+          entries.push(entry);
+        } else {
+          this.logger.warn({ deadLetterId: id }, 'Dead-letter entry not found, skipping.');
+        }
+      }
+    }
+
+    const replayed = [];
+    for (const entry of entries) {
+      const stream = targetStream || entry.sourceStream;
+      const newId = await this.redisService.addMessage(stream, entry.fields);
+      await this.redisService.deleteMessages(this.config.streamKey, [entry.id]);
+      replayed.push({ deadLetterId: entry.id, originalId: entry.originalId, stream, newId });
+    }
+
+    if (replayed.length > 0) {
+      this.logger.info({ replayedCount: replayed.length }, 'Replayed dead-lettered messages.');
+    }
+    return replayed;
+  }
+
+  /**
+   * Converts a raw dead-letter stream entry into an object
+   * @param {{id: string, fields: string[]}} entry - Raw dead-letter entry
+   * @returns {{id: string, originalId: string, sourceStream: string, consumerGroup: string, reason: string, attempts: number, deadLetteredAt: string, fields: string[]}}
+   */
+  static parseEntry(entry) {
+    const data = {};
+    for (let i = 0; i < entry.fields.length; i += 2) {
+      data[entry.fields[i]] = entry.fields[i + 1];
+    }
+    return {
+      id: entry.id,
+      originalId: data.originalId,
+      sourceStream: data.sourceStream,
+      consumerGroup: data.consumerGroup,
+      reason: data.reason,
+      attempts: parseInt(data.attempts, 10),
+      deadLetteredAt: data.deadLetteredAt,
+      fields: data.payload ? JSON.parse(data.payload) : [],
+    };
+  }
+}
+
+module.exports = DeadLetterService;
@@ -0,0 +1,57 @@
+// src/services/DedupService.js
+
+/**
+ * Remembers which stream entries were delivered, so entries resent by the claim and retry paths
+ * (or after a crash between sending and acknowledging) are acknowledged instead of delivered again.
+ * Each delivered entry is a Redis key that expires after a TTL. Keys include the consumer group, so
+ * groups reading the same stream into different outputs don't see each other's deliveries.
+ */
+class DedupService {
+  /**
+   * @param {{keyPrefix: string, ttlSeconds: number}} config - Dedup configuration
+   * @param {RedisService} redisService - Connected Redis service
+   * @param {Object} logger - Logger instance
+   */
+  constructor(config, redisService, logger) {
+    this.config = config;
+    this.redisService = redisService;
+    this.logger = logger.child({ service: 'DedupService' });
+  }
+
+  /**
+   * Key recording the delivery of an entry
+   * @param {string} stream - Stream the entry was read from
+   * @param {string} group - Consumer group the entry was delivered for
+   * @param {string} id - Entry ID
+   * @returns {string}
+   */
+  key(stream, group, id) {
+    return `${this.config.keyPrefix}:${group}:${stream}:${id}`;
+  }
+
+  /**
+   * Finds the entries that were already delivered
+   * @param {string} stream - Stream the entries were read from
+   * @param {string} group - Consumer group the entries were read by
+   * @param {string[]} ids - Entry IDs
+   * @returns {Promise<Set<string>>} IDs of the delivered entries
+   */
+  async findDelivered(stream, group, ids) {
+    const exists = await this.redisService.keysExist(ids.map(id => this.key(stream, group, id)));
+    return new Set(ids.filter((id, index) => exists[index]));
+  }
+
+  /**
+   * Records entries as delivered. Must be called before they are acknowledged, so a crash
+   * in between leaves them recorded.
+   * @param {string} stream - Stream the entries were read from
+   * @param {string} group - Consumer group the entries were delivered for
+   * @param {string[]} ids - Entry IDs
+   * @returns {Promise<void>}
+   */
+  async markDelivered(stream, group, ids) {
+    await this.redisService.setKeysWithTtl(ids.map(id => this.key(stream, group, id)), '1', this.config.ttlSeconds);
+  }
+}
+
+module.exports = DedupService;
@@ -1,85 +1,200 @@
 // src/services/EventHubsService.js
 const { EventHubProducerClient } = require('@azure/event-hubs');
+const Metrics = require('../metrics');
+const { EventHubsError } = require('../errors');
+const { renderTemplate } = require('../transforms');
+const { toEventData } = require('../eventData');
+const { createSerializer } = require('../serializers');
+const {
+  SendStatus, succeeded, failed, skipped, countByStatus,
+} = require('../sendResults');
+
+const ADAPTER = 'EVENT_HUBS';
 
 /**
  * Service for sending events to Azure Event Hubs
  */
 class EventHubsService {
-  constructor(config, logger) {
+  /**
+   * @param {Object} config - Event Hubs configuration
+   * @param {string} config.connectionString - Namespace or hub connection string
+   * @param {string} config.hubName - Event hub name
+   * @param {string} [config.partitionKeyField] - Body field used as the partition key
+   * @param {string} [config.partitionKeyTemplate] - `{{field}}` template rendered into the partition key
+   * @param {string} [config.partitionId] - Partition every event is sent to
+   * @param {Object} [config.eventMapping] - Properties, message ID and content type mapping (see eventData.toEventData)
+   * @param {Object} [config.serialization] - Body format, JSON by default (see serializers.createSerializer)
+   * @param {Object} logger - Logger instance
+   * @param {Metrics} [metrics] - Shared metrics registry
+   */
+  constructor(config, logger, metrics = new Metrics()) {
     this.config = config;
     this.logger = logger.child({ service: 'EventHubsService' });
+    this.metrics = metrics;
+    this.serializer = createSerializer(config.serialization);
     this.producer = new EventHubProducerClient(config.connectionString, config.hubName);
+    this.connected = false;
+  }
+
+  /**
+   * Verifies the connection string and hub name by fetching the hub's properties
+   * @returns {Promise<void>}
+   */
+  async connect() {
+    try {
+      const properties = await this.producer.getEventHubProperties();
+      this.connected = true;
+      this.logger.info({ hubName: properties.name, partitions: properties.partitionIds.length }, 'Connected to Event Hubs.');
+    } catch (error) {
+      this.logger.error({ err: error }, 'Failed to connect to Event Hubs.');
+      throw error;
+    }
   }
 
   /**
-   * Sends events to Event Hubs, creating multiple batches if needed
+   * Whether the producer is connected and able to send
+   * @returns {boolean}
+   */
+  isReady() {
+    return this.connected;
+  }
+
+  /**
+   * Partition key for an event, from the configured field or template
+   * @param {{body: Object}} event - Event to send
+   * @returns {string|null} Partition key, or null to let Event Hubs pick a partition
+   */
+  partitionKeyFor(event) {
+    const { partitionKeyField, partitionKeyTemplate } = this.config;
+    let partitionKey = null;
+    if (partitionKeyField) {
+      const value = event.body[partitionKeyField];
+      partitionKey = value === undefined || value === null ? null : String(value);
+    } else if (partitionKeyTemplate) {
+      partitionKey = renderTemplate(partitionKeyTemplate, event.body);
+    }
+    return partitionKey || null;
+  }
+
+  /**
+   * Groups events by the batch options they must be sent with. A batch can only
+   * target one partition key, so events are grouped per key, keeping their order.
    * @param {Array<{body: Object, correlationId: string}>} events - Events to send
-   * @returns {Promise<number>} Number of events successfully sent
+   * @returns {Array<{batchOptions: Object, entries: Array<{event: Object, index: number}>}>} Groups in order of first appearance
+   */
+  groupByPartition(events) {
+    const groups = new Map();
+    events.forEach((event, index) => {
+      const partitionKey = this.config.partitionId ? null : this.partitionKeyFor(event);
+      if (!groups.has(partitionKey)) {
+        let batchOptions = {};
+        if (this.config.partitionId) batchOptions = { partitionId: this.config.partitionId };
+        else if (partitionKey !== null) batchOptions = { partitionKey };
+        groups.set(partitionKey, { batchOptions, entries: [] });
+      }
+      groups.get(partitionKey).entries.push({ event, index });
+    });
+    return [...groups.values()];
+  }
+
+  /**
+   * Sends events to Event Hubs, creating one or more batches per partition key
+   * @param {Array<{body: Object, correlationId: string, metadata?: Object}>} events - Events to send
+   * @returns {Promise<Array<{status: string, reason?: string}>>} One send result per event, in input order
+   * @throws {Error} If no batch could be sent at all
    */
   async sendBatch(events) {
-    if (events.length === 0) return 0;
+    if (events.length === 0) return [];
     
+    const results = new Array(events.length);
     const batches = [];
-    let currentBatch = await this.producer.createBatch();
-    let addedCount = 0;
     let failedEvents = [];
 
-    for (const event of events) {
-      if (!currentBatch.tryAdd(event)) {
-        // Current batch is full, save it and create a new one
-        if (currentBatch.count > 0) {
-          batches.push(currentBatch);
-          currentBatch = await this.producer.createBatch();
-        }
-        
-        // Try adding to the new batch
-        if (!currentBatch.tryAdd(event)) {
-          // Event is too large even for an empty batch
-          this.logger.error({ 
-            eventId: event.correlationId,
-            eventSize: JSON.stringify(event).length 
-          }, 'Event is too large to fit in any batch and will be skipped.');
-          failedEvents.push(event.correlationId);
+    for (const { batchOptions, entries } of this.groupByPartition(events)) {
+      let currentBatch = { batch: await this.producer.createBatch(batchOptions), indexes: [] };
+
+      for (const { event, index } of entries) {
+        let eventData;
+        try {
+          eventData = this.serializer.serialize(event, toEventData(event, this.config.eventMapping));
+        } catch (error) {
+          // The same body fails the same way every time, so the event is rejected rather than retried
+          this.logger.error({ err: error, eventId: event.correlationId }, 'Failed to serialize event. It will be skipped.');
+          results[index] = skipped(`Serialization failed: ${error.message}`);
           continue;
         }
+        if (!currentBatch.batch.tryAdd(eventData)) {
+          // Current batch is full, save it and create a new one
+          if (currentBatch.batch.count > 0) {
+            batches.push(currentBatch);
+            currentBatch = { batch: await this.producer.createBatch(batchOptions), indexes: [] };
+          }
+          
+          // Try adding to the new batch
+          if (!currentBatch.batch.tryAdd(eventData)) {
+            // Event is too large even for an empty batch
+            this.logger.error({ 
+              eventId: event.correlationId,
+              eventSize: JSON.stringify(eventData).length 
+            }, 'Event is too large to fit in any batch and will be skipped.');
+            failedEvents.push(event.correlationId);
+            results[index] = skipped('Event is too large to fit in an Event Hubs batch');
+            continue;
+          }
+        }
+        currentBatch.indexes.push(index);
       }
-      addedCount++;
-    }
 
-    // Add the last batch if it has events
-    if (currentBatch.count > 0) {
-      batches.push(currentBatch);
+      // Add the last batch of the group if it has events
+      if (currentBatch.batch.count > 0) {
+        batches.push(currentBatch);
+      }
     }
 
-    // Send all batches
+    // Send all batches. A failed batch only fails its own events.
+    const endTimer = this.metrics.sendDuration.startTimer({ adapter: ADAPTER });
+    let lastError = null;
     for (let i = 0; i < batches.length; i++) {
+      const { batch, indexes } = batches[i];
       try {
-        await this.producer.sendBatch(batches[i]);
+        await this.producer.sendBatch(batch);
+        indexes.forEach(index => { results[index] = succeeded(); });
         this.logger.debug({ 
           batchNumber: i + 1, 
           totalBatches: batches.length,
-          eventsInBatch: batches[i].count 
+          eventsInBatch: batch.count 
         }, 'Batch sent successfully.');
       } catch (error) {
         this.logger.error({ 
           err: error, 
           batchNumber: i + 1,
-          eventsInBatch: batches[i].count 
+          eventsInBatch: batch.count 
         }, 'Failed to send batch to Event Hubs.');
-        throw error; // Re-throw to allow caller to handle
+        indexes.forEach(index => { results[index] = failed(error.message); });
+        lastError = error;
       }
     }
+    endTimer();
+
+    const sentCount = countByStatus(results, SendStatus.SUCCESS);
+    this.metrics.eventsSent.inc({ adapter: ADAPTER }, sentCount);
+    this.metrics.eventsFailed.inc({ adapter: ADAPTER }, events.length - sentCount);
 
     if (failedEvents.length > 0) {
       this.logger.warn({ failedCount: failedEvents.length, failedEvents }, 'Some events were too large and could not be sent.');
     }
 
-    return addedCount;
+    // Nothing got through, e.g. the connection is down: let the caller handle it as a failed batch
+    if (lastError && sentCount === 0) {
+      throw new EventHubsError(lastError.message, lastError);
+    }
+    return results;
   }
 
   async disconnect() {
     this.logger.info('Closing Event Hubs producer...');
     await this.producer.close();
+    this.connected = false;
     this.logger.info('Event Hubs producer closed.');
   }
 }
@@ -0,0 +1,107 @@
+// src/services/HealthServer.js
+const http = require('http');
+
+/**
+ * Embedded HTTP server exposing liveness, readiness and Prometheus metrics endpoints
+ */
+class HealthServer {
+  /**
+   * @param {{port: number, stallThresholdMs: number}} config - Health server configuration
+   * @param {{connector: StreamConnector, metrics: Metrics}} dependencies - Connector to probe and metrics to expose
+   * @param {Object} logger - Logger instance
+   */
+  constructor(config, { connector, metrics }, logger) {
+    this.config = config;
+    this.connector = connector;
+    this.metrics = metrics;
+    this.logger = logger.child({ service: 'HealthServer' });
+    this.server = null;
+  }
+
+  /**
+   * Starts listening on the configured port
+   * @returns {Promise<void>}
+   */
+  async start() {
+    this.server = http.createServer((req, res) => {
+      this.handleRequest(req, res).catch(error => {
+        this.logger.error({ err: error, url: req.url }, 'Failed to handle health server request.');
+        this.send(res, 500, 'text/plain', 'Internal Server Error\n');
+      });
+    });
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.config.port, () => {
+        this.server.off('error', reject);
+        resolve();
+      });
+    });
+    this.logger.info({ port: this.server.address().port }, 'Health server listening.');
+  }
+
+  /**
+   * Routes a request to the matching endpoint
+   * @param {http.IncomingMessage} req - Incoming request
+   * @param {http.ServerResponse} res - Response to write
+   * @returns {Promise<void>}
+   */
+  async handleRequest(req, res) {
+    if (req.method !== 'GET') {
+      this.send(res, 405, 'text/plain', 'Method Not Allowed\n');
+      return;
+    }
+
+    const { pathname } = new URL(req.url, 'http://localhost');
+    switch (pathname) {
+      case '/healthz':
+        this.send(res, 200, 'application/json', JSON.stringify({ status: 'ok' }));
+        return;
+      case '/readyz': {
+        const { ready, checks, circuits } = await this.connector.checkReadiness({
+          stallThresholdMs: this.config.stallThresholdMs,
+        });
+        this.send(res, ready ? 200 : 503, 'application/json', JSON.stringify({
+          status: ready ? 'ready' : 'not ready',
+          checks,
+          circuits,
+        }));
+        return;
+      }
+      case '/metrics':
+        await this.connector.collectMetrics();
+        this.send(res, 200, this.metrics.contentType, await this.metrics.render());
+        return;
+      default:
+        this.send(res, 404, 'text/plain', 'Not Found\n');
+    }
+  }
+
+  /**
+   * Writes a complete response
+   * @param {http.ServerResponse} res - Response to write
+   * @param {number} statusCode - HTTP status code
+   * @param {string} contentType - Content-Type header value
+   * @param {string} body - Response body
+   */
+  send(res, statusCode, contentType, body) {
+    res.writeHead(statusCode, { 'Content-Type': contentType });
+    res.end(body);
+  }
+
+  /**
+   * Stops accepting connections and closes the server
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (!this.server) return;
+    const closed = new Promise(resolve => this.server.close(() => resolve()));
+    // Keep-alive connections from probes would otherwise hold the server open
+    this.server.closeAllConnections();
+    await closed;
+    this.server = null;
+    this.logger.info('Health server stopped.');
+  }
+}
+
+module.exports = HealthServer;
@@ -0,0 +1,201 @@
+// src/services/HttpOutputService.js
+const Metrics = require('../metrics');
+const { toEventData } = require('../eventData');
+const {
+  SendStatus, succeeded, failed, skipped, countByStatus,
+} = require('../sendResults');
+
+const ADAPTER = 'HTTP';
+
+const CONTENT_TYPES = {
+  json: 'application/json',
+  ndjson: 'application/x-ndjson',
+};
+
+// Statuses worth retrying: timeouts, rate limiting and server errors. Other 4xx mean the request itself is wrong.
+const isRetryableStatus = status => status === 408 || status === 425 || status === 429 || status >= 500;
+
+/**
+ * Service for posting events to an HTTP endpoint (webhook or REST service)
+ */
+class HttpOutputService {
+  /**
+   * @param {Object} config - HTTP output configuration
+   * @param {string} config.url - Endpoint URL
+   * @param {string} [config.method='POST'] - HTTP method
+   * @param {Object<string, string>} [config.headers={}] - Extra request headers
+   * @param {{type: 'bearer', token: string}|{type: 'basic', username: string, password: string}|null} [config.auth] - Authentication
+   * @param {'json'|'ndjson'} [config.batchFormat='json'] - JSON array or newline-delimited JSON body
+   * @param {number} [config.timeoutMs=10000] - Timeout of each request
+   * @param {number} [config.maxRetries=2] - Retries of a request that failed with a retryable error. Set to 0
+   *   when the connector retries sends itself
+   * @param {number} [config.retryDelayMs=500] - Delay before the first retry, doubled for each further retry
+   * @param {Object} [config.eventMapping] - Message ID and properties mapping (see eventData.toEventData)
+   * @param {Object} logger - Logger instance
+   * @param {Metrics} [metrics] - Shared metrics registry
+   */
+  constructor(config, logger, metrics = new Metrics()) {
+    this.config = {
+      method: 'POST',
+      headers: {},
+      auth: null,
+      batchFormat: 'json',
+      timeoutMs: 10000,
+      maxRetries: 2,
+      retryDelayMs: 500,
+      ...config,
+    };
+    this.logger = logger.child({ service: 'HttpOutputService' });
+    this.metrics = metrics;
+    this.connected = false;
+  }
+
+  /**
+   * Nothing to connect; marks the service as ready. Endpoints often reject probe requests,
+   * so reachability is only checked by sending.
+   * @returns {Promise<void>}
+   */
+  async connect() {
+    this.connected = true;
+    this.logger.info({ url: this.config.url, method: this.config.method }, 'HTTP output is ready.');
+  }
+
+  /**
+   * Whether the service is ready to send
+   * @returns {boolean}
+   */
+  isReady() {
+    return this.connected;
+  }
+
+  /**
+   * Headers sent with every request
+   * @returns {Object<string, string>}
+   */
+  buildHeaders() {
+    const headers = {
+      ...this.config.headers,
+      'Content-Type': CONTENT_TYPES[this.config.batchFormat],
+    };
+    const { auth } = this.config;
+    if (auth && auth.type === 'bearer') {
+      headers.Authorization = `Bearer ${auth.token}`;
+    } else if (auth && auth.type === 'basic') {
+      headers.Authorization = `Basic ${Buffer.from(`${auth.username}:${auth.password}`).toString('base64')}`;
+    }
+    return headers;
+  }
+
+  /**
+   * Serializes events into a request body. Each record is the event body plus a `_metadata` block,
+   * like the files written by LocalEventHubService.
+   * @param {Array<Object>} events - Events to send
+   * @returns {string}
+   */
+  buildBody(events) {
+    const records = events.map((event) => {
+      const { body, correlationId, messageId, properties } = toEventData(event, this.config.eventMapping);
+      return { ...body, _metadata: { correlationId, messageId, properties } };
+    });
+    if (this.config.batchFormat === 'ndjson') {
+      return `${records.map(record => JSON.stringify(record)).join('\n')}\n`;
+    }
+    return JSON.stringify(records);
+  }
+
+  /**
+   * Sends one request, retrying retryable failures
+   * @param {Array<Object>} events - Events to send in the request
+   * @returns {Promise<{ok: boolean, retryable: boolean, reason?: string}>} Outcome of the last attempt
+   */
+  async post(events) {
+    const body = this.buildBody(events);
+    let outcome;
+    for (let attempt = 0; attempt <= this.config.maxRetries; attempt++) {
+      if (attempt > 0) {
+        await new Promise(resolve => setTimeout(resolve, this.config.retryDelayMs * 2 ** (attempt - 1)));
+      }
+      try {
+        const response = await fetch(this.config.url, {
+          method: this.config.method,
+          headers: this.buildHeaders(),
+          body,
+          signal: AbortSignal.timeout(this.config.timeoutMs),
+        });
+        // The body is not used, but must be consumed to release the connection
+        await response.arrayBuffer().catch(() => {});
+        if (response.ok) return { ok: true, retryable: false };
+        outcome = {
+          ok: false,
+          retryable: isRetryableStatus(response.status),
+          reason: `HTTP ${response.status} ${response.statusText}`.trim(),
+        };
+      } catch (error) {
+        // Network errors and timeouts
+        outcome = { ok: false, retryable: true, reason: error.message };
+      }
+      if (!outcome.retryable) return outcome;
+      this.logger.warn({ attempt: attempt + 1, reason: outcome.reason }, 'HTTP request failed.');
+    }
+    return outcome;
+  }
+
+  /**
+   * Send result for an event the endpoint permanently rejected
+   * @param {{correlationId: string}} event - Rejected event
+   * @param {{reason: string}} outcome - Outcome of its request
+   * @returns {{status: string, reason: string}}
+   */
+  rejected(event, outcome) {
+    this.logger.error({ eventId: event.correlationId, reason: outcome.reason }, 'HTTP endpoint rejected the event and it will be skipped.');
+    return skipped(outcome.reason);
+  }
+
+  /**
+   * Sends events to the endpoint in a single request
+   * @param {Array<{body: Object, correlationId: string, metadata?: Object}>} events - Events to send
+   * @returns {Promise<Array<{status: string, reason?: string}>>} One send result per event, in input order
+   */
+  async sendBatch(events) {
+    if (events.length === 0) return [];
+
+    const endTimer = this.metrics.sendDuration.startTimer({ adapter: ADAPTER });
+    const outcome = await this.post(events);
+    let results;
+    if (outcome.ok) {
+      results = events.map(() => succeeded());
+    } else if (outcome.retryable) {
+      this.logger.error({ eventCount: events.length, reason: outcome.reason }, 'Failed to send batch to HTTP endpoint.');
+      results = events.map(() => failed(outcome.reason));
+    } else if (events.length === 1) {
+      results = [this.rejected(events[0], outcome)];
+    } else {
+      // One bad event rejects the whole request, so send one at a time to find it
+      this.logger.warn({ eventCount: events.length, reason: outcome.reason }, 'HTTP endpoint rejected the batch. Sending events one by one.');
+      results = [];
+      for (const event of events) {
+        const eventOutcome = await this.post([event]);
+        if (eventOutcome.ok) results.push(succeeded());
+        else if (eventOutcome.retryable) results.push(failed(eventOutcome.reason));
+        else results.push(this.rejected(event, eventOutcome));
+      }
+    }
+    endTimer();
+
+    const sentCount = countByStatus(results, SendStatus.SUCCESS);
+    this.metrics.eventsSent.inc({ adapter: ADAPTER }, sentCount);
+    this.metrics.eventsFailed.inc({ adapter: ADAPTER }, events.length - sentCount);
+    return results;
+  }
+
+  /**
+   * No connections to close; marks the service as not ready
+   * @returns {Promise<void>}
+   */
+  async disconnect() {
+    this.connected = false;
+    this.logger.info('HTTP output stopped.');
+  }
+}
+
+module.exports = HttpOutputService;
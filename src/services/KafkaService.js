@@ -0,0 +1,169 @@
+// src/services/KafkaService.js
+const { Kafka, logLevel } = require('kafkajs');
+const Metrics = require('../metrics');
+const { toEventData } = require('../eventData');
+const {
+  SendStatus, succeeded, failed, skipped, countByStatus,
+} = require('../sendResults');
+
+const ADAPTER = 'KAFKA';
+
+/**
+ * Whether Kafka rejected a message for exceeding the broker's max message size
+ * @param {Error} error - Error thrown by the producer
+ * @returns {boolean}
+ */
+const isMessageTooLarge = error => [error, error.cause].some(e => e && e.type === 'MESSAGE_TOO_LARGE');
+
+/**
+ * Service for producing events to a Kafka topic
+ */
+class KafkaService {
+  /**
+   * @param {Object} config - Kafka configuration
+   * @param {string[]} config.brokers - Bootstrap brokers (`host:port`)
+   * @param {string} config.clientId - Client ID reported to the brokers
+   * @param {string} config.topic - Topic events are produced to
+   * @param {boolean} [config.ssl=false] - Connect with TLS
+   * @param {{mechanism: string, username: string, password: string}|null} [config.sasl] - SASL credentials
+   * @param {string} [config.keyField] - Body field used as the message key
+   * @param {boolean} [config.idempotent=false] - Enable the idempotent producer (requires acks -1)
+   * @param {number} [config.acks=-1] - Acknowledgements required from the brokers (-1 = all in-sync replicas)
+   * @param {Object} [config.eventMapping] - Headers, message ID and content type mapping (see eventData.toEventData)
+   * @param {Object} logger - Logger instance
+   * @param {Metrics} [metrics] - Shared metrics registry
+   */
+  constructor(config, logger, metrics = new Metrics()) {
+    this.config = config;
+    this.logger = logger.child({ service: 'KafkaService' });
+    this.metrics = metrics;
+    this.kafka = new Kafka({
+      clientId: config.clientId,
+      brokers: config.brokers,
+      ssl: config.ssl || false,
+      sasl: config.sasl || undefined,
+      // Connection problems are surfaced through our own logs and errors
+      logLevel: logLevel.NOTHING,
+    });
+    this.producer = this.kafka.producer({
+      idempotent: config.idempotent || false,
+      allowAutoTopicCreation: false,
+    });
+    this.connected = false;
+  }
+
+  /**
+   * Connects the producer to the brokers
+   * @returns {Promise<void>}
+   */
+  async connect() {
+    try {
+      await this.producer.connect();
+      this.connected = true;
+      this.logger.info({ brokers: this.config.brokers, topic: this.config.topic }, 'Connected to Kafka.');
+    } catch (error) {
+      this.logger.error({ err: error }, 'Failed to connect to Kafka.');
+      throw error;
+    }
+  }
+
+  /**
+   * Whether the producer is connected and able to send
+   * @returns {boolean}
+   */
+  isReady() {
+    return this.connected;
+  }
+
+  /**
+   * Converts an event to a Kafka message. The body becomes the JSON value; IDs, content type
+   * and application properties become headers.
+   * @param {{body: Object, correlationId: string, metadata?: Object}} event - Event to send
+   * @returns {{key: string|null, value: string, headers: Object<string, string>}}
+   */
+  toMessage(event) {
+    const { body, correlationId, messageId, contentType, properties } = toEventData(event, this.config.eventMapping);
+    const headers = { 'content-type': contentType, correlationId, messageId };
+    for (const [name, value] of Object.entries(properties)) {
+      headers[name] = String(value);
+    }
+
+    const keyValue = this.config.keyField ? body[this.config.keyField] : undefined;
+    return {
+      key: keyValue === undefined || keyValue === null ? null : String(keyValue),
+      value: JSON.stringify(body),
+      headers,
+    };
+  }
+
+  /**
+   * Produces messages to the configured topic
+   * @param {Array<Object>} messages - Kafka messages
+   * @returns {Promise<void>}
+   */
+  async produce(messages) {
+    await this.producer.send({
+      topic: this.config.topic,
+      messages,
+      acks: this.config.acks,
+    });
+  }
+
+  /**
+   * Sends events to Kafka in a single produce request
+   * @param {Array<{body: Object, correlationId: string, metadata?: Object}>} events - Events to send
+   * @returns {Promise<Array<{status: string, reason?: string}>>} One send result per event, in input order
+   * @throws {Error} If the produce request fails for a reason other than an oversized message
+   */
+  async sendBatch(events) {
+    if (events.length === 0) return [];
+
+    const messages = events.map(event => this.toMessage(event));
+    const endTimer = this.metrics.sendDuration.startTimer({ adapter: ADAPTER });
+    let results;
+    try {
+      await this.produce(messages);
+      results = events.map(() => succeeded());
+    } catch (error) {
+      if (!isMessageTooLarge(error)) {
+        this.logger.error({ err: error, eventCount: events.length }, 'Failed to send batch to Kafka.');
+        this.metrics.eventsFailed.inc({ adapter: ADAPTER }, events.length);
+        throw error;
+      }
+
+      // A produce request is all-or-nothing, so send one message at a time to find the oversized ones
+      this.logger.warn({ eventCount: events.length }, 'Batch contains a message that is too large. Sending messages one by one.');
+      results = [];
+      for (const [index, message] of messages.entries()) {
+        try {
+          await this.produce([message]);
+          results.push(succeeded());
+        } catch (messageError) {
+          if (isMessageTooLarge(messageError)) {
+            this.logger.error({ eventId: events[index].correlationId, eventSize: message.value.length }, 'Event is too large for the Kafka broker and will be skipped.');
+            results.push(skipped('Event is larger than the Kafka broker accepts'));
+          } else {
+            results.push(failed(messageError.message));
+          }
+        }
+      }
+    }
+    endTimer();
+
+    const sentCount = countByStatus(results, SendStatus.SUCCESS);
+    this.metrics.eventsSent.inc({ adapter: ADAPTER }, sentCount);
+    this.metrics.eventsFailed.inc({ adapter: ADAPTER }, events.length - sentCount);
+    this.logger.debug({ topic: this.config.topic, sentCount }, 'Batch sent to Kafka.');
+
+    return results;
+  }
+
+  async disconnect() {
+    this.logger.info('Disconnecting Kafka producer...');
+    await this.producer.disconnect();
+    this.connected = false;
+    this.logger.info('Kafka producer disconnected.');
+  }
+}
+
+module.exports = KafkaService;
@@ -2,15 +2,41 @@
 const fs = require('fs/promises');
 const path = require('path');
 const crypto = require('crypto');
+const Metrics = require('../metrics');
+const { toEventData } = require('../eventData');
+const { SegmentWriter } = require('../segments');
+const { createSerializer } = require('../serializers');
+const {
+  SendStatus, succeeded, failed, skipped, countByStatus,
+} = require('../sendResults');
+
+const ADAPTER = 'LOCAL_FILE';
 
 /**
- * Service for writing events to local files (for testing/development)
+ * Service for writing events to local files, either one JSON file per event (for testing/development)
+ * or appended to rolling NDJSON segments
  */
 class LocalEventHubService {
-  constructor(config, logger) {
+  /**
+   * @param {Object} config - Local file configuration
+   * @param {string} config.directory - Output directory
+   * @param {'per-event'|'rolling'} [config.mode='per-event'] - One file per event, or rolling NDJSON segments
+   * @param {Object} [config.segment] - Rolling options (see SegmentWriter)
+   * @param {Object} [config.eventMapping] - Message ID and properties mapping (see eventData.toEventData)
+   * @param {Object} [config.serialization] - Body format, JSON by default (see serializers.createSerializer)
+   * @param {Object} logger - Logger instance
+   * @param {Metrics} [metrics] - Shared metrics registry
+   */
+  constructor(config, logger, metrics = new Metrics()) {
     this.config = config;
     this.logger = logger.child({ service: 'LocalEventHubService' });
+    this.metrics = metrics;
     this.outputDir = this.config.directory;
+    this.serializer = createSerializer(config.serialization);
+    this.segments = config.mode === 'rolling'
+      ? new SegmentWriter({ ...config.segment, directory: this.outputDir }, this.logger)
+      : null;
+    this.connected = false;
   }
 
   /**
@@ -20,6 +46,8 @@ class LocalEventHubService {
   async connect() {
     try {
       await fs.mkdir(this.outputDir, { recursive: true });
+      if (this.segments) await this.segments.recover();
+      this.connected = true;
       this.logger.info({ directory: this.outputDir }, 'Output directory is ready.');
     } catch (error) {
       this.logger.error({ err: error }, 'Failed to create output directory.');
@@ -27,32 +55,84 @@ class LocalEventHubService {
     }
   }
 
+  /**
+   * Whether the output directory has been prepared
+   * @returns {boolean}
+   */
+  isReady() {
+    return this.connected;
+  }
+
+  /**
+   * Record written for an event: the serialized body plus a `_metadata` block. Binary bodies
+   * (Avro, MessagePack) are written base64-encoded in a `body` field.
+   * @param {{body: Object, correlationId: string, metadata?: Object}} event - Event to write
+   * @returns {Object}
+   * @throws {Error} If the event can't be serialized
+   */
+  toRecord(event) {
+    // Mirrors what EventHubsService would send alongside the body
+    const {
+      body, correlationId, messageId, contentType, properties,
+    } = this.serializer.serialize(event, toEventData(event, this.config.eventMapping));
+    const binary = Buffer.isBuffer(body);
+    return {
+      ...(binary ? { body: body.toString('base64') } : body),
+      _metadata: {
+        correlationId,
+        messageId,
+        contentType,
+        properties,
+        ...(binary && { bodyEncoding: 'base64' }),
+        writtenAt: new Date().toISOString()
+      }
+    };
+  }
+
+  /**
+   * Builds the records of events. An event that can't be serialized gets a skipped result instead.
+   * @param {Array<{body: Object, correlationId: string, metadata?: Object}>} events - Events to write
+   * @returns {Array<{record?: Object, result?: {status: string, reason: string}}>} One entry per event, in input order
+   */
+  toRecords(events) {
+    return events.map((event) => {
+      try {
+        return { record: this.toRecord(event) };
+      } catch (err) {
+        this.logger.error({ err, eventId: event.correlationId }, 'Failed to serialize event. It will be skipped.');
+        return { result: skipped(`Serialization failed: ${err.message}`) };
+      }
+    });
+  }
+
   /**
    * Writes events to local files as JSON
-   * @param {Array<{body: Object, correlationId: string}>} events - Events to write
-   * @returns {Promise<number>} Number of events successfully written
+   * @param {Array<{body: Object, correlationId: string, metadata?: Object}>} events - Events to write
+   * @returns {Promise<Array<{status: string, reason?: string}>>} One send result per event, in input order
    */
   async sendBatch(events) {
-    if (events.length === 0) return 0;
-    const writePromises = events.map((event, index) => {
+    if (events.length === 0) return [];
+    if (this.segments) return this.appendToSegment(events);
+    const endTimer = this.metrics.sendDuration.startTimer({ adapter: ADAPTER });
+    const writePromises = this.toRecords(events).map(({ record, result }, index) => {
+      if (!record) return result;
       const timestamp = Date.now();
       const uniqueId = crypto.randomBytes(4).toString('hex');
       const filename = `${timestamp}-${index}-${uniqueId}.json`;
       const filePath = path.join(this.outputDir, filename);
-      const fileContent = JSON.stringify({
-        ...event.body,
-        _metadata: {
-          correlationId: event.correlationId,
-          writtenAt: new Date().toISOString()
-        }
-      }, null, 2);
-      return fs.writeFile(filePath, fileContent).catch(err => {
-        this.logger.error({ err, file: filePath }, 'Failed to write event to file.');
-        return null;
-      });
+      const fileContent = JSON.stringify(record, null, 2);
+      return fs.writeFile(filePath, fileContent)
+        .then(() => succeeded())
+        .catch(err => {
+          this.logger.error({ err, file: filePath }, 'Failed to write event to file.');
+          return failed(err.message);
+        });
     });
     const results = await Promise.all(writePromises);
-    const successCount = results.filter(r => r !== null).length;
+    const successCount = countByStatus(results, SendStatus.SUCCESS);
+    endTimer();
+    this.metrics.eventsSent.inc({ adapter: ADAPTER }, successCount);
+    this.metrics.eventsFailed.inc({ adapter: ADAPTER }, events.length - successCount);
     
     if (successCount < events.length) {
       this.logger.warn({ 
@@ -62,16 +142,46 @@ class LocalEventHubService {
       }, 'Some events failed to write to disk.');
     }
     
-    return successCount;
+    return results;
   }
 
   /**
-   * No-op disconnect for local file service
+   * Appends events to the current segment. Events only succeed once the segment is fsynced.
+   * @param {Array<{body: Object, correlationId: string, metadata?: Object}>} events - Events to write
+   * @returns {Promise<Array<{status: string, reason?: string}>>} One send result per event, in input order
+   */
+  async appendToSegment(events) {
+    const endTimer = this.metrics.sendDuration.startTimer({ adapter: ADAPTER });
+    const records = this.toRecords(events);
+    let results;
+    try {
+      const appended = records
+        .map(({ record }, index) => ({ id: events[index].correlationId, record }))
+        .filter(({ record }) => record);
+      if (appended.length > 0) await this.segments.append(appended);
+      results = records.map(({ result }) => result || succeeded());
+    } catch (err) {
+      this.logger.error({ err, eventCount: events.length }, 'Failed to append events to segment.');
+      results = records.map(({ result }) => result || failed(err.message));
+    }
+    endTimer();
+    const successCount = countByStatus(results, SendStatus.SUCCESS);
+    this.metrics.eventsSent.inc({ adapter: ADAPTER }, successCount);
+    this.metrics.eventsFailed.inc({ adapter: ADAPTER }, events.length - successCount);
+    return results;
+  }
+
+  /**
+   * Closes the current segment in rolling mode; nothing to do otherwise
    * @returns {Promise<void>}
    */
   async disconnect() {
+    if (this.segments) {
+      await this.segments.close();
+      this.logger.info('Closed the current segment.');
+      return;
+    }
     this.logger.info('Local file service requires no disconnection.');
-    return Promise.resolve();
   }
 }
 
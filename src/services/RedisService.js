@@ -1,29 +1,103 @@
 // src/services/RedisService.js
+const fs = require('fs');
 const Redis = require('ioredis');
+const calculateSlot = require('cluster-key-slot');
+const Metrics = require('../metrics');
+const { RedisStreamError, ConfigurationError } = require('../errors');
+const { RetryPolicy } = require('../retryPolicy');
+
+const DEFAULT_RECONNECT = {
+  maxAttempts: 0,
+  initialDelayMs: 100,
+  maxDelayMs: 10000,
+};
+
+/**
+ * Turns a flat XINFO reply (`[key, value, key, value, ...]`) into an object
+ * @param {Array} reply - Flat key/value array
+ * @returns {Object}
+ */
+const pairsToObject = (reply) => {
+  const info = {};
+  for (let i = 0; i < reply.length; i += 2) {
+    info[reply[i]] = reply[i + 1];
+  }
+  return info;
+};
+
+/**
+ * @param {string} address - `host:port` address
+ * @returns {{host: string, port: number}}
+ */
+const toHostPort = (address) => {
+  const separator = address.lastIndexOf(':');
+  return { host: address.slice(0, separator), port: Number(address.slice(separator + 1)) };
+};
 
 /**
- * Service for interacting with Redis Streams
+ * Builds Node.js TLS options, reading the CA, certificate and key from their files
+ * @param {Object} [tls] - TLS settings
+ * @returns {Object|undefined} TLS options, or undefined if TLS isn't enabled
+ * @throws {ConfigurationError} If a file can't be read
+ */
+const buildTlsOptions = (tls) => {
+  if (!tls || !tls.enabled) return undefined;
+  const readFile = (file) => {
+    try {
+      return fs.readFileSync(file);
+    } catch (error) {
+      throw new ConfigurationError(`Cannot read TLS file '${file}': ${error.message}`, error);
+    }
+  };
+
+  const options = { rejectUnauthorized: tls.rejectUnauthorized !== false };
+  if (tls.caFile) options.ca = readFile(tls.caFile);
+  if (tls.certFile) options.cert = readFile(tls.certFile);
+  if (tls.keyFile) options.key = readFile(tls.keyFile);
+  if (tls.servername) options.servername = tls.servername;
+  return options;
+};
+
+/**
+ * Service for interacting with Redis Streams on a standalone server, a Sentinel-managed master
+ * or a Cluster
  */
 class RedisService {
-  constructor(config, logger) {
+  /**
+   * @param {Object} config - Redis configuration (see config.redis)
+   * @param {boolean} [config.blockingReads=true] - Whether stream reads get a connection of their own;
+   *   services that never block on a read can save it
+   * @param {Object} logger - Logger instance
+   * @param {Metrics} [metrics] - Shared metrics registry
+   */
+  constructor(config, logger, metrics = new Metrics()) {
     this.config = config;
     this.logger = logger.child({ service: 'RedisService' });
+    this.metrics = metrics;
+    this.supportsAutoClaim = null; // Detected on first claim
     
-    // Add connection timeout
-    this.client = new Redis(config.url, {
-      retryStrategy: (times) => {
-        if (times > 3) {
-          this.logger.error('Redis connection retry limit reached. Giving up.');
-          return null; // Stop retrying
-        }
-        const delay = Math.min(times * 50, 2000);
-        this.logger.warn({ attempt: times, delay }, 'Retrying Redis connection...');
-        return delay;
-      },
-      maxRetriesPerRequest: 3,
-      connectTimeout: 10000, // 10 seconds
-      lazyConnect: true, // Don't connect immediately
+    // Reconnects back off exponentially with jitter. 0 attempts means retrying forever.
+    const reconnect = { ...DEFAULT_RECONNECT, ...config.reconnect };
+    this.reconnectBackoff = new RetryPolicy({ ...reconnect, maxElapsedMs: Infinity });
+    this.reconnectHandler = null;
+    this.connectionLostHandler = null;
+    this.hasConnected = false;
+    this.isClosing = false;
+    this.connectionLost = false;
+
+    this.isCluster = config.mode === 'cluster';
+    this.client = this.createClient((times) => {
+      if (reconnect.maxAttempts > 0 && times > reconnect.maxAttempts) {
+        this.logger.error({ attempts: reconnect.maxAttempts }, 'Redis reconnect attempts exhausted. Giving up.');
+        return null; // Stop retrying
+      }
+      const delay = this.reconnectBackoff.delayFor(times);
+      this.logger.warn({ attempt: times, delay }, 'Retrying Redis connection...');
+      return delay;
     });
+    // A connection runs its commands in order, and XREAD/XREADGROUP block for up to POLL_TIMEOUT_MS.
+    // Reads get their own connection, so acks, health probes and metrics don't wait behind them.
+    this.blockingClient = config.blockingReads === false ? this.client : this.client.duplicate();
 
     this.client.on('error', (error) => {
       this.logger.error({ err: error }, 'Redis client error occurred.');
@@ -36,13 +110,132 @@ class RedisService {
     this.client.on('close', () => {
       this.logger.warn('Redis connection closed.');
     });
+
+    this.client.on('ready', () => this.handleReady());
+
+    // Emitted once ioredis stops reconnecting, or after disconnect
+    this.client.on('end', () => this.handleEnd());
+
+    if (this.blockingClient === this.client) return;
+    this.blockingClient.on('error', (error) => {
+      this.logger.error({ err: error, connection: 'blocking' }, 'Redis client error occurred.');
+    });
+    this.blockingClient.on('ready', () => this.handleBlockingReady());
+    this.blockingClient.on('end', () => this.handleEnd());
+  }
+
+  /**
+   * Creates the ioredis client for the configured mode
+   * @param {Function} retryStrategy - Delay before the next reconnect attempt, or null to give up
+   * @returns {Redis|Redis.Cluster}
+   */
+  createClient(retryStrategy) {
+    const { mode = 'standalone', username, password } = this.config;
+    const tls = buildTlsOptions(this.config.tls);
+    const options = {
+      retryStrategy,
+      maxRetriesPerRequest: 3,
+      connectTimeout: 10000, // 10 seconds
+      lazyConnect: true, // Don't connect immediately
+      ...(username && { username }),
+      ...(password && { password }),
+      ...(tls && { tls }),
+    };
+
+    if (mode === 'sentinel') {
+      const { masterName, sentinels, password: sentinelPassword } = this.config.sentinel;
+      return new Redis({
+        ...options,
+        name: masterName,
+        sentinels: sentinels.map(toHostPort),
+        ...(sentinelPassword && { sentinelPassword }),
+        ...(tls && { enableTLSForSentinelMode: true, sentinelTLS: tls }),
+      });
+    }
+    if (mode === 'cluster') {
+      // Reconnecting the whole cluster is governed by clusterRetryStrategy; options of the node connections go in redisOptions
+      const { retryStrategy: clusterRetryStrategy, lazyConnect, ...redisOptions } = options;
+      return new Redis.Cluster(this.config.cluster.nodes.map(toHostPort), { clusterRetryStrategy, lazyConnect, redisOptions });
+    }
+    return new Redis(this.config.url, options);
+  }
+
+  /**
+   * Groups keys by cluster hash slot, since a multi-key command or pipeline can only address one slot.
+   * Outside a cluster all keys form one group.
+   * @param {string[]} keys - Keys to group
+   * @returns {number[][]} Indexes into `keys`, one array per slot
+   */
+  slotGroups(keys) {
+    if (!this.isCluster) return [keys.map((key, index) => index)];
+    const groups = new Map();
+    keys.forEach((key, index) => {
+      const slot = calculateSlot(key);
+      if (!groups.has(slot)) groups.set(slot, []);
+      groups.get(slot).push(index);
+    });
+    return [...groups.values()];
+  }
+
+  /**
+   * Registers a function called after every reconnect, e.g. to recreate consumer groups
+   * the server lost while it was down
+   * @param {Function} handler - Called without arguments; a returned promise is not awaited
+   */
+  onReconnect(handler) {
+    this.reconnectHandler = handler;
+  }
+
+  /**
+   * Registers a function called when the connection is lost for good: the reconnect attempts are
+   * exhausted, so every later command fails
+   * @param {Function} handler - Called without arguments
+   */
+  onConnectionLost(handler) {
+    this.connectionLostHandler = handler;
+  }
+
+  /**
+   * Runs on every 'ready' event of the command connection. The first one is handled by connect;
+   * later ones follow a reconnect.
+   */
+  handleReady() {
+    if (!this.hasConnected) return;
+    this.logger.info('Reconnected to Redis.');
+    if (this.reconnectHandler) this.reconnectHandler();
+  }
+
+  /**
+   * Runs on every 'ready' event of the blocking connection. A reconnect gives it a new client ID.
+   * @returns {Promise<void>}
+   */
+  async handleBlockingReady() {
+    if (!this.hasConnected) return;
+    try {
+      this.clientId = await this.readClientId();
+    } catch (error) {
+      this.logger.warn({ err: error }, 'Failed to read the client ID after reconnecting.');
+    }
+  }
+
+  /**
+   * Runs when either connection ends. Unless it was closed on purpose, it gave up reconnecting.
+   */
+  handleEnd() {
+    if (this.isClosing || this.connectionLost) return;
+    this.connectionLost = true;
+    this.logger.fatal('Redis connection lost and will not be retried.');
+    if (this.connectionLostHandler) this.connectionLostHandler();
   }
 
   async connect() {
     this.logger.info('Connecting to Redis...');
     try {
       await this.client.connect();
+      if (this.blockingClient !== this.client) await this.blockingClient.connect();
       await this.client.ping();
+      this.clientId = await this.readClientId();
+      this.hasConnected = true;
       this.logger.info('Successfully connected to Redis.');
     } catch (error) {
       this.logger.fatal({ err: error }, 'Failed to connect to Redis. Please ensure Redis server is running and accessible.');
@@ -50,10 +243,34 @@ class RedisService {
     }
   }
 
-  async initializeGroup(streamKey, groupName) {
+  /**
+   * ID of the blocking connection, which lets the command connection interrupt its reads on shutdown.
+   * A cluster reads each stream over the connection to its node, so there is no single one to interrupt.
+   * @returns {Promise<number|null>}
+   */
+  async readClientId() {
+    return this.isCluster ? null : this.blockingClient.client('ID');
+  }
+
+  /**
+   * Checks that the Redis server is responding
+   * @returns {Promise<void>}
+   */
+  async ping() {
+    await this.client.ping();
+  }
+
+  /**
+   * Creates a consumer group unless it exists. An existing group keeps its position.
+   * @param {string} streamKey - Redis stream key
+   * @param {string} groupName - Consumer group name
+   * @param {string} [startId='$'] - ID the group starts reading after ('$' for new entries only)
+   * @returns {Promise<void>}
+   */
+  async initializeGroup(streamKey, groupName, startId = '$') {
     try {
-      await this.client.xgroup('CREATE', streamKey, groupName, '$', 'MKSTREAM');
-      this.logger.info({ streamKey, groupName }, 'Consumer group created.');
+      await this.client.xgroup('CREATE', streamKey, groupName, startId, 'MKSTREAM');
+      this.logger.info({ streamKey, groupName, startId }, 'Consumer group created.');
     } catch (error) {
       if (error.message.includes('BUSYGROUP')) {
         this.logger.info({ streamKey, groupName }, 'Consumer group already exists.');
@@ -65,69 +282,313 @@ class RedisService {
   }
 
   /**
-   * Claims pending messages that have been idle for too long
+   * Lists entries in the consumer group's Pending Entries List
    * @param {string} streamKey - Redis stream key
    * @param {string} groupName - Consumer group name
-   * @param {string} consumerName - This consumer's name
-   * @param {number} minIdleTimeMs - Minimum idle time in milliseconds
-   * @returns {Promise<number>} Number of messages claimed
+   * @param {number} count - Maximum number of entries to return
+   * @param {Object} [range]
+   * @param {string} [range.start='-'] - Lowest entry ID to list
+   * @param {string} [range.end='+'] - Highest entry ID to list
+   * @returns {Promise<Array<{id: string, consumer: string, idleMs: number, deliveryCount: number}>>} Pending entries
    */
-  async claimPendingMessages(streamKey, groupName, consumerName, minIdleTimeMs = 60000) {
-    try {
-      // Get pending messages for the group
-      const pendingInfo = await this.client.xpending(streamKey, groupName, '-', '+', 100);
-      
-      if (!pendingInfo || pendingInfo.length === 0) {
-        return 0;
-      }
+  async getPendingMessages(streamKey, groupName, count = 100, { start = '-', end = '+' } = {}) {
+    const pendingInfo = await this.client.xpending(streamKey, groupName, start, end, count);
+    if (!pendingInfo) return [];
+    return pendingInfo.map(([id, consumer, idleMs, deliveryCount]) => ({ id, consumer, idleMs, deliveryCount }));
+  }
 
-      const messageIdsToClaim = pendingInfo
-        .filter(([id, consumer, idleTime]) => idleTime >= minIdleTimeMs)
-        .map(([id]) => id);
+  /**
+   * Reads the consumer group's PEL size and lag from XINFO GROUPS and reports them as metrics
+   * @param {string} streamKey - Redis stream key
+   * @param {string} groupName - Consumer group name
+   * @returns {Promise<{pending: number, lag: number|null}|null>} Group stats, or null if the group does not exist
+   */
+  async getGroupStats(streamKey, groupName) {
+    const groups = await this.client.xinfo('GROUPS', streamKey);
+    for (const group of groups) {
+      const info = pairsToObject(group);
+      if (info.name !== groupName) continue;
 
-      if (messageIdsToClaim.length === 0) {
-        return 0;
+      // 'lag' is only reported by Redis 7+, and is nil when Redis cannot determine it
+      const lag = info.lag === undefined || info.lag === null ? null : Number(info.lag);
+      this.metrics.pendingMessages.set({ stream: streamKey, group: groupName }, info.pending);
+      if (lag !== null) {
+        this.metrics.consumerLag.set({ stream: streamKey, group: groupName }, lag);
       }
+      return { pending: info.pending, lag };
+    }
+    return null;
+  }
+
+  /**
+   * Lists the consumers of a group
+   * @param {string} streamKey - Redis stream key
+   * @param {string} groupName - Consumer group name
+   * @returns {Promise<Array<{name: string, pending: number, idleMs: number}>>} Consumers with their PEL size and idle time
+   */
+  async getConsumers(streamKey, groupName) {
+    const consumers = await this.client.xinfo('CONSUMERS', streamKey, groupName);
+    return consumers.map((consumer) => {
+      const info = pairsToObject(consumer);
+      return { name: info.name, pending: info.pending, idleMs: info.idle };
+    });
+  }
 
-      // Claim the messages
-      const claimed = await this.client.xclaim(
-        streamKey,
-        groupName,
-        consumerName,
-        minIdleTimeMs,
-        ...messageIdsToClaim
+  /**
+   * Moves a consumer group to a new position with XGROUP SETID. Entries already pending stay pending.
+   * Refuses to run while consumers are reading, as they would carry on from the old position.
+   * @param {string} streamKey - Redis stream key
+   * @param {string} groupName - Consumer group name
+   * @param {string} startId - ID the group reads after from now on ('$' for new entries only)
+   * @param {Object} options
+   * @param {number} options.activeWithinMs - Consumers idle for less than this count as active
+   * @param {boolean} [options.force=false] - Reset even if consumers are active
+   * @returns {Promise<Array<{name: string, pending: number, idleMs: number}>>} Consumers that were active
+   * @throws {RedisStreamError} If consumers are active and the reset is not forced
+   */
+  async resetGroup(streamKey, groupName, startId, { activeWithinMs, force = false }) {
+    const active = (await this.getConsumers(streamKey, groupName)).filter(consumer => consumer.idleMs < activeWithinMs);
+    if (active.length > 0 && !force) {
+      throw new RedisStreamError(
+        `Consumer group '${groupName}' has ${active.length} active consumer(s): ${active.map(consumer => consumer.name).join(', ')}. Stop them first or force the reset.`
       );
+    }
+    await this.client.xgroup('SETID', streamKey, groupName, startId);
+    this.logger.warn({ streamKey, groupName, startId, activeConsumers: active.length }, 'Consumer group position reset.');
+    return active;
+  }
+
+  /**
+   * Claims specific pending messages for this consumer
+   * @param {string} streamKey - Redis stream key
+   * @param {string} groupName - Consumer group name
+   * @param {string} consumerName - This consumer's name
+   * @param {number} minIdleTimeMs - Minimum idle time in milliseconds
+   * @param {string[]} messageIds - IDs of the messages to claim
+   * @returns {Promise<Array<{id: string, fields: string[]}>>} Claimed messages that still exist in the stream
+   */
+  async claimMessages(streamKey, groupName, consumerName, minIdleTimeMs, messageIds) {
+    if (messageIds.length === 0) return [];
+    const claimed = await this.client.xclaim(streamKey, groupName, consumerName, minIdleTimeMs, ...messageIds);
+    if (!claimed) return [];
+    // Entries deleted from the stream come back without fields
+    return claimed
+      .filter(entry => entry && entry[1])
+      .map(([id, fields]) => ({ id, fields }));
+  }
 
-      const claimedCount = claimed ? claimed.length : 0;
-      if (claimedCount > 0) {
+  /**
+   * Claims pending messages that have been idle for too long and returns them for reprocessing.
+   * Uses XAUTOCLAIM (Redis 6.2+) when available, falling back to XPENDING + XCLAIM otherwise.
+   * @param {string} streamKey - Redis stream key
+   * @param {string} groupName - Consumer group name
+   * @param {string} consumerName - This consumer's name
+   * @param {number} minIdleTimeMs - Minimum idle time in milliseconds
+   * @param {number} count - Maximum number of messages to claim
+   * @returns {Promise<Array<{id: string, fields: string[]}>>} Claimed messages
+   */
+  async claimPendingMessages(streamKey, groupName, consumerName, minIdleTimeMs = 60000, count = 100) {
+    try {
+      let claimed = null;
+      if (this.supportsAutoClaim !== false) {
+        claimed = await this.autoClaimPendingMessages(streamKey, groupName, consumerName, minIdleTimeMs, count);
+      }
+      if (claimed === null) {
+        claimed = await this.claimIdlePendingMessages(streamKey, groupName, consumerName, minIdleTimeMs, count);
+      }
+
+      if (claimed.length > 0) {
+        this.metrics.messagesClaimed.inc({ stream: streamKey }, claimed.length);
         this.logger.info({ 
           streamKey, 
           groupName, 
-          claimedCount 
+          claimedCount: claimed.length 
         }, 'Claimed pending messages.');
       }
 
-      return claimedCount;
+      return claimed;
     } catch (error) {
       this.logger.error({ err: error }, 'Failed to claim pending messages.');
-      return 0;
+      return [];
     }
   }
 
+  /**
+   * Claims idle pending messages with XAUTOCLAIM, following the cursor across pages
+   * @param {string} streamKey - Redis stream key
+   * @param {string} groupName - Consumer group name
+   * @param {string} consumerName - This consumer's name
+   * @param {number} minIdleTimeMs - Minimum idle time in milliseconds
+   * @param {number} count - Maximum number of messages to claim
+   * @returns {Promise<Array<{id: string, fields: string[]}>|null>} Claimed messages, or null if the server lacks XAUTOCLAIM
+   */
+  async autoClaimPendingMessages(streamKey, groupName, consumerName, minIdleTimeMs, count) {
+    const claimed = [];
+    let cursor = '0-0';
+    do {
+      let reply;
+      try {
+        reply = await this.client.xautoclaim(
+          streamKey, groupName, consumerName, minIdleTimeMs, cursor, 'COUNT', count - claimed.length
+        );
+      } catch (error) {
+        if (!/unknown command/i.test(error.message)) throw error;
+        this.supportsAutoClaim = false;
+        this.logger.info('XAUTOCLAIM is not supported by this Redis server. Falling back to XPENDING and XCLAIM.');
+        return null;
+      }
+      this.supportsAutoClaim = true;
+
+      const [nextCursor, entries] = reply;
+      for (const entry of entries) {
+        // Entries deleted from the stream come back without fields
+        if (entry && entry[1]) claimed.push({ id: entry[0], fields: entry[1] });
+      }
+      cursor = nextCursor;
+    } while (cursor !== '0-0' && claimed.length < count);
+
+    return claimed;
+  }
+
+  /**
+   * Claims idle pending messages with XPENDING + XCLAIM, for servers older than Redis 6.2
+   * @param {string} streamKey - Redis stream key
+   * @param {string} groupName - Consumer group name
+   * @param {string} consumerName - This consumer's name
+   * @param {number} minIdleTimeMs - Minimum idle time in milliseconds
+   * @param {number} count - Maximum number of pending entries to inspect
+   * @returns {Promise<Array<{id: string, fields: string[]}>>} Claimed messages
+   */
+  async claimIdlePendingMessages(streamKey, groupName, consumerName, minIdleTimeMs, count) {
+    const pendingInfo = await this.getPendingMessages(streamKey, groupName, count);
+
+    const messageIdsToClaim = pendingInfo
+      .filter(({ idleMs }) => idleMs >= minIdleTimeMs)
+      .map(({ id }) => id);
+
+    return this.claimMessages(streamKey, groupName, consumerName, minIdleTimeMs, messageIdsToClaim);
+  }
+
   /**
    * Fetches messages from Redis stream
    * @param {string} streamKey - Redis stream key
    * @param {string} groupName - Consumer group name
    * @param {string} consumerName - This consumer's name
    * @param {number} count - Number of messages to fetch
-   * @param {number} blockMs - Blocking timeout in milliseconds
+   * @param {number|null} blockMs - Blocking timeout in milliseconds, or null to return immediately
    * @returns {Promise<Array<{id: string, fields: string[]}>>} Array of messages
    */
   async fetchMessages(streamKey, groupName, consumerName, count, blockMs) {
-    const results = await this.client.xreadgroup('GROUP', groupName, consumerName, 'COUNT', count, 'BLOCK', blockMs, 'STREAMS', streamKey, '>');
+    const messages = await this.readGroup(groupName, consumerName, [streamKey], ['>'], count, blockMs);
+    return messages.map(({ id, fields }) => ({ id, fields }));
+  }
+
+  /**
+   * Reads a page of this consumer's pending messages, e.g. left by a previous run. Reading by ID never blocks.
+   * @param {string} streamKey - Redis stream key
+   * @param {string} groupName - Consumer group name
+   * @param {string} consumerName - This consumer's name
+   * @param {number} count - Maximum number of pending entries to read
+   * @param {string} afterId - ID to read pending entries after ('0' for all of them)
+   * @returns {Promise<{messages: Array<{id: string, fields: string[]}>, lastId: string|null}>} Messages still in
+   *   the stream, and the ID to read the next page after: the last one of this page, deleted entries included,
+   *   or null once no pending entry is left
+   */
+  async fetchPendingMessages(streamKey, groupName, consumerName, count, afterId) {
+    const reply = await this.client.xreadgroup(
+      'GROUP', groupName, consumerName, 'COUNT', count, 'STREAMS', streamKey, afterId
+    );
+    const entries = reply && reply.length > 0 ? reply[0][1] : [];
+    return {
+      // Entries deleted from the stream come back without fields
+      messages: entries.filter(([, fields]) => fields).map(([id, fields]) => ({ id, fields })),
+      lastId: entries.length > 0 ? entries[entries.length - 1][0] : null,
+    };
+  }
+
+  /**
+   * Fetches new messages from several streams sharing a consumer group in a single XREADGROUP call
+   * @param {string[]} streamKeys - Redis stream keys
+   * @param {string} groupName - Consumer group name, which must exist on every stream
+   * @param {string} consumerName - This consumer's name
+   * @param {number} count - Number of messages to fetch per stream
+   * @param {number|null} blockMs - Blocking timeout in milliseconds, or null to return immediately
+   * @returns {Promise<Array<{stream: string, id: string, fields: string[]}>>} Messages tagged with their stream
+   */
+  async fetchMessagesFromStreams(streamKeys, groupName, consumerName, count, blockMs) {
+    return this.readGroup(groupName, consumerName, streamKeys, streamKeys.map(() => '>'), count, blockMs);
+  }
+
+  /**
+   * Runs XREADGROUP and flattens the per-stream reply
+   * @param {string} groupName - Consumer group name
+   * @param {string} consumerName - This consumer's name
+   * @param {string[]} streamKeys - Redis stream keys
+   * @param {string[]} ids - Start ID for each stream
+   * @param {number} count - Number of messages to fetch per stream
+   * @param {number|null} blockMs - Blocking timeout in milliseconds, or null to return immediately
+   * @returns {Promise<Array<{stream: string, id: string, fields: string[]}>>} Messages tagged with their stream
+   */
+  async readGroup(groupName, consumerName, streamKeys, ids, count, blockMs) {
+    return this.readBySlot(streamKeys, ids, blockMs, async (keys, keyIds, blockArgs) => this.blockingClient.xreadgroup(
+      'GROUP', groupName, consumerName, 'COUNT', count, ...blockArgs, 'STREAMS', ...keys, ...keyIds
+    ));
+  }
+
+  /**
+   * Reads entries after the given IDs with plain XREAD, without a consumer group
+   * @param {string[]} streamKeys - Redis stream keys
+   * @param {string[]} ids - ID to read after, for each stream
+   * @param {number} count - Number of entries to fetch per stream
+   * @param {number|null} blockMs - Blocking timeout in milliseconds, or null to return immediately
+   * @returns {Promise<Array<{stream: string, id: string, fields: string[]}>>} Entries tagged with their stream
+   */
+  async readStreams(streamKeys, ids, count, blockMs) {
+    return this.readBySlot(streamKeys, ids, blockMs, async (keys, keyIds, blockArgs) => this.blockingClient.xread(
+      'COUNT', count, ...blockArgs, 'STREAMS', ...keys, ...keyIds
+    ));
+  }
+
+  /**
+   * Runs a multi-stream read once per hash slot, since a cluster rejects reads across slots.
+   * Only the first read blocks, sharing the timeout with the others; once one returns entries
+   * the rest return immediately.
+   * @param {string[]} streamKeys - Redis stream keys
+   * @param {string[]} ids - Start ID for each stream
+   * @param {number|null} blockMs - Blocking timeout in milliseconds, or null to return immediately
+   * @param {Function} read - Runs the read: `(keys, ids, blockArgs) => Promise<reply>`
+   * @returns {Promise<Array<{stream: string, id: string, fields: string[]}>>} Messages tagged with their stream
+   */
+  async readBySlot(streamKeys, ids, blockMs, read) {
+    const groups = this.slotGroups(streamKeys);
+    const blocking = blockMs !== null && blockMs !== undefined;
+    const slotBlockMs = groups.length === 1 ? blockMs : Math.max(1, Math.floor(blockMs / groups.length));
+
+    const messages = [];
+    for (const indexes of groups) {
+      const blockArgs = blocking && messages.length === 0 ? ['BLOCK', slotBlockMs] : [];
+      const results = await read(indexes.map(i => streamKeys[i]), indexes.map(i => ids[i]), blockArgs);
+      messages.push(...this.flattenStreamReply(results));
+    }
+    return messages;
+  }
+
+  /**
+   * Flattens an XREAD/XREADGROUP reply into messages tagged with their stream
+   * @param {Array|null} results - Reply of XREAD or XREADGROUP
+   * @returns {Array<{stream: string, id: string, fields: string[]}>}
+   */
+  flattenStreamReply(results) {
     if (!results) return [];
-    const messages = results[0][1];
-    return messages.map(([id, fields]) => ({ id, fields }));
+
+    const messages = [];
+    for (const [stream, entries] of results) {
+      for (const [id, fields] of entries) {
+        // Pending entries that were deleted from the stream come back without fields
+        if (fields) messages.push({ stream, id, fields });
+      }
+    }
+    return messages;
   }
 
   /**
@@ -142,9 +603,114 @@ class RedisService {
     return this.client.xack(streamKey, groupName, ...messageIds);
   }
 
+  /**
+   * Appends an entry to a stream
+   * @param {string} streamKey - Redis stream key
+   * @param {string[]} fields - Flat array of field/value pairs
+   * @param {string} id - Entry ID, '*' to let Redis generate one
+   * @returns {Promise<string>} ID of the added entry
+   */
+  async addMessage(streamKey, fields, id = '*') {
+    return this.client.xadd(streamKey, id, ...fields);
+  }
+
+  /**
+   * ID of the newest entry in a stream
+   * @param {string} streamKey - Redis stream key
+   * @returns {Promise<string>} Entry ID, or '0-0' if the stream is empty or missing
+   */
+  async getLastEntryId(streamKey) {
+    const entries = await this.client.xrevrange(streamKey, '+', '-', 'COUNT', 1);
+    return entries.length > 0 ? entries[0][0] : '0-0';
+  }
+
+  /**
+   * Reads a range of entries from a stream without using a consumer group
+   * @param {string} streamKey - Redis stream key
+   * @param {string} start - Start ID ('-' for the beginning of the stream)
+   * @param {string} end - End ID ('+' for the end of the stream)
+   * @param {number} count - Maximum number of entries to return
+   * @returns {Promise<Array<{id: string, fields: string[]}>>} Array of messages
+   */
+  async readRange(streamKey, start = '-', end = '+', count = 100) {
+    const entries = await this.client.xrange(streamKey, start, end, 'COUNT', count);
+    return entries.map(([id, fields]) => ({ id, fields }));
+  }
+
+  /**
+   * Deletes entries from a stream
+   * @param {string} streamKey - Redis stream key
+   * @param {string[]} messageIds - Array of message IDs to delete
+   * @returns {Promise<number>} Number of entries deleted
+   */
+  async deleteMessages(streamKey, messageIds) {
+    if (messageIds.length === 0) return 0;
+    return this.client.xdel(streamKey, ...messageIds);
+  }
+
+  /**
+   * Checks which keys exist, in one round trip
+   * @param {string[]} keys - Keys to check
+   * @returns {Promise<boolean[]>} Whether each key exists, in input order
+   */
+  async keysExist(keys) {
+    if (keys.length === 0) return [];
+    const replies = await this.pipelineBySlot(keys, (pipeline, key) => pipeline.exists(key));
+    return replies.map(([error, count]) => {
+      if (error) throw error;
+      return count === 1;
+    });
+  }
+
+  /**
+   * Sets keys that expire after a TTL, in one round trip
+   * @param {string[]} keys - Keys to set
+   * @param {string} value - Value stored in every key
+   * @param {number} ttlSeconds - Time to live in seconds
+   * @returns {Promise<void>}
+   */
+  async setKeysWithTtl(keys, value, ttlSeconds) {
+    if (keys.length === 0) return;
+    const replies = await this.pipelineBySlot(keys, (pipeline, key) => pipeline.set(key, value, 'EX', ttlSeconds));
+    const failed = replies.find(([error]) => error);
+    if (failed) throw failed[0];
+  }
+
+  /**
+   * Runs one command per key in a pipeline per hash slot, since a cluster pipeline can only address one slot
+   * @param {string[]} keys - Keys to run the command on
+   * @param {Function} addCommand - Queues the command: `(pipeline, key) => void`
+   * @returns {Promise<Array<[Error|null, any]>>} Pipeline replies, in key order
+   */
+  async pipelineBySlot(keys, addCommand) {
+    const replies = new Array(keys.length);
+    for (const indexes of this.slotGroups(keys)) {
+      const pipeline = this.client.pipeline();
+      indexes.forEach(index => addCommand(pipeline, keys[index]));
+      const slotReplies = await pipeline.exec();
+      indexes.forEach((index, position) => { replies[index] = slotReplies[position]; });
+    }
+    return replies;
+  }
+
+  /**
+   * Interrupts a blocking XREAD or XREADGROUP with CLIENT UNBLOCK, sent over the command connection
+   * since the blocked one can't send commands. The read returns as if it timed out. Cluster reads
+   * block on per-node connections whose IDs aren't known, so they are left to time out.
+   * @returns {Promise<boolean>} Whether a blocked read was interrupted
+   */
+  async unblockReads() {
+    if (this.isCluster || !this.clientId || this.client.status === 'end') return false;
+    return await this.client.client('UNBLOCK', this.clientId) === 1;
+  }
+
   async disconnect() {
     this.logger.info('Disconnecting from Redis...');
-    await this.client.quit();
+    this.isClosing = true;
+    // Reads have nothing to flush, so the blocking connection is closed without waiting for a read in progress
+    if (this.blockingClient !== this.client) this.blockingClient.disconnect();
+    // A connection that gave up reconnecting has nothing left to close
+    if (this.client.status !== 'end') await this.client.quit();
     this.logger.info('Disconnected from Redis.');
   }
 }
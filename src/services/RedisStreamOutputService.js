@@ -0,0 +1,153 @@
+// src/services/RedisStreamOutputService.js
+const Metrics = require('../metrics');
+const RedisService = require('./RedisService');
+const {
+  SendStatus, succeeded, failed, skipped, countByStatus,
+} = require('../sendResults');
+
+const ADAPTER = 'REDIS';
+
+// XADD error when an explicit ID is not greater than the last entry of the stream
+const isIdTooSmall = error => /equal or smaller than the target stream top item/i.test(error.message);
+
+/**
+ * Converts an event body to the flat field/value array XADD expects. Strings are written as-is,
+ * other values as JSON, so bodies read from a stream are mirrored unchanged.
+ * @param {Object} body - Event body
+ * @returns {string[]}
+ */
+const toFields = (body) => {
+  const fields = [];
+  for (const [name, value] of Object.entries(body)) {
+    if (value === undefined) continue;
+    fields.push(name, typeof value === 'string' ? value : JSON.stringify(value));
+  }
+  return fields;
+};
+
+/**
+ * Service for appending events to a stream on another Redis server, e.g. to mirror a stream
+ * to a regional replica or a staging environment
+ */
+class RedisStreamOutputService {
+  /**
+   * @param {Object} config - Redis output configuration
+   * @param {string} config.url - URL of the target Redis server
+   * @param {string} config.stream - Target stream key
+   * @param {boolean} [config.preserveIds=false] - Write entries with their source entry ID instead of a new one
+   * @param {number} [config.maxLen] - Trim the target stream to about this many entries (MAXLEN)
+   * @param {number} [config.maxAgeMs] - Trim entries older than this from the target stream (MINID)
+   * @param {boolean} [config.exactTrim=false] - Trim exactly instead of letting Redis trim whole nodes (`~`)
+   * @param {Object} logger - Logger instance
+   * @param {Metrics} [metrics] - Shared metrics registry
+   */
+  constructor(config, logger, metrics = new Metrics()) {
+    this.config = config;
+    this.logger = logger.child({ service: 'RedisStreamOutputService' });
+    this.metrics = metrics;
+    this.redis = new RedisService({ url: config.url, blockingReads: false }, this.logger, metrics);
+    this.connected = false;
+  }
+
+  /**
+   * Connects to the target Redis server
+   * @returns {Promise<void>}
+   */
+  async connect() {
+    await this.redis.connect();
+    this.connected = true;
+    this.logger.info({ stream: this.config.stream, preserveIds: Boolean(this.config.preserveIds) }, 'Redis stream output is ready.');
+  }
+
+  /**
+   * Whether the target Redis server is connected
+   * @returns {boolean}
+   */
+  isReady() {
+    return this.connected;
+  }
+
+  /**
+   * XADD trimming arguments for the configured MAXLEN or MINID
+   * @param {number} now - Current time in milliseconds
+   * @returns {Array<string|number>}
+   */
+  trimArgs(now = Date.now()) {
+    const { maxLen, maxAgeMs, exactTrim } = this.config;
+    const approximate = exactTrim ? [] : ['~'];
+    if (maxLen) return ['MAXLEN', ...approximate, maxLen];
+    // Entry IDs start with their creation time, so the oldest ID to keep follows from the age
+    if (maxAgeMs) return ['MINID', ...approximate, `${now - maxAgeMs}-0`];
+    return [];
+  }
+
+  /**
+   * Appends events to the target stream in a single MULTI transaction
+   * @param {Array<{body: Object, correlationId: string}>} events - Events to send
+   * @returns {Promise<Array<{status: string, reason?: string}>>} One send result per event, in input order
+   * @throws {Error} If the transaction could not be run, e.g. the connection is down
+   */
+  async sendBatch(events) {
+    if (events.length === 0) return [];
+
+    const { stream, preserveIds } = this.config;
+    const trim = this.trimArgs();
+    const endTimer = this.metrics.sendDuration.startTimer({ adapter: ADAPTER });
+    let replies;
+    try {
+      const transaction = this.redis.client.multi();
+      for (const event of events) {
+        transaction.xadd(stream, ...trim, preserveIds ? event.correlationId : '*', ...toFields(event.body));
+      }
+      replies = await transaction.exec();
+    } catch (error) {
+      endTimer();
+      this.logger.error({ err: error, eventCount: events.length }, 'Failed to write batch to the target Redis stream.');
+      this.metrics.eventsFailed.inc({ adapter: ADAPTER }, events.length);
+      throw error;
+    }
+
+    const results = [];
+    for (const [index, [error]] of replies.entries()) {
+      if (!error) {
+        results.push(succeeded());
+      } else if (preserveIds && isIdTooSmall(error)) {
+        results.push(await this.resultForExistingId(events[index]));
+      } else {
+        results.push(failed(error.message));
+      }
+    }
+    endTimer();
+
+    const sentCount = countByStatus(results, SendStatus.SUCCESS);
+    this.metrics.eventsSent.inc({ adapter: ADAPTER }, sentCount);
+    this.metrics.eventsFailed.inc({ adapter: ADAPTER }, events.length - sentCount);
+    this.logger.debug({ stream, sentCount }, 'Batch written to the target Redis stream.');
+
+    return results;
+  }
+
+  /**
+   * Result for an event whose preserved ID is not greater than the target stream's last entry.
+   * A redelivered event that was already written counts as sent; anything else can never be
+   * written with its ID and is skipped.
+   * @param {{correlationId: string}} event - Event that failed to be written
+   * @returns {Promise<{status: string, reason?: string}>}
+   */
+  async resultForExistingId(event) {
+    const existing = await this.redis.readRange(this.config.stream, event.correlationId, event.correlationId, 1);
+    if (existing.length > 0) {
+      this.logger.debug({ eventId: event.correlationId }, 'Event was already written to the target stream.');
+      return succeeded();
+    }
+    this.logger.error({ eventId: event.correlationId, stream: this.config.stream }, 'Target stream has newer entries than the event, which will be skipped.');
+    return skipped('Target stream already has a newer entry than the event ID');
+  }
+
+  async disconnect() {
+    await this.redis.disconnect();
+    this.connected = false;
+  }
+}
+
+module.exports = RedisStreamOutputService;
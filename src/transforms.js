@@ -0,0 +1,261 @@
+// src/transforms.js
+const path = require('path');
+const { ConfigurationError, MessageProcessingError } = require('./errors');
+
+/**
+ * Milliseconds timestamp encoded in a Redis stream entry ID (`<ms>-<seq>`)
+ * @param {string} id - Redis entry ID
+ * @returns {number}
+ */
+const entryTimestamp = (id) => parseInt(id.split('-')[0], 10);
+
+/**
+ * Interpolates `{{field}}` placeholders with body fields; missing fields render as empty strings
+ * @param {string} template - Template text
+ * @param {Object} body - Event body
+ * @returns {string}
+ */
+const renderTemplate = (template, body) => template.replace(/\{\{\s*([^}\s]+)\s*\}\}/g, (match, field) =>
+  (body[field] === undefined || body[field] === null ? '' : String(body[field]))
+);
+
+const CASTS = {
+  string: value => String(value),
+  number: (value) => {
+    const num = Number(value);
+    if (value === '' || Number.isNaN(num)) throw new Error(`'${value}' is not a number`);
+    return num;
+  },
+  integer: (value) => {
+    const num = Number(value);
+    if (value === '' || !Number.isInteger(num)) throw new Error(`'${value}' is not an integer`);
+    return num;
+  },
+  boolean: (value) => {
+    if (value === true || value === 'true' || value === '1') return true;
+    if (value === false || value === 'false' || value === '0') return false;
+    throw new Error(`'${value}' is not a boolean`);
+  },
+};
+
+const COMPUTED = {
+  now: () => new Date().toISOString(),
+  stream: (event, context) => context.stream,
+  entryId: (event, context) => context.id,
+  entryTimestamp: (event, context) => new Date(entryTimestamp(context.id)).toISOString(),
+};
+
+/**
+ * Built-in transform factories, keyed by the `type` used in configuration.
+ * Each factory validates its options and returns `(event, context) => event`.
+ */
+const BUILT_IN_TRANSFORMS = {
+  /**
+   * Parses a JSON string field. With `merge`, the decoded object's keys replace the field in the body.
+   * Options: { field: string, merge?: boolean }
+   */
+  json: ({ field, merge = false }) => {
+    if (!field) throw new ConfigurationError("The 'json' transform requires a 'field' option.");
+    return (event) => {
+      if (event.body[field] === undefined) return event;
+      const decoded = JSON.parse(event.body[field]);
+      if (!merge) {
+        return { ...event, body: { ...event.body, [field]: decoded } };
+      }
+      if (decoded === null || typeof decoded !== 'object' || Array.isArray(decoded)) {
+        throw new Error(`Field '${field}' does not contain a JSON object and cannot be merged`);
+      }
+      const { [field]: omitted, ...rest } = event.body;
+      return { ...event, body: { ...rest, ...decoded } };
+    };
+  },
+
+  /**
+   * Casts fields to the given types. Missing fields are left alone.
+   * Options: { schema: { [field]: 'number'|'integer'|'boolean'|'string' } }
+   */
+  cast: ({ schema }) => {
+    if (!schema || typeof schema !== 'object') {
+      throw new ConfigurationError("The 'cast' transform requires a 'schema' object.");
+    }
+    for (const [field, type] of Object.entries(schema)) {
+      if (!CASTS[type]) {
+        throw new ConfigurationError(`Unknown cast type '${type}' for field '${field}'. Must be one of: ${Object.keys(CASTS).join(', ')}.`);
+      }
+    }
+    return (event) => {
+      const body = { ...event.body };
+      for (const [field, type] of Object.entries(schema)) {
+        if (body[field] === undefined) continue;
+        try {
+          body[field] = CASTS[type](body[field]);
+        } catch (error) {
+          throw new Error(`Field '${field}': ${error.message}`);
+        }
+      }
+      return { ...event, body };
+    };
+  },
+
+  /**
+   * Renames fields.
+   * Options: { fields: { [from]: to } }
+   */
+  rename: ({ fields }) => {
+    if (!fields || typeof fields !== 'object') {
+      throw new ConfigurationError("The 'rename' transform requires a 'fields' object.");
+    }
+    return (event) => {
+      const body = { ...event.body };
+      for (const [from, to] of Object.entries(fields)) {
+        if (!(from in body)) continue;
+        body[to] = body[from];
+        delete body[from];
+      }
+      return { ...event, body };
+    };
+  },
+
+  /**
+   * Removes fields.
+   * Options: { fields: string[] }
+   */
+  drop: ({ fields }) => {
+    if (!Array.isArray(fields)) {
+      throw new ConfigurationError("The 'drop' transform requires a 'fields' array.");
+    }
+    return (event) => {
+      const body = { ...event.body };
+      fields.forEach(field => delete body[field]);
+      return { ...event, body };
+    };
+  },
+
+  /**
+   * Adds properties to the body. A value is either static, `{ template: 'text {{field}}' }`
+   * interpolating body fields, or `{ compute: 'now'|'stream'|'entryId'|'entryTimestamp' }`.
+   * Options: { properties: { [name]: value } }
+   */
+  set: ({ properties }) => {
+    if (!properties || typeof properties !== 'object') {
+      throw new ConfigurationError("The 'set' transform requires a 'properties' object.");
+    }
+    for (const [name, value] of Object.entries(properties)) {
+      if (value && value.compute && !COMPUTED[value.compute]) {
+        throw new ConfigurationError(`Unknown computed value '${value.compute}' for property '${name}'. Must be one of: ${Object.keys(COMPUTED).join(', ')}.`);
+      }
+    }
+    return (event, context) => {
+      const body = { ...event.body };
+      for (const [name, value] of Object.entries(properties)) {
+        if (value && typeof value.template === 'string') {
+          body[name] = renderTemplate(value.template, body);
+        } else if (value && value.compute) {
+          body[name] = COMPUTED[value.compute](event, context);
+        } else {
+          body[name] = value;
+        }
+      }
+      return { ...event, body };
+    };
+  },
+};
+
+/**
+ * Ordered chain of transforms applied to each event between fetch and send
+ */
+class TransformPipeline {
+  /**
+   * @param {Array<{name: string, transform: Function}>} transforms - Transforms in the order they run
+   */
+  constructor(transforms = []) {
+    this.transforms = transforms;
+  }
+
+  /**
+   * Builds a pipeline from configuration. Built-in transforms are selected by `type`;
+   * `{ type: 'module', path, options }` loads a custom module exporting `(event, context, options) => event`.
+   * @param {Array<Object>} definitions - Transform definitions
+   * @param {Object} [options]
+   * @param {string} [options.baseDir=process.cwd()] - Directory custom module paths are resolved against
+   * @returns {TransformPipeline}
+   * @throws {ConfigurationError} If a definition is invalid or a module cannot be loaded
+   */
+  static fromConfig(definitions = [], { baseDir = process.cwd() } = {}) {
+    if (!Array.isArray(definitions)) {
+      throw new ConfigurationError('Transforms must be configured as a JSON array.');
+    }
+    const transforms = definitions.map((definition, index) => {
+      const { type, ...options } = definition || {};
+      if (type === 'module') {
+        return { name: options.path, transform: TransformPipeline.loadModule(options.path, options.options, baseDir) };
+      }
+      const factory = BUILT_IN_TRANSFORMS[type];
+      if (!factory) {
+        throw new ConfigurationError(`Unknown transform type '${type}' at position ${index}. Must be 'module' or one of: ${Object.keys(BUILT_IN_TRANSFORMS).join(', ')}.`);
+      }
+      return { name: type, transform: factory(options) };
+    });
+    return new TransformPipeline(transforms);
+  }
+
+  /**
+   * Loads a custom transform module
+   * @param {string} modulePath - Path to the module
+   * @param {Object} [options={}] - Options passed to every call of the transform
+   * @param {string} baseDir - Directory relative paths are resolved against
+   * @returns {Function} Transform function
+   */
+  static loadModule(modulePath, options = {}, baseDir) {
+    if (!modulePath) {
+      throw new ConfigurationError("The 'module' transform requires a 'path' option.");
+    }
+    let transform;
+    try {
+      transform = require(path.resolve(baseDir, modulePath));
+    } catch (error) {
+      throw new ConfigurationError(`Failed to load transform module '${modulePath}': ${error.message}`, error);
+    }
+    if (typeof transform !== 'function') {
+      throw new ConfigurationError(`Transform module '${modulePath}' must export a function.`);
+    }
+    return (event, context) => transform(event, context, options);
+  }
+
+  /**
+   * Number of transforms in the pipeline
+   * @returns {number}
+   */
+  get size() {
+    return this.transforms.length;
+  }
+
+  /**
+   * Runs an event through every transform
+   * @param {{body: Object, correlationId: string}} event - Event built from a stream entry
+   * @param {{stream: string, id: string}} context - Source stream and entry ID
+   * @returns {Promise<{body: Object, correlationId: string}>} Transformed event
+   * @throws {MessageProcessingError} If a transform throws or returns nothing
+   */
+  async apply(event, context) {
+    let current = event;
+    for (const { name, transform } of this.transforms) {
+      try {
+        current = await transform(current, context);
+      } catch (error) {
+        throw new MessageProcessingError(`Transform '${name}' failed: ${error.message}`, error, context.id);
+      }
+      if (!current || !current.body || typeof current.body !== 'object') {
+        throw new MessageProcessingError(`Transform '${name}' did not return an event.`, null, context.id);
+      }
+    }
+    return current;
+  }
+}
+
+module.exports = {
+  TransformPipeline,
+  BUILT_IN_TRANSFORMS,
+  entryTimestamp,
+  renderTemplate,
+};
@@ -1,5 +1,8 @@
 // src/validation.js
 
+const ADAPTER_TYPES = ['LOCAL_FILE', 'EVENT_HUBS', 'KAFKA', 'HTTP', 'REDIS'];
+const REDIS_MODES = ['standalone', 'sentinel', 'cluster'];
+
 /**
  * Validates configuration values
  */
@@ -35,13 +38,33 @@ class ConfigValidator {
     return url.startsWith('redis://') || url.startsWith('rediss://');
   }
 
+  /**
+   * Validates a `host:port` address, e.g. a Sentinel or a Cluster seed node
+   * @param {string} address - Address to validate
+   * @returns {boolean}
+   */
+  static isValidHostPort(address) {
+    const match = /^([^\s:]+):(\d{1,5})$/.exec(address || '');
+    return Boolean(match) && Number(match[2]) >= 1 && Number(match[2]) <= 65535;
+  }
+
+  /**
+   * Validates HTTP endpoint URL format
+   * @param {string} url - URL to validate
+   * @returns {boolean}
+   */
+  static isValidHttpUrl(url) {
+    if (!url) return false;
+    return url.startsWith('http://') || url.startsWith('https://');
+  }
+
   /**
    * Validates adapter type
    * @param {string} type - Adapter type to validate
    * @returns {boolean}
    */
   static isValidAdapterType(type) {
-    return ['LOCAL_FILE', 'EVENT_HUBS'].includes(type);
+    return ADAPTER_TYPES.includes(type);
   }
 
   /**
@@ -54,4 +77,7 @@ class ConfigValidator {
   }
 }
 
+ConfigValidator.ADAPTER_TYPES = ADAPTER_TYPES;
+ConfigValidator.REDIS_MODES = REDIS_MODES;
+
 module.exports = ConfigValidator;